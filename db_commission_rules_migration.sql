@@ -0,0 +1,82 @@
+-- ============================================================================
+-- GAMERHELPERS COMMISSION RULES MIGRATION
+-- ============================================================================
+-- This migration replaces the hardcoded 10% platform fee with
+-- effective-dated commission rules managed by super admins:
+--
+-- 1. [COMMISSION RULES] - Scope columns used by rules (service type, tier)
+-- 2. [COMMISSION RULES] - Create commission_rules
+-- 3. [COMMISSION RULES] - Store the applied rate on each transaction
+-- 4. [COMMISSION RULES] - Seed the global 10% rule
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [COMMISSION RULES] Rule scope columns
+-- service_type : coaching (teach the player) or piloting (play on the account)
+-- tier         : employee commission tier, set by super admins
+-- ==========================================
+
+ALTER TABLE published_services
+  ADD COLUMN IF NOT EXISTS `service_type` ENUM('coaching', 'piloting') NULL AFTER `price`;
+
+ALTER TABLE employee_profiles
+  ADD COLUMN IF NOT EXISTS `tier` ENUM('standard', 'pro', 'elite') NOT NULL DEFAULT 'standard' AFTER `rank_tier`;
+
+-- ==========================================
+-- [COMMISSION RULES] Create commission_rules table
+-- NULL in game_id / service_type / employee_tier means "any".
+-- A rule applies from effective_from until effective_to (NULL = open).
+-- The most specific matching rule wins.
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `commission_rules` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `game_id` INT DEFAULT NULL,
+  `service_type` ENUM('coaching', 'piloting') DEFAULT NULL,
+  `employee_tier` ENUM('standard', 'pro', 'elite') DEFAULT NULL,
+  `rate` DECIMAL(5, 4) NOT NULL COMMENT 'Fraction of the gross amount, e.g. 0.1000 = 10%',
+  `effective_from` DATETIME NOT NULL,
+  `effective_to` DATETIME DEFAULT NULL,
+  `notes` VARCHAR(255) DEFAULT NULL,
+  `created_by_admin` INT DEFAULT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_commission_effective` (`effective_from`, `effective_to`),
+  KEY `idx_commission_game` (`game_id`),
+  CONSTRAINT `fk_commission_game` FOREIGN KEY (`game_id`) REFERENCES `games` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_commission_admin` FOREIGN KEY (`created_by_admin`) REFERENCES `admin` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[COMMISSION RULES] Effective-dated platform commission rates';
+
+-- ==========================================
+-- [COMMISSION RULES] Applied rate on transactions
+-- Revenue reports read these instead of the current rules.
+-- ==========================================
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS `commission_rate` DECIMAL(5, 4) NULL AFTER `commission_amount`,
+  ADD COLUMN IF NOT EXISTS `commission_rule_id` INT NULL AFTER `commission_rate`;
+
+-- Existing payments were charged the old flat fee; derive it from the amounts
+UPDATE transactions
+SET commission_rate = ROUND(commission_amount / amount, 4)
+WHERE transaction_type = 'service_payment'
+  AND status = 'completed'
+  AND commission_rate IS NULL
+  AND amount > 0;
+
+-- ==========================================
+-- [COMMISSION RULES] Seed the global rule (the previous hardcoded 10%)
+-- ==========================================
+
+INSERT INTO commission_rules (rate, effective_from, notes)
+SELECT 0.1000, '2020-01-01 00:00:00', 'Default platform fee'
+WHERE NOT EXISTS (SELECT 1 FROM commission_rules);
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SELECT * FROM commission_rules;
+-- SELECT commission_rate, COUNT(*) FROM transactions WHERE transaction_type = 'service_payment' GROUP BY commission_rate;
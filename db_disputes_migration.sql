@@ -0,0 +1,54 @@
+-- ============================================================================
+-- GAMERHELPERS DISPUTES MIGRATION
+-- ============================================================================
+-- This migration adds the database structures required for dispute
+-- filing and admin resolution:
+--
+-- 1. [DISPUTES] - Record how a dispute was resolved and the employee's share
+-- 2. [NOTIFICATIONS] - Add dispute_opened / dispute_resolved notification types
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [DISPUTES] Resolution outcome on disputes
+-- resolution:
+--   - refund  : full amount returned to the requester, request cancelled
+--   - release : full amount released to the employee, request closed
+--   - split   : employee_share % to the employee, the rest refunded
+--   - dismiss : no funds moved, service continues as normal
+-- ==========================================
+
+ALTER TABLE disputes
+  ADD COLUMN IF NOT EXISTS `resolution` ENUM('refund', 'release', 'split', 'dismiss') NULL AFTER `status`,
+  ADD COLUMN IF NOT EXISTS `employee_share` DECIMAL(5, 2) NULL COMMENT 'Percentage of the request amount paid to the employee' AFTER `resolution`;
+
+-- ==========================================
+-- [NOTIFICATIONS] Dispute notification types
+-- ==========================================
+
+ALTER TABLE notifications
+  MODIFY COLUMN `notification_type` ENUM(
+    'new_request',
+    'request_accepted',
+    'request_rejected',
+    'user_confirmed',
+    'service_started',
+    'chat_message',
+    'completion_requested',
+    'service_completed',
+    'service_reopened',
+    'payment_received',
+    'review_received',
+    'application_approved',
+    'application_rejected',
+    'application_pending_reapproval',
+    'dispute_opened',
+    'dispute_resolved'
+  ) NOT NULL;
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = 'disputes' AND COLUMN_NAME IN ('resolution', 'employee_share');
+-- SHOW COLUMNS FROM notifications LIKE 'notification_type';
@@ -0,0 +1,107 @@
+-- ============================================================================
+-- GAMERHELPERS EMPLOYEE VERIFICATION MIGRATION
+-- ============================================================================
+-- Employees prove their rank and admins verify them:
+--
+-- 1. [VERIFICATION]  - Create employee_verifications (submitted proof)
+-- 2. [NOTIFICATIONS] - verification_approved / _rejected / _revoked types
+-- 3. [NOTIFICATIONS] - 'verification' related entity type
+--
+-- employee_profiles.is_verified and verification_date already exist; they
+-- now follow the admin's decision. The workflow lives in
+-- server/verification.js and every decision is written to admin_logs.
+-- Run after db_review_moderation_migration.sql.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [VERIFICATION] Create employee_verifications table
+-- One row per submission. status: pending until an admin verifies or
+-- rejects it; a verified submission is 'revoked' when the badge is taken
+-- away. At most one submission per employee is pending at a time
+-- (enforced in server/verification.js).
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `employee_verifications` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `employee_id` INT NOT NULL,
+  `game_id` INT DEFAULT NULL,
+  `account_id` VARCHAR(100) NOT NULL,
+  `rank_note` VARCHAR(500) NOT NULL,
+  `screenshot_url` VARCHAR(500) NOT NULL,
+  `screenshot_key` VARCHAR(255) NOT NULL,
+  `thumbnail_url` VARCHAR(500) NOT NULL,
+  `thumbnail_key` VARCHAR(255) NOT NULL,
+  `status` ENUM('pending', 'verified', 'rejected', 'revoked') NOT NULL DEFAULT 'pending',
+  `decision_reason` VARCHAR(500) DEFAULT NULL,
+  `decided_by_admin` INT DEFAULT NULL,
+  `decided_at` DATETIME DEFAULT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_verifications_status` (`status`, `created_at`),
+  KEY `idx_verifications_employee` (`employee_id`, `created_at`),
+  CONSTRAINT `fk_verifications_employee` FOREIGN KEY (`employee_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_verifications_game` FOREIGN KEY (`game_id`) REFERENCES `games` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `fk_verifications_admin` FOREIGN KEY (`decided_by_admin`) REFERENCES `admin` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[VERIFICATION] Rank proof submitted by employees';
+
+-- ==========================================
+-- [NOTIFICATIONS] Verification notification types
+-- ==========================================
+
+ALTER TABLE notifications
+  MODIFY COLUMN `notification_type` ENUM(
+    'new_request',
+    'request_accepted',
+    'quote_received',
+    'quote_accepted',
+    'quote_declined',
+    'request_rejected',
+    'request_cancelled',
+    'request_expired',
+    'user_confirmed',
+    'service_started',
+    'chat_message',
+    'completion_requested',
+    'completion_overdue',
+    'service_completed',
+    'service_reopened',
+    'payment_received',
+    'review_received',
+    'review_replied',
+    'application_approved',
+    'application_rejected',
+    'application_pending_reapproval',
+    'dispute_opened',
+    'dispute_resolved',
+    'withdrawal_approved',
+    'withdrawal_rejected',
+    'withdrawal_paid',
+    'verification_approved',
+    'verification_rejected',
+    'verification_revoked'
+  ) NOT NULL;
+
+-- ==========================================
+-- [NOTIFICATIONS] Verification related entity
+-- Verification notifications point at their employee_verifications row.
+-- ==========================================
+
+ALTER TABLE notifications
+  MODIFY COLUMN `related_entity_type` ENUM(
+    'service_request',
+    'application',
+    'chat',
+    'review',
+    'payment',
+    'verification'
+  ) NULL;
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- DESCRIBE employee_verifications;
+-- SHOW COLUMNS FROM notifications LIKE 'related_entity_type';
+-- SELECT user_id, is_verified, verification_date FROM employee_profiles WHERE is_verified = TRUE;
@@ -0,0 +1,28 @@
+-- ============================================================================
+-- GAMERHELPERS NOTIFICATION INBOX MIGRATION
+-- ============================================================================
+-- Full notifications page (/notifications):
+--
+-- 1. [NOTIFICATIONS] - Archive flag
+-- 2. [NOTIFICATIONS] - Index for keyset pagination of a user's inbox
+--
+-- Run after db_notification_preferences_migration.sql.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [NOTIFICATIONS] Archive
+-- Archived notifications leave the inbox and the unread count but can
+-- still be listed (GET /api/notifications?archived=true) and restored.
+-- ==========================================
+
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS `archived_at` DATETIME NULL AFTER `read_at`,
+  ADD INDEX IF NOT EXISTS `idx_notifications_user_inbox` (`user_id`, `archived_at`, `created_at`, `id`);
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SHOW COLUMNS FROM notifications LIKE 'archived_at';
+-- SHOW INDEX FROM notifications WHERE Key_name = 'idx_notifications_user_inbox';
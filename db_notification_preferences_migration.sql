@@ -0,0 +1,51 @@
+-- ============================================================================
+-- GAMERHELPERS NOTIFICATION PREFERENCES MIGRATION
+-- ============================================================================
+-- Per-user notification settings and the email channel:
+--
+-- 1. [NOTIFICATIONS] - Create notification_preferences
+-- 2. [NOTIFICATIONS] - Email delivery state on notifications
+--
+-- Emails are sent by the scheduler (server/scheduler.js) through the
+-- transport picked with MAIL_TRANSPORT (console, file or smtp).
+-- Run after db_notification_service_migration.sql.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [NOTIFICATIONS] Create notification_preferences table
+-- channel  : in_app (bell only), email (bell and email), off (nothing)
+-- delivery : immediate or digest (one email a day); only used for email
+-- Types without a row use in_app / immediate.
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `notification_preferences` (
+  `user_id` INT NOT NULL,
+  `notification_type` VARCHAR(50) NOT NULL,
+  `channel` ENUM('in_app', 'email', 'off') NOT NULL DEFAULT 'in_app',
+  `delivery` ENUM('immediate', 'digest') NOT NULL DEFAULT 'immediate',
+  `updated_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`user_id`, `notification_type`),
+  CONSTRAINT `fk_notification_preferences_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[NOTIFICATIONS] Per-user channel and delivery for each notification type';
+
+-- ==========================================
+-- [NOTIFICATIONS] Email delivery state
+-- email_status : none (in-app only), pending (send on the next scheduler
+--                run), digest (wait for the daily summary), sent, failed
+--                (gave up after 3 attempts)
+-- ==========================================
+
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS `email_status` ENUM('none', 'pending', 'digest', 'sent', 'failed') NOT NULL DEFAULT 'none' AFTER `coalesced_count`,
+  ADD COLUMN IF NOT EXISTS `email_attempts` INT NOT NULL DEFAULT 0 AFTER `email_status`,
+  ADD COLUMN IF NOT EXISTS `emailed_at` DATETIME NULL AFTER `email_attempts`,
+  ADD INDEX IF NOT EXISTS `idx_notifications_email_status` (`email_status`, `created_at`);
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- DESCRIBE notification_preferences;
+-- SHOW COLUMNS FROM notifications LIKE 'email_%';
@@ -0,0 +1,27 @@
+-- ============================================================================
+-- GAMERHELPERS NOTIFICATION SERVICE MIGRATION
+-- ============================================================================
+-- Notifications are now created through server/notifications.js:
+--
+-- 1. [NOTIFICATIONS] - Coalesced chat message count
+-- 2. [NOTIFICATIONS] - Index for the unread-per-entity lookup
+--
+-- Run after db_request_sla_migration.sql (notification types).
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [NOTIFICATIONS] Chat message coalescing
+-- An unread chat_message notification absorbs later messages in the same
+-- chat; coalesced_count is how many messages it stands for.
+-- ==========================================
+
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS `coalesced_count` INT NOT NULL DEFAULT 1 AFTER `message`,
+  ADD INDEX IF NOT EXISTS `idx_notifications_entity_unread` (`user_id`, `related_entity_type`, `related_entity_id`, `is_read`);
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SHOW COLUMNS FROM notifications LIKE 'coalesced_count';
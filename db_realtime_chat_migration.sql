@@ -0,0 +1,33 @@
+-- ============================================================================
+-- GAMERHELPERS REAL-TIME CHAT MIGRATION
+-- ============================================================================
+-- This migration adds the database structures required for live chat:
+--
+-- 1. [READ RECEIPTS] - Track the last message each member has read per chat
+--
+-- New messages and typing indicators are pushed over Server-Sent Events
+-- and need no extra storage.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [READ RECEIPTS] Create chat_read_receipts table
+-- One row per (chat, user). last_read_message_id only moves forward.
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `chat_read_receipts` (
+  `chat_id` INT NOT NULL,
+  `user_id` INT NOT NULL,
+  `last_read_message_id` INT NOT NULL,
+  `read_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`chat_id`, `user_id`),
+  CONSTRAINT `fk_read_receipts_chat` FOREIGN KEY (`chat_id`) REFERENCES `chats` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_read_receipts_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[READ RECEIPTS] Last chat message read by each member';
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SHOW TABLES LIKE 'chat_read_receipts';
@@ -0,0 +1,78 @@
+-- ============================================================================
+-- GAMERHELPERS REQUEST EVENTS MIGRATION
+-- ============================================================================
+-- Every service request status change is logged for the request timeline
+-- (GET /api/requests/:id/timeline):
+--
+-- 1. [REQUEST EVENTS] - Create service_request_events
+-- 2. [REQUEST EVENTS] - Backfill history from the request timestamps
+--
+-- Run after db_request_state_machine_migration.sql.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [REQUEST EVENTS] Create service_request_events table
+-- event_type : 'created' or the state machine action (accept, reject,
+--              confirm, complete, cancel, approve_completion, reopen,
+--              refund, settle)
+-- actor_id   : users.id for requester/employee, admin.id for admin,
+--              NULL for system (scheduled) actions
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `service_request_events` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `service_request_id` INT NOT NULL,
+  `event_type` VARCHAR(30) NOT NULL,
+  `from_status` VARCHAR(30) DEFAULT NULL,
+  `to_status` VARCHAR(30) NOT NULL,
+  `actor_type` ENUM('requester', 'employee', 'admin', 'system') NOT NULL,
+  `actor_id` INT DEFAULT NULL,
+  `note` TEXT DEFAULT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_request_events_request` (`service_request_id`, `created_at`),
+  CONSTRAINT `fk_request_events_request` FOREIGN KEY (`service_request_id`) REFERENCES `service_requests` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[REQUEST EVENTS] Status history of service requests';
+
+-- ==========================================
+-- [REQUEST EVENTS] Backfill existing requests
+-- Only what the timestamp columns show; reopens and cancellations before
+-- this migration left no trace. Skipped if a request already has events.
+-- ==========================================
+
+INSERT INTO service_request_events (service_request_id, event_type, from_status, to_status, actor_type, actor_id, note, created_at)
+SELECT id, 'created', NULL, 'pending', 'requester', requester_user_id, NULL, created_at
+FROM service_requests sr
+WHERE NOT EXISTS (SELECT 1 FROM service_request_events e WHERE e.service_request_id = sr.id);
+
+INSERT INTO service_request_events (service_request_id, event_type, from_status, to_status, actor_type, actor_id, note, created_at)
+SELECT id, 'accept', 'pending', 'employee_accepted', 'employee', employee_user_id, NULL, accepted_at
+FROM service_requests sr
+WHERE accepted_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM service_request_events e WHERE e.service_request_id = sr.id AND e.event_type <> 'created');
+
+INSERT INTO service_request_events (service_request_id, event_type, from_status, to_status, actor_type, actor_id, note, created_at)
+SELECT id, 'confirm', 'employee_accepted', 'in_progress', 'requester', requester_user_id, NULL, COALESCE(user_confirmed_at, started_at)
+FROM service_requests sr
+WHERE COALESCE(user_confirmed_at, started_at) IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM service_request_events e WHERE e.service_request_id = sr.id AND e.event_type NOT IN ('created', 'accept'));
+
+INSERT INTO service_request_events (service_request_id, event_type, from_status, to_status, actor_type, actor_id, note, created_at)
+SELECT id, 'complete', 'in_progress', 'pending_completion', 'employee', employee_user_id, NULL, completed_at
+FROM service_requests sr
+WHERE completed_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM service_request_events e WHERE e.service_request_id = sr.id AND e.event_type NOT IN ('created', 'accept', 'confirm'));
+
+INSERT INTO service_request_events (service_request_id, event_type, from_status, to_status, actor_type, actor_id, note, created_at)
+SELECT id, 'approve_completion', 'pending_completion', 'closed', 'admin', NULL, NULL, closed_at
+FROM service_requests sr
+WHERE status = 'closed' AND closed_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM service_request_events e WHERE e.service_request_id = sr.id AND e.event_type NOT IN ('created', 'accept', 'confirm', 'complete'));
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SELECT event_type, COUNT(*) FROM service_request_events GROUP BY event_type;
@@ -0,0 +1,92 @@
+-- ============================================================================
+-- GAMERHELPERS REQUEST QUOTES MIGRATION
+-- ============================================================================
+-- Employees can answer a request with a price quote that the requester
+-- accepts, counters or declines before confirming:
+--
+-- 1. [QUOTES]        - Create request_quotes (negotiation history)
+-- 2. [QUOTES]        - List price and agreed duration on service_requests
+-- 3. [NOTIFICATIONS] - quote_received, quote_accepted, quote_declined types
+--
+-- Negotiation rules live in server/quotes.js. Run after
+-- db_service_packages_migration.sql.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [QUOTES] Create request_quotes table
+-- offered_by : which party made the offer
+-- status     : open until answered; 'countered' when the other party
+--              made a new offer, 'withdrawn' when the same party did
+-- At most one open offer per request (enforced in quotes.js).
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `request_quotes` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `service_request_id` INT NOT NULL,
+  `offered_by` ENUM('employee', 'requester') NOT NULL,
+  `offered_by_user_id` INT DEFAULT NULL,
+  `amount` DECIMAL(10, 2) NOT NULL,
+  `estimated_minutes` INT DEFAULT NULL,
+  `notes` TEXT DEFAULT NULL,
+  `status` ENUM('open', 'accepted', 'declined', 'countered', 'withdrawn') NOT NULL DEFAULT 'open',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `responded_at` DATETIME DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_quotes_request` (`service_request_id`, `id`),
+  CONSTRAINT `fk_quotes_request` FOREIGN KEY (`service_request_id`) REFERENCES `service_requests` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_quotes_user` FOREIGN KEY (`offered_by_user_id`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[QUOTES] Price offers and counter-offers on service requests';
+
+-- ==========================================
+-- [QUOTES] List price and agreed duration on requests
+-- amount becomes the accepted offer; list_amount keeps the price the
+-- request was made at. Existing requests never negotiated, so both match.
+-- ==========================================
+
+ALTER TABLE service_requests
+  ADD COLUMN IF NOT EXISTS `list_amount` DECIMAL(10, 2) NULL AFTER `amount`,
+  ADD COLUMN IF NOT EXISTS `estimated_minutes` INT NULL AFTER `list_amount`;
+
+UPDATE service_requests SET list_amount = amount WHERE list_amount IS NULL;
+
+-- ==========================================
+-- [NOTIFICATIONS] Quote notification types
+-- ==========================================
+
+ALTER TABLE notifications
+  MODIFY COLUMN `notification_type` ENUM(
+    'new_request',
+    'request_accepted',
+    'quote_received',
+    'quote_accepted',
+    'quote_declined',
+    'request_rejected',
+    'request_cancelled',
+    'request_expired',
+    'user_confirmed',
+    'service_started',
+    'chat_message',
+    'completion_requested',
+    'completion_overdue',
+    'service_completed',
+    'service_reopened',
+    'payment_received',
+    'review_received',
+    'application_approved',
+    'application_rejected',
+    'application_pending_reapproval',
+    'dispute_opened',
+    'dispute_resolved',
+    'withdrawal_approved',
+    'withdrawal_rejected',
+    'withdrawal_paid'
+  ) NOT NULL;
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- DESCRIBE request_quotes;
+-- SELECT id, list_amount, amount FROM service_requests WHERE list_amount <> amount;
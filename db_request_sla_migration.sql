@@ -0,0 +1,65 @@
+-- ============================================================================
+-- GAMERHELPERS REQUEST SLA MIGRATION
+-- ============================================================================
+-- Support for the background scheduler (server/scheduler.js):
+--
+-- 1. [REQUEST SLA]   - Escalation flag on completion reviews
+-- 2. [REQUEST SLA]   - Indexes for the scheduler's stale-row scans
+-- 3. [NOTIFICATIONS] - request_expired and completion_overdue types
+--
+-- Windows are configured with REQUEST_PENDING_EXPIRY_HOURS (72),
+-- REQUEST_CONFIRM_EXPIRY_HOURS (48) and COMPLETION_REVIEW_SLA_HOURS (48).
+-- Run after db_request_events_migration.sql.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [REQUEST SLA] Escalated completion reviews
+-- Set once when a review has waited past the SLA; the admin dashboard
+-- lists escalated reviews first.
+-- ==========================================
+
+ALTER TABLE service_completions
+  ADD COLUMN IF NOT EXISTS `escalated_at` DATETIME NULL AFTER `submitted_by_employee_at`,
+  ADD INDEX IF NOT EXISTS `idx_completions_status_submitted` (`status`, `submitted_by_employee_at`);
+
+ALTER TABLE service_requests
+  ADD INDEX IF NOT EXISTS `idx_requests_status_created` (`status`, `created_at`),
+  ADD INDEX IF NOT EXISTS `idx_requests_status_accepted` (`status`, `accepted_at`);
+
+-- ==========================================
+-- [NOTIFICATIONS] Scheduler notification types
+-- ==========================================
+
+ALTER TABLE notifications
+  MODIFY COLUMN `notification_type` ENUM(
+    'new_request',
+    'request_accepted',
+    'request_rejected',
+    'request_cancelled',
+    'request_expired',
+    'user_confirmed',
+    'service_started',
+    'chat_message',
+    'completion_requested',
+    'completion_overdue',
+    'service_completed',
+    'service_reopened',
+    'payment_received',
+    'review_received',
+    'application_approved',
+    'application_rejected',
+    'application_pending_reapproval',
+    'dispute_opened',
+    'dispute_resolved',
+    'withdrawal_approved',
+    'withdrawal_rejected',
+    'withdrawal_paid'
+  ) NOT NULL;
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SHOW COLUMNS FROM service_completions LIKE 'escalated_at';
+-- SHOW COLUMNS FROM notifications LIKE 'notification_type';
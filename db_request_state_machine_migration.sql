@@ -0,0 +1,67 @@
+-- ============================================================================
+-- GAMERHELPERS REQUEST STATE MACHINE MIGRATION
+-- ============================================================================
+-- Service request status changes now go through server/requestStateMachine.js:
+--
+-- 1. [REQUEST STATES] - Drop the unreachable 'completed' request status
+-- 2. [NOTIFICATIONS]  - Add the request_cancelled notification type
+--
+-- Run after db_withdrawals_migration.sql (notification types).
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [REQUEST STATES] Request status
+-- pending -> employee_accepted -> in_progress -> pending_completion -> closed,
+-- or cancelled. 'completed' was never set by the API; any legacy rows
+-- with it are treated as closed.
+-- ==========================================
+
+UPDATE service_requests
+SET status = 'closed', closed_at = COALESCE(closed_at, completed_at, NOW())
+WHERE status = 'completed';
+
+ALTER TABLE service_requests
+  MODIFY COLUMN `status` ENUM(
+    'pending',
+    'employee_accepted',
+    'in_progress',
+    'pending_completion',
+    'cancelled',
+    'closed'
+  ) DEFAULT 'pending';
+
+-- ==========================================
+-- [NOTIFICATIONS] Cancellation notice to the other party
+-- ==========================================
+
+ALTER TABLE notifications
+  MODIFY COLUMN `notification_type` ENUM(
+    'new_request',
+    'request_accepted',
+    'request_rejected',
+    'request_cancelled',
+    'user_confirmed',
+    'service_started',
+    'chat_message',
+    'completion_requested',
+    'service_completed',
+    'service_reopened',
+    'payment_received',
+    'review_received',
+    'application_approved',
+    'application_rejected',
+    'application_pending_reapproval',
+    'dispute_opened',
+    'dispute_resolved',
+    'withdrawal_approved',
+    'withdrawal_rejected',
+    'withdrawal_paid'
+  ) NOT NULL;
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SHOW COLUMNS FROM service_requests LIKE 'status';
+-- SELECT status, COUNT(*) FROM service_requests GROUP BY status;
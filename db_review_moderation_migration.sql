@@ -0,0 +1,75 @@
+-- ============================================================================
+-- GAMERHELPERS REVIEW MODERATION MIGRATION
+-- ============================================================================
+-- Abusive reviews can be reported and hidden by admins:
+--
+-- 1. [REVIEW MODERATION] - Hidden flag on reviews
+-- 2. [REVIEW MODERATION] - Create review_reports
+-- 3. [REVIEW MODERATION] - Recalculate ratings from visible reviews
+--
+-- Moderation rules live in server/reviews.js; admin actions are written
+-- to admin_logs. Run after db_reviews_migration.sql.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [REVIEW MODERATION] Hidden reviews
+-- Hidden reviews stay visible to the two parties but are left out of the
+-- coach's public list and rating.
+-- ==========================================
+
+ALTER TABLE reviews
+  ADD COLUMN IF NOT EXISTS `is_hidden` BOOLEAN NOT NULL DEFAULT FALSE AFTER `replied_at`,
+  ADD COLUMN IF NOT EXISTS `hidden_reason` VARCHAR(500) NULL AFTER `is_hidden`,
+  ADD COLUMN IF NOT EXISTS `hidden_at` DATETIME NULL AFTER `hidden_reason`,
+  ADD COLUMN IF NOT EXISTS `hidden_by_admin` INT NULL AFTER `hidden_at`;
+
+ALTER TABLE reviews
+  ADD INDEX IF NOT EXISTS `idx_reviews_visible` (`reviewed_user_id`, `is_hidden`, `created_at`);
+
+-- ==========================================
+-- [REVIEW MODERATION] Create review_reports table
+-- One report per user and review. status: open until an admin hides the
+-- review ('actioned') or dismisses the reports ('dismissed').
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `review_reports` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `review_id` INT NOT NULL,
+  `reporter_user_id` INT NOT NULL,
+  `reason` ENUM('abusive', 'spam', 'off_topic', 'personal_info', 'other') NOT NULL,
+  `details` VARCHAR(500) DEFAULT NULL,
+  `status` ENUM('open', 'actioned', 'dismissed') NOT NULL DEFAULT 'open',
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `resolved_at` DATETIME DEFAULT NULL,
+  `resolved_by_admin` INT DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_review_report` (`review_id`, `reporter_user_id`),
+  KEY `idx_review_reports_status` (`status`, `review_id`),
+  CONSTRAINT `fk_review_reports_review` FOREIGN KEY (`review_id`) REFERENCES `reviews` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_review_reports_user` FOREIGN KEY (`reporter_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_review_reports_admin` FOREIGN KEY (`resolved_by_admin`) REFERENCES `admin` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[REVIEW MODERATION] User reports of reviews';
+
+-- ==========================================
+-- [REVIEW MODERATION] Recalculate ratings
+-- Ratings were only updated when a review was added; bring every
+-- employee in line with their visible reviews.
+-- ==========================================
+
+UPDATE employee_profiles ep
+LEFT JOIN (
+  SELECT reviewed_user_id, AVG(rating) as avg_rating, COUNT(*) as total
+  FROM reviews WHERE is_hidden = FALSE
+  GROUP BY reviewed_user_id
+) r ON r.reviewed_user_id = ep.user_id
+SET ep.rating = COALESCE(r.avg_rating, 0),
+    ep.total_reviews = COALESCE(r.total, 0);
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- DESCRIBE review_reports;
+-- SELECT user_id, rating, total_reviews FROM employee_profiles ORDER BY total_reviews DESC LIMIT 10;
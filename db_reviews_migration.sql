@@ -0,0 +1,91 @@
+-- ============================================================================
+-- GAMERHELPERS REVIEWS MIGRATION
+-- ============================================================================
+-- Reviews become two-sided once a service request is closed:
+--
+-- 1. [REVIEWS]       - Employee reply on reviews
+-- 2. [REVIEWS]       - Create requester_ratings (private client ratings)
+-- 3. [NOTIFICATIONS] - review_replied type
+--
+-- Eligibility rules (closed requests, one review per request, review
+-- window) live in server/reviews.js. Run after
+-- db_request_quotes_migration.sql.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [REVIEWS] Employee reply
+-- One public reply per review, from the reviewed employee.
+-- ==========================================
+
+ALTER TABLE reviews
+  ADD COLUMN IF NOT EXISTS `reply_text` TEXT NULL AFTER `review_text`,
+  ADD COLUMN IF NOT EXISTS `replied_at` DATETIME NULL AFTER `reply_text`;
+
+ALTER TABLE reviews
+  ADD INDEX IF NOT EXISTS `idx_reviews_request` (`service_request_id`);
+
+-- ==========================================
+-- [REVIEWS] Create requester_ratings table
+-- The employee's private rating of the client of a closed request. Only
+-- employees and admins see these (as a trust score); never the client.
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `requester_ratings` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `service_request_id` INT NOT NULL,
+  `employee_user_id` INT NOT NULL,
+  `requester_user_id` INT NOT NULL,
+  `rating` TINYINT NOT NULL,
+  `note` TEXT DEFAULT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_requester_rating_request` (`service_request_id`),
+  KEY `idx_requester_ratings_requester` (`requester_user_id`),
+  CONSTRAINT `chk_requester_rating` CHECK (`rating` BETWEEN 1 AND 5),
+  CONSTRAINT `fk_requester_ratings_request` FOREIGN KEY (`service_request_id`) REFERENCES `service_requests` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_requester_ratings_employee` FOREIGN KEY (`employee_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_requester_ratings_requester` FOREIGN KEY (`requester_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[REVIEWS] Private employee ratings of requesters';
+
+-- ==========================================
+-- [NOTIFICATIONS] Review reply notification type
+-- ==========================================
+
+ALTER TABLE notifications
+  MODIFY COLUMN `notification_type` ENUM(
+    'new_request',
+    'request_accepted',
+    'quote_received',
+    'quote_accepted',
+    'quote_declined',
+    'request_rejected',
+    'request_cancelled',
+    'request_expired',
+    'user_confirmed',
+    'service_started',
+    'chat_message',
+    'completion_requested',
+    'completion_overdue',
+    'service_completed',
+    'service_reopened',
+    'payment_received',
+    'review_received',
+    'review_replied',
+    'application_approved',
+    'application_rejected',
+    'application_pending_reapproval',
+    'dispute_opened',
+    'dispute_resolved',
+    'withdrawal_approved',
+    'withdrawal_rejected',
+    'withdrawal_paid'
+  ) NOT NULL;
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- DESCRIBE requester_ratings;
+-- SHOW COLUMNS FROM reviews LIKE 'repl%';
@@ -0,0 +1,46 @@
+-- ============================================================================
+-- GAMERHELPERS SERVICE IMAGES MIGRATION
+-- ============================================================================
+-- This migration prepares service_images for uploads:
+--
+-- 1. [SERVICE IMAGES] - Thumbnail, storage key and ordering columns
+-- 2. [SERVICE IMAGES] - Link image copies to the published service
+--
+-- Files live on the storage backend (server/storage), not in the
+-- database. The legacy tbl_post_images table from db_gamerhelpers2.sql
+-- stored images as blobs and is not used by the API.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [SERVICE IMAGES] File columns
+-- storage_key / thumbnail_key : backend keys, used to delete the files
+-- display_order               : gallery order (upload order)
+-- ==========================================
+
+ALTER TABLE service_images
+  ADD COLUMN IF NOT EXISTS `thumbnail_url` VARCHAR(255) NULL AFTER `image_url`,
+  ADD COLUMN IF NOT EXISTS `storage_key` VARCHAR(255) NULL AFTER `thumbnail_url`,
+  ADD COLUMN IF NOT EXISTS `thumbnail_key` VARCHAR(255) NULL AFTER `storage_key`,
+  ADD COLUMN IF NOT EXISTS `display_order` INT NOT NULL DEFAULT 0 AFTER `thumbnail_key`;
+
+-- ==========================================
+-- [SERVICE IMAGES] Published service copies
+-- Rows with published_service_id NULL belong to the application; on
+-- approval they are copied with published_service_id set.
+-- ==========================================
+
+ALTER TABLE service_images
+  ADD COLUMN IF NOT EXISTS `published_service_id` INT NULL AFTER `application_id`,
+  ADD INDEX IF NOT EXISTS `idx_service_images_service` (`published_service_id`),
+  ADD INDEX IF NOT EXISTS `idx_service_images_key` (`storage_key`);
+
+ALTER TABLE service_images
+  ADD CONSTRAINT `fk_service_images_service` FOREIGN KEY IF NOT EXISTS (`published_service_id`)
+    REFERENCES `published_services` (`id`) ON DELETE CASCADE;
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- DESCRIBE service_images;
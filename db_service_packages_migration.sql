@@ -0,0 +1,48 @@
+-- ============================================================================
+-- GAMERHELPERS SERVICE PACKAGES MIGRATION
+-- ============================================================================
+-- Services can sell pricing tiers (1 session / 5 sessions / monthly, or
+-- per rank division) instead of a single flat price:
+--
+-- 1. [SERVICE PACKAGES] - Packages on applications, revisions and services
+-- 2. [SERVICE PACKAGES] - Chosen package on service_requests
+--
+-- Package rules live in server/packages.js. Run after
+-- db_session_scheduling_migration.sql.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [SERVICE PACKAGES] Packages on applications, revisions and services
+-- JSON array of { id, name, description, price, sessions }. Copied from
+-- the application (or approved revision) to the published service like
+-- tags. Empty array = flat price only. With packages, price holds the
+-- cheapest package so search and sorting keep working.
+-- ==========================================
+
+ALTER TABLE service_applications
+  ADD COLUMN IF NOT EXISTS `packages` LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`packages`)) AFTER `tags`;
+
+ALTER TABLE service_revisions
+  ADD COLUMN IF NOT EXISTS `packages` LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`packages`)) AFTER `tags`;
+
+ALTER TABLE published_services
+  ADD COLUMN IF NOT EXISTS `packages` LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`packages`)) AFTER `tags`;
+
+-- ==========================================
+-- [SERVICE PACKAGES] Chosen package on requests
+-- A snapshot: amount already holds the package price, and the name is
+-- kept even if the coach later renames or removes the package.
+-- ==========================================
+
+ALTER TABLE service_requests
+  ADD COLUMN IF NOT EXISTS `package_id` VARCHAR(64) NULL AFTER `amount`,
+  ADD COLUMN IF NOT EXISTS `package_name` VARCHAR(255) NULL AFTER `package_id`;
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SHOW COLUMNS FROM published_services LIKE 'packages';
+-- SELECT package_name, COUNT(*), AVG(amount) FROM service_requests
+--   WHERE package_id IS NOT NULL GROUP BY package_name;
@@ -0,0 +1,49 @@
+-- ============================================================================
+-- GAMERHELPERS SERVICE REVISIONS MIGRATION
+-- ============================================================================
+-- Edits to a published service no longer change the live post directly.
+-- They are stored as a pending revision that an admin approves:
+--
+-- 1. [SERVICE REVISIONS] - Create service_revisions
+--
+-- Run after db_service_tags_migration.sql (service_type / tags columns).
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [SERVICE REVISIONS] Create service_revisions table
+-- One pending revision per service at a time: a newer edit marks the
+-- previous pending one 'superseded'. Approval copies the revision onto
+-- published_services (and the application) and marks it 'approved'.
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `service_revisions` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `published_service_id` INT NOT NULL,
+  `application_id` INT NOT NULL,
+  `employee_id` INT NOT NULL,
+  `title` VARCHAR(255) NOT NULL,
+  `description` TEXT NOT NULL,
+  `price` DECIMAL(10, 2) NOT NULL,
+  `service_type` ENUM('coaching', 'piloting') NULL,
+  `tags` LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`tags`)),
+  `status` ENUM('pending', 'approved', 'rejected', 'superseded') NOT NULL DEFAULT 'pending',
+  `admin_notes` TEXT DEFAULT NULL,
+  `reviewed_by_admin` INT DEFAULT NULL,
+  `submitted_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `reviewed_at` DATETIME DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_revisions_service_status` (`published_service_id`, `status`),
+  KEY `idx_revisions_status` (`status`, `submitted_at`),
+  CONSTRAINT `fk_revisions_service` FOREIGN KEY (`published_service_id`) REFERENCES `published_services` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_revisions_application` FOREIGN KEY (`application_id`) REFERENCES `service_applications` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_revisions_employee` FOREIGN KEY (`employee_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_revisions_admin` FOREIGN KEY (`reviewed_by_admin`) REFERENCES `admin` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[SERVICE REVISIONS] Pending edits to published services';
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SELECT status, COUNT(*) FROM service_revisions GROUP BY status;
@@ -0,0 +1,34 @@
+-- ============================================================================
+-- GAMERHELPERS SERVICE SEARCH MIGRATION
+-- ============================================================================
+-- This migration adds the indexes behind server-side service search:
+--
+-- 1. [SERVICE SEARCH] - FULLTEXT index for the q parameter
+-- 2. [SERVICE SEARCH] - Indexes for price filtering and sorting
+--
+-- Run after db_commission_rules_migration.sql (adds service_type).
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [SERVICE SEARCH] Full-text search over title and description
+-- Queried in boolean mode; words shorter than innodb_ft_min_token_size
+-- (default 3) fall back to a LIKE match on the title.
+-- ==========================================
+
+ALTER TABLE published_services
+  ADD FULLTEXT INDEX IF NOT EXISTS `ft_services_search` (`title`, `description`);
+
+-- ==========================================
+-- [SERVICE SEARCH] Filter and sort indexes
+-- ==========================================
+
+ALTER TABLE published_services
+  ADD INDEX IF NOT EXISTS `idx_services_price` (`is_active`, `price`),
+  ADD INDEX IF NOT EXISTS `idx_services_type` (`is_active`, `service_type`);
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SHOW INDEX FROM published_services WHERE Key_name LIKE '%services%';
@@ -0,0 +1,61 @@
+-- ============================================================================
+-- GAMERHELPERS SERVICE TAGS MIGRATION
+-- ============================================================================
+-- This migration adds the admin-curated tag vocabulary and lets
+-- applications carry a service type and tags through to the service:
+--
+-- 1. [SERVICE TAGS] - Create service_tags (tag vocabulary with colors)
+-- 2. [SERVICE TAGS] - Service type and tags on applications
+-- 3. [SERVICE TAGS] - Seed the starting vocabulary
+--
+-- Run after db_commission_rules_migration.sql (adds service_type).
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [SERVICE TAGS] Create service_tags table
+-- color is a palette key (blue, green, ...) mapped to classes by the UI.
+-- Tags are retired with is_active = FALSE, never deleted, because
+-- published services keep referencing them by name.
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `service_tags` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `name` VARCHAR(30) NOT NULL,
+  `color` VARCHAR(20) NOT NULL DEFAULT 'gray',
+  `is_active` TINYINT(1) NOT NULL DEFAULT 1,
+  `created_by_admin` INT DEFAULT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uk_service_tags_name` (`name`),
+  CONSTRAINT `fk_service_tags_admin` FOREIGN KEY (`created_by_admin`) REFERENCES `admin` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[SERVICE TAGS] Tag vocabulary for published services';
+
+-- ==========================================
+-- [SERVICE TAGS] Service type and tags on applications
+-- Copied to published_services when the application is approved.
+-- ==========================================
+
+ALTER TABLE service_applications
+  ADD COLUMN IF NOT EXISTS `service_type` ENUM('coaching', 'piloting') NULL AFTER `price`,
+  ADD COLUMN IF NOT EXISTS `tags` LONGTEXT CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`tags`)) AFTER `service_type`;
+
+-- ==========================================
+-- [SERVICE TAGS] Seed the starting vocabulary
+-- ==========================================
+
+INSERT IGNORE INTO service_tags (name, color) VALUES
+  ('Aim Training', 'red'),
+  ('Game Sense', 'blue'),
+  ('VOD Review', 'purple'),
+  ('Ranked', 'yellow'),
+  ('Beginner Friendly', 'green'),
+  ('Duo Queue', 'teal');
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SELECT * FROM service_tags;
+-- DESCRIBE service_applications;
@@ -0,0 +1,79 @@
+-- ============================================================================
+-- GAMERHELPERS SESSION SCHEDULING MIGRATION
+-- ============================================================================
+-- Coaches publish when they can be booked; requests carry a session time:
+--
+-- 1. [SCHEDULING] - Timezone and session length on employee_profiles
+-- 2. [SCHEDULING] - Create employee_availability (weekly hours)
+-- 3. [SCHEDULING] - Create employee_blackout_dates
+-- 4. [SCHEDULING] - Session time on service_requests
+--
+-- Slot rules live in server/availability.js. Run after
+-- db_notification_inbox_migration.sql.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [SCHEDULING] Coach schedule settings
+-- timezone        : IANA name the weekly hours and blackout dates are in
+-- session_minutes : length of one bookable slot (30, 45, 60, 90 or 120)
+-- ==========================================
+
+ALTER TABLE employee_profiles
+  ADD COLUMN IF NOT EXISTS `timezone` VARCHAR(64) NOT NULL DEFAULT 'UTC' AFTER `status`,
+  ADD COLUMN IF NOT EXISTS `session_minutes` INT NOT NULL DEFAULT 60 AFTER `timezone`;
+
+-- ==========================================
+-- [SCHEDULING] Create employee_availability table
+-- One row per weekly time range; day_of_week 0 = Sunday ... 6 = Saturday.
+-- Ranges do not cross midnight. No rows = no scheduled sessions.
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `employee_availability` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `employee_user_id` INT NOT NULL,
+  `day_of_week` TINYINT NOT NULL,
+  `start_time` TIME NOT NULL,
+  `end_time` TIME NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_availability_employee` (`employee_user_id`, `day_of_week`),
+  CONSTRAINT `fk_availability_employee` FOREIGN KEY (`employee_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_availability_day` CHECK (`day_of_week` BETWEEN 0 AND 6),
+  CONSTRAINT `chk_availability_range` CHECK (`start_time` < `end_time`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[SCHEDULING] Weekly bookable hours of a coach';
+
+-- ==========================================
+-- [SCHEDULING] Create employee_blackout_dates table
+-- Whole days (in the coach's timezone) with no bookable slots
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `employee_blackout_dates` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `employee_user_id` INT NOT NULL,
+  `blackout_date` DATE NOT NULL,
+  `reason` VARCHAR(255) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_blackout_employee_date` (`employee_user_id`, `blackout_date`),
+  CONSTRAINT `fk_blackout_employee` FOREIGN KEY (`employee_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[SCHEDULING] Days a coach is not available';
+
+-- ==========================================
+-- [SCHEDULING] Session time on requests
+-- NULL for requests made before scheduling or to coaches without
+-- published hours. Overlap checks scan by coach and start time.
+-- ==========================================
+
+ALTER TABLE service_requests
+  ADD COLUMN IF NOT EXISTS `session_start` DATETIME NULL AFTER `amount`,
+  ADD COLUMN IF NOT EXISTS `session_end` DATETIME NULL AFTER `session_start`,
+  ADD INDEX IF NOT EXISTS `idx_requests_employee_session` (`employee_user_id`, `session_start`);
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- DESCRIBE employee_availability;
+-- DESCRIBE employee_blackout_dates;
+-- SHOW COLUMNS FROM service_requests LIKE 'session_%';
@@ -0,0 +1,87 @@
+-- ============================================================================
+-- GAMERHELPERS WALLET LEDGER MIGRATION
+-- ============================================================================
+-- This migration adds the double-entry ledger behind wallet balances:
+--
+-- 1. [ESCROW LEDGER] - Create ledger_entries (balanced journals)
+-- 2. [ESCROW LEDGER] - Seed opening balances from users.wallet_balance
+-- 3. [ESCROW LEDGER] - transactions.captured_amount (externally paid share)
+--
+-- After this migration users.wallet_balance is a cached value that the
+-- server recomputes from ledger_entries; it is never adjusted directly.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [ESCROW LEDGER] Create ledger_entries table
+-- Rows sharing a journal_id always sum to zero.
+-- account_type:
+--   - wallet   : a user's spendable balance (account_user_id)
+--   - escrow   : funds held for a service request (service_request_id)
+--   - platform : commission earned by the platform
+--   - external : money entering or leaving the platform
+-- amount is signed: positive credits the account, negative debits it.
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `ledger_entries` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `journal_id` VARCHAR(64) NOT NULL COMMENT 'Groups the entries of one balanced posting',
+  `entry_type` ENUM('opening_balance', 'deposit', 'hold', 'release', 'refund', 'withdrawal') NOT NULL,
+  `account_type` ENUM('wallet', 'escrow', 'platform', 'external') NOT NULL,
+  `account_user_id` INT DEFAULT NULL COMMENT 'Owner of a wallet account',
+  `service_request_id` INT DEFAULT NULL,
+  `transaction_id` INT DEFAULT NULL,
+  `amount` DECIMAL(10, 2) NOT NULL,
+  `description` VARCHAR(255) DEFAULT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_ledger_journal` (`journal_id`),
+  KEY `idx_ledger_wallet` (`account_type`, `account_user_id`),
+  KEY `idx_ledger_request` (`service_request_id`),
+  CONSTRAINT `fk_ledger_user` FOREIGN KEY (`account_user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_ledger_request` FOREIGN KEY (`service_request_id`) REFERENCES `service_requests` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `fk_ledger_transaction` FOREIGN KEY (`transaction_id`) REFERENCES `transactions` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[ESCROW LEDGER] Double-entry ledger for wallets, escrow and commission';
+
+-- ==========================================
+-- [ESCROW LEDGER] Opening balances
+-- Existing wallet balances become one journal per user:
+-- external -x / wallet +x. Safe to re-run (skips seeded users).
+-- ==========================================
+
+INSERT INTO ledger_entries (journal_id, entry_type, account_type, account_user_id, amount, description)
+SELECT CONCAT('opening-', u.id), 'opening_balance', 'external', NULL, -u.wallet_balance, 'Opening balance'
+FROM users u
+WHERE u.wallet_balance <> 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_entries le WHERE le.journal_id = CONCAT('opening-', u.id));
+
+INSERT INTO ledger_entries (journal_id, entry_type, account_type, account_user_id, amount, description)
+SELECT CONCAT('opening-', u.id), 'opening_balance', 'wallet', u.id, u.wallet_balance, 'Opening balance'
+FROM users u
+WHERE u.wallet_balance <> 0
+  AND NOT EXISTS (
+    SELECT 1 FROM ledger_entries le
+    WHERE le.journal_id = CONCAT('opening-', u.id) AND le.account_type = 'wallet'
+  );
+
+-- ==========================================
+-- [ESCROW LEDGER] Externally captured share of a service payment
+-- The part of a hold that was charged to the requester's payment method
+-- because their wallet fell short. Refunds send this part back to the
+-- external account instead of the wallet, so it can't be withdrawn.
+-- ==========================================
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS `captured_amount` DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER `commission_amount`;
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- Every journal must balance (expect no rows):
+-- SELECT journal_id, SUM(amount) FROM ledger_entries GROUP BY journal_id HAVING SUM(amount) <> 0;
+-- Cached balances must match the ledger (expect no rows):
+-- SELECT u.id, u.wallet_balance, COALESCE(SUM(le.amount), 0) AS ledger_balance
+-- FROM users u LEFT JOIN ledger_entries le ON le.account_type = 'wallet' AND le.account_user_id = u.id
+-- GROUP BY u.id HAVING u.wallet_balance <> ledger_balance;
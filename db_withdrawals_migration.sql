@@ -0,0 +1,103 @@
+-- ============================================================================
+-- GAMERHELPERS WITHDRAWALS MIGRATION
+-- ============================================================================
+-- This migration adds the database structures required for wallet
+-- withdrawals and the admin payouts queue:
+--
+-- 1. [WITHDRAWALS] - Create withdrawal_requests
+-- 2. [WITHDRAWALS] - Allow transactions without a service request
+-- 3. [ESCROW LEDGER] - Add the payout account and withdrawal reversals
+-- 4. [NOTIFICATIONS] - Add withdrawal notification types
+--
+-- Run after db_wallet_ledger_migration.sql.
+-- ============================================================================
+
+USE gamer_helpers;
+
+-- ==========================================
+-- [WITHDRAWALS] Create withdrawal_requests table
+-- status:
+--   - pending    : waiting for admin review, funds reserved
+--   - processing : approved, the payout provider is being called
+--   - approved   : sent to the payout provider, awaiting confirmation
+--   - paid       : payout confirmed, funds have left the platform
+--   - rejected   : declined by an admin, funds returned to the wallet
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS `withdrawal_requests` (
+  `id` INT NOT NULL AUTO_INCREMENT,
+  `user_id` INT NOT NULL,
+  `amount` DECIMAL(10, 2) NOT NULL,
+  `status` ENUM('pending', 'processing', 'approved', 'paid', 'rejected') NOT NULL DEFAULT 'pending',
+  `payout_details` VARCHAR(255) NOT NULL COMMENT 'Where the employee wants to be paid (e.g. GCash number)',
+  `provider` VARCHAR(50) DEFAULT NULL,
+  `provider_reference` VARCHAR(100) DEFAULT NULL,
+  `admin_notes` TEXT DEFAULT NULL,
+  `reviewed_by_admin` INT DEFAULT NULL,
+  `transaction_id` INT DEFAULT NULL,
+  `created_at` TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `reviewed_at` TIMESTAMP NULL DEFAULT NULL,
+  `paid_at` TIMESTAMP NULL DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_withdrawals_user` (`user_id`),
+  KEY `idx_withdrawals_status` (`status`),
+  CONSTRAINT `fk_withdrawals_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `fk_withdrawals_admin` FOREIGN KEY (`reviewed_by_admin`) REFERENCES `admin` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `fk_withdrawals_transaction` FOREIGN KEY (`transaction_id`) REFERENCES `transactions` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='[WITHDRAWALS] Employee payout requests reviewed by admins';
+
+-- Tables created before 'processing' existed
+ALTER TABLE withdrawal_requests
+  MODIFY COLUMN `status` ENUM('pending', 'processing', 'approved', 'paid', 'rejected') NOT NULL DEFAULT 'pending';
+
+-- ==========================================
+-- [WITHDRAWALS] Withdrawal transactions have no service request
+-- ==========================================
+
+ALTER TABLE transactions
+  MODIFY COLUMN `service_request_id` INT NULL;
+
+-- ==========================================
+-- [ESCROW LEDGER] Payout account
+-- payout holds a user's funds between requesting a withdrawal and the
+-- payout being confirmed (account_user_id is the withdrawing user).
+-- ==========================================
+
+ALTER TABLE ledger_entries
+  MODIFY COLUMN `entry_type` ENUM('opening_balance', 'deposit', 'hold', 'release', 'refund', 'withdrawal', 'withdrawal_reversal') NOT NULL,
+  MODIFY COLUMN `account_type` ENUM('wallet', 'escrow', 'platform', 'payout', 'external') NOT NULL;
+
+-- ==========================================
+-- [NOTIFICATIONS] Withdrawal notification types
+-- ==========================================
+
+ALTER TABLE notifications
+  MODIFY COLUMN `notification_type` ENUM(
+    'new_request',
+    'request_accepted',
+    'request_rejected',
+    'user_confirmed',
+    'service_started',
+    'chat_message',
+    'completion_requested',
+    'service_completed',
+    'service_reopened',
+    'payment_received',
+    'review_received',
+    'application_approved',
+    'application_rejected',
+    'application_pending_reapproval',
+    'dispute_opened',
+    'dispute_resolved',
+    'withdrawal_approved',
+    'withdrawal_rejected',
+    'withdrawal_paid'
+  ) NOT NULL;
+
+-- ==========================================
+-- Verify the migration
+-- ==========================================
+-- SHOW TABLES LIKE 'withdrawal_requests';
+-- SHOW COLUMNS FROM ledger_entries LIKE 'account_type';
+-- SHOW COLUMNS FROM notifications LIKE 'notification_type';
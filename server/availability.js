@@ -0,0 +1,397 @@
+// ==========================================
+// COACH AVAILABILITY & SESSION SLOTS
+// ==========================================
+// Employees publish weekly hours (day of week + start/end time) and
+// blackout dates in their own IANA timezone (employee_profiles.timezone).
+// Bookable slots are cut from those hours in session_minutes steps; a
+// slot is free unless it overlaps a request that still holds its time
+// (BOOKING_STATUSES).
+//
+// Slot times leave this module as Date objects (absolute instants); the
+// timezone only matters for turning "Monday 18:00" into an instant.
+// Double-booking is prevented in reserveSlot(): it locks the employee's
+// profile row before checking for overlaps, so concurrent bookings for
+// the same coach run one after the other.
+// ==========================================
+
+import { ACTIVE_STATUSES } from "./requestStateMachine.js";
+
+// Requests in these statuses hold their session time
+export const BOOKING_STATUSES = ["pending", ...ACTIVE_STATUSES];
+
+export const SESSION_LENGTHS = [30, 45, 60, 90, 120];
+export const DEFAULT_TIMEZONE = "UTC";
+
+export const MAX_WINDOWS = 21;
+export const MAX_BLACKOUTS = 60;
+export const MAX_SLOT_DAYS = 31;
+
+// Slots starting sooner than this are not offered
+const MIN_NOTICE_MINUTES =
+  parseInt(process.env.BOOKING_MIN_NOTICE_MINUTES) || 60;
+
+export const AVAILABILITY_ERRORS = {
+  SLOT_REQUIRED: {
+    status: 400,
+    code: "SLOT_REQUIRED",
+    error: "Pick a session time",
+  },
+  NOT_SCHEDULED: {
+    status: 400,
+    code: "NOT_SCHEDULED",
+    error: "This coach does not take scheduled sessions",
+  },
+  SLOT_UNAVAILABLE: {
+    status: 400,
+    code: "SLOT_UNAVAILABLE",
+    error: "That time is not in the coach's availability",
+  },
+  SLOT_TAKEN: {
+    status: 409,
+    code: "SLOT_TAKEN",
+    error: "That time was just booked by someone else",
+  },
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Offset of a timezone from UTC at an instant, in minutes
+const offsetMinutes = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(instant)
+      .map((part) => [part.type, parseInt(part.value)]),
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return Math.round((wallClock - instant.getTime()) / 60000);
+};
+
+/**
+ * Wall-clock date and time in a timezone to an instant.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM (or HH:MM:SS)
+ * @param {string} timeZone - IANA name
+ * @returns {Date}
+ */
+export const zonedTimeToDate = (date, time, timeZone) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Guess with the offset at the wall-clock time, then correct once in
+  // case a DST change lies between the two
+  let offset = offsetMinutes(new Date(wallClock), timeZone);
+  const corrected = offsetMinutes(
+    new Date(wallClock - offset * 60000),
+    timeZone,
+  );
+  if (corrected !== offset) offset = corrected;
+  return new Date(wallClock - offset * 60000);
+};
+
+/**
+ * Calendar date of an instant in a timezone.
+ * @returns {string} YYYY-MM-DD
+ */
+export const zonedDate = (instant, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(instant);
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days))
+    .toISOString()
+    .slice(0, 10);
+};
+
+const dayOfWeek = (date) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * An employee's schedule settings.
+ * @returns {object} { timezone, sessionMinutes, weekly, blackouts }
+ *   weekly: [{ day_of_week (0 = Sunday), start_time, end_time }] as HH:MM
+ *   blackouts: [{ date (YYYY-MM-DD), reason }]
+ */
+export const getSchedule = async (conn, employeeId) => {
+  const [profiles] = await conn.execute(
+    "SELECT timezone, session_minutes FROM employee_profiles WHERE user_id = ?",
+    [employeeId],
+  );
+  const [weekly] = await conn.execute(
+    `SELECT day_of_week, TIME_FORMAT(start_time, '%H:%i') as start_time,
+            TIME_FORMAT(end_time, '%H:%i') as end_time
+     FROM employee_availability
+     WHERE employee_user_id = ?
+     ORDER BY day_of_week ASC, start_time ASC`,
+    [employeeId],
+  );
+  const [blackouts] = await conn.execute(
+    `SELECT DATE_FORMAT(blackout_date, '%Y-%m-%d') as date, reason
+     FROM employee_blackout_dates
+     WHERE employee_user_id = ?
+     ORDER BY blackout_date ASC`,
+    [employeeId],
+  );
+
+  return {
+    timezone: profiles[0]?.timezone || DEFAULT_TIMEZONE,
+    sessionMinutes: profiles[0]?.session_minutes || 60,
+    weekly,
+    blackouts,
+  };
+};
+
+// Sessions already holding time between two instants
+const getBookedRanges = async (conn, employeeId, from, to) => {
+  const [rows] = await conn.execute(
+    `SELECT session_start, session_end FROM service_requests
+     WHERE employee_user_id = ?
+       AND status IN (${BOOKING_STATUSES.map(() => "?").join(", ")})
+       AND session_start < ? AND session_end > ?`,
+    [employeeId, ...BOOKING_STATUSES, to, from],
+  );
+  return rows.map((row) => ({
+    start: new Date(row.session_start),
+    end: new Date(row.session_end),
+  }));
+};
+
+const overlaps = (slot, ranges) =>
+  ranges.some((range) => slot.start < range.end && slot.end > range.start);
+
+// Every slot the weekly hours offer on the given local dates, before
+// removing booked or too-soon ones
+const candidateSlots = (schedule, fromDate, days) => {
+  const blackoutDates = new Set(schedule.blackouts.map((b) => b.date));
+  const lengthMs = schedule.sessionMinutes * 60000;
+  const slots = [];
+
+  for (let i = 0; i < days; i++) {
+    const date = addDays(fromDate, i);
+    if (blackoutDates.has(date)) continue;
+
+    const weekday = dayOfWeek(date);
+    for (const window of schedule.weekly) {
+      if (window.day_of_week !== weekday) continue;
+      const windowStart = zonedTimeToDate(
+        date,
+        window.start_time,
+        schedule.timezone,
+      );
+      const windowEnd = zonedTimeToDate(
+        date,
+        window.end_time,
+        schedule.timezone,
+      );
+      for (
+        let start = windowStart.getTime();
+        start + lengthMs <= windowEnd.getTime();
+        start += lengthMs
+      ) {
+        slots.push({ start: new Date(start), end: new Date(start + lengthMs) });
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Free slots for an employee.
+ * @param {object} options - { from (YYYY-MM-DD in the coach's timezone,
+ *   default today), days (1-MAX_SLOT_DAYS), now }
+ * @returns {object} { timezone, sessionMinutes, scheduling, slots }
+ *   scheduling is false when the employee has published no hours
+ */
+export const listFreeSlots = async (
+  conn,
+  employeeId,
+  { from = null, days = 14, now = new Date() } = {},
+) => {
+  const schedule = await getSchedule(conn, employeeId);
+  const result = {
+    timezone: schedule.timezone,
+    sessionMinutes: schedule.sessionMinutes,
+    scheduling: schedule.weekly.length > 0,
+    slots: [],
+  };
+  if (!result.scheduling) return result;
+
+  const candidates = candidateSlots(
+    schedule,
+    from || zonedDate(now, schedule.timezone),
+    days,
+  );
+  if (candidates.length === 0) return result;
+
+  const earliest = new Date(now.getTime() + MIN_NOTICE_MINUTES * 60000);
+  const booked = await getBookedRanges(
+    conn,
+    employeeId,
+    candidates[0].start,
+    candidates[candidates.length - 1].end,
+  );
+
+  result.slots = candidates.filter(
+    (slot) => slot.start >= earliest && !overlaps(slot, booked),
+  );
+  return result;
+};
+
+/**
+ * Check that a requested start time is a free slot and hold it for the
+ * caller's transaction. Must run inside a transaction: the employee's
+ * profile row stays locked until commit, so a second booking for the same
+ * coach waits and then sees this one.
+ * @param {string|null} sessionStart - ISO date-time picked by the requester
+ * @returns {object} { slot } ({ start, end }, or null for coaches without
+ *   scheduled sessions) or { denied }
+ */
+export const reserveSlot = async (
+  conn,
+  employeeId,
+  sessionStart,
+  now = new Date(),
+) => {
+  await conn.execute(
+    "SELECT id FROM employee_profiles WHERE user_id = ? FOR UPDATE",
+    [employeeId],
+  );
+
+  const schedule = await getSchedule(conn, employeeId);
+  if (schedule.weekly.length === 0) {
+    return sessionStart
+      ? { denied: AVAILABILITY_ERRORS.NOT_SCHEDULED }
+      : { slot: null };
+  }
+  if (!sessionStart) return { denied: AVAILABILITY_ERRORS.SLOT_REQUIRED };
+
+  const start = new Date(sessionStart);
+  if (isNaN(start)) return { denied: AVAILABILITY_ERRORS.SLOT_UNAVAILABLE };
+
+  // The slot must be one the weekly hours offer on that local date
+  const slot = candidateSlots(
+    schedule,
+    zonedDate(start, schedule.timezone),
+    1,
+  ).find((candidate) => candidate.start.getTime() === start.getTime());
+  const earliest = new Date(now.getTime() + MIN_NOTICE_MINUTES * 60000);
+  if (!slot || slot.start < earliest) {
+    return { denied: AVAILABILITY_ERRORS.SLOT_UNAVAILABLE };
+  }
+
+  const booked = await getBookedRanges(conn, employeeId, slot.start, slot.end);
+  if (booked.length > 0) return { denied: AVAILABILITY_ERRORS.SLOT_TAKEN };
+
+  return { slot };
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * [INPUT VALIDATION] Validate a schedule submitted by an employee.
+ * @param {object} body - { timezone, session_minutes, weekly, blackouts }
+ * @returns {object} { schedule } or { error }
+ */
+export const parseSchedule = (body) => {
+  const { timezone, session_minutes, weekly = [], blackouts = [] } = body;
+
+  if (!timezone || !isValidTimeZone(timezone)) {
+    return { error: "Invalid timezone" };
+  }
+  const sessionMinutes = parseInt(session_minutes);
+  if (!SESSION_LENGTHS.includes(sessionMinutes)) {
+    return {
+      error: `Session length must be one of ${SESSION_LENGTHS.join(", ")} minutes`,
+    };
+  }
+  if (!Array.isArray(weekly) || weekly.length > MAX_WINDOWS) {
+    return { error: `At most ${MAX_WINDOWS} weekly time ranges` };
+  }
+  if (!Array.isArray(blackouts) || blackouts.length > MAX_BLACKOUTS) {
+    return { error: `At most ${MAX_BLACKOUTS} blackout dates` };
+  }
+
+  const windows = [];
+  for (const window of weekly) {
+    const day = parseInt(window?.day_of_week);
+    if (!(day >= 0 && day <= 6)) return { error: "Invalid day of week" };
+    if (
+      !TIME_PATTERN.test(window.start_time) ||
+      !TIME_PATTERN.test(window.end_time)
+    ) {
+      return { error: "Times must be in HH:MM format" };
+    }
+    if (window.start_time >= window.end_time) {
+      return { error: "Each time range must end after it starts" };
+    }
+    windows.push({
+      day_of_week: day,
+      start_time: window.start_time,
+      end_time: window.end_time,
+    });
+  }
+
+  // Ranges on the same day may not overlap
+  const sorted = [...windows].sort(
+    (a, b) =>
+      a.day_of_week - b.day_of_week || a.start_time.localeCompare(b.start_time),
+  );
+  for (let i = 1; i < sorted.length; i++) {
+    if (
+      sorted[i].day_of_week === sorted[i - 1].day_of_week &&
+      sorted[i].start_time < sorted[i - 1].end_time
+    ) {
+      return { error: "Time ranges on the same day overlap" };
+    }
+  }
+
+  const dates = new Map();
+  for (const blackout of blackouts) {
+    const date = blackout?.date;
+    if (!DATE_PATTERN.test(date) || isNaN(new Date(date))) {
+      return { error: "Blackout dates must be in YYYY-MM-DD format" };
+    }
+    dates.set(date, String(blackout.reason || "").slice(0, 255));
+  }
+
+  return {
+    schedule: {
+      timezone,
+      sessionMinutes,
+      weekly: sorted,
+      blackouts: [...dates].map(([date, reason]) => ({ date, reason })),
+    },
+  };
+};
@@ -0,0 +1,244 @@
+// ==========================================
+// COACH DIRECTORY (Filters, Ranking, Facets)
+// ==========================================
+// Builds the SQL behind GET /api/coaches:
+//   - filters    : game, rank in a game, hourly rate range [min, max),
+//                  years of experience, minimum rating, verified only
+//   - sort       : ranked, rating, reviews, completed, rate_asc,
+//                  rate_desc, experience
+//   - ranking    : Bayesian average of the rating. A coach's score starts
+//                  at the site-wide mean and moves towards their own
+//                  rating as reviews come in, so one 5★ review does not
+//                  beat fifty 4.8★ ones. Completed services add a small
+//                  bonus on top.
+//   - pagination : limit / offset
+//   - facets     : coach counts per game and per rank
+//
+// A coach's hourly rate is their rate for the filtered game, or their
+// lowest rate across games when no game is chosen.
+//
+// [SQL INJECTION PREVENTION] User input only ever reaches SQL through
+// ? placeholders; ORDER BY clauses come from the fixed COACH_SORTS map.
+// ==========================================
+
+import { parseNumber } from "./serviceSearch.js";
+
+// Reviews a coach needs before their own rating counts as much as the mean
+export const PRIOR_REVIEWS = 5;
+// Mean used until the site has any visible reviews
+export const DEFAULT_PRIOR_RATING = 3.5;
+// Bonus per tenfold increase in completed services (10 → 0.1, 100 → 0.2)
+export const COMPLETION_WEIGHT = 0.1;
+
+export const COACH_SORTS = {
+  ranked: "ranking_score DESC",
+  rating: "ep.rating DESC, ep.total_reviews DESC",
+  reviews: "ep.total_reviews DESC",
+  completed: "ep.total_services_completed DESC",
+  rate_asc: "s.hourly_rate IS NULL, s.hourly_rate ASC",
+  rate_desc: "s.hourly_rate DESC",
+  experience: "ep.years_experience DESC",
+};
+
+export const MAX_PAGE_SIZE = 50;
+
+// Params: PRIOR_REVIEWS, prior mean, PRIOR_REVIEWS, COMPLETION_WEIGHT
+const RANKING_SCORE = `
+  (? * ? + ep.rating * ep.total_reviews) / (? + ep.total_reviews)
+  + ? * LOG10(1 + ep.total_services_completed)`;
+
+/**
+ * Validate and normalize the query string of GET /api/coaches.
+ * @returns {object} { filters } or { error }
+ */
+export const parseCoachSearch = (query) => {
+  const minRate = parseNumber(query.min_rate);
+  const maxRate = parseNumber(query.max_rate);
+  const minYears = parseNumber(query.min_years);
+  const minRating = parseNumber(query.min_rating);
+
+  if ([minRate, maxRate, minYears, minRating].some((n) => Number.isNaN(n))) {
+    return { error: "Rate, experience and rating filters must be numbers" };
+  }
+  if (minRate !== null && maxRate !== null && minRate > maxRate) {
+    return { error: "min_rate cannot be greater than max_rate" };
+  }
+
+  const sort = query.sort || "ranked";
+  if (!COACH_SORTS[sort]) {
+    return { error: "Invalid sort option" };
+  }
+
+  const rank = typeof query.rank === "string" ? query.rank.trim() : "";
+
+  return {
+    filters: {
+      gameId: query.game_id ? parseInt(query.game_id) : null,
+      rank: rank ? rank.slice(0, 100) : null,
+      minRate,
+      maxRate,
+      minYears,
+      minRating,
+      verifiedOnly: query.verified === "true",
+      sort,
+      limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_PAGE_SIZE),
+      offset: Math.max(parseInt(query.offset) || 0, 0),
+    },
+  };
+};
+
+/**
+ * FROM + WHERE for the active filters, one row per coach.
+ * @param {object} filters - from parseCoachSearch
+ * @param {string} [skip] - facet dimension to leave out ('game' | 'rank')
+ * @returns {object} { sql, params }
+ */
+const buildQuery = (filters, skip) => {
+  const byGame = filters.gameId && skip !== "game";
+  const params = byGame ? [filters.gameId] : [];
+
+  // Coaches without a specialization in the chosen game drop out here
+  const from = `
+    FROM users u
+    JOIN employee_profiles ep ON u.id = ep.user_id
+    ${byGame ? "JOIN" : "LEFT JOIN"} (
+      SELECT employee_id, MIN(hourly_rate) as hourly_rate
+      FROM employee_specializations
+      ${byGame ? "WHERE game_id = ?" : ""}
+      GROUP BY employee_id
+    ) s ON s.employee_id = u.id
+  `;
+
+  const clauses = ["u.is_employee = TRUE", "ep.status = 'active'"];
+
+  if (filters.rank && skip !== "rank") {
+    clauses.push(
+      `EXISTS (
+        SELECT 1 FROM employee_specializations es
+        WHERE es.employee_id = u.id AND es.rank_in_game = ?
+        ${byGame ? "AND es.game_id = ?" : ""}
+      )`,
+    );
+    params.push(filters.rank);
+    if (byGame) params.push(filters.gameId);
+  }
+  if (filters.minRate !== null) {
+    clauses.push("s.hourly_rate >= ?");
+    params.push(filters.minRate);
+  }
+  if (filters.maxRate !== null) {
+    clauses.push("s.hourly_rate < ?");
+    params.push(filters.maxRate);
+  }
+  if (filters.minYears !== null) {
+    clauses.push("ep.years_experience >= ?");
+    params.push(filters.minYears);
+  }
+  if (filters.minRating !== null) {
+    clauses.push("ep.rating >= ?");
+    params.push(filters.minRating);
+  }
+  if (filters.verifiedOnly) {
+    clauses.push("ep.is_verified = TRUE");
+  }
+
+  return { sql: `${from} WHERE ${clauses.join(" AND ")}`, params };
+};
+
+// Mean of all visible reviews: where a coach without reviews starts
+const getPriorRating = async (conn) => {
+  const [rows] = await conn.execute(
+    "SELECT AVG(rating) as mean FROM reviews WHERE is_hidden = FALSE",
+  );
+  return rows[0].mean === null ? DEFAULT_PRIOR_RATING : Number(rows[0].mean);
+};
+
+/**
+ * Run the page query. Each coach comes with the games they coach.
+ * @returns {Promise<Array>} coaches
+ */
+export const searchCoaches = async (conn, filters) => {
+  const priorRating = await getPriorRating(conn);
+  const query = buildQuery(filters);
+
+  const [rows] = await conn.execute(
+    `SELECT u.id, u.full_name, u.profile_picture, ep.bio, ep.rank_tier,
+            ep.years_experience, ep.rating, ep.total_reviews,
+            ep.total_services_completed, ep.is_verified, s.hourly_rate,
+            ${RANKING_SCORE} as ranking_score
+     ${query.sql}
+     ORDER BY ${COACH_SORTS[filters.sort]}, u.id ASC
+     LIMIT ? OFFSET ?`,
+    [
+      PRIOR_REVIEWS,
+      priorRating,
+      PRIOR_REVIEWS,
+      COMPLETION_WEIGHT,
+      ...query.params,
+      filters.limit,
+      filters.offset,
+    ],
+  );
+  if (rows.length === 0) return rows;
+
+  const ids = rows.map((row) => row.id);
+  const [specs] = await conn.execute(
+    `SELECT es.employee_id, g.id, g.name, es.rank_in_game, es.hourly_rate
+     FROM employee_specializations es
+     JOIN games g ON es.game_id = g.id
+     WHERE es.employee_id IN (${ids.map(() => "?").join(", ")})
+     ORDER BY es.is_primary DESC, g.name ASC`,
+    ids,
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    is_verified: !!row.is_verified,
+    ranking_score: Math.round(Number(row.ranking_score) * 100) / 100,
+    games: specs
+      .filter((spec) => spec.employee_id === row.id)
+      .map((spec) => {
+        const { employee_id: _employeeId, ...game } = spec;
+        return game;
+      }),
+  }));
+};
+
+/**
+ * Total matches plus facet counts for the filters.
+ * @returns {object} { total, facets }
+ */
+export const getCoachFacets = async (conn, filters) => {
+  const all = buildQuery(filters);
+  const [totalRows] = await conn.execute(
+    `SELECT COUNT(*) as total ${all.sql}`,
+    all.params,
+  );
+
+  const byGame = buildQuery(filters, "game");
+  const [games] = await conn.execute(
+    `SELECT g.id, g.name, COUNT(*) as count
+     FROM employee_specializations es
+     JOIN games g ON es.game_id = g.id
+     WHERE es.employee_id IN (SELECT u.id ${byGame.sql})
+     GROUP BY g.id, g.name ORDER BY count DESC, g.name ASC`,
+    byGame.params,
+  );
+
+  // Ranks are free text per game; offer the ones coaches actually use
+  const byRank = buildQuery(filters, "rank");
+  const [ranks] = await conn.execute(
+    `SELECT es.rank_in_game as value, COUNT(DISTINCT es.employee_id) as count
+     FROM employee_specializations es
+     WHERE es.rank_in_game IS NOT NULL AND es.rank_in_game <> ''
+     ${filters.gameId ? "AND es.game_id = ?" : ""}
+     AND es.employee_id IN (SELECT u.id ${byRank.sql})
+     GROUP BY es.rank_in_game ORDER BY count DESC, value ASC`,
+    [...(filters.gameId ? [filters.gameId] : []), ...byRank.params],
+  );
+
+  return {
+    total: totalRows[0].total,
+    facets: { games, ranks },
+  };
+};
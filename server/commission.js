@@ -0,0 +1,73 @@
+// ==========================================
+// PLATFORM COMMISSION RULES
+// ==========================================
+// The platform fee is looked up from commission_rules instead of being
+// hardcoded. A rule can be scoped by game, service type and employee
+// tier; a NULL scope column matches anything.
+//
+// Rules are effective-dated and never edited in place: changing a rate
+// closes the current rule (effective_to) and inserts a new one, so the
+// full history stays queryable.
+//
+// When several rules apply, the most specific one wins (the one with
+// the most scope columns set), then the most recently effective one.
+// If no rule matches, DEFAULT_COMMISSION_RATE is used.
+// ==========================================
+
+export const DEFAULT_COMMISSION_RATE = 0.1; // 10% platform fee
+
+export const EMPLOYEE_TIERS = ["standard", "pro", "elite"];
+
+/**
+ * Find the commission rule in effect for a scope at a point in time.
+ * @param {object} conn - database connection
+ * @param {object} scope - { gameId, serviceType, employeeTier, at }
+ *   at defaults to now
+ * @returns {object} { rate, ruleId } (ruleId is null for the default rate)
+ */
+export const resolveCommissionRate = async (
+  conn,
+  { gameId, serviceType, employeeTier, at = new Date() },
+) => {
+  const [rules] = await conn.execute(
+    `SELECT id, rate,
+            (game_id IS NOT NULL) + (service_type IS NOT NULL) + (employee_tier IS NOT NULL) as specificity
+     FROM commission_rules
+     WHERE effective_from <= ?
+       AND (effective_to IS NULL OR effective_to > ?)
+       AND (game_id IS NULL OR game_id = ?)
+       AND (service_type IS NULL OR service_type = ?)
+       AND (employee_tier IS NULL OR employee_tier = ?)
+     ORDER BY specificity DESC, effective_from DESC, id DESC
+     LIMIT 1`,
+    [at, at, gameId ?? null, serviceType ?? null, employeeTier ?? null],
+  );
+
+  if (rules.length === 0) {
+    return { rate: DEFAULT_COMMISSION_RATE, ruleId: null };
+  }
+  return { rate: parseFloat(rules[0].rate), ruleId: rules[0].id };
+};
+
+/**
+ * Commission rate for a service request, based on its service's game
+ * and type and the employee's tier.
+ * @returns {object} { rate, ruleId }
+ */
+export const getCommissionForRequest = async (conn, requestId) => {
+  const [rows] = await conn.execute(
+    `SELECT ps.game_id, ps.service_type, ep.tier
+     FROM service_requests sr
+     JOIN published_services ps ON sr.published_service_id = ps.id
+     LEFT JOIN employee_profiles ep ON ep.user_id = sr.employee_user_id
+     WHERE sr.id = ?`,
+    [requestId],
+  );
+
+  const scope = rows[0] || {};
+  return resolveCommissionRate(conn, {
+    gameId: scope.game_id,
+    serviceType: scope.service_type,
+    employeeTier: scope.tier,
+  });
+};
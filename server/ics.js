@@ -0,0 +1,81 @@
+// ==========================================
+// ICS CALENDAR EXPORT
+// ==========================================
+// Minimal iCalendar (RFC 5545) output for booked sessions, so they can be
+// imported into Google Calendar, Outlook or Apple Calendar. Times are
+// written in UTC; calendar apps show them in the viewer's timezone.
+// ==========================================
+
+import { Buffer } from "buffer";
+
+// Stored text is HTML-escaped by sanitizeInput; calendars want it plain
+const decodeEntities = (value) =>
+  String(value ?? "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;/g, "'")
+    .replace(/&amp;/g, "&");
+
+const escapeText = (value) =>
+  decodeEntities(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// 20260119T180000Z
+const formatDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  chunks.push(rest);
+  return chunks.join("\r\n ");
+};
+
+/**
+ * Build an .ics file.
+ * @param {object} calendar - { name, events: [{ uid, start, end, summary,
+ *   description, status ('CONFIRMED' | 'TENTATIVE'), updated }] }
+ * @returns {string} iCalendar text
+ */
+export const buildCalendar = ({ name, events }) => {
+  const now = formatDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//GamerHelpers//Sessions//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${event.updated ? formatDate(event.updated) : now}`,
+      `DTSTART:${formatDate(event.start)}`,
+      `DTEND:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      `STATUS:${event.status}`,
+      "END:VEVENT",
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
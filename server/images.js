@@ -0,0 +1,233 @@
+// ==========================================
+// SERVICE IMAGES (Uploads, Thumbnails, Gallery)
+// ==========================================
+// Applicants upload images with their application; on approval the
+// image rows are copied to the published service, so later edits to the
+// application don't change the live gallery until it is approved again.
+//
+// [INPUT VALIDATION] Uploads are limited by MIME type and size while
+// the multipart body is parsed, then decoded with sharp to confirm the
+// real format. Every image is re-encoded to WebP, which drops EXIF data
+// (GPS, device info) and anything hidden after the image payload.
+//
+// Files are written through the storage backend in ./storage; the rows
+// in service_images keep the public URLs and the storage key.
+// ==========================================
+
+import multer from "multer";
+import sharp from "sharp";
+import { randomUUID } from "crypto";
+
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB per file
+export const MAX_IMAGES_PER_APPLICATION = 6;
+
+const ALLOWED_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const ALLOWED_FORMATS = ["jpeg", "png", "webp"];
+
+const MAX_DIMENSION = 1600;
+const THUMBNAIL_WIDTH = 400;
+const THUMBNAIL_HEIGHT = 300;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES_PER_APPLICATION },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const err = new Error("Only JPEG, PNG and WebP images are allowed");
+      err.code = "INVALID_IMAGE_TYPE";
+      return cb(err);
+    }
+    cb(null, true);
+  },
+}).array("images", MAX_IMAGES_PER_APPLICATION);
+
+/**
+ * Middleware: parse multipart "images" files into req.files (in memory).
+ * Upload errors are answered with 400 instead of reaching the default
+ * error handler.
+ */
+export const receiveImages = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(400).json({
+        error: `Each image must be ${MAX_IMAGE_SIZE / (1024 * 1024)} MB or smaller`,
+      });
+    }
+    if (
+      err.code === "LIMIT_FILE_COUNT" ||
+      err.code === "LIMIT_UNEXPECTED_FILE"
+    ) {
+      return res.status(400).json({
+        error: `Upload at most ${MAX_IMAGES_PER_APPLICATION} images in the "images" field`,
+      });
+    }
+    if (err.code === "INVALID_IMAGE_TYPE") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Image upload error:", err);
+    res.status(400).json({ error: "Invalid upload" });
+  });
+};
+
+/**
+ * Decode an uploaded file and render the display image and thumbnail.
+ * @returns {object} { full, thumbnail } buffers or { error }
+ */
+export const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    return { error: "File is not a valid image" };
+  }
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    return { error: "Only JPEG, PNG and WebP images are allowed" };
+  }
+
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const image = sharp(buffer).rotate();
+  const [full, thumbnail] = await Promise.all([
+    image
+      .clone()
+      .resize(MAX_DIMENSION, MAX_DIMENSION, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp({ quality: 85 })
+      .toBuffer(),
+    image
+      .clone()
+      .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: "cover" })
+      .webp({ quality: 75 })
+      .toBuffer(),
+  ]);
+
+  return { full, thumbnail };
+};
+
+/**
+ * Write a processed image and its thumbnail to storage.
+ * @param {string} [folder] - key prefix, "services" for service images
+ * @returns {object} { imageUrl, thumbnailUrl, storageKey, thumbnailKey }
+ */
+export const storeImage = async (
+  storage,
+  { full, thumbnail },
+  folder = "services",
+) => {
+  const id = randomUUID();
+  const storageKey = `${folder}/${id}.webp`;
+  const thumbnailKey = `${folder}/${id}_thumb.webp`;
+
+  const imageUrl = await storage.save(storageKey, full, "image/webp");
+  const thumbnailUrl = await storage.save(
+    thumbnailKey,
+    thumbnail,
+    "image/webp",
+  );
+
+  return { imageUrl, thumbnailUrl, storageKey, thumbnailKey };
+};
+
+/**
+ * Delete an image row. Its files are only orphaned once no other row (a
+ * published copy, or the application it was copied from) still points
+ * at them; pass the returned keys to removeFiles() after the commit, so
+ * a rollback never leaves rows pointing at deleted files.
+ * @returns {string[]} storage keys no row uses any more
+ */
+export const deleteImage = async (conn, image) => {
+  await conn.execute("DELETE FROM service_images WHERE id = ?", [image.id]);
+
+  const [refs] = await conn.execute(
+    "SELECT COUNT(*) as count FROM service_images WHERE storage_key = ?",
+    [image.storage_key],
+  );
+  if (refs[0].count > 0) return [];
+  return [image.storage_key, image.thumbnail_key].filter(Boolean);
+};
+
+/**
+ * Remove orphaned files from storage. A file that can't be removed is
+ * only logged; the rows are already gone.
+ */
+export const removeFiles = async (storage, keys) => {
+  for (const key of keys) {
+    await storage
+      .remove(key)
+      .catch((err) => console.error(`Remove file ${key} error:`, err));
+  }
+};
+
+/**
+ * Copy an application's images to its newly published service.
+ */
+export const copyImagesToService = async (conn, applicationId, serviceId) => {
+  await conn.execute(
+    `INSERT INTO service_images
+       (application_id, published_service_id, image_url, thumbnail_url,
+        storage_key, thumbnail_key, display_order)
+     SELECT application_id, ?, image_url, thumbnail_url,
+            storage_key, thumbnail_key, display_order
+     FROM service_images
+     WHERE application_id = ? AND published_service_id IS NULL`,
+    [serviceId, applicationId],
+  );
+};
+
+/**
+ * Replace a published service's gallery with its application's images
+ * when a revision is approved.
+ * @returns {string[]} keys of files only the old gallery used, for
+ *   removeFiles() after the commit
+ */
+export const replaceServiceImages = async (conn, applicationId, serviceId) => {
+  const [live] = await conn.execute(
+    `SELECT id, storage_key, thumbnail_key FROM service_images
+     WHERE published_service_id = ?`,
+    [serviceId],
+  );
+  const orphaned = [];
+  for (const image of live) {
+    orphaned.push(...(await deleteImage(conn, image)));
+  }
+  await copyImagesToService(conn, applicationId, serviceId);
+  return orphaned;
+};
+
+/**
+ * Add an `images` array to each application or published service.
+ * @param {string} owner - 'application' or 'service'
+ */
+export const withImages = async (conn, rows, owner) => {
+  if (rows.length === 0) return rows;
+
+  const ids = rows.map((row) => row.id);
+  const placeholders = ids.map(() => "?").join(", ");
+  const where =
+    owner === "service"
+      ? `published_service_id IN (${placeholders})`
+      : `application_id IN (${placeholders}) AND published_service_id IS NULL`;
+
+  const [images] = await conn.execute(
+    `SELECT id, application_id, published_service_id, image_url, thumbnail_url, display_order
+     FROM service_images
+     WHERE ${where}
+     ORDER BY display_order ASC, id ASC`,
+    ids,
+  );
+
+  const key = owner === "service" ? "published_service_id" : "application_id";
+  return rows.map((row) => ({
+    ...row,
+    images: images
+      .filter((image) => image[key] === row.id)
+      .map(({ id, image_url, thumbnail_url }) => ({
+        id,
+        image_url,
+        thumbnail_url,
+      })),
+  }));
+};
@@ -0,0 +1,411 @@
+// ==========================================
+// WALLET LEDGER (Double-Entry Escrow)
+// ==========================================
+// Every movement of money is a journal: two or more ledger_entries rows
+// that share a journal_id and sum to zero. Accounts are:
+//   - wallet   : a user's spendable balance (account_user_id)
+//   - escrow   : funds held for one service request (service_request_id)
+//   - platform : commission earned by GamerHelpers
+//   - payout   : a user's funds reserved for a pending withdrawal
+//   - external : money entering or leaving the platform (card, payout)
+//
+// users.wallet_balance is never adjusted directly. It is recomputed from
+// the ledger after each journal so existing reads keep working.
+//
+// All functions take an open connection and expect the caller to manage
+// the surrounding database transaction.
+// ==========================================
+
+import { randomUUID } from "crypto";
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Recompute a user's cached wallet_balance from their wallet entries.
+ */
+export const syncWalletBalance = async (conn, userId) => {
+  await conn.execute(
+    `UPDATE users SET wallet_balance = (
+       SELECT COALESCE(SUM(amount), 0) FROM ledger_entries
+       WHERE account_type = 'wallet' AND account_user_id = ?
+     ) WHERE id = ?`,
+    [userId, userId],
+  );
+};
+
+/**
+ * Current balance of a user's wallet, straight from the ledger.
+ */
+export const getWalletBalance = async (conn, userId) => {
+  const [rows] = await conn.execute(
+    `SELECT COALESCE(SUM(amount), 0) as balance FROM ledger_entries
+     WHERE account_type = 'wallet' AND account_user_id = ?`,
+    [userId],
+  );
+  return parseFloat(rows[0].balance);
+};
+
+/**
+ * The part of a user's wallet that may be withdrawn: what they earned
+ * from released escrow (plus balances carried over from before the
+ * ledger), less what they already withdrew. Refunds and captured
+ * payments can be spent on requests but never cashed out.
+ */
+export const getWithdrawableBalance = async (conn, userId) => {
+  const [rows] = await conn.execute(
+    `SELECT
+       COALESCE(SUM(amount), 0) as balance,
+       COALESCE(SUM(CASE WHEN entry_type IN ('release', 'opening_balance', 'withdrawal', 'withdrawal_reversal')
+                         THEN amount ELSE 0 END), 0) as earned
+     FROM ledger_entries
+     WHERE account_type = 'wallet' AND account_user_id = ?`,
+    [userId],
+  );
+  const balance = parseFloat(rows[0].balance);
+  const earned = parseFloat(rows[0].earned);
+  return roundMoney(Math.max(0, Math.min(balance, earned)));
+};
+
+/**
+ * Funds currently held in escrow for a service request.
+ */
+export const getEscrowBalance = async (conn, requestId) => {
+  const [rows] = await conn.execute(
+    `SELECT COALESCE(SUM(amount), 0) as balance FROM ledger_entries
+     WHERE account_type = 'escrow' AND service_request_id = ?`,
+    [requestId],
+  );
+  return parseFloat(rows[0].balance);
+};
+
+/**
+ * Write one balanced journal.
+ * @param {object} conn - database connection
+ * @param {object} journal - { entryType, description, serviceRequestId, transactionId, entries }
+ *   entries: [{ account, userId?, amount }] where amount is signed (+ credit, - debit)
+ * @returns {string} the journal_id
+ */
+export const postJournal = async (
+  conn,
+  { entryType, description, serviceRequestId, transactionId, entries },
+) => {
+  const total = roundMoney(entries.reduce((sum, e) => sum + e.amount, 0));
+  if (total !== 0) {
+    throw new Error(`Unbalanced journal (${entryType}): off by ${total}`);
+  }
+
+  const journalId = randomUUID();
+  for (const entry of entries) {
+    await conn.execute(
+      `INSERT INTO ledger_entries
+       (journal_id, entry_type, account_type, account_user_id, service_request_id, transaction_id, amount, description)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        journalId,
+        entryType,
+        entry.account,
+        entry.userId || null,
+        serviceRequestId || null,
+        transactionId || null,
+        roundMoney(entry.amount),
+        description || null,
+      ],
+    );
+  }
+
+  const walletUsers = new Set(
+    entries.filter((e) => e.account === "wallet").map((e) => e.userId),
+  );
+  for (const userId of walletUsers) {
+    await syncWalletBalance(conn, userId);
+  }
+
+  return journalId;
+};
+
+/**
+ * Hold the request amount in escrow when the requester confirms.
+ * Any shortfall in the requester's wallet is captured from their
+ * external payment method first.
+ * @returns {object} { transactionId, captured }
+ */
+export const holdFunds = async (
+  conn,
+  { requestId, requesterId, employeeId, amount },
+) => {
+  const gross = roundMoney(parseFloat(amount));
+
+  // Lock the requester's row, as withdrawals do, so concurrent confirms
+  // can't both spend the same balance
+  await conn.execute("SELECT id FROM users WHERE id = ? FOR UPDATE", [
+    requesterId,
+  ]);
+  const available = await getWalletBalance(conn, requesterId);
+  const captured = roundMoney(Math.max(0, gross - available));
+
+  const [result] = await conn.execute(
+    `INSERT INTO transactions (service_request_id, from_user_id, to_user_id, amount, commission_amount, captured_amount, transaction_type, status, payment_method)
+     VALUES (?, ?, ?, ?, 0, ?, 'service_payment', 'pending', ?)`,
+    [
+      requestId,
+      requesterId,
+      employeeId,
+      gross,
+      captured,
+      captured > 0 ? "external" : "wallet",
+    ],
+  );
+
+  if (captured > 0) {
+    await postJournal(conn, {
+      entryType: "deposit",
+      description: `Payment captured for request ${requestId}`,
+      serviceRequestId: requestId,
+      transactionId: result.insertId,
+      entries: [
+        { account: "external", amount: -captured },
+        { account: "wallet", userId: requesterId, amount: captured },
+      ],
+    });
+  }
+
+  await postJournal(conn, {
+    entryType: "hold",
+    description: `Escrow hold for request ${requestId}`,
+    serviceRequestId: requestId,
+    transactionId: result.insertId,
+    entries: [
+      { account: "wallet", userId: requesterId, amount: -gross },
+      { account: "escrow", amount: gross },
+    ],
+  });
+
+  return { transactionId: result.insertId, captured };
+};
+
+/**
+ * Release escrowed funds to the employee, minus platform commission.
+ * Requests confirmed before the ledger existed have no hold, so any
+ * missing escrow is funded from the external account first.
+ * The applied rate and rule are stored on the transaction so revenue
+ * reports don't change when commission rules do.
+ * @returns {object} { gross, commission, earnings }
+ */
+export const releaseFunds = async (
+  conn,
+  {
+    requestId,
+    requesterId,
+    employeeId,
+    amount,
+    commissionRate,
+    commissionRuleId = null,
+  },
+) => {
+  const gross = roundMoney(parseFloat(amount));
+  const commission = roundMoney(gross * commissionRate);
+  const earnings = roundMoney(gross - commission);
+
+  const escrow = await getEscrowBalance(conn, requestId);
+  if (escrow < gross) {
+    await postJournal(conn, {
+      entryType: "deposit",
+      description: `Unheld funds for request ${requestId}`,
+      serviceRequestId: requestId,
+      entries: [
+        { account: "external", amount: -roundMoney(gross - escrow) },
+        { account: "escrow", amount: roundMoney(gross - escrow) },
+      ],
+    });
+  }
+
+  // Complete the pending payment recorded at hold time, or create one
+  const [pending] = await conn.execute(
+    `SELECT id FROM transactions
+     WHERE service_request_id = ? AND transaction_type = 'service_payment' AND status = 'pending'
+     ORDER BY id DESC LIMIT 1`,
+    [requestId],
+  );
+
+  let transactionId;
+  if (pending.length > 0) {
+    transactionId = pending[0].id;
+    await conn.execute(
+      `UPDATE transactions
+       SET amount = ?, commission_amount = ?, commission_rate = ?, commission_rule_id = ?,
+           status = 'completed', completed_at = NOW()
+       WHERE id = ?`,
+      [gross, commission, commissionRate, commissionRuleId, transactionId],
+    );
+  } else {
+    const [result] = await conn.execute(
+      `INSERT INTO transactions (service_request_id, from_user_id, to_user_id, amount, commission_amount, commission_rate, commission_rule_id, transaction_type, status, completed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'service_payment', 'completed', NOW())`,
+      [
+        requestId,
+        requesterId,
+        employeeId,
+        gross,
+        commission,
+        commissionRate,
+        commissionRuleId,
+      ],
+    );
+    transactionId = result.insertId;
+  }
+
+  await postJournal(conn, {
+    entryType: "release",
+    description: `Escrow released for request ${requestId}`,
+    serviceRequestId: requestId,
+    transactionId,
+    entries: [
+      { account: "escrow", amount: -gross },
+      { account: "wallet", userId: employeeId, amount: earnings },
+      { account: "platform", amount: commission },
+    ],
+  });
+
+  return { gross, commission, earnings };
+};
+
+/**
+ * Part of a refund that goes back to the payment method it was captured
+ * from: whatever holdFunds captured and no earlier refund has returned.
+ */
+const getUnrefundedCapture = async (conn, requestId) => {
+  const [payments] = await conn.execute(
+    `SELECT COALESCE(SUM(captured_amount), 0) as captured FROM transactions
+     WHERE service_request_id = ? AND transaction_type = 'service_payment'`,
+    [requestId],
+  );
+  const [returned] = await conn.execute(
+    `SELECT COALESCE(SUM(amount), 0) as returned FROM ledger_entries
+     WHERE service_request_id = ? AND entry_type = 'refund' AND account_type = 'external'`,
+    [requestId],
+  );
+  return roundMoney(
+    parseFloat(payments[0].captured) - parseFloat(returned[0].returned),
+  );
+};
+
+/**
+ * Return escrowed funds to the requester. Funds captured from their
+ * external payment method go back there first; only the wallet-funded
+ * share returns to the wallet, so a refund never creates withdrawable
+ * balance.
+ * A full refund marks the pending service payment as refunded.
+ * @returns {object} { refunded, toWallet, toExternal }
+ */
+export const refundFunds = async (
+  conn,
+  { requestId, requesterId, employeeId, amount, fullRefund = true },
+) => {
+  const escrow = await getEscrowBalance(conn, requestId);
+  const refunded = roundMoney(Math.min(parseFloat(amount), escrow));
+
+  if (fullRefund) {
+    await conn.execute(
+      `UPDATE transactions SET status = 'refunded'
+       WHERE service_request_id = ? AND transaction_type = 'service_payment' AND status = 'pending'`,
+      [requestId],
+    );
+  }
+
+  // Nothing was ever held (e.g. cancelled before confirmation)
+  if (refunded <= 0) return { refunded: 0, toWallet: 0, toExternal: 0 };
+
+  const capture = await getUnrefundedCapture(conn, requestId);
+  const toExternal = roundMoney(Math.min(refunded, Math.max(0, capture)));
+  const toWallet = roundMoney(refunded - toExternal);
+
+  const [result] = await conn.execute(
+    `INSERT INTO transactions (service_request_id, from_user_id, to_user_id, amount, commission_amount, transaction_type, status, payment_method, completed_at)
+     VALUES (?, ?, ?, ?, 0, 'refund', 'completed', ?, NOW())`,
+    [
+      requestId,
+      employeeId,
+      requesterId,
+      refunded,
+      toExternal > 0 ? "external" : "wallet",
+    ],
+  );
+
+  const entries = [{ account: "escrow", amount: -refunded }];
+  if (toWallet > 0) {
+    entries.push({ account: "wallet", userId: requesterId, amount: toWallet });
+  }
+  if (toExternal > 0) {
+    entries.push({ account: "external", amount: toExternal });
+  }
+
+  await postJournal(conn, {
+    entryType: "refund",
+    description: `Escrow refunded for request ${requestId}`,
+    serviceRequestId: requestId,
+    transactionId: result.insertId,
+    entries,
+  });
+
+  return { refunded, toWallet, toExternal };
+};
+
+/**
+ * Reserve funds for a withdrawal request so they can't be spent or
+ * withdrawn twice while an admin reviews it.
+ */
+export const reserveWithdrawal = async (
+  conn,
+  { userId, amount, transactionId },
+) => {
+  const gross = roundMoney(parseFloat(amount));
+  await postJournal(conn, {
+    entryType: "withdrawal",
+    description: "Withdrawal requested",
+    transactionId,
+    entries: [
+      { account: "wallet", userId, amount: -gross },
+      { account: "payout", userId, amount: gross },
+    ],
+  });
+};
+
+/**
+ * Return reserved withdrawal funds to the user's wallet
+ * (withdrawal rejected or payout failed).
+ */
+export const reverseWithdrawal = async (
+  conn,
+  { userId, amount, transactionId },
+) => {
+  const gross = roundMoney(parseFloat(amount));
+  await postJournal(conn, {
+    entryType: "withdrawal_reversal",
+    description: "Withdrawal returned to wallet",
+    transactionId,
+    entries: [
+      { account: "payout", userId, amount: -gross },
+      { account: "wallet", userId, amount: gross },
+    ],
+  });
+};
+
+/**
+ * Settle a withdrawal once the payout has been sent: the reserved
+ * funds leave the platform.
+ */
+export const completeWithdrawal = async (
+  conn,
+  { userId, amount, transactionId },
+) => {
+  const gross = roundMoney(parseFloat(amount));
+  await postJournal(conn, {
+    entryType: "withdrawal",
+    description: "Withdrawal paid out",
+    transactionId,
+    entries: [
+      { account: "payout", userId, amount: -gross },
+      { account: "external", amount: gross },
+    ],
+  });
+};
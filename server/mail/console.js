@@ -0,0 +1,16 @@
+// ==========================================
+// CONSOLE MAIL TRANSPORT
+// ==========================================
+// Prints each email to the server log instead of sending it. The
+// default in development, so notification emails can be checked without
+// a mail server.
+// ==========================================
+
+const consoleTransport = {
+  name: "console",
+  async send({ to, subject, text }) {
+    console.log(`[MAIL] To: ${to}\n[MAIL] Subject: ${subject}\n${text}\n`);
+  },
+};
+
+export default consoleTransport;
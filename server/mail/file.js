@@ -0,0 +1,53 @@
+// ==========================================
+// FILE MAIL TRANSPORT
+// ==========================================
+// Writes each email as an .eml file under MAIL_DIR (default:
+// server/mail-outbox), which most mail clients can open to preview the
+// HTML version.
+// ==========================================
+
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { randomUUID } from "crypto";
+
+const outboxDir = path.resolve(
+  process.env.MAIL_DIR ||
+    path.join(
+      path.dirname(fileURLToPath(import.meta.url)),
+      "..",
+      "mail-outbox",
+    ),
+);
+
+const fileTransport = {
+  name: "file",
+  async send({ from, to, subject, text, html }) {
+    const boundary = `gh-${randomUUID()}`;
+    const message = [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      "MIME-Version: 1.0",
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      "",
+      `--${boundary}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      text,
+      `--${boundary}`,
+      "Content-Type: text/html; charset=utf-8",
+      "",
+      html,
+      `--${boundary}--`,
+      "",
+    ].join("\r\n");
+
+    await mkdir(outboxDir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, "-")}_${randomUUID().slice(0, 8)}.eml`;
+    await writeFile(path.join(outboxDir, name), message);
+  },
+};
+
+export default fileTransport;
@@ -0,0 +1,43 @@
+// ==========================================
+// EMAIL TRANSPORTS
+// ==========================================
+// Notification emails are sent through a transport selected with the
+// MAIL_TRANSPORT environment variable (default: "console").
+//
+// A transport is an object with:
+//   - name: string
+//   - send({ from, to, subject, text, html }) resolves once the message has
+//       been handed off. Throwing marks the email failed; it is retried
+//       on the next scheduler run.
+//
+// "console" and "file" are for local development; "smtp" delivers for
+// real. To add a provider API, create a module next to smtp.js and
+// register it in `transports` below.
+// ==========================================
+
+import consoleTransport from "./console.js";
+import fileTransport from "./file.js";
+import smtpTransport from "./smtp.js";
+
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [smtpTransport.name]: smtpTransport,
+};
+
+// Sender address for every notification email
+export const MAIL_FROM =
+  process.env.MAIL_FROM || "GamerHelpers <no-reply@gamerhelpers.local>";
+
+/**
+ * Resolve the configured email transport.
+ * @returns {object} transport implementing send()
+ */
+export const getMailTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
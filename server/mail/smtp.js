@@ -0,0 +1,38 @@
+// ==========================================
+// SMTP MAIL TRANSPORT
+// ==========================================
+// Sends through an SMTP server configured with SMTP_HOST, SMTP_PORT
+// (default 587), SMTP_SECURE ("true" for implicit TLS, usually port
+// 465), SMTP_USER and SMTP_PASSWORD.
+// ==========================================
+
+import nodemailer from "nodemailer";
+
+let transporter = null;
+
+// Created on first use so other transports don't need SMTP settings
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is not configured");
+    }
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+const smtpTransport = {
+  name: "smtp",
+  async send({ from, to, subject, text, html }) {
+    await getTransporter().sendMail({ from, to, subject, text, html });
+  },
+};
+
+export default smtpTransport;
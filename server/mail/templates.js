@@ -0,0 +1,103 @@
+// ==========================================
+// NOTIFICATION EMAIL TEMPLATES
+// ==========================================
+// Emails are rendered from the notification row itself (title, message,
+// type, created_at), so the inbox and the bell always say the same thing.
+// Stored text is HTML-escaped by sanitizeInput; it is decoded here and
+// escaped again only for the HTML part.
+// ==========================================
+
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+
+const decodeEntities = (value) =>
+  String(value)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;/g, "'")
+    .replace(/&amp;/g, "&");
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#x27;");
+
+const SETTINGS_URL = `${APP_URL}/settings/notifications`;
+
+const textFooter = `\n--\nOpen GamerHelpers: ${APP_URL}\nChange which emails you get: ${SETTINGS_URL}\n`;
+
+const htmlLayout = (body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 560px; margin: 0 auto; padding: 24px;">
+    ${body}
+    <p style="margin-top: 32px;">
+      <a href="${APP_URL}" style="background: #2563eb; color: #ffffff; padding: 10px 18px; border-radius: 8px; text-decoration: none;">Open GamerHelpers</a>
+    </p>
+    <p style="font-size: 12px; color: #6b7280; margin-top: 32px;">
+      You get this email because of your notification settings.
+      <a href="${SETTINGS_URL}" style="color: #6b7280;">Change them here</a>.
+    </p>
+  </body>
+</html>`;
+
+/**
+ * Email for a single notification.
+ * @param {object} data - { fullName, notification: { title, message } }
+ * @returns {object} { subject, text, html }
+ */
+export const renderNotificationEmail = ({ fullName, notification }) => {
+  const name = decodeEntities(fullName);
+  const title = decodeEntities(notification.title);
+  const message = decodeEntities(notification.message);
+
+  return {
+    subject: `GamerHelpers: ${title}`,
+    text: `Hi ${name},\n\n${message}\n${textFooter}`,
+    html: htmlLayout(`
+    <p>Hi ${escapeHtml(name)},</p>
+    <h2 style="font-size: 18px;">${escapeHtml(title)}</h2>
+    <p>${escapeHtml(message)}</p>`),
+  };
+};
+
+/**
+ * Daily digest of several notifications, oldest first.
+ * @param {object} data - { fullName, notifications: [{ title, message, created_at }] }
+ * @returns {object} { subject, text, html }
+ */
+export const renderDigestEmail = ({ fullName, notifications }) => {
+  const name = decodeEntities(fullName);
+  const items = notifications.map((notification) => ({
+    title: decodeEntities(notification.title),
+    message: decodeEntities(notification.message),
+    time: new Date(notification.created_at).toLocaleString("en-US"),
+  }));
+  const count = items.length;
+
+  return {
+    subject: `GamerHelpers: your daily summary (${count} update${count === 1 ? "" : "s"})`,
+    text:
+      `Hi ${name},\n\nHere is what happened since your last summary:\n\n` +
+      items
+        .map((item) => `- ${item.title} (${item.time})\n  ${item.message}`)
+        .join("\n\n") +
+      `\n${textFooter}`,
+    html: htmlLayout(`
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Here is what happened since your last summary:</p>
+    <ul style="padding-left: 18px;">
+      ${items
+        .map(
+          (item) => `<li style="margin-bottom: 12px;">
+        <strong>${escapeHtml(item.title)}</strong>
+        <span style="color: #6b7280; font-size: 12px;">${escapeHtml(item.time)}</span><br />
+        ${escapeHtml(item.message)}
+      </li>`,
+        )
+        .join("\n      ")}
+    </ul>`),
+  };
+};
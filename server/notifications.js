@@ -0,0 +1,450 @@
+// ==========================================
+// NOTIFICATION SERVICE
+// ==========================================
+// Every in-app notification is created here instead of with inline
+// INSERTs in the routes, so types stay in sync with the
+// notifications.notification_type enum and with NotificationBell.jsx.
+//
+// Calls take the caller's connection: a notification is written in the
+// same transaction as the change it reports, and is rolled back with it.
+//
+// Chat messages are coalesced per chat: while the recipient still has an
+// unread chat_message notification for a chat, new messages update it
+// ("3 new messages from ...") instead of adding one row per message.
+//
+// Each user picks, per type, a channel (in_app: bell only, email: bell
+// and email, off: nothing) and, for email, immediate or a daily digest.
+// Emails are not sent inside the request: notify() marks the row
+// (email_status 'pending' or 'digest') and the scheduler delivers it
+// with deliverEmails() after the transaction has committed.
+//
+// Users with the app open are subscribed to the "user:<id>" event stream.
+// notify() only queues a push on the connection; the route calls
+// publishNotifications(conn) after its commit, so a notification that is
+// rolled back is never pushed.
+//
+// Lists are paged with an opaque keyset cursor (created_at + id). Archived
+// notifications drop out of the inbox and the unread count but stay
+// listable until deleted.
+// ==========================================
+
+import { Buffer } from "buffer";
+import { MAIL_FROM } from "./mail/index.js";
+import { publish, hasSubscribers } from "./realtime.js";
+import {
+  renderNotificationEmail,
+  renderDigestEmail,
+} from "./mail/templates.js";
+
+// Mirrors the notifications.notification_type enum
+export const NOTIFICATION_TYPES = [
+  "new_request",
+  "request_accepted",
+  "quote_received",
+  "quote_accepted",
+  "quote_declined",
+  "request_rejected",
+  "request_cancelled",
+  "request_expired",
+  "user_confirmed",
+  "service_started",
+  "chat_message",
+  "completion_requested",
+  "completion_overdue",
+  "service_completed",
+  "service_reopened",
+  "payment_received",
+  "review_received",
+  "review_replied",
+  "application_approved",
+  "application_rejected",
+  "application_pending_reapproval",
+  "dispute_opened",
+  "dispute_resolved",
+  "withdrawal_approved",
+  "withdrawal_rejected",
+  "withdrawal_paid",
+  "verification_approved",
+  "verification_rejected",
+  "verification_revoked",
+];
+
+// Names shown on the notification settings screen
+export const NOTIFICATION_LABELS = {
+  new_request: "New service requests",
+  request_accepted: "Request accepted",
+  quote_received: "Price offers",
+  quote_accepted: "Price offer accepted",
+  quote_declined: "Price offer declined",
+  request_rejected: "Request declined",
+  request_cancelled: "Request cancelled",
+  request_expired: "Request expired",
+  user_confirmed: "Request confirmed by the user",
+  service_started: "Service started",
+  chat_message: "New chat messages",
+  completion_requested: "Completion submitted for review",
+  completion_overdue: "Completion review escalated",
+  service_completed: "Service completed",
+  service_reopened: "Service reopened",
+  payment_received: "Payment received",
+  review_received: "New reviews",
+  review_replied: "Replies to your reviews",
+  application_approved: "Application approved",
+  application_rejected: "Application not approved",
+  application_pending_reapproval: "Service changes submitted",
+  dispute_opened: "Dispute opened",
+  dispute_resolved: "Dispute resolved",
+  withdrawal_approved: "Withdrawal approved",
+  withdrawal_rejected: "Withdrawal rejected",
+  withdrawal_paid: "Withdrawal paid",
+  verification_approved: "Verification approved",
+  verification_rejected: "Verification not approved",
+  verification_revoked: "Verification revoked",
+};
+
+export const NOTIFICATION_CHANNELS = ["in_app", "email", "off"];
+export const NOTIFICATION_DELIVERIES = ["immediate", "digest"];
+
+const DEFAULT_PREFERENCE = { channel: "in_app", delivery: "immediate" };
+
+// Columns returned to clients, by the list endpoint and the stream
+const NOTIFICATION_COLUMNS =
+  "id, notification_type, related_entity_type, related_entity_id, title, message, coalesced_count, is_read, created_at, read_at, archived_at";
+
+// connection -> Map of user ID -> notification IDs not yet pushed.
+// Pool connections are a new object per checkout, so nothing queued on a
+// connection that rolled back outlives the request.
+const unpublished = new WeakMap();
+
+const queuePush = (conn, userId, notificationId) => {
+  if (!unpublished.has(conn)) unpublished.set(conn, new Map());
+  const byUser = unpublished.get(conn);
+  if (!byUser.has(userId)) byUser.set(userId, new Set());
+  byUser.get(userId).add(notificationId);
+};
+
+const userChannel = (userId) => `user:${userId}`;
+
+// Failed emails are retried on later scheduler runs up to this many times
+const MAX_EMAIL_ATTEMPTS = 3;
+
+// Local hour at which daily digests go out
+const DIGEST_HOUR = parseInt(process.env.NOTIFICATION_DIGEST_HOUR) || 8;
+
+/**
+ * All of a user's preferences, one per type, with defaults filled in.
+ * @returns {object[]} [{ type, label, channel, delivery }]
+ */
+export const getNotificationPreferences = async (conn, userId) => {
+  const [rows] = await conn.execute(
+    `SELECT notification_type, channel, delivery
+     FROM notification_preferences WHERE user_id = ?`,
+    [userId],
+  );
+  const saved = Object.fromEntries(
+    rows.map((row) => [row.notification_type, row]),
+  );
+
+  return NOTIFICATION_TYPES.map((type) => ({
+    type,
+    label: NOTIFICATION_LABELS[type],
+    channel: saved[type]?.channel || DEFAULT_PREFERENCE.channel,
+    delivery: saved[type]?.delivery || DEFAULT_PREFERENCE.delivery,
+  }));
+};
+
+const getPreference = async (conn, userId, type) => {
+  const [rows] = await conn.execute(
+    `SELECT channel, delivery FROM notification_preferences
+     WHERE user_id = ? AND notification_type = ?`,
+    [userId, type],
+  );
+  return rows[0] || DEFAULT_PREFERENCE;
+};
+
+/**
+ * Create a notification for one user.
+ * @param {object} conn - database connection (usually inside a transaction)
+ * @param {object} notification - { userId, type, entityType, entityId, title, message }
+ *   entityType is one of 'service_request', 'application', 'chat',
+ *   'review', 'payment', 'verification'
+ * @returns {number|null} the notification ID, or null if the user muted the type
+ */
+export const notify = async (
+  conn,
+  { userId, type, entityType = null, entityId = null, title, message },
+) => {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const preference = await getPreference(conn, userId, type);
+  if (preference.channel === "off") return null;
+
+  let emailStatus = "none";
+  if (preference.channel === "email") {
+    emailStatus = preference.delivery === "digest" ? "digest" : "pending";
+  }
+
+  const [result] = await conn.execute(
+    `INSERT INTO notifications (user_id, notification_type, related_entity_type, related_entity_id, title, message, email_status)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [userId, type, entityType, entityId, title, message, emailStatus],
+  );
+  queuePush(conn, userId, result.insertId);
+  return result.insertId;
+};
+
+/**
+ * Notify a chat member of a new message, folding it into their unread
+ * notification for the same chat if there is one.
+ * @param {object} message - { recipientId, chatId, senderName, serviceTitle }
+ * @returns {number|null} the notification ID, or null if muted
+ */
+export const notifyChatMessage = async (
+  conn,
+  { recipientId, chatId, senderName, serviceTitle },
+) => {
+  const [unread] = await conn.execute(
+    `SELECT id, coalesced_count FROM notifications
+     WHERE user_id = ? AND notification_type = 'chat_message'
+       AND related_entity_type = 'chat' AND related_entity_id = ?
+       AND is_read = FALSE
+     ORDER BY id DESC LIMIT 1`,
+    [recipientId, chatId],
+  );
+
+  if (unread.length > 0) {
+    const count = unread[0].coalesced_count + 1;
+    await conn.execute(
+      `UPDATE notifications
+       SET coalesced_count = ?, message = ?, created_at = NOW()
+       WHERE id = ?`,
+      [
+        count,
+        `${count} new messages from ${senderName} about "${serviceTitle}"`,
+        unread[0].id,
+      ],
+    );
+    queuePush(conn, recipientId, unread[0].id);
+    return unread[0].id;
+  }
+
+  return notify(conn, {
+    userId: recipientId,
+    type: "chat_message",
+    entityType: "chat",
+    entityId: chatId,
+    title: "New Message",
+    message: `${senderName} sent you a message about "${serviceTitle}"`,
+  });
+};
+
+const encodeCursor = (row) =>
+  Buffer.from(JSON.stringify([row.created_at, row.id])).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8"),
+    );
+    const date = new Date(createdAt);
+    if (!Number.isInteger(id) || isNaN(date)) return null;
+    return { createdAt: date, id };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * One page of a user's notifications, newest first.
+ * @param {object} options - { cursor, limit, unreadOnly, archived }
+ * @returns {object} { notifications, nextCursor } or { error } for a bad cursor
+ */
+export const listNotifications = async (
+  conn,
+  userId,
+  { cursor = null, limit = 20, unreadOnly = false, archived = false },
+) => {
+  let sql = `
+    SELECT ${NOTIFICATION_COLUMNS}
+    FROM notifications
+    WHERE user_id = ? AND archived_at IS ${archived ? "NOT NULL" : "NULL"}
+  `;
+  const params = [userId];
+
+  if (unreadOnly) sql += " AND is_read = FALSE";
+
+  // Keyset pagination: rows strictly older than the cursor. A coalesced
+  // chat notification moves to the top when updated, so a client may see
+  // it twice across pages and should de-duplicate by id.
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) return { error: "Invalid cursor" };
+    sql += " AND (created_at < ? OR (created_at = ? AND id < ?))";
+    params.push(position.createdAt, position.createdAt, position.id);
+  }
+
+  sql += " ORDER BY created_at DESC, id DESC LIMIT ?";
+  params.push(limit + 1);
+
+  const [rows] = await conn.execute(sql, params);
+
+  const hasMore = rows.length > limit;
+  return {
+    notifications: rows.slice(0, limit),
+    nextCursor: hasMore ? encodeCursor(rows[limit - 1]) : null,
+  };
+};
+
+/**
+ * Push a user's current unread count to their open streams.
+ * @param {object} conn - database connection
+ * @param {number} userId - recipient
+ */
+export const publishUnreadCount = async (conn, userId) => {
+  const channel = userChannel(userId);
+  if (!hasSubscribers(channel)) return;
+
+  const [rows] = await conn.execute(
+    "SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = FALSE AND archived_at IS NULL",
+    [userId],
+  );
+  publish(channel, "unread_count", { count: rows[0].count });
+};
+
+/**
+ * Push everything notify() queued on this connection, then the new unread
+ * counts. Call after the transaction commits (or after the insert when
+ * not in a transaction). Never throws: the change itself is already saved.
+ * @param {object} conn - database connection
+ */
+export const publishNotifications = async (conn) => {
+  const byUser = unpublished.get(conn);
+  if (!byUser) return;
+  unpublished.delete(conn);
+
+  try {
+    for (const [userId, ids] of byUser) {
+      const channel = userChannel(userId);
+      if (!hasSubscribers(channel)) continue;
+
+      const idList = [...ids];
+      const [rows] = await conn.execute(
+        `SELECT ${NOTIFICATION_COLUMNS}
+         FROM notifications
+         WHERE id IN (${idList.map(() => "?").join(", ")})
+         ORDER BY id ASC`,
+        idList,
+      );
+      for (const row of rows) publish(channel, "notification", row);
+
+      await publishUnreadCount(conn, userId);
+    }
+  } catch (err) {
+    console.error("Publish notifications error:", err);
+  }
+};
+
+// Most recent digest time at or before `now`
+const lastDigestTime = (now) => {
+  const cutoff = new Date(now);
+  cutoff.setHours(DIGEST_HOUR, 0, 0, 0);
+  if (cutoff > now) cutoff.setDate(cutoff.getDate() - 1);
+  return cutoff;
+};
+
+const markEmailed = (conn, ids, now) =>
+  conn.execute(
+    `UPDATE notifications SET email_status = 'sent', emailed_at = ?
+     WHERE id IN (${ids.map(() => "?").join(", ")})`,
+    [now, ...ids],
+  );
+
+// Count a failed attempt; give up after MAX_EMAIL_ATTEMPTS
+const markEmailFailed = (conn, ids) =>
+  conn.execute(
+    `UPDATE notifications
+     SET email_attempts = email_attempts + 1,
+         email_status = IF(email_attempts >= ?, 'failed', email_status)
+     WHERE id IN (${ids.map(() => "?").join(", ")})`,
+    [MAX_EMAIL_ATTEMPTS, ...ids],
+  );
+
+/**
+ * Send queued notification emails: immediate ones right away, digest
+ * ones grouped per user once the daily digest time has passed.
+ * @param {object} conn - database connection
+ * @param {object} transport - mail transport from getMailTransport()
+ * @param {Date} now - current time (injectable for the scheduler)
+ * @returns {object} { sent, digests, failed }
+ */
+export const deliverEmails = async (conn, transport, now = new Date()) => {
+  const summary = { sent: 0, digests: 0, failed: 0 };
+
+  const [immediate] = await conn.execute(
+    `SELECT n.id, n.title, n.message, u.email, u.full_name
+     FROM notifications n
+     JOIN users u ON n.user_id = u.id
+     WHERE n.email_status = 'pending' AND n.email_attempts < ?
+     ORDER BY n.id ASC
+     LIMIT 100`,
+    [MAX_EMAIL_ATTEMPTS],
+  );
+
+  for (const row of immediate) {
+    try {
+      await transport.send({
+        from: MAIL_FROM,
+        to: row.email,
+        ...renderNotificationEmail({
+          fullName: row.full_name,
+          notification: row,
+        }),
+      });
+      await markEmailed(conn, [row.id], now);
+      summary.sent++;
+    } catch (err) {
+      console.error(`Notification email ${row.id} error:`, err);
+      await markEmailFailed(conn, [row.id]);
+      summary.failed++;
+    }
+  }
+
+  const [queued] = await conn.execute(
+    `SELECT n.id, n.user_id, n.title, n.message, n.created_at, u.email, u.full_name
+     FROM notifications n
+     JOIN users u ON n.user_id = u.id
+     WHERE n.email_status = 'digest' AND n.email_attempts < ? AND n.created_at < ?
+     ORDER BY n.user_id ASC, n.created_at ASC`,
+    [MAX_EMAIL_ATTEMPTS, lastDigestTime(now)],
+  );
+
+  const byUser = new Map();
+  for (const row of queued) {
+    if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+    byUser.get(row.user_id).push(row);
+  }
+
+  for (const rows of byUser.values()) {
+    const ids = rows.map((row) => row.id);
+    try {
+      await transport.send({
+        from: MAIL_FROM,
+        to: rows[0].email,
+        ...renderDigestEmail({
+          fullName: rows[0].full_name,
+          notifications: rows,
+        }),
+      });
+      await markEmailed(conn, ids, now);
+      summary.digests++;
+    } catch (err) {
+      console.error(`Digest email for user ${rows[0].user_id} error:`, err);
+      await markEmailFailed(conn, ids);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
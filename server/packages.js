@@ -0,0 +1,141 @@
+// ==========================================
+// SERVICE PACKAGES (Pricing Tiers)
+// ==========================================
+// A service can sell several packages instead of one flat price, e.g.
+// "1 session" / "5 sessions" / "Monthly" for coaching or
+// "Gold → Platinum" / "Platinum → Diamond" for piloting.
+//
+// Packages are stored on applications, revisions and published services
+// as a JSON array of { id, name, description, price, sessions }. The id
+// is a slug of the name, so a request can name the package it bought.
+// When a service has packages, its price column holds the cheapest one
+// ("from $X"), which keeps search, sorting and price facets working.
+// ==========================================
+
+export const MAX_PACKAGES = 6;
+export const MAX_PACKAGE_PRICE = 10000;
+export const MAX_PACKAGE_SESSIONS = 100;
+
+export const PACKAGE_ERRORS = {
+  PACKAGE_REQUIRED: {
+    status: 400,
+    code: "PACKAGE_REQUIRED",
+    error: "Choose a package for this service",
+  },
+  PACKAGE_UNAVAILABLE: {
+    status: 400,
+    code: "PACKAGE_UNAVAILABLE",
+    error: "That package is no longer offered. Please choose another one.",
+  },
+};
+
+const slugify = (name) =>
+  name
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 64);
+
+/**
+ * Read a JSON packages column (string or already-parsed) as an array.
+ */
+export const parsePackages = (packages) => {
+  if (!packages) return [];
+  if (Array.isArray(packages)) return packages;
+  try {
+    const parsed = JSON.parse(packages);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Replace each row's raw packages column with the parsed list.
+ */
+export const withPackages = (rows) =>
+  rows.map((row) => ({ ...row, packages: parsePackages(row.packages) }));
+
+/**
+ * Validate packages submitted with an application or an edit.
+ * Text is passed through sanitize (the server's sanitizeInput).
+ * @returns {object} { packages } or { error }
+ */
+export const normalizePackages = (packages, sanitize) => {
+  if (packages === undefined || packages === null) return { packages: [] };
+  if (!Array.isArray(packages)) return { error: "Packages must be a list" };
+  if (packages.length > MAX_PACKAGES) {
+    return { error: `At most ${MAX_PACKAGES} packages` };
+  }
+
+  const normalized = [];
+  const ids = new Set();
+  for (const pkg of packages) {
+    const name = sanitize(String(pkg?.name || "").trim());
+    if (!name || name.length > 60) {
+      return { error: "Each package needs a name of at most 60 characters" };
+    }
+    const id = slugify(name);
+    if (!id || ids.has(id)) {
+      return { error: `Package names must be unique: ${name}` };
+    }
+    ids.add(id);
+
+    const price = Math.round(parseFloat(pkg.price) * 100) / 100;
+    if (!(price > 0 && price <= MAX_PACKAGE_PRICE)) {
+      return {
+        error: `Package "${name}" needs a price between $0.01 and $${MAX_PACKAGE_PRICE}`,
+      };
+    }
+
+    // Optional: number of sessions the package covers
+    let sessions = null;
+    if (
+      pkg.sessions !== undefined &&
+      pkg.sessions !== null &&
+      pkg.sessions !== ""
+    ) {
+      sessions = parseInt(pkg.sessions);
+      if (!(sessions >= 1 && sessions <= MAX_PACKAGE_SESSIONS)) {
+        return {
+          error: `Package "${name}" sessions must be between 1 and ${MAX_PACKAGE_SESSIONS}`,
+        };
+      }
+    }
+
+    const description = sanitize(String(pkg.description || "").trim());
+    if (description.length > 200) {
+      return {
+        error: `Package "${name}" description must be at most 200 characters`,
+      };
+    }
+
+    normalized.push({ id, name, description, price, sessions });
+  }
+  return { packages: normalized };
+};
+
+/**
+ * The price column for a service: its cheapest package, or the flat
+ * price when it sells no packages.
+ */
+export const basePrice = (packages, price) =>
+  packages.length > 0 ? Math.min(...packages.map((pkg) => pkg.price)) : price;
+
+/**
+ * Resolve the package a requester picked against the live service.
+ * @returns {object} { pkg } (null for services without packages) or { denied }
+ */
+export const choosePackage = (service, packageId) => {
+  const packages = parsePackages(service.packages);
+  if (packages.length === 0) {
+    return packageId
+      ? { denied: PACKAGE_ERRORS.PACKAGE_UNAVAILABLE }
+      : { pkg: null };
+  }
+  if (!packageId) return { denied: PACKAGE_ERRORS.PACKAGE_REQUIRED };
+
+  const pkg = packages.find((p) => p.id === packageId);
+  return pkg ? { pkg } : { denied: PACKAGE_ERRORS.PACKAGE_UNAVAILABLE };
+};
@@ -0,0 +1,38 @@
+// ==========================================
+// PAYOUT PROVIDERS
+// ==========================================
+// Withdrawals are paid out through a provider selected with the
+// PAYOUT_PROVIDER environment variable (default: "mock").
+//
+// A provider is an object with:
+//   - name: string stored on the withdrawal request
+//   - sendPayout({ withdrawalId, userId, amount, destination,
+//                  idempotencyKey })
+//       resolves to { reference, status } where status is
+//       "processing" (paid later, confirmed by an admin) or "paid".
+//       Throwing rejects the approval and leaves the request pending.
+//       A call repeating an earlier idempotencyKey must return the
+//       earlier payout instead of paying again.
+//
+// To add a real gateway, create a module next to mock.js and register
+// it in `providers` below.
+// ==========================================
+
+import mockProvider from "./mock.js";
+
+const providers = {
+  [mockProvider.name]: mockProvider,
+};
+
+/**
+ * Resolve the configured payout provider.
+ * @returns {object} provider implementing sendPayout()
+ */
+export const getPayoutProvider = () => {
+  const name = process.env.PAYOUT_PROVIDER || "mock";
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payout provider: ${name}`);
+  }
+  return provider;
+};
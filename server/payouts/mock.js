@@ -0,0 +1,32 @@
+// ==========================================
+// MOCK PAYOUT PROVIDER
+// ==========================================
+// Local stand-in for a real payout gateway. No money moves: each payout
+// is accepted immediately and given a fake reference so the admin flow
+// (approve -> mark paid) can be exercised end to end in development.
+// ==========================================
+
+import { randomUUID } from "crypto";
+
+// idempotencyKey -> payout already sent in this process
+const sent = new Map();
+
+const mockProvider = {
+  name: "mock",
+
+  async sendPayout({ withdrawalId, amount, destination, idempotencyKey }) {
+    if (sent.has(idempotencyKey)) return sent.get(idempotencyKey);
+
+    console.log(
+      `[MOCK PAYOUT] Withdrawal #${withdrawalId}: ${amount} to "${destination}"`,
+    );
+    const payout = {
+      reference: `MOCK-${randomUUID().slice(0, 8).toUpperCase()}`,
+      status: "processing",
+    };
+    sent.set(idempotencyKey, payout);
+    return payout;
+  },
+};
+
+export default mockProvider;
@@ -0,0 +1,267 @@
+// ==========================================
+// PRICE QUOTES & COUNTER-OFFERS
+// ==========================================
+// An employee can accept a request with a quote (amount, estimated
+// duration, notes) instead of the list price. While the request is
+// employee_accepted, either party can answer the latest offer:
+//   - accept  : the offer's amount becomes service_requests.amount,
+//               which is what confirm holds in escrow and commission
+//               is later taken from
+//   - counter : a new offer replaces it (marked 'countered')
+//   - decline : the offer is closed; someone has to make a new one or
+//               cancel the request
+// The confirm transition is refused while the latest offer is not
+// accepted (see requestStateMachine.js).
+//
+// Every offer is kept in request_quotes as the negotiation history and
+// also written to the request timeline.
+// ==========================================
+
+import { recordRequestEvent, REQUEST_ERRORS } from "./requestStateMachine.js";
+import { notify } from "./notifications.js";
+
+export const MAX_QUOTE_AMOUNT = 10000;
+export const MAX_ESTIMATED_MINUTES = 60 * 24 * 30;
+
+export const QUOTE_ERRORS = {
+  NOT_NEGOTIABLE: {
+    status: 409,
+    code: "QUOTE_NOT_NEGOTIABLE",
+    error:
+      "Prices can only be negotiated after the employee accepts and before the service starts",
+  },
+  QUOTE_NOT_FOUND: {
+    status: 404,
+    code: "QUOTE_NOT_FOUND",
+    error: "Quote not found",
+  },
+  QUOTE_CLOSED: {
+    status: 409,
+    code: "QUOTE_CLOSED",
+    error: "This offer is no longer open",
+  },
+  OWN_QUOTE: {
+    status: 409,
+    code: "QUOTE_OWN_OFFER",
+    error: "Wait for the other party to answer your offer",
+  },
+};
+
+const formatAmount = (amount) => `$${parseFloat(amount).toFixed(2)}`;
+
+/**
+ * Validate an offer from a request body: { amount, estimated_minutes, notes }.
+ * Notes are passed through sanitize (the server's sanitizeInput).
+ * @returns {object} { offer } or { error }
+ */
+export const parseOffer = (body, sanitize) => {
+  const amount = Math.round(parseFloat(body.amount) * 100) / 100;
+  if (!(amount > 0 && amount <= MAX_QUOTE_AMOUNT)) {
+    return {
+      error: `Amount must be between $0.01 and $${MAX_QUOTE_AMOUNT}`,
+    };
+  }
+
+  let estimatedMinutes = null;
+  if (
+    body.estimated_minutes !== undefined &&
+    body.estimated_minutes !== null &&
+    body.estimated_minutes !== ""
+  ) {
+    estimatedMinutes = parseInt(body.estimated_minutes);
+    if (!(estimatedMinutes >= 1 && estimatedMinutes <= MAX_ESTIMATED_MINUTES)) {
+      return { error: "Estimated duration is out of range" };
+    }
+  }
+
+  const notes = body.notes ? sanitize(String(body.notes).trim()) : "";
+  if (notes.length > 500) {
+    return { error: "Notes must be at most 500 characters" };
+  }
+
+  return { offer: { amount, estimatedMinutes, notes: notes || null } };
+};
+
+/**
+ * Negotiation history of a request, oldest first.
+ */
+export const getQuotes = async (conn, requestId) => {
+  const [quotes] = await conn.execute(
+    `SELECT q.id, q.offered_by, q.amount, q.estimated_minutes, q.notes, q.status,
+            q.created_at, q.responded_at, u.full_name as offered_by_name
+     FROM request_quotes q
+     LEFT JOIN users u ON q.offered_by_user_id = u.id
+     WHERE q.service_request_id = ?
+     ORDER BY q.id ASC`,
+    [requestId],
+  );
+  return quotes;
+};
+
+// Lock the request and check the actor is one of its parties while the
+// price can still change
+const lockForNegotiation = async (conn, requestId, actor) => {
+  const [rows] = await conn.execute(
+    `SELECT sr.*, ps.title
+     FROM service_requests sr
+     JOIN published_services ps ON sr.published_service_id = ps.id
+     WHERE sr.id = ? FOR UPDATE`,
+    [requestId],
+  );
+  if (rows.length === 0) return { denied: REQUEST_ERRORS.NOT_FOUND };
+  const request = rows[0];
+
+  // Admin IDs are from the admin table and may collide with user IDs
+  const party =
+    actor.role === "admin"
+      ? null
+      : actor.userId === request.employee_user_id
+        ? "employee"
+        : actor.userId === request.requester_user_id
+          ? "requester"
+          : null;
+  if (!party) return { denied: REQUEST_ERRORS.NOT_ALLOWED };
+  if (request.status !== "employee_accepted") {
+    return { denied: QUOTE_ERRORS.NOT_NEGOTIABLE };
+  }
+  return { request, party };
+};
+
+const otherPartyOf = (request, party) =>
+  party === "employee" ? request.requester_user_id : request.employee_user_id;
+
+/**
+ * Store an offer on a request the caller has already locked and checked.
+ * An open offer from the other party is marked countered, an open one
+ * from the same party withdrawn. Does not notify.
+ * @returns {number} the new quote ID
+ */
+export const recordOffer = async (conn, request, party, actorId, offer) => {
+  const [open] = await conn.execute(
+    `SELECT id, offered_by FROM request_quotes
+     WHERE service_request_id = ? AND status = 'open'`,
+    [request.id],
+  );
+  for (const quote of open) {
+    await conn.execute(
+      "UPDATE request_quotes SET status = ?, responded_at = NOW() WHERE id = ?",
+      [quote.offered_by === party ? "withdrawn" : "countered", quote.id],
+    );
+  }
+
+  const [result] = await conn.execute(
+    `INSERT INTO request_quotes
+       (service_request_id, offered_by, offered_by_user_id, amount, estimated_minutes, notes, status)
+     VALUES (?, ?, ?, ?, ?, ?, 'open')`,
+    [
+      request.id,
+      party,
+      actorId,
+      offer.amount,
+      offer.estimatedMinutes,
+      offer.notes,
+    ],
+  );
+
+  const counter = open.some((quote) => quote.offered_by !== party);
+  await recordRequestEvent(conn, {
+    requestId: request.id,
+    eventType: counter ? "counter_offer" : "quote",
+    fromStatus: request.status,
+    toStatus: request.status,
+    actorType: party,
+    actorId,
+    note: `${formatAmount(offer.amount)}${offer.notes ? ` – ${offer.notes}` : ""}`,
+  });
+
+  return result.insertId;
+};
+
+/**
+ * Make a new offer (or counter the open one) on an accepted request.
+ * @returns {object} { quoteId } or { denied }
+ */
+export const makeOffer = async (conn, requestId, actor, offer) => {
+  const { request, party, denied } = await lockForNegotiation(
+    conn,
+    requestId,
+    actor,
+  );
+  if (denied) return { denied };
+
+  const quoteId = await recordOffer(conn, request, party, actor.userId, offer);
+
+  await notify(conn, {
+    userId: otherPartyOf(request, party),
+    type: "quote_received",
+    entityType: "service_request",
+    entityId: request.id,
+    title: "New Price Offer",
+    message: `The ${party} offered ${formatAmount(offer.amount)} for "${request.title}". Accept, counter or decline it.`,
+  });
+
+  return { quoteId };
+};
+
+/**
+ * Accept or decline the open offer. Only the party it was made to can
+ * answer it; accepting sets the request amount.
+ * @returns {object} { amount } or { denied }
+ */
+export const respondToOffer = async (
+  conn,
+  requestId,
+  quoteId,
+  actor,
+  accept,
+) => {
+  const { request, party, denied } = await lockForNegotiation(
+    conn,
+    requestId,
+    actor,
+  );
+  if (denied) return { denied };
+
+  const [quotes] = await conn.execute(
+    "SELECT * FROM request_quotes WHERE id = ? AND service_request_id = ?",
+    [quoteId, request.id],
+  );
+  if (quotes.length === 0) return { denied: QUOTE_ERRORS.QUOTE_NOT_FOUND };
+  const quote = quotes[0];
+  if (quote.status !== "open") return { denied: QUOTE_ERRORS.QUOTE_CLOSED };
+  if (quote.offered_by === party) return { denied: QUOTE_ERRORS.OWN_QUOTE };
+
+  await conn.execute(
+    "UPDATE request_quotes SET status = ?, responded_at = NOW() WHERE id = ?",
+    [accept ? "accepted" : "declined", quote.id],
+  );
+  if (accept) {
+    await conn.execute(
+      "UPDATE service_requests SET amount = ?, estimated_minutes = ? WHERE id = ?",
+      [quote.amount, quote.estimated_minutes, request.id],
+    );
+  }
+
+  await recordRequestEvent(conn, {
+    requestId: request.id,
+    eventType: accept ? "quote_accepted" : "quote_declined",
+    fromStatus: request.status,
+    toStatus: request.status,
+    actorType: party,
+    actorId: actor.userId,
+    note: formatAmount(quote.amount),
+  });
+
+  await notify(conn, {
+    userId: otherPartyOf(request, party),
+    type: accept ? "quote_accepted" : "quote_declined",
+    entityType: "service_request",
+    entityId: request.id,
+    title: accept ? "Offer Accepted" : "Offer Declined",
+    message: accept
+      ? `Your offer of ${formatAmount(quote.amount)} for "${request.title}" was accepted.`
+      : `Your offer of ${formatAmount(quote.amount)} for "${request.title}" was declined. You can make a new offer or cancel.`,
+  });
+
+  return { amount: accept ? parseFloat(quote.amount) : null };
+};
@@ -0,0 +1,82 @@
+// ==========================================
+// REAL-TIME EVENT HUB (Server-Sent Events)
+// ==========================================
+// Keeps open SSE responses grouped by channel name (e.g. "chat:12",
+// "user:7")
+// and pushes named events to every subscriber of a channel.
+// Clients subscribe through authenticated stream routes in server.js;
+// this module does no authorization of its own.
+// ==========================================
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// channel name -> Set of open responses
+const channels = new Map();
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Turn an Express response into an SSE stream subscribed to the given
+ * channels. The subscription is removed when the client disconnects.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string[]} channelNames - channels to subscribe to
+ */
+export const openStream = (req, res, channelNames) => {
+  // Routes check access first; a client that left during that await has
+  // already fired "close", so it must not be subscribed
+  if (req.destroyed || res.writableEnded) return;
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  for (const name of channelNames) {
+    if (!channels.has(name)) channels.set(name, new Set());
+    channels.get(name).add(res);
+  }
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    HEARTBEAT_INTERVAL_MS,
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    for (const name of channelNames) {
+      const subscribers = channels.get(name);
+      if (!subscribers) continue;
+      subscribers.delete(res);
+      if (subscribers.size === 0) channels.delete(name);
+    }
+  });
+
+  writeEvent(res, "ready", { channels: channelNames });
+};
+
+/**
+ * Push an event to every subscriber of a channel.
+ * @param {string} channel - channel name
+ * @param {string} event - SSE event name
+ * @param {object} data - JSON-serializable payload
+ */
+export const publish = (channel, event, data) => {
+  const subscribers = channels.get(channel);
+  if (!subscribers) return;
+  for (const res of subscribers) {
+    writeEvent(res, event, data);
+  }
+};
+
+/**
+ * Whether anyone is listening on a channel, so callers can skip
+ * building a payload nobody will receive.
+ * @param {string} channel - channel name
+ * @returns {boolean}
+ */
+export const hasSubscribers = (channel) => channels.has(channel);
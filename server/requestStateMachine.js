@@ -0,0 +1,557 @@
+// ==========================================
+// SERVICE REQUEST STATE MACHINE
+// ==========================================
+// Every status change of a service request goes through
+// transitionRequest(), which checks:
+//   - who is acting: the request's requester, its employee, an admin, or
+//     the scheduler ("system")
+//   - that the action is allowed from the current status
+//   - any extra guard (e.g. no open dispute before closing, an agreed
+//     price before confirming)
+// and then updates the row and runs the transition's side effects
+// (notifications, chat, escrow ledger) on the caller's connection.
+//
+//   pending ──accept──> employee_accepted ──confirm──> in_progress
+//      │                      │                          │    ^
+//      │ reject / cancel      │ cancel                    │    │ reopen
+//      v                      v                          v    │
+//   cancelled <───────── cancel / refund ───────── pending_completion
+//                                                        │
+//                                 approve_completion / settle
+//                                                        v
+//                                                     closed
+//
+// Denials are returned, not thrown, in the same { status, code, error }
+// shape as the chat authorization errors, so routes answer consistently:
+// 404 unknown request, 403 not allowed for this user, 409 illegal
+// transition from the current status.
+//
+// Each transition is also written to service_request_events (actor,
+// from/to status and an optional note), which backs the request timeline.
+//
+// The caller owns the transaction: begin it before calling (the request
+// row is locked FOR UPDATE) and commit or roll back afterwards.
+// ==========================================
+
+import { holdFunds, releaseFunds, refundFunds } from "./ledger.js";
+import { getCommissionForRequest } from "./commission.js";
+import { notify } from "./notifications.js";
+
+export const REQUEST_STATUSES = [
+  "pending",
+  "employee_accepted",
+  "in_progress",
+  "pending_completion",
+  "cancelled",
+  "closed",
+];
+
+// Statuses where the service is underway and a dispute can be opened
+export const ACTIVE_STATUSES = [
+  "employee_accepted",
+  "in_progress",
+  "pending_completion",
+];
+
+export const REQUEST_ERRORS = {
+  NOT_FOUND: {
+    status: 404,
+    code: "REQUEST_NOT_FOUND",
+    error: "Request not found",
+  },
+  NOT_ALLOWED: {
+    status: 403,
+    code: "REQUEST_NOT_ALLOWED",
+    error: "You are not allowed to perform this action",
+  },
+  DISPUTED: {
+    status: 409,
+    code: "REQUEST_DISPUTED",
+    error:
+      "This request has an open dispute. Resolve the dispute before closing or cancelling the service.",
+  },
+  QUOTE_OPEN: {
+    status: 409,
+    code: "REQUEST_QUOTE_OPEN",
+    error:
+      "Agree on a price before confirming: accept, counter or decline the latest offer.",
+  },
+};
+
+const invalidTransition = (label, status) => ({
+  status: 409,
+  code: "REQUEST_INVALID_TRANSITION",
+  error: `Cannot ${label} a request that is ${status.replace(/_/g, " ")}`,
+});
+
+// Notifications about a request link to the request
+const notifyParty = (conn, userId, type, requestId, title, message) =>
+  notify(conn, {
+    userId,
+    type,
+    entityType: "service_request",
+    entityId: requestId,
+    title,
+    message,
+  });
+
+const archiveChat = (conn, requestId) =>
+  conn.execute(
+    `UPDATE chats SET is_archived = TRUE, archived_at = NOW()
+     WHERE service_request_id = ? AND is_archived = FALSE`,
+    [requestId],
+  );
+
+const partiesOf = (request) => ({
+  requestId: request.id,
+  requesterId: request.requester_user_id,
+  employeeId: request.employee_user_id,
+});
+
+// Guard for transitions that must wait until a dispute is resolved
+const refuseWhileDisputed = async (conn, request) => {
+  const [openDisputes] = await conn.execute(
+    `SELECT id FROM disputes
+     WHERE service_request_id = ? AND status IN ('open', 'investigating')`,
+    [request.id],
+  );
+  return openDisputes.length > 0 ? REQUEST_ERRORS.DISPUTED : null;
+};
+
+/**
+ * Allowed transitions.
+ *   label   : verb used in error messages
+ *   by      : { party: [statuses it may act from] }
+ *   to      : resulting status
+ *   set     : extra columns updated with the status ({ params } from ctx)
+ *   guard   : async (conn, request, ctx) => denial or null
+ *   effects : async (conn, request, ctx) => result returned to the route
+ *             (ctx.party is the party that triggered the transition)
+ */
+const TRANSITIONS = {
+  accept: {
+    label: "accept",
+    by: { employee: ["pending"] },
+    to: "employee_accepted",
+    set: (ctx) => ({
+      sql: "employee_response = ?, initial_acceptance = TRUE, accepted_at = NOW()",
+      params: [ctx.employeeResponse ?? null],
+    }),
+    // ctx.quoteAmount: the employee answered with a quote (see quotes.js)
+    effects: async (conn, request, ctx) => {
+      await notifyParty(
+        conn,
+        request.requester_user_id,
+        "request_accepted",
+        request.id,
+        "Service Request Accepted",
+        ctx.quoteAmount
+          ? `Your request for "${request.title}" has been accepted with a quote of $${ctx.quoteAmount.toFixed(2)}. Accept, counter or decline it before confirming.`
+          : `Your request for "${request.title}" has been accepted! Please confirm to start the service.`,
+      );
+    },
+  },
+
+  reject: {
+    label: "reject",
+    by: { employee: ["pending"] },
+    to: "cancelled",
+    set: (ctx) => ({
+      sql: "employee_response = ?",
+      params: [ctx.note || null],
+    }),
+    effects: async (conn, request, ctx) => {
+      await notifyParty(
+        conn,
+        request.requester_user_id,
+        "request_rejected",
+        request.id,
+        "Service Request Declined",
+        `Your request for "${request.title}" was declined.${ctx.note ? ` ${ctx.note}` : ""}`,
+      );
+    },
+  },
+
+  confirm: {
+    label: "confirm",
+    by: { requester: ["employee_accepted"] },
+    to: "in_progress",
+    set: () => ({
+      sql: "final_acceptance = TRUE, user_confirmed_at = NOW(), started_at = NOW()",
+      params: [],
+    }),
+    guard: async (conn, request) => {
+      // [QUOTES] The latest offer, if any, must have been accepted
+      const [quotes] = await conn.execute(
+        `SELECT status FROM request_quotes
+         WHERE service_request_id = ?
+         ORDER BY id DESC LIMIT 1`,
+        [request.id],
+      );
+      return quotes.length > 0 && quotes[0].status !== "accepted"
+        ? REQUEST_ERRORS.QUOTE_OPEN
+        : null;
+    },
+    effects: async (conn, request) => {
+      // [ESCROW LEDGER] Hold the requester's funds until the service is closed
+      await holdFunds(conn, { ...partiesOf(request), amount: request.amount });
+
+      const [chat] = await conn.execute(
+        "INSERT INTO chats (service_request_id, is_archived) VALUES (?, FALSE)",
+        [request.id],
+      );
+
+      await notifyParty(
+        conn,
+        request.employee_user_id,
+        "user_confirmed",
+        request.id,
+        "Request Confirmed",
+        `The user has confirmed the request for "${request.title}". Chat is now open!`,
+      );
+      await notifyParty(
+        conn,
+        request.requester_user_id,
+        "service_started",
+        request.id,
+        "Service Started",
+        `Your service "${request.title}" has started. Chat with your employee is now open!`,
+      );
+
+      return { chatId: chat.insertId };
+    },
+  },
+
+  complete: {
+    label: "mark complete",
+    by: { employee: ["in_progress"] },
+    to: "pending_completion",
+    set: () => ({ sql: "completed_at = NOW()", params: [] }),
+    effects: async (conn, request, ctx) => {
+      await conn.execute(
+        `INSERT INTO service_completions (service_request_id, employee_completion_notes, status, submitted_by_employee_at)
+         VALUES (?, ?, 'pending_review', NOW())`,
+        [request.id, ctx.note || null],
+      );
+
+      await notifyParty(
+        conn,
+        request.requester_user_id,
+        "completion_requested",
+        request.id,
+        "Completion Pending Review",
+        `The employee has marked "${request.title}" as complete. Admin will review shortly.`,
+      );
+    },
+  },
+
+  // Requesters can back out until the service starts; after that they
+  // open a dispute instead. Employees can cancel until they mark it done.
+  cancel: {
+    label: "cancel",
+    by: {
+      requester: ["pending", "employee_accepted"],
+      employee: ["pending", "employee_accepted", "in_progress"],
+    },
+    to: "cancelled",
+    // The dispute decides where held funds go, so it must be resolved first
+    guard: refuseWhileDisputed,
+    effects: async (conn, request, ctx) => {
+      // [ESCROW LEDGER] Return any held funds to the requester
+      const { refunded } = await refundFunds(conn, {
+        ...partiesOf(request),
+        amount: request.amount,
+      });
+      await archiveChat(conn, request.id);
+
+      // Let the other party know
+      const byRequester = ctx.party === "requester";
+      await notifyParty(
+        conn,
+        byRequester ? request.employee_user_id : request.requester_user_id,
+        "request_cancelled",
+        request.id,
+        "Service Request Cancelled",
+        `The request for "${request.title}" was cancelled by the ${byRequester ? "requester" : "employee"}.`,
+      );
+
+      return { refunded };
+    },
+  },
+
+  // Scheduler: nobody answered (pending) or the requester never confirmed
+  // (employee_accepted) within the SLA window. Funds are only held on
+  // confirm, so there is nothing to refund.
+  expire: {
+    label: "expire",
+    by: { system: ["pending", "employee_accepted"] },
+    to: "cancelled",
+    effects: async (conn, request) => {
+      const unanswered = request.status === "pending";
+      await notifyParty(
+        conn,
+        request.requester_user_id,
+        "request_expired",
+        request.id,
+        "Service Request Expired",
+        unanswered
+          ? `Your request for "${request.title}" expired because the employee did not respond in time.`
+          : `Your request for "${request.title}" was cancelled because it was not confirmed in time.`,
+      );
+      await notifyParty(
+        conn,
+        request.employee_user_id,
+        "request_expired",
+        request.id,
+        "Service Request Expired",
+        unanswered
+          ? `The request for "${request.title}" expired before you responded.`
+          : `The request for "${request.title}" was cancelled because the user did not confirm in time.`,
+      );
+    },
+  },
+
+  approve_completion: {
+    label: "close",
+    by: { admin: ["pending_completion"] },
+    to: "closed",
+    set: () => ({ sql: "closed_at = NOW()", params: [] }),
+    // Completion approval is frozen while a dispute is unresolved
+    guard: refuseWhileDisputed,
+    effects: async (conn, request) => {
+      await archiveChat(conn, request.id);
+
+      // [ESCROW LEDGER] Release the held funds to the employee minus the
+      // commission rule in effect for this service
+      const commission = await getCommissionForRequest(conn, request.id);
+      const { earnings } = await releaseFunds(conn, {
+        ...partiesOf(request),
+        amount: request.amount,
+        commissionRate: commission.rate,
+        commissionRuleId: commission.ruleId,
+      });
+
+      await conn.execute(
+        `UPDATE employee_profiles SET total_services_completed = total_services_completed + 1 WHERE user_id = ?`,
+        [request.employee_user_id],
+      );
+
+      await notifyParty(
+        conn,
+        request.employee_user_id,
+        "payment_received",
+        request.id,
+        "Payment Received!",
+        `You earned $${earnings.toFixed(2)} for completing "${request.title}". The chat has been archived.`,
+      );
+      await notifyParty(
+        conn,
+        request.requester_user_id,
+        "service_completed",
+        request.id,
+        "Service Completed",
+        `Your service "${request.title}" has been completed and closed. Thank you for using GamerHelpers!`,
+      );
+
+      return { employeeEarnings: earnings };
+    },
+  },
+
+  reopen: {
+    label: "reopen",
+    by: { admin: ["pending_completion"] },
+    to: "in_progress",
+    set: () => ({ sql: "completed_at = NULL", params: [] }),
+    effects: async (conn, request, ctx) => {
+      await notifyParty(
+        conn,
+        request.employee_user_id,
+        "service_reopened",
+        request.id,
+        "Service Reopened",
+        `Admin has reopened "${request.title}". Reason: ${ctx.note || "Additional work needed"}`,
+      );
+      await notifyParty(
+        conn,
+        request.requester_user_id,
+        "service_reopened",
+        request.id,
+        "Service Reopened",
+        `The service "${request.title}" has been reopened for additional work.`,
+      );
+    },
+  },
+
+  // Dispute resolution: a full refund cancels the request
+  refund: {
+    label: "refund",
+    by: { admin: ACTIVE_STATUSES },
+    to: "cancelled",
+    effects: async (conn, request) => {
+      // [ESCROW LEDGER] Everything held goes back to the requester
+      const { refunded } = await refundFunds(conn, {
+        ...partiesOf(request),
+        amount: request.amount,
+        fullRefund: true,
+      });
+      await archiveChat(conn, request.id);
+      return { requesterRefund: refunded, employeeEarnings: 0 };
+    },
+  },
+
+  // Dispute resolution: release ctx.employeeShare percent to the employee,
+  // refund the rest, and close the request
+  settle: {
+    label: "settle",
+    by: { admin: ACTIVE_STATUSES },
+    to: "closed",
+    set: () => ({ sql: "closed_at = NOW()", params: [] }),
+    effects: async (conn, request, ctx) => {
+      const amount = parseFloat(request.amount);
+      const employeeGross = Math.round(amount * ctx.employeeShare) / 100;
+
+      // [ESCROW LEDGER] Release the employee's share, refund the rest
+      let employeeEarnings = 0;
+      if (employeeGross > 0) {
+        const commission = await getCommissionForRequest(conn, request.id);
+        const released = await releaseFunds(conn, {
+          ...partiesOf(request),
+          amount: employeeGross,
+          commissionRate: commission.rate,
+          commissionRuleId: commission.ruleId,
+        });
+        employeeEarnings = released.earnings;
+      }
+
+      const { refunded } = await refundFunds(conn, {
+        ...partiesOf(request),
+        amount: amount - employeeGross,
+        fullRefund: false,
+      });
+
+      if (ctx.employeeShare === 100) {
+        await conn.execute(
+          `UPDATE employee_profiles SET total_services_completed = total_services_completed + 1 WHERE user_id = ?`,
+          [request.employee_user_id],
+        );
+      }
+
+      await archiveChat(conn, request.id);
+      return { requesterRefund: refunded, employeeEarnings };
+    },
+  },
+};
+
+/**
+ * Append an entry to a request's history.
+ * @param {object} event - { requestId, eventType, fromStatus, toStatus,
+ *   actorType ('requester' | 'employee' | 'admin' | 'system'), actorId, note }
+ */
+export const recordRequestEvent = (
+  conn,
+  { requestId, eventType, fromStatus, toStatus, actorType, actorId, note },
+) =>
+  conn.execute(
+    `INSERT INTO service_request_events
+       (service_request_id, event_type, from_status, to_status, actor_type, actor_id, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      requestId,
+      eventType,
+      fromStatus ?? null,
+      toStatus,
+      actorType,
+      actorId ?? null,
+      note || null,
+    ],
+  );
+
+/**
+ * Which parties the actor is on this request.
+ * @param {object} actor - { userId, role } from verifyToken, or
+ *   { role: "system" } for scheduled actions
+ */
+const partiesFor = (request, actor) => {
+  if (actor.role === "admin") return ["admin"];
+  if (actor.role === "system") return ["system"];
+  const parties = [];
+  if (actor.userId === request.requester_user_id) parties.push("requester");
+  if (actor.userId === request.employee_user_id) parties.push("employee");
+  return parties;
+};
+
+/**
+ * Move a service request through one transition.
+ * @param {object} conn - database connection inside a transaction
+ * @param {number|string} requestId - the service request ID
+ * @param {string} action - key of TRANSITIONS
+ * @param {object} options - { actor: { userId, role }, note, ...ctx for the action }
+ * @returns {object} { request, result } on success, { denied } otherwise
+ */
+export const transitionRequest = async (
+  conn,
+  requestId,
+  action,
+  { actor, ...ctx },
+) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown request transition: ${action}`);
+  }
+
+  const [rows] = await conn.execute(
+    `SELECT sr.*, ps.title
+     FROM service_requests sr
+     JOIN published_services ps ON sr.published_service_id = ps.id
+     WHERE sr.id = ? FOR UPDATE`,
+    [requestId],
+  );
+  if (rows.length === 0) return { denied: REQUEST_ERRORS.NOT_FOUND };
+  const request = rows[0];
+
+  const parties = partiesFor(request, actor).filter(
+    (party) => transition.by[party],
+  );
+  if (parties.length === 0) return { denied: REQUEST_ERRORS.NOT_ALLOWED };
+  const party = parties.find((p) => transition.by[p].includes(request.status));
+  if (!party) {
+    return { denied: invalidTransition(transition.label, request.status) };
+  }
+  ctx.party = party;
+
+  if (transition.guard) {
+    const denied = await transition.guard(conn, request, ctx);
+    if (denied) return { denied };
+  }
+
+  const extra = transition.set ? transition.set(ctx) : { sql: "", params: [] };
+  await conn.execute(
+    `UPDATE service_requests
+     SET status = ?${extra.sql ? `, ${extra.sql}` : ""}
+     WHERE id = ?`,
+    [transition.to, ...extra.params, request.id],
+  );
+
+  const result = transition.effects
+    ? await transition.effects(conn, request, ctx)
+    : undefined;
+
+  await recordRequestEvent(conn, {
+    requestId: request.id,
+    eventType: action,
+    fromStatus: request.status,
+    toStatus: transition.to,
+    actorType: party,
+    actorId: actor.userId,
+    note: ctx.note,
+  });
+
+  return {
+    request: {
+      ...request,
+      previous_status: request.status,
+      status: transition.to,
+    },
+    result: result || {},
+  };
+};
@@ -0,0 +1,476 @@
+// ==========================================
+// REVIEWS & REQUESTER RATINGS
+// ==========================================
+// Reviews are two-sided once a service request is closed:
+//   - the requester reviews the employee: one public review per request,
+//     which counts towards the employee's rating
+//   - the employee can post one public reply to that review
+//   - the employee rates the requester privately (requester_ratings).
+//     Only employees and admins see these, as a trust score on incoming
+//     requests; the requester never does.
+//
+// Both ratings can only be left within REVIEW_WINDOW_DAYS of the request
+// closing. Replies are not time-limited.
+//
+// Moderation: anyone signed in can report a review (once per review).
+// Reported reviews wait in the admin queue, where an admin hides,
+// restores or deletes them, or dismisses the reports. Hidden reviews stay
+// visible to the two parties but leave the coach's public list and
+// rating, which is recalculated on every change.
+//
+// Denials use the same { status, code, error } shape as the request
+// state machine, so routes answer them with sendRequestError().
+// ==========================================
+
+import { REQUEST_ERRORS } from "./requestStateMachine.js";
+import { notify } from "./notifications.js";
+
+export const REVIEW_WINDOW_DAYS = 30;
+export const MAX_REVIEW_LENGTH = 2000;
+export const MAX_REPLY_LENGTH = 1000;
+
+export const REPORT_REASONS = {
+  abusive: "Abusive or harassing",
+  spam: "Spam or advertising",
+  off_topic: "Not about the service",
+  personal_info: "Shares personal information",
+  other: "Other",
+};
+
+export const REVIEW_ERRORS = {
+  NOT_CLOSED: {
+    status: 409,
+    code: "REVIEW_NOT_CLOSED",
+    error: "Reviews can be left once the service is closed",
+  },
+  WINDOW_CLOSED: {
+    status: 409,
+    code: "REVIEW_WINDOW_CLOSED",
+    error: `Reviews can only be left within ${REVIEW_WINDOW_DAYS} days of the service closing`,
+  },
+  ALREADY_REVIEWED: {
+    status: 409,
+    code: "REVIEW_EXISTS",
+    error: "This request has already been reviewed",
+  },
+  ALREADY_RATED: {
+    status: 409,
+    code: "REQUESTER_RATING_EXISTS",
+    error: "You have already rated this client",
+  },
+  REVIEW_NOT_FOUND: {
+    status: 404,
+    code: "REVIEW_NOT_FOUND",
+    error: "Review not found",
+  },
+  ALREADY_REPLIED: {
+    status: 409,
+    code: "REVIEW_REPLY_EXISTS",
+    error: "You have already replied to this review",
+  },
+  ALREADY_REPORTED: {
+    status: 409,
+    code: "REVIEW_ALREADY_REPORTED",
+    error: "You have already reported this review",
+  },
+  ALREADY_HIDDEN: {
+    status: 409,
+    code: "REVIEW_ALREADY_HIDDEN",
+    error: "This review is already hidden",
+  },
+  NOT_HIDDEN: {
+    status: 409,
+    code: "REVIEW_NOT_HIDDEN",
+    error: "This review is not hidden",
+  },
+};
+
+/**
+ * Validate a rating and optional text from a request body.
+ * Text is passed through sanitize (the server's sanitizeInput).
+ * @returns {object} { rating, text } or { error }
+ */
+export const parseRating = (body, textField, sanitize) => {
+  const rating = Number(body.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return { error: "Rating must be a whole number from 1 to 5" };
+  }
+  const text = body[textField] ? sanitize(String(body[textField]).trim()) : "";
+  if (text.length > MAX_REVIEW_LENGTH) {
+    return { error: `At most ${MAX_REVIEW_LENGTH} characters` };
+  }
+  return { rating, text: text || null };
+};
+
+// When the rating window of a closed request ends. Requests closed before
+// closed_at was recorded fall back to their last update.
+const windowEnd = (request) => {
+  const closed = new Date(request.closed_at || request.updated_at);
+  return new Date(closed.getTime() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Lock a request for rating by one of its parties. party is "requester"
+// or "employee"; admins never rate.
+const lockForRating = async (conn, requestId, actor, party, now) => {
+  const [rows] = await conn.execute(
+    `SELECT sr.id, sr.status, sr.requester_user_id, sr.employee_user_id,
+            sr.closed_at, sr.updated_at, ps.title
+     FROM service_requests sr
+     JOIN published_services ps ON sr.published_service_id = ps.id
+     WHERE sr.id = ? FOR UPDATE`,
+    [requestId],
+  );
+  if (rows.length === 0) return { denied: REQUEST_ERRORS.NOT_FOUND };
+  const request = rows[0];
+
+  const partyId =
+    party === "requester"
+      ? request.requester_user_id
+      : request.employee_user_id;
+  if (actor.role === "admin" || actor.userId !== partyId) {
+    return { denied: REQUEST_ERRORS.NOT_ALLOWED };
+  }
+  if (request.status !== "closed") return { denied: REVIEW_ERRORS.NOT_CLOSED };
+  if (now > windowEnd(request)) return { denied: REVIEW_ERRORS.WINDOW_CLOSED };
+  return { request };
+};
+
+/**
+ * Recalculate an employee's rating and review count from their visible
+ * reviews. Call after any review is added, hidden, restored or deleted.
+ */
+export const refreshEmployeeRating = async (conn, employeeId) => {
+  const [ratings] = await conn.execute(
+    `SELECT AVG(rating) as avg_rating, COUNT(*) as total
+     FROM reviews WHERE reviewed_user_id = ? AND is_hidden = FALSE`,
+    [employeeId],
+  );
+  await conn.execute(
+    "UPDATE employee_profiles SET rating = ?, total_reviews = ? WHERE user_id = ?",
+    [ratings[0].avg_rating || 0, ratings[0].total, employeeId],
+  );
+};
+
+/**
+ * The requester reviews the employee of a closed request.
+ * @returns {object} { reviewId } or { denied }
+ */
+export const createReview = async (
+  conn,
+  requestId,
+  actor,
+  { rating, text },
+  now = new Date(),
+) => {
+  const { request, denied } = await lockForRating(
+    conn,
+    requestId,
+    actor,
+    "requester",
+    now,
+  );
+  if (denied) return { denied };
+
+  const [existing] = await conn.execute(
+    "SELECT id FROM reviews WHERE service_request_id = ?",
+    [request.id],
+  );
+  if (existing.length > 0) return { denied: REVIEW_ERRORS.ALREADY_REVIEWED };
+
+  const [review] = await conn.execute(
+    `INSERT INTO reviews (service_request_id, reviewer_user_id, reviewed_user_id, rating, review_text)
+     VALUES (?, ?, ?, ?, ?)`,
+    [request.id, actor.userId, request.employee_user_id, rating, text],
+  );
+  await refreshEmployeeRating(conn, request.employee_user_id);
+
+  await notify(conn, {
+    userId: request.employee_user_id,
+    type: "review_received",
+    entityType: "service_request",
+    entityId: request.id,
+    title: "New Review",
+    message: `You received a ${rating}-star review for "${request.title}".`,
+  });
+
+  return { reviewId: review.insertId };
+};
+
+/**
+ * The reviewed employee posts their one public reply to a review.
+ * @returns {object} { success: true } or { denied }
+ */
+export const replyToReview = async (conn, reviewId, actor, replyText) => {
+  const [rows] = await conn.execute(
+    `SELECT r.id, r.service_request_id, r.reviewer_user_id, r.reviewed_user_id,
+            r.reply_text, ps.title
+     FROM reviews r
+     JOIN service_requests sr ON r.service_request_id = sr.id
+     JOIN published_services ps ON sr.published_service_id = ps.id
+     WHERE r.id = ? FOR UPDATE`,
+    [reviewId],
+  );
+  if (rows.length === 0) return { denied: REVIEW_ERRORS.REVIEW_NOT_FOUND };
+  const review = rows[0];
+
+  if (actor.role === "admin" || actor.userId !== review.reviewed_user_id) {
+    return { denied: REQUEST_ERRORS.NOT_ALLOWED };
+  }
+  if (review.reply_text) return { denied: REVIEW_ERRORS.ALREADY_REPLIED };
+
+  await conn.execute(
+    "UPDATE reviews SET reply_text = ?, replied_at = NOW() WHERE id = ?",
+    [replyText, review.id],
+  );
+
+  await notify(conn, {
+    userId: review.reviewer_user_id,
+    type: "review_replied",
+    entityType: "service_request",
+    entityId: review.service_request_id,
+    title: "Reply to Your Review",
+    message: `Your coach replied to your review of "${review.title}".`,
+  });
+
+  return { success: true };
+};
+
+/**
+ * The employee privately rates the requester of a closed request.
+ * @returns {object} { success: true } or { denied }
+ */
+export const rateRequester = async (
+  conn,
+  requestId,
+  actor,
+  { rating, text },
+  now = new Date(),
+) => {
+  const { request, denied } = await lockForRating(
+    conn,
+    requestId,
+    actor,
+    "employee",
+    now,
+  );
+  if (denied) return { denied };
+
+  const [existing] = await conn.execute(
+    "SELECT id FROM requester_ratings WHERE service_request_id = ?",
+    [request.id],
+  );
+  if (existing.length > 0) return { denied: REVIEW_ERRORS.ALREADY_RATED };
+
+  await conn.execute(
+    `INSERT INTO requester_ratings (service_request_id, employee_user_id, requester_user_id, rating, note)
+     VALUES (?, ?, ?, ?, ?)`,
+    [request.id, actor.userId, request.requester_user_id, rating, text],
+  );
+  return { success: true };
+};
+
+/**
+ * What a party of a request can still do after it closes: its review
+ * (with reply), whether it can be left, and for the employee their
+ * private rating of the requester.
+ * @returns {object} { status } or { denied }
+ */
+export const getReviewStatus = async (
+  conn,
+  requestId,
+  actor,
+  now = new Date(),
+) => {
+  const [rows] = await conn.execute(
+    `SELECT id, status, requester_user_id, employee_user_id, closed_at, updated_at
+     FROM service_requests WHERE id = ?`,
+    [requestId],
+  );
+  if (rows.length === 0) return { denied: REQUEST_ERRORS.NOT_FOUND };
+  const request = rows[0];
+
+  const party =
+    actor.role === "admin"
+      ? null
+      : actor.userId === request.requester_user_id
+        ? "requester"
+        : actor.userId === request.employee_user_id
+          ? "employee"
+          : null;
+  if (!party) return { denied: REQUEST_ERRORS.NOT_ALLOWED };
+
+  const closed = request.status === "closed";
+  const deadline = closed ? windowEnd(request) : null;
+  const windowOpen = closed && now <= deadline;
+
+  const [reviews] = await conn.execute(
+    `SELECT id, rating, review_text, reply_text, replied_at, is_hidden, created_at
+     FROM reviews WHERE service_request_id = ?
+     ORDER BY id ASC LIMIT 1`,
+    [request.id],
+  );
+  const review = reviews[0] || null;
+
+  const status = {
+    party,
+    closed,
+    review_deadline: deadline,
+    review,
+    can_review: party === "requester" && windowOpen && !review,
+    can_reply: party === "employee" && !!review && !review.reply_text,
+  };
+
+  if (party === "employee") {
+    const [ratings] = await conn.execute(
+      "SELECT rating, note, created_at FROM requester_ratings WHERE service_request_id = ?",
+      [request.id],
+    );
+    status.requester_rating = ratings[0] || null;
+    status.can_rate_requester = windowOpen && ratings.length === 0;
+  }
+
+  return { status };
+};
+
+/**
+ * Public rating summary of an employee: count of visible reviews per star.
+ * @returns {object} { 1: n, 2: n, 3: n, 4: n, 5: n }
+ */
+export const getRatingBreakdown = async (conn, employeeId) => {
+  const [rows] = await conn.execute(
+    `SELECT rating, COUNT(*) as count FROM reviews
+     WHERE reviewed_user_id = ? AND is_hidden = FALSE
+     GROUP BY rating`,
+    [employeeId],
+  );
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const row of rows) breakdown[row.rating] = Number(row.count);
+  return breakdown;
+};
+
+/**
+ * Validate a report from a request body: { reason, details }.
+ * @returns {object} { reason, details } or { error }
+ */
+export const parseReport = (body, sanitize) => {
+  if (!Object.hasOwn(REPORT_REASONS, body.reason)) {
+    return {
+      error: `Reason must be one of: ${Object.keys(REPORT_REASONS).join(", ")}`,
+    };
+  }
+  const details = body.details ? sanitize(String(body.details).trim()) : "";
+  if (details.length > 500) {
+    return { error: "Details must be at most 500 characters" };
+  }
+  return { reason: body.reason, details: details || null };
+};
+
+/**
+ * Report a visible review for moderation.
+ * @returns {object} { reportId } or { denied }
+ */
+export const reportReview = async (
+  conn,
+  reviewId,
+  actor,
+  { reason, details },
+) => {
+  const [reviews] = await conn.execute(
+    "SELECT id, is_hidden FROM reviews WHERE id = ?",
+    [reviewId],
+  );
+  if (reviews.length === 0 || reviews[0].is_hidden) {
+    return { denied: REVIEW_ERRORS.REVIEW_NOT_FOUND };
+  }
+
+  // Admin IDs are from the admin table and may collide with user IDs
+  if (actor.role === "admin") return { denied: REQUEST_ERRORS.NOT_ALLOWED };
+
+  const [existing] = await conn.execute(
+    "SELECT id FROM review_reports WHERE review_id = ? AND reporter_user_id = ?",
+    [reviewId, actor.userId],
+  );
+  if (existing.length > 0) return { denied: REVIEW_ERRORS.ALREADY_REPORTED };
+
+  const [result] = await conn.execute(
+    `INSERT INTO review_reports (review_id, reporter_user_id, reason, details)
+     VALUES (?, ?, ?, ?)`,
+    [reviewId, actor.userId, reason, details],
+  );
+  return { reportId: result.insertId };
+};
+
+// Lock a review for an admin action
+const lockReview = async (conn, reviewId) => {
+  const [reviews] = await conn.execute(
+    `SELECT id, service_request_id, reviewed_user_id, rating, is_hidden
+     FROM reviews WHERE id = ? FOR UPDATE`,
+    [reviewId],
+  );
+  return reviews[0] || null;
+};
+
+// Close the open reports of a review as 'actioned' or 'dismissed'
+const resolveReports = (conn, reviewId, status, adminId) =>
+  conn.execute(
+    `UPDATE review_reports
+     SET status = ?, resolved_at = NOW(), resolved_by_admin = ?
+     WHERE review_id = ? AND status = 'open'`,
+    [status, adminId, reviewId],
+  );
+
+/**
+ * Hide or restore a review. Hiding closes its open reports; both
+ * recalculate the employee's rating.
+ * @returns {object} { review } or { denied }
+ */
+export const setReviewHidden = async (
+  conn,
+  reviewId,
+  hidden,
+  { adminId, reason },
+) => {
+  const review = await lockReview(conn, reviewId);
+  if (!review) return { denied: REVIEW_ERRORS.REVIEW_NOT_FOUND };
+  if (hidden && review.is_hidden)
+    return { denied: REVIEW_ERRORS.ALREADY_HIDDEN };
+  if (!hidden && !review.is_hidden) return { denied: REVIEW_ERRORS.NOT_HIDDEN };
+
+  await conn.execute(
+    hidden
+      ? `UPDATE reviews SET is_hidden = TRUE, hidden_reason = ?, hidden_at = NOW(), hidden_by_admin = ?
+         WHERE id = ?`
+      : `UPDATE reviews SET is_hidden = FALSE, hidden_reason = NULL, hidden_at = NULL, hidden_by_admin = NULL
+         WHERE id = ?`,
+    hidden ? [reason, adminId, review.id] : [review.id],
+  );
+  if (hidden) await resolveReports(conn, review.id, "actioned", adminId);
+  await refreshEmployeeRating(conn, review.reviewed_user_id);
+
+  return { review };
+};
+
+/**
+ * Dismiss the open reports of a review, leaving it visible.
+ * @returns {object} { dismissed } or { denied }
+ */
+export const dismissReports = async (conn, reviewId, adminId) => {
+  const review = await lockReview(conn, reviewId);
+  if (!review) return { denied: REVIEW_ERRORS.REVIEW_NOT_FOUND };
+  const [result] = await resolveReports(conn, review.id, "dismissed", adminId);
+  return { dismissed: result.affectedRows };
+};
+
+/**
+ * Delete a review for good (its reports go with it) and recalculate the
+ * employee's rating.
+ * @returns {object} { review } or { denied }
+ */
+export const deleteReview = async (conn, reviewId) => {
+  const review = await lockReview(conn, reviewId);
+  if (!review) return { denied: REVIEW_ERRORS.REVIEW_NOT_FOUND };
+
+  await conn.execute("DELETE FROM reviews WHERE id = ?", [review.id]);
+  await refreshEmployeeRating(conn, review.reviewed_user_id);
+  return { review };
+};
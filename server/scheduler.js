@@ -0,0 +1,250 @@
+// ==========================================
+// REQUEST SLA SCHEDULER
+// ==========================================
+// Runs inside the API process on an interval and enforces the request
+// time limits:
+//   - pending requests nobody answered are expired
+//   - accepted requests the requester never confirmed are cancelled
+//   - completion reviews waiting on an admin too long are escalated
+//     (flagged on service_completions and surfaced on the dashboard)
+// and then delivers queued notification emails (immediate and digest).
+//
+// Status changes go through the request state machine as the "system"
+// actor, so they get the same checks, notifications and timeline entries
+// as user actions. Each request is handled in its own transaction; one
+// failure doesn't stop the rest of the run.
+//
+// The clock is injectable: createScheduler({ clock }) and runOnce(now)
+// let a test run a pass at any point in time without waiting.
+// ==========================================
+
+import {
+  transitionRequest,
+  recordRequestEvent,
+} from "./requestStateMachine.js";
+import {
+  notify,
+  deliverEmails,
+  publishNotifications,
+} from "./notifications.js";
+import { getMailTransport } from "./mail/index.js";
+
+const hoursFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return value > 0 ? value : fallback;
+};
+
+// Windows in hours, configurable through the environment
+export const SLA_SETTINGS = {
+  pendingExpiryHours: hoursFromEnv("REQUEST_PENDING_EXPIRY_HOURS", 72),
+  confirmExpiryHours: hoursFromEnv("REQUEST_CONFIRM_EXPIRY_HOURS", 48),
+  reviewEscalationHours: hoursFromEnv("COMPLETION_REVIEW_SLA_HOURS", 48),
+};
+
+const DEFAULT_INTERVAL_MS =
+  hoursFromEnv("SCHEDULER_INTERVAL_MINUTES", 5) * 60 * 1000;
+
+const hoursBefore = (now, hours) =>
+  new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+/**
+ * Expire one request as the system actor, in its own transaction.
+ * @returns {boolean} true if the request was expired
+ */
+const expireRequest = async (pool, requestId, note) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    // The row may have moved on since it was selected; the state machine
+    // re-checks the status under the row lock and denies if so
+    const { denied } = await transitionRequest(conn, requestId, "expire", {
+      actor: { role: "system" },
+      note,
+    });
+    if (denied) {
+      await conn.rollback();
+      return false;
+    }
+
+    await conn.commit();
+    await publishNotifications(conn);
+    return true;
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error(`Scheduler expire request ${requestId} error:`, err);
+    return false;
+  } finally {
+    if (conn) conn.end();
+  }
+};
+
+/**
+ * Flag one overdue completion review and tell both parties.
+ * @returns {boolean} true if the completion was escalated
+ */
+const escalateReview = async (pool, completion, now, hours) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [result] = await conn.execute(
+      `UPDATE service_completions SET escalated_at = ?
+       WHERE id = ? AND status = 'pending_review' AND escalated_at IS NULL`,
+      [now, completion.id],
+    );
+    if (result.affectedRows === 0) {
+      await conn.rollback();
+      return false;
+    }
+
+    await recordRequestEvent(conn, {
+      requestId: completion.service_request_id,
+      eventType: "escalate",
+      fromStatus: "pending_completion",
+      toStatus: "pending_completion",
+      actorType: "system",
+      note: `Completion review waiting more than ${hours} hours`,
+    });
+
+    for (const userId of [
+      completion.employee_user_id,
+      completion.requester_user_id,
+    ]) {
+      await notify(conn, {
+        userId,
+        type: "completion_overdue",
+        entityType: "service_request",
+        entityId: completion.service_request_id,
+        title: "Completion Review Escalated",
+        message: `The completion review for "${completion.title}" is taking longer than expected and has been escalated to our admin team.`,
+      });
+    }
+
+    await conn.commit();
+    await publishNotifications(conn);
+    return true;
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error(`Scheduler escalate completion ${completion.id} error:`, err);
+    return false;
+  } finally {
+    if (conn) conn.end();
+  }
+};
+
+/**
+ * Create the SLA scheduler.
+ * @param {object} options - { pool, clock = () => new Date(), settings,
+ *   intervalMs, mailTransport }
+ * @returns {object} { runOnce(now?), start(), stop() }
+ */
+export const createScheduler = ({
+  pool,
+  clock = () => new Date(),
+  settings = SLA_SETTINGS,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  mailTransport = getMailTransport(),
+}) => {
+  let timer = null;
+  let running = false;
+
+  /**
+   * One pass over all SLA rules.
+   * @returns {object} { expired, unconfirmed, escalated, emails } counts
+   */
+  const runOnce = async (now = clock()) => {
+    const summary = { expired: 0, unconfirmed: 0, escalated: 0 };
+    let conn;
+    let pending, unconfirmed, overdue;
+    try {
+      conn = await pool.getConnection();
+
+      [pending] = await conn.execute(
+        `SELECT id FROM service_requests WHERE status = 'pending' AND created_at < ?`,
+        [hoursBefore(now, settings.pendingExpiryHours)],
+      );
+      [unconfirmed] = await conn.execute(
+        `SELECT id FROM service_requests
+         WHERE status = 'employee_accepted' AND accepted_at < ?`,
+        [hoursBefore(now, settings.confirmExpiryHours)],
+      );
+      [overdue] = await conn.execute(
+        `SELECT sc.id, sc.service_request_id, sr.employee_user_id, sr.requester_user_id, ps.title
+         FROM service_completions sc
+         JOIN service_requests sr ON sc.service_request_id = sr.id
+         JOIN published_services ps ON sr.published_service_id = ps.id
+         WHERE sc.status = 'pending_review' AND sc.escalated_at IS NULL
+           AND sc.submitted_by_employee_at < ?`,
+        [hoursBefore(now, settings.reviewEscalationHours)],
+      );
+    } finally {
+      if (conn) conn.end();
+    }
+
+    for (const { id } of pending) {
+      const note = `No response within ${settings.pendingExpiryHours} hours`;
+      if (await expireRequest(pool, id, note)) summary.expired++;
+    }
+    for (const { id } of unconfirmed) {
+      const note = `Not confirmed within ${settings.confirmExpiryHours} hours of acceptance`;
+      if (await expireRequest(pool, id, note)) summary.unconfirmed++;
+    }
+    for (const completion of overdue) {
+      const hours = settings.reviewEscalationHours;
+      if (await escalateReview(pool, completion, now, hours)) {
+        summary.escalated++;
+      }
+    }
+
+    // Runs last so notifications created above go out in the same pass
+    try {
+      conn = await pool.getConnection();
+      summary.emails = await deliverEmails(conn, mailTransport, now);
+    } finally {
+      if (conn) conn.end();
+    }
+
+    return summary;
+  };
+
+  // Interval tick: skip if the previous pass is still running
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await runOnce();
+      const { sent, digests, failed } = summary.emails;
+      if (
+        summary.expired ||
+        summary.unconfirmed ||
+        summary.escalated ||
+        sent ||
+        digests ||
+        failed
+      ) {
+        console.log("Scheduler:", summary);
+      }
+    } catch (err) {
+      console.error("Scheduler run error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    runOnce,
+    start: () => {
+      if (timer) return;
+      timer = setInterval(tick, intervalMs);
+      // Don't keep the process alive just for the scheduler
+      timer.unref?.();
+    },
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
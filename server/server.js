@@ -32,14 +32,122 @@
 //    (No timed lockout — blocked until admin intervenes.)
 // ============================================================================
 
+// Load .env before any other module runs, so settings they read at
+// import time come from it too
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import mysql from "mysql2/promise";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
-import dotenv from "dotenv";
-
-dotenv.config();
+import { openStream, publish } from "./realtime.js";
+import {
+  getWalletBalance,
+  getWithdrawableBalance,
+  reserveWithdrawal,
+  reverseWithdrawal,
+  completeWithdrawal,
+} from "./ledger.js";
+import { getPayoutProvider } from "./payouts/index.js";
+import { EMPLOYEE_TIERS } from "./commission.js";
+import {
+  transitionRequest,
+  recordRequestEvent,
+  ACTIVE_STATUSES,
+} from "./requestStateMachine.js";
+import { createScheduler } from "./scheduler.js";
+import {
+  notify,
+  notifyChatMessage,
+  getNotificationPreferences,
+  publishNotifications,
+  publishUnreadCount,
+  listNotifications,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_DELIVERIES,
+} from "./notifications.js";
+import {
+  MAX_SERVICE_TAGS,
+  TAG_COLORS,
+  SERVICE_TYPE_STYLES,
+  SERVICE_TYPES,
+  parseTags,
+  normalizeServiceTags,
+  withTagDetails,
+} from "./tags.js";
+import {
+  normalizePackages,
+  parsePackages,
+  withPackages,
+  basePrice,
+  choosePackage,
+} from "./packages.js";
+import {
+  MAX_IMAGES_PER_APPLICATION,
+  receiveImages,
+  processImage,
+  storeImage,
+  deleteImage,
+  removeFiles,
+  copyImagesToService,
+  replaceServiceImages,
+  withImages,
+} from "./images.js";
+import { getStorage } from "./storage/index.js";
+import {
+  BOOKING_STATUSES,
+  MAX_SLOT_DAYS,
+  SESSION_LENGTHS,
+  getSchedule,
+  listFreeSlots,
+  reserveSlot,
+  parseSchedule,
+} from "./availability.js";
+import { buildCalendar } from "./ics.js";
+import {
+  REVIEW_WINDOW_DAYS,
+  MAX_REPLY_LENGTH,
+  REPORT_REASONS,
+  parseRating,
+  parseReport,
+  createReview,
+  replyToReview,
+  rateRequester,
+  getReviewStatus,
+  getRatingBreakdown,
+  reportReview,
+  setReviewHidden,
+  dismissReports,
+  deleteReview,
+} from "./reviews.js";
+import {
+  parseOffer,
+  getQuotes,
+  recordOffer,
+  makeOffer,
+  respondToOffer,
+} from "./quotes.js";
+import {
+  parseServiceSearch,
+  searchServices,
+  getServiceFacets,
+} from "./serviceSearch.js";
+import {
+  parseCoachSearch,
+  searchCoaches,
+  getCoachFacets,
+} from "./coachSearch.js";
+import {
+  VERIFICATION_STATUSES,
+  VERIFICATION_ERRORS,
+  parseVerification,
+  parseDecisionReason,
+  submitVerification,
+  getVerificationStatus,
+  decideVerification,
+  revokeVerification,
+} from "./verification.js";
 
 const app = express();
 
@@ -67,6 +175,12 @@ app.options(/.*/, (req, res) => {
 
 app.use(express.json({ limit: "50mb" }));
 
+// Uploaded files, when the storage backend is served by this server
+const { staticMount } = getStorage();
+if (staticMount) {
+  app.use(staticMount.route, express.static(staticMount.dir));
+}
+
 // ==========================================
 // DATABASE CONFIGURATION
 // ==========================================
@@ -303,6 +417,16 @@ const verifyToken = (req, res, next) => {
   }
 };
 
+// [SECURE AUTHENTICATION] JWT verification for event streams.
+// EventSource cannot send an Authorization header, so stream routes also
+// accept the same token as a ?token= query parameter.
+const verifyStreamToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  verifyToken(req, res, next);
+};
+
 // [SECURE AUTHENTICATION] Admin role verification middleware
 const verifyAdmin = (req, res, next) => {
   if (req.userRole !== "admin") {
@@ -1002,34 +1126,23 @@ app.put("/api/users/:id", verifyToken, async (req, res) => {
 // EMPLOYEE/COACH ENDPOINTS
 // ==========================================
 
+// Coach directory: filters, ranking and facets live in ./coachSearch.js.
+// Query: game_id, rank, min_rate, max_rate, min_years, min_rating,
+// verified=true, sort, limit, offset
 app.get("/api/coaches", async (req, res) => {
-  const { game_id, limit = 10, offset = 0 } = req.query;
+  const { filters, error } = parseCoachSearch(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
   let conn;
   try {
     conn = await pool.getConnection();
 
-    let query = `
-      SELECT u.id, u.full_name, u.profile_picture, ep.rating, ep.total_reviews, ep.total_services_completed
-      FROM users u
-      JOIN employee_profiles ep ON u.id = ep.user_id
-      WHERE u.is_employee = TRUE AND ep.is_verified = TRUE AND ep.status = 'active'
-    `;
-
-    const params = [];
-
-    if (game_id) {
-      query += ` AND u.id IN (
-        SELECT employee_id FROM employee_specializations WHERE game_id = ?
-      )`;
-      params.push(game_id);
-    }
-
-    query += ` ORDER BY ep.rating DESC LIMIT ? OFFSET ?`;
-    params.push(parseInt(limit), parseInt(offset));
-
-    const [coaches] = await conn.execute(query, params);
+    const coaches = await searchCoaches(conn, filters);
+    const { total, facets } = await getCoachFacets(conn, filters);
 
-    res.json({ coaches });
+    res.json({ coaches, total, facets });
   } catch (err) {
     console.error("Get coaches error:", err);
     res.status(500).json({ error: "Server error" });
@@ -1045,7 +1158,7 @@ app.get("/api/coaches/:id", async (req, res) => {
     conn = await pool.getConnection();
 
     const [users] = await conn.execute(
-      `SELECT u.id, u.full_name, u.profile_picture
+      `SELECT u.id, u.full_name, u.profile_picture, u.created_at
        FROM users u
        WHERE u.id = ? AND u.is_employee = TRUE`,
       [id],
@@ -1059,7 +1172,8 @@ app.get("/api/coaches/:id", async (req, res) => {
 
     // Get profile
     const [profiles] = await conn.execute(
-      `SELECT bio, rating, total_reviews, total_services_completed, rank_tier, years_experience
+      `SELECT bio, rating, total_reviews, total_services_completed, rank_tier, years_experience,
+              is_verified, verification_date
        FROM employee_profiles WHERE user_id = ?`,
       [id],
     );
@@ -1081,11 +1195,41 @@ app.get("/api/coaches/:id", async (req, res) => {
 
     // Get services
     const [services] = await conn.execute(
-      `SELECT id, title, price FROM published_services WHERE employee_id = ? AND is_active = TRUE`,
+      `SELECT ps.id, ps.employee_id, ps.title, ps.description, ps.price,
+              ps.packages, ps.tags, ps.service_type, g.name as game_name
+       FROM published_services ps
+       JOIN games g ON ps.game_id = g.id
+       WHERE ps.employee_id = ? AND ps.is_active = TRUE
+       ORDER BY ps.created_at DESC`,
       [id],
     );
 
-    coach.services = services;
+    coach.services = await withTagDetails(conn, withPackages(services));
+
+    // Completion stats: of the services that got started, how many were
+    // closed rather than cancelled or refunded along the way
+    const [stats] = await conn.execute(
+      `SELECT
+         SUM(sr.status = 'closed') as completed,
+         SUM(sr.status IN ('in_progress', 'pending_completion')) as in_progress,
+         SUM(sr.status = 'cancelled' AND EXISTS (
+           SELECT 1 FROM service_request_events e
+           WHERE e.service_request_id = sr.id AND e.to_status = 'in_progress'
+         )) as cancelled_after_start
+       FROM service_requests sr
+       WHERE sr.employee_user_id = ?`,
+      [id],
+    );
+    const completed = Number(stats[0].completed || 0);
+    const cancelledAfterStart = Number(stats[0].cancelled_after_start || 0);
+    coach.stats = {
+      completed,
+      in_progress: Number(stats[0].in_progress || 0),
+      completion_rate:
+        completed + cancelledAfterStart > 0
+          ? Math.round((completed / (completed + cancelledAfterStart)) * 100)
+          : null,
+    };
 
     res.json({ coach });
   } catch (err) {
@@ -1096,6 +1240,41 @@ app.get("/api/coaches/:id", async (req, res) => {
   }
 });
 
+// Free session slots of a coach, soonest first.
+// Query: from (YYYY-MM-DD in the coach's timezone, default today),
+// days (1-31, default 14)
+app.get("/api/coaches/:id/slots", async (req, res) => {
+  const { id } = req.params;
+  const { from, days } = req.query;
+
+  if (from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+    return res.status(400).json({ error: "from must be YYYY-MM-DD" });
+  }
+  const dayCount = Math.min(Math.max(parseInt(days) || 14, 1), MAX_SLOT_DAYS);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const result = await listFreeSlots(conn, id, {
+      from: from || null,
+      days: dayCount,
+    });
+
+    res.json({
+      timezone: result.timezone,
+      session_minutes: result.sessionMinutes,
+      scheduling: result.scheduling,
+      slots: result.slots,
+    });
+  } catch (err) {
+    console.error("Get coach slots error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
 app.post("/api/coaches/:id/specializations", verifyToken, async (req, res) => {
   const { id } = req.params;
   const { game_id, rank_in_game, years_in_game, hourly_rate, is_primary } =
@@ -1144,16 +1323,128 @@ app.post("/api/coaches/:id/specializations", verifyToken, async (req, res) => {
   }
 });
 
+// ==========================================
+// EMPLOYEE VERIFICATION ENDPOINTS
+// ==========================================
+// Employees submit rank proof; admins decide in the verification queue
+// (see ADMIN VERIFICATION ENDPOINTS and ./verification.js).
+// ==========================================
+
+// The signed-in employee's badge and latest submission
+app.get("/api/verification", verifyToken, async (req, res) => {
+  if (req.userRole === "admin") {
+    return sendRequestError(res, VERIFICATION_ERRORS.NOT_EMPLOYEE);
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const status = await getVerificationStatus(conn, req.userId);
+    if (!status) {
+      return sendRequestError(res, VERIFICATION_ERRORS.NOT_EMPLOYEE);
+    }
+
+    res.json(status);
+  } catch (err) {
+    console.error("Get verification error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// Submit proof (multipart): one screenshot in the "images" field, plus
+// account_id, rank_note and optionally game_id
+app.post("/api/verification", verifyToken, receiveImages, async (req, res) => {
+  const files = req.files || [];
+  if (files.length !== 1) {
+    return res
+      .status(400)
+      .json({ error: "Upload one screenshot of your in-game rank" });
+  }
+
+  const { gameId, accountId, rankNote, error } = parseVerification(
+    req.body || {},
+    sanitizeInput,
+  );
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let conn;
+  let stored = null;
+  // Don't leave the screenshot behind if the submission isn't saved
+  const removeScreenshot = async () => {
+    if (!stored) return;
+    const storage = getStorage();
+    await storage.remove(stored.storageKey).catch(() => {});
+    await storage.remove(stored.thumbnailKey).catch(() => {});
+  };
+
+  try {
+    // [INPUT VALIDATION] Decode the screenshot before storing it
+    const screenshot = await processImage(files[0].buffer);
+    if (screenshot.error) {
+      return res.status(400).json({ error: screenshot.error });
+    }
+    stored = await storeImage(getStorage(), screenshot, "verifications");
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const { denied, verificationId } = await submitVerification(
+      conn,
+      { userId: req.userId, role: req.userRole },
+      { gameId, accountId, rankNote },
+      stored,
+    );
+    if (denied) {
+      await conn.rollback();
+      await removeScreenshot();
+      return sendRequestError(res, denied);
+    }
+
+    await conn.commit();
+    res.status(201).json({ success: true, verification_id: verificationId });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    await removeScreenshot();
+    console.error("Submit verification error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
 // ==========================================
 // SERVICE APPLICATIONS ENDPOINTS
 // ==========================================
 
+// price is the flat price; with packages it is derived from the cheapest
+// one. See ./packages.js for the package fields.
 app.post("/api/applications", verifyToken, async (req, res) => {
-  const { game_id, title, description, price } = req.body;
+  const { game_id, title, description, price, service_type, tags, packages } =
+    req.body;
 
-  if (!game_id || !title || !description || !price) {
+  const packageCheck = normalizePackages(packages, sanitizeInput);
+  if (packageCheck.error) {
+    return res.status(400).json({ error: packageCheck.error });
+  }
+  const hasPackages = packageCheck.packages.length > 0;
+
+  if (
+    !game_id ||
+    !title ||
+    !description ||
+    (!price && !hasPackages) ||
+    !service_type
+  ) {
     return res.status(400).json({ error: "Missing required fields" });
   }
+  if (!SERVICE_TYPES.includes(service_type)) {
+    return res.status(400).json({ error: "Invalid service type" });
+  }
 
   // [INPUT VALIDATION] Sanitize and validate application inputs
   const safeTitle = sanitizeInput(title);
@@ -1166,11 +1457,25 @@ app.post("/api/applications", verifyToken, async (req, res) => {
   try {
     conn = await pool.getConnection();
 
+    const tagCheck = await normalizeServiceTags(conn, tags);
+    if (tagCheck.error) {
+      return res.status(400).json({ error: tagCheck.error });
+    }
+
     // [SQL INJECTION PREVENTION] Parameterized INSERT with sanitized values
     const [result] = await conn.execute(
-      `INSERT INTO service_applications (user_id, game_id, title, description, price, status)
-       VALUES (?, ?, ?, ?, ?, 'pending')`,
-      [req.userId, game_id, safeTitle, safeDesc, price],
+      `INSERT INTO service_applications (user_id, game_id, title, description, price, service_type, tags, packages, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+      [
+        req.userId,
+        game_id,
+        safeTitle,
+        safeDesc,
+        basePrice(packageCheck.packages, price),
+        service_type,
+        JSON.stringify(tagCheck.tags),
+        JSON.stringify(packageCheck.packages),
+      ],
     );
 
     res.json({ success: true, application_id: result.insertId });
@@ -1192,17 +1497,60 @@ app.get("/api/applications/my-applications", verifyToken, async (req, res) => {
       `
       SELECT 
         sa.id, sa.user_id, sa.game_id, g.name as game,
-        sa.title, sa.description, sa.price, sa.status,
-        sa.submitted_at, sa.updated_at
+        sa.title, sa.description, sa.price, sa.service_type, sa.tags,
+        sa.packages, sa.status, sa.submitted_at, sa.updated_at,
+        rev.id as revision_id, rev.status as revision_status,
+        rev.title as revision_title, rev.description as revision_description,
+        rev.price as revision_price, rev.packages as revision_packages,
+        rev.admin_notes as revision_notes,
+        rev.submitted_at as revision_submitted_at
       FROM service_applications sa
       JOIN games g ON sa.game_id = g.id
+      LEFT JOIN service_revisions rev ON rev.id = (
+        SELECT MAX(r.id) FROM service_revisions r
+        WHERE r.application_id = sa.id AND r.status <> 'superseded'
+      )
       WHERE sa.user_id = ?
       ORDER BY sa.submitted_at DESC
     `,
       [userId],
     );
 
-    res.json({ applications: apps });
+    // [SERVICE REVISIONS] Latest edit of a live service, if it is still
+    // pending or was rejected (approved edits are already in the row)
+    const withTags = apps.map(
+      ({
+        revision_id,
+        revision_status,
+        revision_title,
+        revision_description,
+        revision_price,
+        revision_packages,
+        revision_notes,
+        revision_submitted_at,
+        ...a
+      }) => ({
+        ...a,
+        tags: parseTags(a.tags),
+        packages: parsePackages(a.packages),
+        revision:
+          revision_id && revision_status !== "approved"
+            ? {
+                id: revision_id,
+                status: revision_status,
+                title: revision_title,
+                description: revision_description,
+                price: revision_price,
+                packages: parsePackages(revision_packages),
+                admin_notes: revision_notes,
+                submitted_at: revision_submitted_at,
+              }
+            : null,
+      }),
+    );
+    res.json({
+      applications: await withImages(conn, withTags, "application"),
+    });
   } catch (err) {
     console.error("Get user applications error:", err);
     res.status(500).json({ error: "Server error" });
@@ -1211,22 +1559,54 @@ app.get("/api/applications/my-applications", verifyToken, async (req, res) => {
   }
 });
 
+// Edit an application. Before approval this edits the application and
+// sends it back to review. Once the service is live, the edit becomes a
+// pending revision and the current version stays published until an
+// admin approves it.
 app.put("/api/applications/:id", verifyToken, async (req, res) => {
   const { id } = req.params;
-  const { title, description, price } = req.body;
+  const { title, description, price, service_type, tags, packages } = req.body;
   const userId = req.userId;
 
-  if (!title || !description || !price) {
+  // Packages are optional on update; omitting them keeps the current ones
+  const packageCheck =
+    packages === undefined ? null : normalizePackages(packages, sanitizeInput);
+  if (packageCheck?.error) {
+    return res.status(400).json({ error: packageCheck.error });
+  }
+
+  // price is checked once the current packages are known
+  if (!title || !description) {
     return res.status(400).json({ error: "Missing required fields" });
   }
+  if (service_type && !SERVICE_TYPES.includes(service_type)) {
+    return res.status(400).json({ error: "Invalid service type" });
+  }
+
+  // [INPUT VALIDATION] Sanitize and validate edited fields
+  const safeTitle = sanitizeInput(title);
+  const safeDesc = sanitizeInput(description);
+  const titleCheck = validateFieldLength(safeTitle, "Title", 100);
+  if (!titleCheck.valid)
+    return res.status(400).json({ error: titleCheck.error });
 
   let conn;
   try {
     conn = await pool.getConnection();
 
+    // Tags are optional on update; omitting them keeps the current ones
+    let tagsJson = null;
+    if (tags !== undefined) {
+      const tagCheck = await normalizeServiceTags(conn, tags);
+      if (tagCheck.error) {
+        return res.status(400).json({ error: tagCheck.error });
+      }
+      tagsJson = JSON.stringify(tagCheck.tags);
+    }
+
     // Check if user owns this application
     const [appCheck] = await conn.execute(
-      "SELECT user_id FROM service_applications WHERE id = ?",
+      "SELECT user_id, status, packages FROM service_applications WHERE id = ?",
       [id],
     );
 
@@ -1234,12 +1614,85 @@ app.put("/api/applications/:id", verifyToken, async (req, res) => {
       return res.status(403).json({ error: "Unauthorized" });
     }
 
-    // Update application and set status back to pending
+    const [liveServices] = await conn.execute(
+      `SELECT id, service_type, tags, packages FROM published_services
+       WHERE application_id = ? AND is_active = TRUE`,
+      [id],
+    );
+
+    // [SERVICE PACKAGES] With packages, the price is the cheapest one
+    const nextPackages =
+      packageCheck?.packages ??
+      parsePackages(liveServices[0]?.packages ?? appCheck[0].packages);
+    if (!price && nextPackages.length === 0) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+    const nextPrice = basePrice(nextPackages, price);
+    const packagesJson = JSON.stringify(nextPackages);
+
+    if (appCheck[0].status === "approved" && liveServices.length > 0) {
+      const service = liveServices[0];
+      await conn.beginTransaction();
+
+      // [SERVICE REVISIONS] A newer edit replaces one still waiting for review
+      await conn.execute(
+        `UPDATE service_revisions SET status = 'superseded', reviewed_at = NOW()
+         WHERE published_service_id = ? AND status = 'pending'`,
+        [service.id],
+      );
+
+      const [result] = await conn.execute(
+        `INSERT INTO service_revisions
+           (published_service_id, application_id, employee_id, title, description, price, service_type, tags, packages)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          service.id,
+          id,
+          userId,
+          safeTitle,
+          safeDesc,
+          nextPrice,
+          service_type || service.service_type,
+          tagsJson ?? JSON.stringify(parseTags(service.tags)),
+          packagesJson,
+        ],
+      );
+
+      await notify(conn, {
+        userId,
+        type: "application_pending_reapproval",
+        entityType: "application",
+        entityId: id,
+        title: "Changes Submitted for Review",
+        message: `Your changes to "${safeTitle}" are waiting for admin approval. The current version stays live until then.`,
+      });
+
+      await conn.commit();
+      await publishNotifications(conn);
+      return res.json({
+        success: true,
+        revision_id: result.insertId,
+        message:
+          "Changes submitted for reapproval. Your current post stays live until an admin approves them.",
+      });
+    }
+
+    // Not published yet: update the application and send it back to review
     await conn.execute(
       `UPDATE service_applications 
-       SET title = ?, description = ?, price = ?, status = 'pending', updated_at = NOW()
+       SET title = ?, description = ?, price = ?,
+           service_type = COALESCE(?, service_type), tags = COALESCE(?, tags),
+           packages = ?, status = 'pending', updated_at = NOW()
        WHERE id = ?`,
-      [title, description, price, id],
+      [
+        safeTitle,
+        safeDesc,
+        nextPrice,
+        service_type || null,
+        tagsJson,
+        packagesJson,
+        id,
+      ],
     );
 
     res.json({
@@ -1247,6 +1700,7 @@ app.put("/api/applications/:id", verifyToken, async (req, res) => {
       message: "Application updated and pending reapproval",
     });
   } catch (err) {
+    if (conn) await conn.rollback();
     console.error("Update application error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
@@ -1254,6 +1708,165 @@ app.put("/api/applications/:id", verifyToken, async (req, res) => {
   }
 });
 
+// Upload images for an application (multipart field "images")
+app.post(
+  "/api/applications/:id/images",
+  verifyToken,
+  receiveImages,
+  async (req, res) => {
+    const { id } = req.params;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: "No images uploaded" });
+    }
+
+    let conn;
+    const stored = [];
+    try {
+      conn = await pool.getConnection();
+
+      const [apps] = await conn.execute(
+        "SELECT user_id FROM service_applications WHERE id = ?",
+        [id],
+      );
+      if (apps.length === 0 || apps[0].user_id !== req.userId) {
+        return res.status(403).json({ error: "Unauthorized" });
+      }
+
+      const [existing] = await conn.execute(
+        `SELECT COUNT(*) as count, COALESCE(MAX(display_order), -1) as last_order
+         FROM service_images
+         WHERE application_id = ? AND published_service_id IS NULL`,
+        [id],
+      );
+      if (existing[0].count + files.length > MAX_IMAGES_PER_APPLICATION) {
+        return res.status(400).json({
+          error: `An application can have at most ${MAX_IMAGES_PER_APPLICATION} images`,
+        });
+      }
+
+      // [INPUT VALIDATION] Decode every file before storing any of them
+      const processed = [];
+      for (const file of files) {
+        const result = await processImage(file.buffer);
+        if (result.error) {
+          return res
+            .status(400)
+            .json({ error: `${file.originalname}: ${result.error}` });
+        }
+        processed.push(result);
+      }
+
+      const storage = getStorage();
+      for (const image of processed) {
+        stored.push(await storeImage(storage, image));
+      }
+
+      const images = [];
+      for (const [i, image] of stored.entries()) {
+        const [result] = await conn.execute(
+          `INSERT INTO service_images
+             (application_id, image_url, thumbnail_url, storage_key, thumbnail_key, display_order)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            id,
+            image.imageUrl,
+            image.thumbnailUrl,
+            image.storageKey,
+            image.thumbnailKey,
+            existing[0].last_order + 1 + i,
+          ],
+        );
+        images.push({
+          id: result.insertId,
+          image_url: image.imageUrl,
+          thumbnail_url: image.thumbnailUrl,
+        });
+      }
+
+      res.status(201).json({ success: true, images });
+    } catch (err) {
+      // Don't leave orphaned files behind if the rows weren't saved
+      const storage = getStorage();
+      for (const image of stored) {
+        await storage.remove(image.storageKey).catch(() => {});
+        await storage.remove(image.thumbnailKey).catch(() => {});
+      }
+      console.error("Upload application images error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// Images of an application (owner or admin)
+app.get("/api/applications/:id/images", verifyToken, async (req, res) => {
+  const { id } = req.params;
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const [apps] = await conn.execute(
+      "SELECT id, user_id FROM service_applications WHERE id = ?",
+      [id],
+    );
+    if (
+      apps.length === 0 ||
+      (apps[0].user_id !== req.userId && req.userRole !== "admin")
+    ) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    const [app] = await withImages(conn, apps, "application");
+    res.json({ images: app.images });
+  } catch (err) {
+    console.error("Get application images error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// Remove an image from an application. The published service keeps its
+// copy until the application is approved again.
+app.delete(
+  "/api/applications/:id/images/:imageId",
+  verifyToken,
+  async (req, res) => {
+    const { id, imageId } = req.params;
+    let conn;
+    try {
+      conn = await pool.getConnection();
+
+      const [images] = await conn.execute(
+        `SELECT si.id, si.storage_key, si.thumbnail_key, sa.user_id
+         FROM service_images si
+         JOIN service_applications sa ON si.application_id = sa.id
+         WHERE si.id = ? AND si.application_id = ? AND si.published_service_id IS NULL`,
+        [imageId, id],
+      );
+      if (images.length === 0) {
+        return res.status(404).json({ error: "Image not found" });
+      }
+      if (images[0].user_id !== req.userId) {
+        return res.status(403).json({ error: "Unauthorized" });
+      }
+
+      const orphaned = await deleteImage(conn, images[0]);
+      await removeFiles(getStorage(), orphaned);
+
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Delete application image error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
 app.post(
   "/api/applications/pending",
   verifyToken,
@@ -1266,7 +1879,7 @@ app.post(
       const [apps] = await conn.execute(`
       SELECT 
         sa.id, sa.user_id, u.full_name, u.email, g.name as game,
-        sa.title, sa.price, sa.submitted_at,
+        sa.title, sa.price, sa.service_type, sa.tags, sa.packages, sa.submitted_at,
         DATEDIFF(NOW(), sa.submitted_at) as days_pending
       FROM service_applications sa
       JOIN users u ON sa.user_id = u.id
@@ -1275,7 +1888,10 @@ app.post(
       ORDER BY sa.submitted_at ASC
     `);
 
-      res.json({ applications: apps });
+      const withTags = await withTagDetails(conn, withPackages(apps));
+      res.json({
+        applications: await withImages(conn, withTags, "application"),
+      });
     } catch (err) {
       console.error("Get pending applications error:", err);
       res.status(500).json({ error: "Server error" });
@@ -1297,7 +1913,7 @@ app.get(
       const [apps] = await conn.execute(`
       SELECT 
         sa.id, sa.user_id, u.full_name, u.email, g.name as game,
-        sa.title, sa.price, sa.submitted_at,
+        sa.title, sa.price, sa.service_type, sa.tags, sa.packages, sa.submitted_at,
         DATEDIFF(NOW(), sa.submitted_at) as days_pending
       FROM service_applications sa
       JOIN users u ON sa.user_id = u.id
@@ -1306,7 +1922,10 @@ app.get(
       ORDER BY sa.submitted_at ASC
     `);
 
-      res.json({ applications: apps });
+      const withTags = await withTagDetails(conn, withPackages(apps));
+      res.json({
+        applications: await withImages(conn, withTags, "application"),
+      });
     } catch (err) {
       console.error("Get pending applications error:", err);
       res.status(500).json({ error: "Server error" });
@@ -1331,7 +1950,7 @@ app.post(
 
       // Update application status
       const [apps] = await conn.execute(
-        "SELECT user_id, game_id, title, description, price FROM service_applications WHERE id = ?",
+        "SELECT user_id, game_id, title, description, price, service_type, tags, packages FROM service_applications WHERE id = ?",
         [id],
       );
 
@@ -1347,13 +1966,34 @@ app.post(
         ["approved", admin_notes, req.userId, id],
       );
 
+      await notify(conn, {
+        userId: app.user_id,
+        type: "application_approved",
+        entityType: "application",
+        entityId: parseInt(id),
+        title: "Application Approved",
+        message: `Your service "${app.title}" has been approved and is now live.`,
+      });
+
       // Create published service
       const [result] = await conn.execute(
-        `INSERT INTO published_services (employee_id, application_id, game_id, title, description, price, is_active)
-       VALUES (?, ?, ?, ?, ?, ?, TRUE)`,
-        [app.user_id, id, app.game_id, app.title, app.description, app.price],
+        `INSERT INTO published_services (employee_id, application_id, game_id, title, description, price, service_type, tags, packages, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE)`,
+        [
+          app.user_id,
+          id,
+          app.game_id,
+          app.title,
+          app.description,
+          app.price,
+          app.service_type,
+          JSON.stringify(parseTags(app.tags)),
+          JSON.stringify(parsePackages(app.packages)),
+        ],
       );
 
+      await copyImagesToService(conn, id, result.insertId);
+
       // Update user to employee
       await conn.execute("UPDATE users SET is_employee = TRUE WHERE id = ?", [
         app.user_id,
@@ -1378,6 +2018,7 @@ app.post(
       });
 
       await conn.commit();
+      await publishNotifications(conn);
       res.json({ success: true, service_id: result.insertId });
     } catch (err) {
       if (conn) await conn.rollback();
@@ -1400,12 +2041,32 @@ app.post(
     let conn;
     try {
       conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const [apps] = await conn.execute(
+        "SELECT user_id, title FROM service_applications WHERE id = ?",
+        [id],
+      );
+
+      if (apps.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: "Application not found" });
+      }
 
       await conn.execute(
         "UPDATE service_applications SET status = ?, admin_notes = ?, reviewed_at = NOW(), reviewed_by = ? WHERE id = ?",
         ["rejected", reason, req.userId, id],
       );
 
+      await notify(conn, {
+        userId: apps[0].user_id,
+        type: "application_rejected",
+        entityType: "application",
+        entityId: parseInt(id),
+        title: "Application Not Approved",
+        message: `Your application for "${apps[0].title}" was not approved.${reason ? ` Reason: ${sanitizeInput(reason)}` : ""}`,
+      });
+
       // [ADMIN AUDIT LOGS] Log application rejection
       await logAdminAction(conn, {
         adminId: req.userId,
@@ -1416,8 +2077,11 @@ app.post(
         ipAddress: req.ip,
       });
 
+      await conn.commit();
+      await publishNotifications(conn);
       res.json({ success: true });
     } catch (err) {
+      if (conn) await conn.rollback();
       console.error("Reject application error:", err);
       res.status(500).json({ error: "Server error" });
     } finally {
@@ -1427,42 +2091,437 @@ app.post(
 );
 
 // ==========================================
-// PUBLISHED SERVICES ENDPOINTS
+// ADMIN SERVICE REVISION ENDPOINTS
 // ==========================================
+// [SERVICE REVISIONS] Edits to live services wait here for review. The
+// queue returns the live and proposed values side by side for a diff.
 
-app.get("/api/services", async (req, res) => {
-  const { game_id, employee_id, limit = 20, offset = 0 } = req.query;
-  let conn;
-  try {
-    conn = await pool.getConnection();
+// Pending revisions with the current live version of each service
+app.get(
+  "/api/admin/service-revisions",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    let conn;
+    try {
+      conn = await pool.getConnection();
 
-    let query = `
-      SELECT ps.*, u.full_name, u.profile_picture, ep.rating, g.name as game_name
-      FROM published_services ps
-      JOIN users u ON ps.employee_id = u.id
-      JOIN employee_profiles ep ON u.id = ep.user_id
-      JOIN games g ON ps.game_id = g.id
-      WHERE ps.is_active = TRUE
-    `;
+      const [revisions] = await conn.execute(
+        `SELECT rev.id, rev.published_service_id, rev.application_id, rev.employee_id,
+                rev.title, rev.description, rev.price, rev.service_type, rev.tags,
+                rev.packages, rev.submitted_at,
+                ps.title as current_title, ps.description as current_description,
+                ps.price as current_price, ps.service_type as current_service_type,
+                ps.tags as current_tags, ps.packages as current_packages,
+                u.full_name as employee_name, u.email as employee_email,
+                g.name as game_name
+         FROM service_revisions rev
+         JOIN published_services ps ON rev.published_service_id = ps.id
+         JOIN users u ON rev.employee_id = u.id
+         JOIN games g ON ps.game_id = g.id
+         WHERE rev.status = 'pending'
+         ORDER BY rev.submitted_at ASC`,
+      );
 
-    const params = [];
+      res.json({
+        revisions: revisions.map((rev) => ({
+          ...rev,
+          tags: parseTags(rev.tags),
+          current_tags: parseTags(rev.current_tags),
+          packages: parsePackages(rev.packages),
+          current_packages: parsePackages(rev.current_packages),
+        })),
+      });
+    } catch (err) {
+      console.error("Get service revisions error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// Load a pending revision, locked for update
+const getPendingRevisionForUpdate = async (conn, id) => {
+  const [revisions] = await conn.execute(
+    "SELECT * FROM service_revisions WHERE id = ? FOR UPDATE",
+    [id],
+  );
+  return revisions[0] || null;
+};
+
+// Admin approves a revision: it replaces the live version of the service
+app.post(
+  "/api/admin/service-revisions/:id/approve",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    const { admin_notes } = req.body;
+
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const revision = await getPendingRevisionForUpdate(conn, id);
+      if (!revision) {
+        await conn.rollback();
+        return res.status(404).json({ error: "Revision not found" });
+      }
+      if (revision.status !== "pending") {
+        await conn.rollback();
+        return res
+          .status(409)
+          .json({ error: `Revision is already ${revision.status}` });
+      }
+
+      const fields = [
+        revision.title,
+        revision.description,
+        revision.price,
+        revision.service_type,
+        revision.tags,
+        JSON.stringify(parsePackages(revision.packages)),
+      ];
+
+      await conn.execute(
+        `UPDATE published_services
+         SET title = ?, description = ?, price = ?, service_type = ?, tags = ?, packages = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [...fields, revision.published_service_id],
+      );
+
+      // Keep the application in step so the next edit starts from the live version
+      await conn.execute(
+        `UPDATE service_applications
+         SET title = ?, description = ?, price = ?, service_type = ?, tags = ?, packages = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [...fields, revision.application_id],
+      );
+
+      // Image edits on the application go live with the revision
+      const orphaned = await replaceServiceImages(
+        conn,
+        revision.application_id,
+        revision.published_service_id,
+      );
+
+      await conn.execute(
+        `UPDATE service_revisions
+         SET status = 'approved', admin_notes = ?, reviewed_by_admin = ?, reviewed_at = NOW()
+         WHERE id = ?`,
+        [admin_notes || null, req.userId, id],
+      );
+
+      await notify(conn, {
+        userId: revision.employee_id,
+        type: "application_approved",
+        entityType: "application",
+        entityId: revision.application_id,
+        title: "Changes Approved",
+        message: `Your changes to "${revision.title}" are now live.`,
+      });
+
+      // [ADMIN AUDIT LOGS] Log revision approval
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "APPROVE_SERVICE_REVISION",
+        targetType: "published_service",
+        targetId: revision.published_service_id,
+        details: `Approved revision #${id} of service ${revision.published_service_id} ("${revision.title}")`,
+        ipAddress: req.ip,
+      });
+
+      await conn.commit();
+      await removeFiles(getStorage(), orphaned);
+      await publishNotifications(conn);
+      res.json({ success: true });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error("Approve service revision error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// Admin rejects a revision; the live version is left unchanged
+app.post(
+  "/api/admin/service-revisions/:id/reject",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: "A reason is required" });
+    }
+    const safeReason = sanitizeInput(reason);
+
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const revision = await getPendingRevisionForUpdate(conn, id);
+      if (!revision) {
+        await conn.rollback();
+        return res.status(404).json({ error: "Revision not found" });
+      }
+      if (revision.status !== "pending") {
+        await conn.rollback();
+        return res
+          .status(409)
+          .json({ error: `Revision is already ${revision.status}` });
+      }
+
+      await conn.execute(
+        `UPDATE service_revisions
+         SET status = 'rejected', admin_notes = ?, reviewed_by_admin = ?, reviewed_at = NOW()
+         WHERE id = ?`,
+        [safeReason, req.userId, id],
+      );
+
+      await notify(conn, {
+        userId: revision.employee_id,
+        type: "application_rejected",
+        entityType: "application",
+        entityId: revision.application_id,
+        title: "Changes Not Approved",
+        message: `Your changes to "${revision.title}" were not approved: ${safeReason}`,
+      });
+
+      // [ADMIN AUDIT LOGS] Log revision rejection
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "REJECT_SERVICE_REVISION",
+        targetType: "published_service",
+        targetId: revision.published_service_id,
+        details: `Rejected revision #${id} of service ${revision.published_service_id}. Reason: ${safeReason}`,
+        ipAddress: req.ip,
+      });
+
+      await conn.commit();
+      await publishNotifications(conn);
+      res.json({ success: true });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error("Reject service revision error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// ==========================================
+// SERVICE TAGS ENDPOINTS
+// ==========================================
+// Admins curate the tag vocabulary; applicants pick from it on Apply.
+// See ./tags.js for validation and the color palette.
+
+// Active tags and service types, for the Apply form and browse chips
+app.get("/api/tags", async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const [tags] = await conn.execute(
+      "SELECT id, name, color FROM service_tags WHERE is_active = TRUE ORDER BY name ASC",
+    );
+
+    res.json({
+      tags,
+      service_types: SERVICE_TYPES.map((value) => ({
+        value,
+        ...SERVICE_TYPE_STYLES[value],
+      })),
+      max_tags: MAX_SERVICE_TAGS,
+    });
+  } catch (err) {
+    console.error("Get tags error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// All tags including retired ones, with how many live services use each
+app.get("/api/admin/tags", verifyToken, verifyAdmin, async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const [tags] = await conn.execute(
+      `SELECT st.*,
+              (SELECT COUNT(*) FROM published_services ps
+               WHERE ps.is_active = TRUE
+                 AND JSON_CONTAINS(ps.tags, JSON_QUOTE(st.name))) as service_count
+       FROM service_tags st
+       ORDER BY st.is_active DESC, st.name ASC`,
+    );
+
+    res.json({ tags, colors: TAG_COLORS });
+  } catch (err) {
+    console.error("Get admin tags error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+app.post("/api/admin/tags", verifyToken, verifyAdmin, async (req, res) => {
+  const { name, color } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: "Tag name required" });
+  }
+
+  // [INPUT VALIDATION] Sanitize and validate the tag name and color
+  const safeName = sanitizeInput(name);
+  const nameCheck = validateFieldLength(safeName, "Tag name", 30);
+  if (!nameCheck.valid) return res.status(400).json({ error: nameCheck.error });
+
+  const tagColor = color || "gray";
+  if (!TAG_COLORS.includes(tagColor)) {
+    return res.status(400).json({ error: "Invalid tag color" });
+  }
 
-    if (game_id) {
-      query += " AND ps.game_id = ?";
-      params.push(game_id);
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const [existing] = await conn.execute(
+      "SELECT id FROM service_tags WHERE name = ?",
+      [safeName],
+    );
+    if (existing.length > 0) {
+      return res
+        .status(409)
+        .json({ error: "A tag with this name already exists" });
     }
 
-    if (employee_id) {
-      query += " AND ps.employee_id = ?";
-      params.push(employee_id);
+    // [SQL INJECTION PREVENTION] Parameterized INSERT for tag creation
+    const [result] = await conn.execute(
+      "INSERT INTO service_tags (name, color, created_by_admin) VALUES (?, ?, ?)",
+      [safeName, tagColor, req.userId],
+    );
+
+    // [ADMIN AUDIT LOGS] Log tag creation
+    await logAdminAction(conn, {
+      adminId: req.userId,
+      action: "CREATE_TAG",
+      targetType: "service_tag",
+      targetId: result.insertId,
+      details: `Created tag "${safeName}" (${tagColor})`,
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({ success: true, tag_id: result.insertId });
+  } catch (err) {
+    console.error("Create tag error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// Recolor or retire/restore a tag. Tags are not renamed, since services
+// store them by name.
+app.put("/api/admin/tags/:id", verifyToken, verifyAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { color, is_active } = req.body;
+
+  if (color !== undefined && !TAG_COLORS.includes(color)) {
+    return res.status(400).json({ error: "Invalid tag color" });
+  }
+
+  const updates = [];
+  const values = [];
+  if (color !== undefined) {
+    updates.push("color = ?");
+    values.push(color);
+  }
+  if (is_active !== undefined) {
+    updates.push("is_active = ?");
+    values.push(Boolean(is_active));
+  }
+  if (updates.length === 0) {
+    return res.status(400).json({ error: "No fields to update" });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const [tags] = await conn.execute(
+      "SELECT name FROM service_tags WHERE id = ?",
+      [id],
+    );
+    if (tags.length === 0) {
+      return res.status(404).json({ error: "Tag not found" });
     }
 
-    query += " ORDER BY ps.created_at DESC LIMIT ? OFFSET ?";
-    params.push(parseInt(limit), parseInt(offset));
+    await conn.execute(
+      `UPDATE service_tags SET ${updates.join(", ")} WHERE id = ?`,
+      [...values, id],
+    );
+
+    // [ADMIN AUDIT LOGS] Log tag update
+    await logAdminAction(conn, {
+      adminId: req.userId,
+      action: "UPDATE_TAG",
+      targetType: "service_tag",
+      targetId: parseInt(id),
+      details: `Updated tag "${tags[0].name}": ${updates.map((u) => u.split(" = ")[0]).join(", ")} changed`,
+      ipAddress: req.ip,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Update tag error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// ==========================================
+// PUBLISHED SERVICES ENDPOINTS
+// ==========================================
+
+// Browse services: full-text search, filters, sorting, cursor pagination
+// and facet counts. See ./serviceSearch.js for the query parameters.
+app.get("/api/services", async (req, res) => {
+  const { filters, error } = parseServiceSearch(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const page = await searchServices(conn, filters);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
 
-    const [services] = await conn.execute(query, params);
+    const { total, facets } = await getServiceFacets(conn, filters);
 
-    res.json({ services });
+    res.json({
+      services: await withImages(
+        conn,
+        await withTagDetails(conn, withPackages(page.services)),
+        "service",
+      ),
+      next_cursor: page.nextCursor,
+      total,
+      facets,
+    });
   } catch (err) {
     console.error("Get services error:", err);
     res.status(500).json({ error: "Server error" });
@@ -1478,7 +2537,7 @@ app.get("/api/services/:id", async (req, res) => {
     conn = await pool.getConnection();
 
     const [services] = await conn.execute(
-      `SELECT ps.*, u.full_name, u.profile_picture, ep.rating, ep.total_reviews, g.name as game_name
+      `SELECT ps.*, u.full_name, u.profile_picture, ep.rating, ep.total_reviews, ep.is_verified, g.name as game_name
        FROM published_services ps
        JOIN users u ON ps.employee_id = u.id
        JOIN employee_profiles ep ON u.id = ep.user_id
@@ -1491,7 +2550,12 @@ app.get("/api/services/:id", async (req, res) => {
       return res.status(404).json({ error: "Service not found" });
     }
 
-    res.json({ service: services[0] });
+    const [service] = await withImages(
+      conn,
+      await withTagDetails(conn, withPackages(services)),
+      "service",
+    );
+    res.json({ service });
   } catch (err) {
     console.error("Get service error:", err);
     res.status(500).json({ error: "Server error" });
@@ -1503,9 +2567,20 @@ app.get("/api/services/:id", async (req, res) => {
 // ==========================================
 // SERVICE REQUESTS ENDPOINTS
 // ==========================================
+// Status changes (accept, reject, confirm, complete, cancel and the admin
+// completion/dispute actions) go through transitionRequest in
+// requestStateMachine.js. Illegal transitions answer 409 with a code.
 
+const sendRequestError = (res, denied) =>
+  res.status(denied.status).json({ error: denied.error, code: denied.code });
+
+// session_start (ISO date-time) is required when the coach publishes
+// availability, and must be one of GET /api/coaches/:id/slots.
+// package_id is required when the service sells packages; the request
+// amount is then that package's price.
 app.post("/api/requests", verifyToken, async (req, res) => {
-  const { published_service_id, service_details } = req.body;
+  const { published_service_id, service_details, session_start, package_id } =
+    req.body;
 
   if (!published_service_id || !service_details) {
     return res.status(400).json({ error: "Missing required fields" });
@@ -1514,34 +2589,92 @@ app.post("/api/requests", verifyToken, async (req, res) => {
   let conn;
   try {
     conn = await pool.getConnection();
+    await conn.beginTransaction();
 
     // Get service details
     const [services] = await conn.execute(
-      "SELECT employee_id, price FROM published_services WHERE id = ?",
+      "SELECT employee_id, price, title, packages FROM published_services WHERE id = ?",
       [published_service_id],
     );
 
     if (services.length === 0) {
+      await conn.rollback();
       return res.status(404).json({ error: "Service not found" });
     }
 
     const service = services[0];
 
+    // [ESCROW LEDGER] Requester and employee must be different people
+    if (service.employee_id === req.userId) {
+      await conn.rollback();
+      return res
+        .status(400)
+        .json({ error: "You cannot request your own service" });
+    }
+
+    // [SERVICE PACKAGES] The amount is fixed at request time
+    const { pkg, denied: packageDenied } = choosePackage(
+      service,
+      package_id || null,
+    );
+    if (packageDenied) {
+      await conn.rollback();
+      return sendRequestError(res, packageDenied);
+    }
+
+    // [DOUBLE BOOKING PREVENTION] Locks the coach until commit
+    const { slot, denied } = await reserveSlot(
+      conn,
+      service.employee_id,
+      session_start || null,
+    );
+    if (denied) {
+      await conn.rollback();
+      return sendRequestError(res, denied);
+    }
+
+    // amount may later change to a negotiated quote; list_amount keeps this
+    const listAmount = pkg ? pkg.price : service.price;
     const [result] = await conn.execute(
       `INSERT INTO service_requests 
-       (published_service_id, requester_user_id, employee_user_id, service_details, amount, status)
-       VALUES (?, ?, ?, ?, ?, 'pending')`,
+       (published_service_id, requester_user_id, employee_user_id, service_details, amount, list_amount, package_id, package_name, status, session_start, session_end)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
       [
         published_service_id,
         req.userId,
         service.employee_id,
         service_details,
-        service.price,
+        listAmount,
+        listAmount,
+        pkg ? pkg.id : null,
+        pkg ? pkg.name : null,
+        slot ? slot.start : null,
+        slot ? slot.end : null,
       ],
     );
 
+    await recordRequestEvent(conn, {
+      requestId: result.insertId,
+      eventType: "created",
+      toStatus: "pending",
+      actorType: "requester",
+      actorId: req.userId,
+    });
+
+    await notify(conn, {
+      userId: service.employee_id,
+      type: "new_request",
+      entityType: "service_request",
+      entityId: result.insertId,
+      title: "New Service Request",
+      message: `You have a new request for "${service.title}". Accept or decline it from your dashboard.`,
+    });
+
+    await conn.commit();
+    await publishNotifications(conn);
     res.json({ success: true, request_id: result.insertId });
   } catch (err) {
+    if (conn) await conn.rollback();
     console.error("Create request error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
@@ -1549,6 +2682,11 @@ app.post("/api/requests", verifyToken, async (req, res) => {
   }
 });
 
+// [REVIEWS] Whether a closed request can still be rated (see ./reviews.js).
+// requester_rating is the client's private trust score from employees.
+const REVIEW_OPEN_SQL = `(sr.status = 'closed'
+  AND COALESCE(sr.closed_at, sr.updated_at) >= NOW() - INTERVAL ${REVIEW_WINDOW_DAYS} DAY)`;
+
 app.get("/api/requests/employee/pending", verifyToken, async (req, res) => {
   const employeeId = req.userId;
   let conn;
@@ -1558,7 +2696,21 @@ app.get("/api/requests/employee/pending", verifyToken, async (req, res) => {
     const [requests] = await conn.execute(
       `SELECT 
         sr.id, sr.published_service_id, sr.requester_user_id, sr.status,
-        sr.service_details, sr.amount, sr.created_at,
+        sr.service_details, sr.amount, sr.list_amount, sr.estimated_minutes,
+        sr.package_name, sr.created_at, sr.session_start, sr.session_end,
+        sr.closed_at,
+        (SELECT q.status FROM request_quotes q
+          WHERE q.service_request_id = sr.id
+          ORDER BY q.id DESC LIMIT 1) as quote_status,
+        ${REVIEW_OPEN_SQL} as review_open,
+        (SELECT rr.rating FROM requester_ratings rr
+          WHERE rr.service_request_id = sr.id) as requester_rating_given,
+        EXISTS (SELECT 1 FROM reviews r
+          WHERE r.service_request_id = sr.id AND r.reply_text IS NULL) as review_awaiting_reply,
+        (SELECT AVG(rr.rating) FROM requester_ratings rr
+          WHERE rr.requester_user_id = sr.requester_user_id) as requester_rating,
+        (SELECT COUNT(*) FROM requester_ratings rr
+          WHERE rr.requester_user_id = sr.requester_user_id) as requester_rating_count,
         ps.title, ps.description,
         u_req.full_name as requester_name, u_req.profile_picture,
         g.name as game_name
@@ -1589,6 +2741,15 @@ app.get("/api/requests/user/my-requests", verifyToken, async (req, res) => {
     const [requests] = await conn.execute(
       `SELECT 
         sr.id, sr.published_service_id, sr.status, sr.service_details, sr.amount, sr.created_at,
+        sr.list_amount, sr.estimated_minutes, sr.package_name, sr.session_start, sr.session_end,
+        sr.closed_at,
+        (SELECT q.status FROM request_quotes q
+          WHERE q.service_request_id = sr.id
+          ORDER BY q.id DESC LIMIT 1) as quote_status,
+        ${REVIEW_OPEN_SQL} as review_open,
+        (SELECT r.rating FROM reviews r
+          WHERE r.service_request_id = sr.id
+          ORDER BY r.id ASC LIMIT 1) as review_rating,
         ps.title, ps.description, ps.employee_id,
         u_emp.full_name as employee_name, u_emp.profile_picture,
         g.name as game_name
@@ -1638,59 +2799,100 @@ app.get("/api/requests/:id", verifyToken, async (req, res) => {
   }
 });
 
-app.post("/api/requests/:id/accept", verifyToken, async (req, res) => {
+// Request history: every status change with who made it and any note.
+// Parties see admin entries as "Admin"; admins see the admin's name.
+app.get("/api/requests/:id/timeline", verifyToken, async (req, res) => {
   const { id } = req.params;
-  const { employee_response } = req.body;
-
   let conn;
   try {
     conn = await pool.getConnection();
-    await conn.beginTransaction();
 
-    // Verify the employee owns this request
     const [requests] = await conn.execute(
-      "SELECT employee_user_id, requester_user_id, published_service_id FROM service_requests WHERE id = ?",
+      "SELECT requester_user_id, employee_user_id FROM service_requests WHERE id = ?",
       [id],
     );
 
     if (requests.length === 0) {
-      await conn.rollback();
       return res.status(404).json({ error: "Request not found" });
     }
 
-    if (requests[0].employee_user_id !== req.userId) {
-      await conn.rollback();
+    const isAdmin = req.userRole === "admin";
+    if (
+      !isAdmin &&
+      req.userId !== requests[0].requester_user_id &&
+      req.userId !== requests[0].employee_user_id
+    ) {
       return res.status(403).json({ error: "Unauthorized" });
     }
 
-    // Update request to employee_accepted status
-    await conn.execute(
-      `UPDATE service_requests 
-       SET status = 'employee_accepted', employee_response = ?, initial_acceptance = TRUE, accepted_at = NOW()
-       WHERE id = ?`,
-      [employee_response, id],
+    const [events] = await conn.execute(
+      `SELECT e.id, e.event_type, e.from_status, e.to_status, e.actor_type, e.note, e.created_at,
+              CASE
+                WHEN e.actor_type = 'admin' THEN IF(?, a.full_name, 'Admin')
+                WHEN e.actor_type = 'system' THEN 'System'
+                ELSE u.full_name
+              END as actor_name
+       FROM service_request_events e
+       LEFT JOIN users u ON e.actor_type IN ('requester', 'employee') AND u.id = e.actor_id
+       LEFT JOIN admin a ON e.actor_type = 'admin' AND a.id = e.actor_id
+       WHERE e.service_request_id = ?
+       ORDER BY e.created_at ASC, e.id ASC`,
+      [isAdmin, id],
     );
 
-    // Create notification for the requester
-    const [service] = await conn.execute(
-      "SELECT title FROM published_services WHERE id = ?",
-      [requests[0].published_service_id],
-    );
+    res.json({ timeline: events });
+  } catch (err) {
+    console.error("Get request timeline error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
 
-    await conn.execute(
-      `INSERT INTO notifications (user_id, notification_type, related_entity_type, related_entity_id, title, message)
-       VALUES (?, 'request_accepted', 'service_request', ?, 'Service Request Accepted', ?)`,
-      [
-        requests[0].requester_user_id,
-        id,
-        `Your request for "${service[0]?.title}" has been accepted! Please confirm to start the service.`,
-      ],
-    );
+app.post("/api/requests/:id/accept", verifyToken, async (req, res) => {
+  const { id } = req.params;
+  // quote: optional { amount, estimated_minutes, notes } instead of the
+  // list price; the requester then accepts, counters or declines it
+  const { employee_response, quote } = req.body || {};
+
+  let offer = null;
+  if (quote) {
+    const parsed = parseOffer(quote, sanitizeInput);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    offer = parsed.offer;
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const actor = { userId: req.userId, role: req.userRole };
+    const { denied, request } = await transitionRequest(conn, id, "accept", {
+      actor,
+      employeeResponse: employee_response
+        ? sanitizeInput(employee_response)
+        : null,
+      quoteAmount: offer?.amount,
+    });
+    if (denied) {
+      await conn.rollback();
+      return sendRequestError(res, denied);
+    }
+
+    if (offer) {
+      await recordOffer(conn, request, "employee", req.userId, offer);
+    }
 
     await conn.commit();
+    await publishNotifications(conn);
     res.json({
       success: true,
-      message: "Request accepted. Waiting for user confirmation.",
+      message: offer
+        ? "Request accepted. Waiting for the user to answer your quote."
+        : "Request accepted. Waiting for user confirmation.",
     });
   } catch (err) {
     if (conn) await conn.rollback();
@@ -1710,63 +2912,19 @@ app.post("/api/requests/:id/confirm", verifyToken, async (req, res) => {
     conn = await pool.getConnection();
     await conn.beginTransaction();
 
-    // Verify the user owns this request
-    const [requests] = await conn.execute(
-      "SELECT requester_user_id, employee_user_id, status, published_service_id FROM service_requests WHERE id = ?",
-      [id],
-    );
-
-    if (requests.length === 0) {
-      await conn.rollback();
-      return res.status(404).json({ error: "Request not found" });
-    }
-
-    if (requests[0].requester_user_id !== req.userId) {
-      await conn.rollback();
-      return res.status(403).json({ error: "Unauthorized" });
-    }
-
-    if (requests[0].status !== "employee_accepted") {
+    const { denied, result } = await transitionRequest(conn, id, "confirm", {
+      actor: { userId: req.userId, role: req.userRole },
+    });
+    if (denied) {
       await conn.rollback();
-      return res
-        .status(400)
-        .json({ error: "Request must be accepted by employee first" });
+      return sendRequestError(res, denied);
     }
 
-    // Update request to in_progress and create chat
-    await conn.execute(
-      `UPDATE service_requests 
-       SET status = 'in_progress', final_acceptance = TRUE, user_confirmed_at = NOW(), started_at = NOW()
-       WHERE id = ?`,
-      [id],
-    );
-
-    // Create chat
-    const [chatResult] = await conn.execute(
-      "INSERT INTO chats (service_request_id, is_archived) VALUES (?, FALSE)",
-      [id],
-    );
-
-    // Create notification for the employee
-    const [service] = await conn.execute(
-      "SELECT title FROM published_services WHERE id = ?",
-      [requests[0].published_service_id],
-    );
-
-    await conn.execute(
-      `INSERT INTO notifications (user_id, notification_type, related_entity_type, related_entity_id, title, message)
-       VALUES (?, 'service_started', 'service_request', ?, 'Service Started', ?)`,
-      [
-        requests[0].employee_user_id,
-        id,
-        `The user has confirmed the request for "${service[0]?.title}". Chat is now open!`,
-      ],
-    );
-
     await conn.commit();
+    await publishNotifications(conn);
     res.json({
       success: true,
-      chat_id: chatResult.insertId,
+      chat_id: result.chatId,
       message: "Service started. Chat is now open.",
     });
   } catch (err) {
@@ -1778,20 +2936,31 @@ app.post("/api/requests/:id/confirm", verifyToken, async (req, res) => {
   }
 });
 
+// Employee declines a pending request
 app.post("/api/requests/:id/reject", verifyToken, async (req, res) => {
   const { id } = req.params;
+  // The decline reason is optional; the client may send no body
+  const { employee_response } = req.body || {};
 
   let conn;
   try {
     conn = await pool.getConnection();
+    await conn.beginTransaction();
 
-    await conn.execute("UPDATE service_requests SET status = ? WHERE id = ?", [
-      "cancelled",
-      id,
-    ]);
+    const { denied } = await transitionRequest(conn, id, "reject", {
+      actor: { userId: req.userId, role: req.userRole },
+      note: employee_response ? sanitizeInput(employee_response) : null,
+    });
+    if (denied) {
+      await conn.rollback();
+      return sendRequestError(res, denied);
+    }
 
+    await conn.commit();
+    await publishNotifications(conn);
     res.json({ success: true });
   } catch (err) {
+    if (conn) await conn.rollback();
     console.error("Reject request error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
@@ -1808,60 +2977,17 @@ app.post("/api/requests/:id/complete", verifyToken, async (req, res) => {
     conn = await pool.getConnection();
     await conn.beginTransaction();
 
-    // Verify the employee owns this request
-    const [requests] = await conn.execute(
-      "SELECT employee_user_id, requester_user_id, published_service_id, status FROM service_requests WHERE id = ?",
-      [id],
-    );
-
-    if (requests.length === 0) {
-      await conn.rollback();
-      return res.status(404).json({ error: "Request not found" });
-    }
-
-    if (requests[0].employee_user_id !== req.userId) {
-      await conn.rollback();
-      return res
-        .status(403)
-        .json({ error: "Only the employee can mark completion" });
-    }
-
-    if (requests[0].status !== "in_progress") {
+    const { denied } = await transitionRequest(conn, id, "complete", {
+      actor: { userId: req.userId, role: req.userRole },
+      note: completion_notes ? sanitizeInput(completion_notes) : null,
+    });
+    if (denied) {
       await conn.rollback();
-      return res
-        .status(400)
-        .json({ error: "Service must be in progress to complete" });
+      return sendRequestError(res, denied);
     }
 
-    // Update to pending_completion (awaiting admin review)
-    await conn.execute(
-      `UPDATE service_requests SET status = 'pending_completion', completed_at = NOW() WHERE id = ?`,
-      [id],
-    );
-
-    await conn.execute(
-      `INSERT INTO service_completions (service_request_id, employee_completion_notes, status, submitted_by_employee_at)
-       VALUES (?, ?, 'pending_review', NOW())`,
-      [id, completion_notes],
-    );
-
-    // Notify admin about completion request (we'll also notify requester)
-    const [service] = await conn.execute(
-      "SELECT title FROM published_services WHERE id = ?",
-      [requests[0].published_service_id],
-    );
-
-    await conn.execute(
-      `INSERT INTO notifications (user_id, notification_type, related_entity_type, related_entity_id, title, message)
-       VALUES (?, 'completion_requested', 'service_request', ?, 'Completion Pending Review', ?)`,
-      [
-        requests[0].requester_user_id,
-        id,
-        `The employee has marked "${service[0]?.title}" as complete. Admin will review shortly.`,
-      ],
-    );
-
     await conn.commit();
+    await publishNotifications(conn);
     res.json({
       success: true,
       message: "Completion submitted for admin review",
@@ -1875,148 +3001,212 @@ app.post("/api/requests/:id/complete", verifyToken, async (req, res) => {
   }
 });
 
+// Requester (before the service starts) or employee (before completion)
+// cancels; any held funds are refunded
 app.post("/api/requests/:id/cancel", verifyToken, async (req, res) => {
   const { id } = req.params;
+  const { reason } = req.body || {};
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const { denied, result } = await transitionRequest(conn, id, "cancel", {
+      actor: { userId: req.userId, role: req.userRole },
+      note: reason ? sanitizeInput(reason) : null,
+    });
+    if (denied) {
+      await conn.rollback();
+      return sendRequestError(res, denied);
+    }
+
+    await conn.commit();
+    await publishNotifications(conn);
+    res.json({ success: true, refunded: result.refunded });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error("Cancel request error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// ==========================================
+// QUOTE ENDPOINTS
+// ==========================================
+// Price negotiation between accept and confirm. See ./quotes.js.
+// ==========================================
 
+// Negotiation history (parties and admins)
+app.get("/api/requests/:id/quotes", verifyToken, async (req, res) => {
+  const { id } = req.params;
   let conn;
   try {
     conn = await pool.getConnection();
 
-    // Check if user is authorized (requester or employee)
     const [requests] = await conn.execute(
-      "SELECT requester_user_id, employee_user_id FROM service_requests WHERE id = ?",
+      `SELECT requester_user_id, employee_user_id, amount, list_amount
+       FROM service_requests WHERE id = ?`,
       [id],
     );
-
     if (requests.length === 0) {
       return res.status(404).json({ error: "Request not found" });
     }
-
     const request = requests[0];
     if (
+      req.userRole !== "admin" &&
       req.userId !== request.requester_user_id &&
       req.userId !== request.employee_user_id
     ) {
       return res.status(403).json({ error: "Unauthorized" });
     }
 
-    await conn.execute(
-      `UPDATE service_requests SET status = 'cancelled' WHERE id = ?`,
-      [id],
-    );
-
-    res.json({ success: true });
+    res.json({
+      quotes: await getQuotes(conn, id),
+      amount: request.amount,
+      list_amount: request.list_amount,
+    });
   } catch (err) {
-    console.error("Cancel request error:", err);
+    console.error("Get quotes error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
     if (conn) conn.end();
   }
 });
 
-// ==========================================
-// CHAT/MESSAGING ENDPOINTS
-// ==========================================
+// Make an offer, or counter the open one: { amount, estimated_minutes, notes }
+app.post("/api/requests/:id/quotes", verifyToken, async (req, res) => {
+  const { id } = req.params;
+
+  const { offer, error } = parseOffer(req.body || {}, sanitizeInput);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-app.get("/api/chats", verifyToken, async (req, res) => {
   let conn;
   try {
     conn = await pool.getConnection();
+    await conn.beginTransaction();
 
-    const [chats] = await conn.execute(
-      `
-      SELECT c.id, sr.published_service_id, ps.title as service_title,
-             u_emp.full_name as employee_name, u_req.full_name as requester_name,
-             c.created_at, c.is_archived,
-             (SELECT message FROM chat_messages WHERE chat_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message
-      FROM chats c
-      JOIN service_requests sr ON c.service_request_id = sr.id
-      JOIN published_services ps ON sr.published_service_id = ps.id
-      JOIN users u_emp ON sr.employee_user_id = u_emp.id
-      JOIN users u_req ON sr.requester_user_id = u_req.id
-      WHERE sr.requester_user_id = ? OR sr.employee_user_id = ?
-      ORDER BY c.created_at DESC
-    `,
-      [req.userId, req.userId],
+    const { denied, quoteId } = await makeOffer(
+      conn,
+      id,
+      { userId: req.userId, role: req.userRole },
+      offer,
     );
+    if (denied) {
+      await conn.rollback();
+      return sendRequestError(res, denied);
+    }
 
-    res.json({ chats });
+    await conn.commit();
+    await publishNotifications(conn);
+    res.status(201).json({ success: true, quote_id: quoteId });
   } catch (err) {
-    console.error("Get chats error:", err);
+    if (conn) await conn.rollback();
+    console.error("Make offer error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
     if (conn) conn.end();
   }
 });
 
-app.get("/api/chats/:id/messages", verifyToken, async (req, res) => {
-  const { id } = req.params;
-  const { limit = 50, offset = 0 } = req.query;
+// Accept or decline the open offer made by the other party
+const respondToOfferRoute = (accept) => async (req, res) => {
+  const { id, quoteId } = req.params;
 
   let conn;
   try {
     conn = await pool.getConnection();
+    await conn.beginTransaction();
 
-    const [messages] = await conn.execute(
-      `SELECT cm.*, u.full_name, u.profile_picture
-       FROM chat_messages cm
-       JOIN users u ON cm.sender_user_id = u.id
-       WHERE cm.chat_id = ?
-       ORDER BY cm.created_at ASC
-       LIMIT ? OFFSET ?`,
-      [id, parseInt(limit), parseInt(offset)],
+    const { denied, amount } = await respondToOffer(
+      conn,
+      id,
+      quoteId,
+      { userId: req.userId, role: req.userRole },
+      accept,
     );
+    if (denied) {
+      await conn.rollback();
+      return sendRequestError(res, denied);
+    }
 
-    res.json({ messages });
+    await conn.commit();
+    await publishNotifications(conn);
+    res.json({ success: true, amount });
   } catch (err) {
-    console.error("Get messages error:", err);
+    if (conn) await conn.rollback();
+    console.error(`${accept ? "Accept" : "Decline"} offer error:`, err);
     res.status(500).json({ error: "Server error" });
   } finally {
     if (conn) conn.end();
   }
-});
+};
 
-app.post("/api/chats/:id/messages", verifyToken, async (req, res) => {
-  const { id } = req.params;
-  const { message } = req.body;
+app.post(
+  "/api/requests/:id/quotes/:quoteId/accept",
+  verifyToken,
+  respondToOfferRoute(true),
+);
 
-  if (!message) {
-    return res.status(400).json({ error: "Message required" });
-  }
+app.post(
+  "/api/requests/:id/quotes/:quoteId/decline",
+  verifyToken,
+  respondToOfferRoute(false),
+);
 
-  // [INPUT VALIDATION] Sanitize message content to prevent XSS
-  const safeMessage = sanitizeInput(message);
+// ==========================================
+// SESSION SCHEDULING ENDPOINTS
+// ==========================================
+// Employees publish weekly hours and blackout dates (see
+// ./availability.js); both parties see their booked sessions and can
+// export them as an .ics calendar.
+// ==========================================
+
+// The signed-in employee's schedule settings
+app.get("/api/availability", verifyToken, async (req, res) => {
+  if (req.userRole !== "employee") {
+    return res
+      .status(403)
+      .json({ error: "Only employees can manage availability" });
+  }
 
   let conn;
   try {
     conn = await pool.getConnection();
 
-    // [SQL INJECTION PREVENTION] Parameterized INSERT for chat message
-    const [result] = await conn.execute(
-      "INSERT INTO chat_messages (chat_id, sender_user_id, message) VALUES (?, ?, ?)",
-      [id, req.userId, safeMessage],
-    );
+    const schedule = await getSchedule(conn, req.userId);
 
-    res.json({ success: true, message_id: result.insertId });
+    res.json({
+      timezone: schedule.timezone,
+      session_minutes: schedule.sessionMinutes,
+      weekly: schedule.weekly,
+      blackouts: schedule.blackouts,
+      session_lengths: SESSION_LENGTHS,
+    });
   } catch (err) {
-    console.error("Send message error:", err);
+    console.error("Get availability error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
     if (conn) conn.end();
   }
 });
 
-// ==========================================
-// REVIEWS & RATINGS ENDPOINTS
-// ==========================================
-
-app.post("/api/reviews", verifyToken, async (req, res) => {
-  const { service_request_id, rating, review_text } = req.body;
-
-  if (!service_request_id || !rating) {
+// Replace the schedule: { timezone, session_minutes, weekly, blackouts }.
+// Sessions already booked are kept even if they no longer fit.
+app.put("/api/availability", verifyToken, async (req, res) => {
+  if (req.userRole !== "employee") {
     return res
-      .status(400)
-      .json({ error: "Service request ID and rating required" });
+      .status(403)
+      .json({ error: "Only employees can manage availability" });
+  }
+
+  const { schedule, error } = parseSchedule(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
   }
 
   let conn;
@@ -2024,180 +3214,1973 @@ app.post("/api/reviews", verifyToken, async (req, res) => {
     conn = await pool.getConnection();
     await conn.beginTransaction();
 
-    // Get the service request details
-    const [requests] = await conn.execute(
-      "SELECT employee_user_id FROM service_requests WHERE id = ?",
-      [service_request_id],
-    );
-
-    if (requests.length === 0) {
-      await conn.rollback();
-      return res.status(404).json({ error: "Service request not found" });
-    }
-
-    const employeeId = requests[0].employee_user_id;
-
-    // Create review
     await conn.execute(
-      `INSERT INTO reviews (service_request_id, reviewer_user_id, reviewed_user_id, rating, review_text)
-       VALUES (?, ?, ?, ?, ?)`,
-      [service_request_id, req.userId, employeeId, rating, review_text],
+      `INSERT INTO employee_profiles (user_id, timezone, session_minutes)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE timezone = VALUES(timezone), session_minutes = VALUES(session_minutes)`,
+      [req.userId, schedule.timezone, schedule.sessionMinutes],
     );
 
-    // Update employee profile ratings
-    const [ratings] = await conn.execute(
-      "SELECT AVG(rating) as avg_rating, COUNT(*) as total FROM reviews WHERE reviewed_user_id = ?",
-      [employeeId],
+    await conn.execute(
+      "DELETE FROM employee_availability WHERE employee_user_id = ?",
+      [req.userId],
     );
+    for (const window of schedule.weekly) {
+      await conn.execute(
+        `INSERT INTO employee_availability (employee_user_id, day_of_week, start_time, end_time)
+         VALUES (?, ?, ?, ?)`,
+        [req.userId, window.day_of_week, window.start_time, window.end_time],
+      );
+    }
 
     await conn.execute(
-      "UPDATE employee_profiles SET rating = ?, total_reviews = ? WHERE user_id = ?",
-      [ratings[0].avg_rating || 0, ratings[0].total, employeeId],
+      "DELETE FROM employee_blackout_dates WHERE employee_user_id = ?",
+      [req.userId],
     );
+    for (const blackout of schedule.blackouts) {
+      await conn.execute(
+        `INSERT INTO employee_blackout_dates (employee_user_id, blackout_date, reason)
+         VALUES (?, ?, ?)`,
+        [
+          req.userId,
+          blackout.date,
+          blackout.reason ? sanitizeInput(blackout.reason) : null,
+        ],
+      );
+    }
 
     await conn.commit();
-    res.json({ success: true });
+
+    const saved = await getSchedule(conn, req.userId);
+    res.json({
+      success: true,
+      timezone: saved.timezone,
+      session_minutes: saved.sessionMinutes,
+      weekly: saved.weekly,
+      blackouts: saved.blackouts,
+    });
   } catch (err) {
     if (conn) await conn.rollback();
-    console.error("Create review error:", err);
+    console.error("Update availability error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
     if (conn) conn.end();
   }
 });
 
-app.get("/api/reviews/:coach_id", async (req, res) => {
-  const { coach_id } = req.params;
-  const { limit = 10, offset = 0 } = req.query;
+// Booked sessions of the signed-in user, as requester or as coach
+const getUserSessions = (conn, userId, since) =>
+  conn.execute(
+    `SELECT sr.id, sr.status, sr.session_start, sr.session_end, sr.updated_at,
+            ps.title,
+            IF(sr.employee_user_id = ?, 'employee', 'requester') as my_role,
+            IF(sr.employee_user_id = ?, u_req.full_name, u_emp.full_name) as other_party_name
+     FROM service_requests sr
+     JOIN published_services ps ON sr.published_service_id = ps.id
+     JOIN users u_req ON sr.requester_user_id = u_req.id
+     JOIN users u_emp ON sr.employee_user_id = u_emp.id
+     WHERE (sr.requester_user_id = ? OR sr.employee_user_id = ?)
+       AND sr.session_start IS NOT NULL
+       AND sr.session_end >= ?
+       AND sr.status IN (${BOOKING_STATUSES.map(() => "?").join(", ")})
+     ORDER BY sr.session_start ASC
+     LIMIT 200`,
+    [userId, userId, userId, userId, since, ...BOOKING_STATUSES],
+  );
 
+// Upcoming (and currently running) sessions, soonest first
+app.get("/api/sessions", verifyToken, async (req, res) => {
   let conn;
   try {
     conn = await pool.getConnection();
 
-    const [reviews] = await conn.execute(
-      `SELECT r.*, u.full_name, u.profile_picture
-       FROM reviews r
-       JOIN users u ON r.reviewer_user_id = u.id
-       WHERE r.reviewed_user_id = ?
-       ORDER BY r.created_at DESC
-       LIMIT ? OFFSET ?`,
-      [coach_id, parseInt(limit), parseInt(offset)],
-    );
+    const [sessions] = await getUserSessions(conn, req.userId, new Date());
 
-    res.json({ reviews });
+    res.json({ sessions });
   } catch (err) {
-    console.error("Get reviews error:", err);
+    console.error("Get sessions error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
     if (conn) conn.end();
   }
 });
 
-// ==========================================
-// ADMIN ANALYTICS ENDPOINTS
-// ==========================================
-
-app.get("/api/admin/dashboard", verifyToken, verifyAdmin, async (req, res) => {
+// The same sessions (plus the last 30 days) as an .ics file. Pending
+// requests are exported as tentative.
+app.get("/api/sessions/calendar.ics", verifyToken, async (req, res) => {
   let conn;
   try {
     conn = await pool.getConnection();
 
-    // Total counts
-    const [totals] = await conn.execute(`
-      SELECT
-        (SELECT COUNT(*) FROM users) as total_users,
-        (SELECT COUNT(*) FROM users WHERE is_employee = TRUE) as total_coaches,
-        (SELECT COUNT(*) FROM service_requests WHERE status = 'completed') as completed_services,
-        (SELECT SUM(amount) FROM transactions WHERE status = 'completed') as total_revenue
-    `);
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const [sessions] = await getUserSessions(conn, req.userId, since);
+
+    const calendar = buildCalendar({
+      name: "GamerHelpers sessions",
+      events: sessions.map((session) => ({
+        uid: `session-${session.id}@gamerhelpers`,
+        start: session.session_start,
+        end: session.session_end,
+        updated: session.updated_at,
+        summary: `${session.title} with ${session.other_party_name}`,
+        description:
+          session.my_role === "employee"
+            ? `Coaching session for ${session.other_party_name} (request #${session.id})`
+            : `Session with coach ${session.other_party_name} (request #${session.id})`,
+        status: session.status === "pending" ? "TENTATIVE" : "CONFIRMED",
+      })),
+    });
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      'attachment; filename="gamerhelpers-sessions.ics"',
+    );
+    res.send(calendar);
+  } catch (err) {
+    console.error("Export sessions calendar error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// ==========================================
+// DISPUTE ENDPOINTS
+// ==========================================
+
+// Either party of an active service request can open a dispute.
+// While a dispute is open or investigating, admin completion approval is frozen.
+app.post("/api/requests/:id/disputes", verifyToken, async (req, res) => {
+  const { id } = req.params;
+  const { reason, description } = req.body;
+
+  if (!reason || !description) {
+    return res
+      .status(400)
+      .json({ error: "Reason and description are required" });
+  }
+
+  // [INPUT VALIDATION] Enforce field length limit on reason
+  const reasonCheck = validateFieldLength(reason, "Reason");
+  if (!reasonCheck.valid) {
+    return res.status(400).json({ error: reasonCheck.error });
+  }
+
+  // [INPUT VALIDATION] Sanitize dispute text
+  const safeReason = sanitizeInput(reason);
+  const safeDescription = sanitizeInput(description);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [requests] = await conn.execute(
+      `SELECT sr.requester_user_id, sr.employee_user_id, sr.status, ps.title
+       FROM service_requests sr
+       JOIN published_services ps ON sr.published_service_id = ps.id
+       WHERE sr.id = ?`,
+      [id],
+    );
+
+    if (requests.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: "Request not found" });
+    }
+
+    const request = requests[0];
+    if (
+      req.userId !== request.requester_user_id &&
+      req.userId !== request.employee_user_id
+    ) {
+      await conn.rollback();
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    if (!ACTIVE_STATUSES.includes(request.status)) {
+      await conn.rollback();
+      return res
+        .status(400)
+        .json({ error: "Disputes can only be opened on active services" });
+    }
+
+    const [existing] = await conn.execute(
+      `SELECT id FROM disputes
+       WHERE service_request_id = ? AND status IN ('open', 'investigating')`,
+      [id],
+    );
+
+    if (existing.length > 0) {
+      await conn.rollback();
+      return res
+        .status(409)
+        .json({ error: "A dispute is already open for this request" });
+    }
+
+    const respondentId =
+      req.userId === request.requester_user_id
+        ? request.employee_user_id
+        : request.requester_user_id;
+
+    // [SQL INJECTION PREVENTION] Parameterized INSERT for dispute
+    const [result] = await conn.execute(
+      `INSERT INTO disputes (service_request_id, complainant_user_id, respondent_user_id, reason, description, status)
+       VALUES (?, ?, ?, ?, ?, 'open')`,
+      [id, req.userId, respondentId, safeReason, safeDescription],
+    );
+
+    await notify(conn, {
+      userId: respondentId,
+      type: "dispute_opened",
+      entityType: "service_request",
+      entityId: id,
+      title: "Dispute Opened",
+      message: `A dispute was opened on "${request.title}". An admin will review it before the service can be closed.`,
+    });
+
+    await conn.commit();
+    await publishNotifications(conn);
+    res.json({ success: true, dispute_id: result.insertId });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error("Open dispute error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// Disputes on a request, visible to both parties
+app.get("/api/requests/:id/disputes", verifyToken, async (req, res) => {
+  const { id } = req.params;
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const [requests] = await conn.execute(
+      "SELECT requester_user_id, employee_user_id FROM service_requests WHERE id = ?",
+      [id],
+    );
+
+    if (requests.length === 0) {
+      return res.status(404).json({ error: "Request not found" });
+    }
+
+    if (
+      req.userId !== requests[0].requester_user_id &&
+      req.userId !== requests[0].employee_user_id
+    ) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    const [disputes] = await conn.execute(
+      `SELECT id, complainant_user_id, respondent_user_id, reason, description,
+              status, resolution_notes, created_at, resolved_at
+       FROM disputes
+       WHERE service_request_id = ?
+       ORDER BY created_at DESC`,
+      [id],
+    );
+
+    res.json({ disputes });
+  } catch (err) {
+    console.error("Get request disputes error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// ==========================================
+// WALLET ENDPOINTS
+// ==========================================
+
+// Wallet balance and history, derived from the ledger
+app.get("/api/wallet", verifyToken, async (req, res) => {
+  const { limit = 50, offset = 0 } = req.query;
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const balance = await getWalletBalance(conn, req.userId);
+
+    // Funds this user has on hold in escrow for active requests
+    const [held] = await conn.execute(
+      `SELECT COALESCE(SUM(le.amount), 0) as held
+       FROM ledger_entries le
+       JOIN service_requests sr ON le.service_request_id = sr.id
+       WHERE le.account_type = 'escrow' AND sr.requester_user_id = ?`,
+      [req.userId],
+    );
+
+    const [entries] = await conn.execute(
+      `SELECT le.id, le.entry_type, le.amount, le.description, le.service_request_id,
+              le.transaction_id, le.created_at, ps.title as service_title
+       FROM ledger_entries le
+       LEFT JOIN service_requests sr ON le.service_request_id = sr.id
+       LEFT JOIN published_services ps ON sr.published_service_id = ps.id
+       WHERE le.account_type = 'wallet' AND le.account_user_id = ?
+       ORDER BY le.created_at DESC, le.id DESC
+       LIMIT ? OFFSET ?`,
+      [req.userId, parseInt(limit), parseInt(offset)],
+    );
+
+    // Funds reserved for withdrawals that have not been paid out yet
+    const [reserved] = await conn.execute(
+      `SELECT COALESCE(SUM(amount), 0) as reserved FROM ledger_entries
+       WHERE account_type = 'payout' AND account_user_id = ?`,
+      [req.userId],
+    );
+
+    const withdrawable = await getWithdrawableBalance(conn, req.userId);
+
+    res.json({
+      balance,
+      withdrawable,
+      held_in_escrow: parseFloat(held[0].held),
+      pending_withdrawals: parseFloat(reserved[0].reserved),
+      entries,
+    });
+  } catch (err) {
+    console.error("Get wallet error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// [WITHDRAWALS] Thresholds for a single withdrawal request
+const MIN_WITHDRAWAL_AMOUNT = 20;
+const MAX_WITHDRAWAL_AMOUNT = 5000;
+const MAX_PENDING_WITHDRAWALS = 3;
+
+// Request a withdrawal of earned funds. The amount is reserved from the
+// wallet right away and paid out once an admin approves it.
+app.post("/api/wallet/withdrawals", verifyToken, async (req, res) => {
+  if (req.userRole !== "employee") {
+    return res
+      .status(403)
+      .json({ error: "Only employees can withdraw earnings" });
+  }
+
+  const { amount, payout_details } = req.body;
+
+  const withdrawAmount = Math.round(parseFloat(amount) * 100) / 100;
+  if (isNaN(withdrawAmount) || withdrawAmount < MIN_WITHDRAWAL_AMOUNT) {
+    return res.status(400).json({
+      error: `Minimum withdrawal is $${MIN_WITHDRAWAL_AMOUNT.toFixed(2)}`,
+    });
+  }
+  if (withdrawAmount > MAX_WITHDRAWAL_AMOUNT) {
+    return res.status(400).json({
+      error: `Maximum withdrawal is $${MAX_WITHDRAWAL_AMOUNT.toFixed(2)}`,
+    });
+  }
+
+  // [INPUT VALIDATION] Sanitize and length-check payout details
+  const safeDetails = sanitizeInput(payout_details);
+  if (!safeDetails) {
+    return res.status(400).json({ error: "Payout details are required" });
+  }
+  const detailsCheck = validateFieldLength(safeDetails, "Payout details");
+  if (!detailsCheck.valid) {
+    return res.status(400).json({ error: detailsCheck.error });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    // Lock the user row so concurrent requests can't overdraw the wallet
+    await conn.execute("SELECT id FROM users WHERE id = ? FOR UPDATE", [
+      req.userId,
+    ]);
 
-    // Pending applications
     const [pending] = await conn.execute(
-      "SELECT COUNT(*) as count FROM service_applications WHERE status = ?",
-      ["pending"],
+      `SELECT COUNT(*) as count FROM withdrawal_requests
+       WHERE user_id = ? AND status IN ('pending', 'processing', 'approved')`,
+      [req.userId],
     );
+    if (pending[0].count >= MAX_PENDING_WITHDRAWALS) {
+      await conn.rollback();
+      return res.status(409).json({
+        error: `You can have at most ${MAX_PENDING_WITHDRAWALS} withdrawals in progress`,
+      });
+    }
 
-    // Active requests
-    const [active] = await conn.execute(
-      `SELECT COUNT(*) as count FROM service_requests 
-       WHERE status IN ('pending', 'accepted', 'in_progress')`,
+    // Only earnings from services can be cashed out
+    const withdrawable = await getWithdrawableBalance(conn, req.userId);
+    if (withdrawAmount > withdrawable) {
+      await conn.rollback();
+      return res.status(400).json({
+        error: `You can withdraw up to $${withdrawable.toFixed(2)} of earned funds`,
+      });
+    }
+
+    const [txResult] = await conn.execute(
+      `INSERT INTO transactions (service_request_id, from_user_id, to_user_id, amount, commission_amount, transaction_type, status)
+       VALUES (NULL, ?, ?, ?, 0, 'withdrawal', 'pending')`,
+      [req.userId, req.userId, withdrawAmount],
+    );
+
+    const [result] = await conn.execute(
+      `INSERT INTO withdrawal_requests (user_id, amount, payout_details, transaction_id)
+       VALUES (?, ?, ?, ?)`,
+      [req.userId, withdrawAmount, safeDetails, txResult.insertId],
+    );
+
+    // [ESCROW LEDGER] Move the amount out of the spendable balance
+    await reserveWithdrawal(conn, {
+      userId: req.userId,
+      amount: withdrawAmount,
+      transactionId: txResult.insertId,
+    });
+
+    await conn.commit();
+    res.status(201).json({
+      success: true,
+      withdrawal_id: result.insertId,
+      message: "Withdrawal requested. An admin will review it shortly.",
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error("Request withdrawal error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// List the current user's withdrawal requests
+app.get("/api/wallet/withdrawals", verifyToken, async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const [withdrawals] = await conn.execute(
+      `SELECT id, amount, status, payout_details, provider_reference, admin_notes,
+              created_at, reviewed_at, paid_at
+       FROM withdrawal_requests
+       WHERE user_id = ?
+       ORDER BY created_at DESC`,
+      [req.userId],
     );
 
     res.json({
-      stats: totals[0],
-      pending_applications: pending[0].count,
-      active_requests: active[0].count,
+      withdrawals,
+      limits: {
+        min_amount: MIN_WITHDRAWAL_AMOUNT,
+        max_amount: MAX_WITHDRAWAL_AMOUNT,
+      },
     });
   } catch (err) {
-    console.error("Dashboard error:", err);
+    console.error("Get withdrawals error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
     if (conn) conn.end();
   }
 });
 
-app.get("/api/admin/users", verifyToken, verifyAdmin, async (req, res) => {
-  const { limit = 20, offset = 0 } = req.query;
+// ==========================================
+// CHAT/MESSAGING ENDPOINTS
+// ==========================================
+
+// [CHAT AUTHORIZATION] A chat belongs to one service request, and only the
+// request's requester and employee may read or post in it. Posting is also
+// blocked once the chat is archived or the request is closed/cancelled.
+// Every denial carries a stable `code` so the Chat page can explain it.
+const CHAT_ERRORS = {
+  NOT_FOUND: { status: 404, code: "CHAT_NOT_FOUND", error: "Chat not found" },
+  NOT_MEMBER: {
+    status: 403,
+    code: "CHAT_NOT_MEMBER",
+    error: "You are not a member of this chat",
+  },
+  ARCHIVED: {
+    status: 409,
+    code: "CHAT_ARCHIVED",
+    error: "This chat has been archived",
+  },
+  REQUEST_CLOSED: {
+    status: 409,
+    code: "CHAT_REQUEST_CLOSED",
+    error: "This service has been closed",
+  },
+  REQUEST_CANCELLED: {
+    status: 409,
+    code: "CHAT_REQUEST_CANCELLED",
+    error: "This service request was cancelled",
+  },
+};
+
+// Resolve a chat to its service request participants
+const getChatParticipants = async (conn, chatId) => {
+  const [rows] = await conn.execute(
+    `SELECT c.id, c.is_archived, c.service_request_id,
+            sr.requester_user_id, sr.employee_user_id, sr.status as request_status,
+            ps.title as service_title
+     FROM chats c
+     JOIN service_requests sr ON c.service_request_id = sr.id
+     JOIN published_services ps ON sr.published_service_id = ps.id
+     WHERE c.id = ?`,
+    [chatId],
+  );
+  return rows[0] || null;
+};
+
+/**
+ * [CHAT AUTHORIZATION] Check that a user may access a chat.
+ * @param {object} conn - database connection
+ * @param {number} chatId - the chat ID
+ * @param {number} userId - the authenticated user ID
+ * @param {object} options - { write: true } to also require an open chat
+ * @returns {object} { chat } when allowed, { denied } with a CHAT_ERRORS entry otherwise
+ */
+const authorizeChatAccess = async (
+  conn,
+  chatId,
+  userId,
+  { write = false } = {},
+) => {
+  const chat = await getChatParticipants(conn, chatId);
+  if (!chat) return { denied: CHAT_ERRORS.NOT_FOUND };
+
+  if (chat.requester_user_id !== userId && chat.employee_user_id !== userId) {
+    return { denied: CHAT_ERRORS.NOT_MEMBER };
+  }
+
+  if (write) {
+    if (chat.is_archived) return { denied: CHAT_ERRORS.ARCHIVED };
+    if (chat.request_status === "closed") {
+      return { denied: CHAT_ERRORS.REQUEST_CLOSED };
+    }
+    if (chat.request_status === "cancelled") {
+      return { denied: CHAT_ERRORS.REQUEST_CANCELLED };
+    }
+  }
+
+  return { chat };
+};
+
+const sendChatError = (res, denied) =>
+  res.status(denied.status).json({ error: denied.error, code: denied.code });
+
+app.get("/api/chats", verifyToken, async (req, res) => {
   let conn;
   try {
     conn = await pool.getConnection();
 
-    const [users] = await conn.execute(
+    const [chats] = await conn.execute(
       `
-      SELECT id, email, full_name, is_employee, account_status, wallet_balance, created_at
-      FROM users
-      ORDER BY created_at DESC
-      LIMIT ? OFFSET ?
+      SELECT c.id, c.service_request_id, sr.published_service_id, sr.status as request_status,
+             ps.title as service_title,
+             u_emp.full_name as employee_name, u_req.full_name as requester_name,
+             c.created_at, c.is_archived,
+             (SELECT message FROM chat_messages WHERE chat_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message
+      FROM chats c
+      JOIN service_requests sr ON c.service_request_id = sr.id
+      JOIN published_services ps ON sr.published_service_id = ps.id
+      JOIN users u_emp ON sr.employee_user_id = u_emp.id
+      JOIN users u_req ON sr.requester_user_id = u_req.id
+      WHERE sr.requester_user_id = ? OR sr.employee_user_id = ?
+      ORDER BY c.created_at DESC
     `,
-      [parseInt(limit), parseInt(offset)],
+      [req.userId, req.userId],
     );
 
-    res.json({ users });
+    res.json({ chats });
   } catch (err) {
-    console.error("Get users error:", err);
+    console.error("Get chats error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
     if (conn) conn.end();
   }
 });
 
-app.put(
-  "/api/admin/users/:id/status",
-  verifyToken,
+app.get("/api/chats/:id/messages", verifyToken, async (req, res) => {
+  const { id } = req.params;
+  const { limit = 50, offset = 0 } = req.query;
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    // [CHAT AUTHORIZATION] Only chat members may read messages
+    const { denied } = await authorizeChatAccess(conn, id, req.userId);
+    if (denied) return sendChatError(res, denied);
+
+    const [messages] = await conn.execute(
+      `SELECT cm.*, u.full_name, u.profile_picture
+       FROM chat_messages cm
+       JOIN users u ON cm.sender_user_id = u.id
+       WHERE cm.chat_id = ?
+       ORDER BY cm.created_at ASC
+       LIMIT ? OFFSET ?`,
+      [id, parseInt(limit), parseInt(offset)],
+    );
+
+    const [readReceipts] = await conn.execute(
+      "SELECT user_id, last_read_message_id, read_at FROM chat_read_receipts WHERE chat_id = ?",
+      [id],
+    );
+
+    res.json({ messages, read_receipts: readReceipts });
+  } catch (err) {
+    console.error("Get messages error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+app.post("/api/chats/:id/messages", verifyToken, async (req, res) => {
+  const { id } = req.params;
+  const { message } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: "Message required" });
+  }
+
+  // [INPUT VALIDATION] Sanitize message content to prevent XSS
+  const safeMessage = sanitizeInput(message);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    // [CHAT AUTHORIZATION] Only members may post, and only into open chats
+    const { chat, denied } = await authorizeChatAccess(conn, id, req.userId, {
+      write: true,
+    });
+    if (denied) return sendChatError(res, denied);
+
+    // [SQL INJECTION PREVENTION] Parameterized INSERT for chat message
+    const [result] = await conn.execute(
+      "INSERT INTO chat_messages (chat_id, sender_user_id, message) VALUES (?, ?, ?)",
+      [id, req.userId, safeMessage],
+    );
+
+    const [rows] = await conn.execute(
+      `SELECT cm.*, u.full_name, u.profile_picture
+       FROM chat_messages cm
+       JOIN users u ON cm.sender_user_id = u.id
+       WHERE cm.id = ?`,
+      [result.insertId],
+    );
+
+    // Push the new message to everyone watching this chat
+    publish(`chat:${id}`, "message", rows[0]);
+
+    // Unread messages in the same chat share one notification
+    await notifyChatMessage(conn, {
+      recipientId:
+        chat.requester_user_id === req.userId
+          ? chat.employee_user_id
+          : chat.requester_user_id,
+      chatId: chat.id,
+      senderName: rows[0].full_name,
+      serviceTitle: chat.service_title,
+    });
+    await publishNotifications(conn);
+
+    res.json({ success: true, message_id: result.insertId, message: rows[0] });
+  } catch (err) {
+    console.error("Send message error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// ==========================================
+// REAL-TIME CHAT ENDPOINTS (Server-Sent Events)
+// ==========================================
+// Chat members subscribe to /api/chats/:id/stream and receive:
+//   - message : a new chat_messages row
+//   - typing  : { user_id, full_name, is_typing }
+//   - read    : { user_id, last_read_message_id, read_at }
+// Admins watching a chat use /api/admin/chats/:id/stream for the same feed.
+// ==========================================
+
+app.get("/api/chats/:id/stream", verifyStreamToken, async (req, res) => {
+  const { id } = req.params;
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { denied } = await authorizeChatAccess(conn, id, req.userId);
+    if (denied) return sendChatError(res, denied);
+  } catch (err) {
+    console.error("Chat stream error:", err);
+    return res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+
+  openStream(req, res, [`chat:${id}`]);
+});
+
+// Typing indicators are relayed to the other members, never stored
+app.post("/api/chats/:id/typing", verifyToken, async (req, res) => {
+  const { id } = req.params;
+  const { is_typing } = req.body;
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { denied } = await authorizeChatAccess(conn, id, req.userId, {
+      write: true,
+    });
+    if (denied) return sendChatError(res, denied);
+
+    const [users] = await conn.execute(
+      "SELECT full_name FROM users WHERE id = ?",
+      [req.userId],
+    );
+
+    publish(`chat:${id}`, "typing", {
+      user_id: req.userId,
+      full_name: users[0]?.full_name,
+      is_typing: Boolean(is_typing),
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Chat typing error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// Read receipts: remember the last message each member has seen
+app.post("/api/chats/:id/read", verifyToken, async (req, res) => {
+  const { id } = req.params;
+  const { last_read_message_id } = req.body;
+
+  const lastReadId = parseInt(last_read_message_id);
+  if (isNaN(lastReadId)) {
+    return res.status(400).json({ error: "Message ID required" });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { denied } = await authorizeChatAccess(conn, id, req.userId);
+    if (denied) return sendChatError(res, denied);
+
+    // Receipts only move forward
+    await conn.execute(
+      `INSERT INTO chat_read_receipts (chat_id, user_id, last_read_message_id, read_at)
+       VALUES (?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE
+         read_at = IF(VALUES(last_read_message_id) > last_read_message_id, NOW(), read_at),
+         last_read_message_id = GREATEST(last_read_message_id, VALUES(last_read_message_id))`,
+      [id, req.userId, lastReadId],
+    );
+
+    const [receipts] = await conn.execute(
+      "SELECT user_id, last_read_message_id, read_at FROM chat_read_receipts WHERE chat_id = ? AND user_id = ?",
+      [id, req.userId],
+    );
+
+    publish(`chat:${id}`, "read", receipts[0]);
+
+    res.json({ success: true, receipt: receipts[0] });
+  } catch (err) {
+    console.error("Chat read receipt error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// ==========================================
+// REVIEWS & RATINGS ENDPOINTS
+// ==========================================
+
+// Review the employee of a closed request (requester only, once, within
+// the review window). See ./reviews.js.
+app.post("/api/reviews", verifyToken, async (req, res) => {
+  const { service_request_id } = req.body || {};
+
+  if (!service_request_id) {
+    return res.status(400).json({ error: "Service request ID required" });
+  }
+  const { rating, text, error } = parseRating(
+    req.body,
+    "review_text",
+    sanitizeInput,
+  );
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const { denied, reviewId } = await createReview(
+      conn,
+      service_request_id,
+      { userId: req.userId, role: req.userRole },
+      { rating, text },
+    );
+    if (denied) {
+      await conn.rollback();
+      return sendRequestError(res, denied);
+    }
+
+    await conn.commit();
+    await publishNotifications(conn);
+    res.status(201).json({ success: true, review_id: reviewId });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error("Create review error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// The reviewed employee's one public reply
+app.post("/api/reviews/:id/reply", verifyToken, async (req, res) => {
+  const { id } = req.params;
+  const { reply_text } = req.body || {};
+
+  const reply = reply_text ? sanitizeInput(String(reply_text).trim()) : "";
+  if (!reply) {
+    return res.status(400).json({ error: "Reply text required" });
+  }
+  if (reply.length > MAX_REPLY_LENGTH) {
+    return res
+      .status(400)
+      .json({ error: `Replies are at most ${MAX_REPLY_LENGTH} characters` });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const { denied } = await replyToReview(
+      conn,
+      id,
+      { userId: req.userId, role: req.userRole },
+      reply,
+    );
+    if (denied) {
+      await conn.rollback();
+      return sendRequestError(res, denied);
+    }
+
+    await conn.commit();
+    await publishNotifications(conn);
+    res.json({ success: true });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error("Reply to review error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// Report a review for moderation: { reason, details }
+app.post("/api/reviews/:id/report", verifyToken, async (req, res) => {
+  const { id } = req.params;
+
+  const { reason, details, error } = parseReport(req.body || {}, sanitizeInput);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { denied, reportId } = await reportReview(
+      conn,
+      id,
+      { userId: req.userId, role: req.userRole },
+      { reason, details },
+    );
+    if (denied) {
+      return sendRequestError(res, denied);
+    }
+
+    res.status(201).json({
+      success: true,
+      report_id: reportId,
+      message: "Thanks, an admin will look at this review.",
+    });
+  } catch (err) {
+    console.error("Report review error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// Review state of a request for the review prompt (parties only)
+app.get("/api/requests/:id/review", verifyToken, async (req, res) => {
+  const { id } = req.params;
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { denied, status } = await getReviewStatus(conn, id, {
+      userId: req.userId,
+      role: req.userRole,
+    });
+    if (denied) {
+      return sendRequestError(res, denied);
+    }
+    res.json(status);
+  } catch (err) {
+    console.error("Get review status error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// The employee's private rating of the requester: { rating, note }
+app.post(
+  "/api/requests/:id/requester-rating",
+  verifyToken,
+  async (req, res) => {
+    const { id } = req.params;
+
+    const { rating, text, error } = parseRating(
+      req.body || {},
+      "note",
+      sanitizeInput,
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const { denied } = await rateRequester(
+        conn,
+        id,
+        { userId: req.userId, role: req.userRole },
+        { rating, text },
+      );
+      if (denied) {
+        await conn.rollback();
+        return sendRequestError(res, denied);
+      }
+
+      await conn.commit();
+      res.status(201).json({ success: true });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error("Rate requester error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+app.get("/api/reviews/:coach_id", async (req, res) => {
+  const { coach_id } = req.params;
+  const { limit = 10, offset = 0 } = req.query;
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    // Hidden reviews are left out of the list and the rating
+    const [reviews] = await conn.execute(
+      `SELECT r.id, r.service_request_id, r.rating, r.review_text,
+              r.reply_text, r.replied_at, r.created_at,
+              u.full_name, u.profile_picture
+       FROM reviews r
+       JOIN users u ON r.reviewer_user_id = u.id
+       WHERE r.reviewed_user_id = ? AND r.is_hidden = FALSE
+       ORDER BY r.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [coach_id, parseInt(limit), parseInt(offset)],
+    );
+
+    const breakdown = await getRatingBreakdown(conn, coach_id);
+    const total = Object.values(breakdown).reduce((sum, n) => sum + n, 0);
+    const average =
+      total > 0
+        ? Object.entries(breakdown).reduce(
+            (sum, [star, n]) => sum + star * n,
+            0,
+          ) / total
+        : 0;
+
+    res.json({
+      reviews,
+      total,
+      average: Math.round(average * 100) / 100,
+      breakdown,
+    });
+  } catch (err) {
+    console.error("Get reviews error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// ==========================================
+// ADMIN REVIEW MODERATION ENDPOINTS
+// ==========================================
+// Queue of reported reviews and the hide / restore / delete actions.
+// Every action is written to admin_logs. See ./reviews.js.
+// ==========================================
+
+// status: "reported" (open reports, default), "hidden" or "all"
+app.get("/api/admin/reviews", verifyToken, verifyAdmin, async (req, res) => {
+  const { status = "reported" } = req.query;
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    let where = "";
+    if (status === "reported") {
+      where = "WHERE rep.open_reports > 0 AND r.is_hidden = FALSE";
+    } else if (status === "hidden") {
+      where = "WHERE r.is_hidden = TRUE";
+    } else if (status !== "all") {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    const [reviews] = await conn.execute(
+      `SELECT r.id, r.service_request_id, r.rating, r.review_text,
+              r.reply_text, r.is_hidden, r.hidden_reason, r.hidden_at,
+              r.created_at,
+              r.reviewer_user_id, u_rev.full_name as reviewer_name,
+              r.reviewed_user_id, u_emp.full_name as employee_name,
+              a.full_name as hidden_by_name,
+              COALESCE(rep.open_reports, 0) as open_reports,
+              COALESCE(rep.total_reports, 0) as total_reports,
+              rep.last_reported_at
+       FROM reviews r
+       JOIN users u_rev ON r.reviewer_user_id = u_rev.id
+       JOIN users u_emp ON r.reviewed_user_id = u_emp.id
+       LEFT JOIN admin a ON r.hidden_by_admin = a.id
+       LEFT JOIN (
+         SELECT review_id,
+                SUM(status = 'open') as open_reports,
+                COUNT(*) as total_reports,
+                MAX(created_at) as last_reported_at
+         FROM review_reports GROUP BY review_id
+       ) rep ON rep.review_id = r.id
+       ${where}
+       ORDER BY open_reports DESC, r.hidden_at DESC, r.created_at DESC
+       LIMIT 200`,
+    );
+
+    // The reports behind each listed review
+    const ids = reviews.map((review) => review.id);
+    const [reports] = ids.length
+      ? await conn.execute(
+          `SELECT rr.id, rr.review_id, rr.reason, rr.details, rr.status,
+                  rr.created_at, u.full_name as reporter_name
+           FROM review_reports rr
+           JOIN users u ON rr.reporter_user_id = u.id
+           WHERE rr.review_id IN (${ids.map(() => "?").join(", ")})
+           ORDER BY rr.created_at ASC`,
+          ids,
+        )
+      : [[]];
+
+    res.json({
+      reviews: reviews.map((review) => ({
+        ...review,
+        reports: reports.filter((report) => report.review_id === review.id),
+      })),
+      reasons: REPORT_REASONS,
+    });
+  } catch (err) {
+    console.error("Get review queue error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// Hide (with a reason) or restore a review
+const setReviewHiddenRoute = (hidden) => async (req, res) => {
+  const { id } = req.params;
+  const reason = req.body?.reason
+    ? sanitizeInput(String(req.body.reason).trim())
+    : "";
+
+  if (hidden && !reason) {
+    return res.status(400).json({ error: "A reason is required" });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const { denied, review } = await setReviewHidden(conn, id, hidden, {
+      adminId: req.userId,
+      reason,
+    });
+    if (denied) {
+      await conn.rollback();
+      return sendRequestError(res, denied);
+    }
+
+    await logAdminAction(conn, {
+      adminId: req.userId,
+      action: hidden ? "HIDE_REVIEW" : "RESTORE_REVIEW",
+      targetType: "review",
+      targetId: review.id,
+      details: hidden
+        ? `Hid ${review.rating}-star review of employee ${review.reviewed_user_id}: ${reason}`
+        : `Restored ${review.rating}-star review of employee ${review.reviewed_user_id}`,
+      ipAddress: req.ip,
+    });
+
+    await conn.commit();
+    res.json({ success: true });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error(`${hidden ? "Hide" : "Restore"} review error:`, err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+};
+
+app.post(
+  "/api/admin/reviews/:id/hide",
+  verifyToken,
+  verifyAdmin,
+  setReviewHiddenRoute(true),
+);
+
+app.post(
+  "/api/admin/reviews/:id/restore",
+  verifyToken,
+  verifyAdmin,
+  setReviewHiddenRoute(false),
+);
+
+// Keep the review and close its open reports
+app.post(
+  "/api/admin/reviews/:id/dismiss-reports",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const { denied, dismissed } = await dismissReports(conn, id, req.userId);
+      if (denied) {
+        await conn.rollback();
+        return sendRequestError(res, denied);
+      }
+
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "DISMISS_REVIEW_REPORTS",
+        targetType: "review",
+        targetId: parseInt(id),
+        details: `Dismissed ${dismissed} report(s) on review ${id}`,
+        ipAddress: req.ip,
+      });
+
+      await conn.commit();
+      res.json({ success: true, dismissed });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error("Dismiss review reports error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+app.delete(
+  "/api/admin/reviews/:id",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const { denied, review } = await deleteReview(conn, id);
+      if (denied) {
+        await conn.rollback();
+        return sendRequestError(res, denied);
+      }
+
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "DELETE_REVIEW",
+        targetType: "review",
+        targetId: review.id,
+        details: `Deleted ${review.rating}-star review of employee ${review.reviewed_user_id} (request ${review.service_request_id})`,
+        ipAddress: req.ip,
+      });
+
+      await conn.commit();
+      res.json({ success: true });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error("Delete review error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// ==========================================
+// ADMIN VERIFICATION ENDPOINTS
+// ==========================================
+// Queue of employee rank proof and the verify / reject / revoke
+// decisions. Every decision is written to admin_logs. See
+// ./verification.js.
+// ==========================================
+
+// status: "pending" (default), "verified", "rejected", "revoked" or "all"
+app.get(
+  "/api/admin/verifications",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { status = "pending" } = req.query;
+    if (status !== "all" && !VERIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    let conn;
+    try {
+      conn = await pool.getConnection();
+
+      const [verifications] = await conn.execute(
+        `SELECT v.id, v.employee_id, u.full_name as employee_name, u.email,
+                v.game_id, g.name as game_name, v.account_id, v.rank_note,
+                v.screenshot_url, v.thumbnail_url, v.status,
+                v.decision_reason, v.decided_at, v.created_at,
+                a.full_name as decided_by_name,
+                ep.rank_tier, ep.is_verified
+         FROM employee_verifications v
+         JOIN users u ON v.employee_id = u.id
+         LEFT JOIN employee_profiles ep ON ep.user_id = v.employee_id
+         LEFT JOIN games g ON v.game_id = g.id
+         LEFT JOIN admin a ON v.decided_by_admin = a.id
+         ${status === "all" ? "" : "WHERE v.status = ?"}
+         ORDER BY ${status === "pending" ? "v.created_at ASC" : "COALESCE(v.decided_at, v.created_at) DESC"}
+         LIMIT 200`,
+        status === "all" ? [] : [status],
+      );
+
+      res.json({ verifications });
+    } catch (err) {
+      console.error("Get verification queue error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// Verify (optional note) or reject (reason required) a pending submission
+const decideVerificationRoute = (verified) => async (req, res) => {
+  const { id } = req.params;
+  const { reason, error } = parseDecisionReason(
+    req.body || {},
+    sanitizeInput,
+    !verified,
+  );
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const { denied, verification } = await decideVerification(
+      conn,
+      id,
+      verified,
+      { adminId: req.userId, reason },
+    );
+    if (denied) {
+      await conn.rollback();
+      return sendRequestError(res, denied);
+    }
+
+    // [ADMIN AUDIT LOGS] Log the verification decision
+    await logAdminAction(conn, {
+      adminId: req.userId,
+      action: verified ? "VERIFY_EMPLOYEE" : "REJECT_VERIFICATION",
+      targetType: "employee_verification",
+      targetId: verification.id,
+      details: verified
+        ? `Verified employee ${verification.employee_id}${reason ? `: ${reason}` : ""}`
+        : `Rejected verification of employee ${verification.employee_id}: ${reason}`,
+      ipAddress: req.ip,
+    });
+
+    await conn.commit();
+    await publishNotifications(conn);
+    res.json({ success: true });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error(`${verified ? "Verify" : "Reject"} employee error:`, err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+};
+
+app.post(
+  "/api/admin/verifications/:id/verify",
+  verifyToken,
+  verifyAdmin,
+  decideVerificationRoute(true),
+);
+
+app.post(
+  "/api/admin/verifications/:id/reject",
+  verifyToken,
+  verifyAdmin,
+  decideVerificationRoute(false),
+);
+
+// Take the badge back (reason required)
+app.post(
+  "/api/admin/verifications/:id/revoke",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    const { reason, error } = parseDecisionReason(
+      req.body || {},
+      sanitizeInput,
+      true,
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const { denied, verification } = await revokeVerification(conn, id, {
+        adminId: req.userId,
+        reason,
+      });
+      if (denied) {
+        await conn.rollback();
+        return sendRequestError(res, denied);
+      }
+
+      // [ADMIN AUDIT LOGS] Log the revocation
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "REVOKE_VERIFICATION",
+        targetType: "employee_verification",
+        targetId: verification.id,
+        details: `Revoked verification of employee ${verification.employee_id}: ${reason}`,
+        ipAddress: req.ip,
+      });
+
+      await conn.commit();
+      await publishNotifications(conn);
+      res.json({ success: true });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error("Revoke verification error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// ==========================================
+// ADMIN ANALYTICS ENDPOINTS
+// ==========================================
+
+app.get("/api/admin/dashboard", verifyToken, verifyAdmin, async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    // Total counts
+    const [totals] = await conn.execute(`
+      SELECT
+        (SELECT COUNT(*) FROM users) as total_users,
+        (SELECT COUNT(*) FROM users WHERE is_employee = TRUE) as total_coaches,
+        (SELECT COUNT(*) FROM service_requests WHERE status = 'closed') as completed_services,
+        (SELECT SUM(amount) FROM transactions WHERE status = 'completed' AND transaction_type = 'service_payment') as total_revenue
+    `);
+
+    // Pending applications
+    const [pending] = await conn.execute(
+      "SELECT COUNT(*) as count FROM service_applications WHERE status = ?",
+      ["pending"],
+    );
+
+    // Active requests
+    const [active] = await conn.execute(
+      `SELECT COUNT(*) as count FROM service_requests 
+       WHERE status IN ('pending', 'accepted', 'in_progress')`,
+    );
+
+    // Reviews waiting in the moderation queue
+    const [reported] = await conn.execute(
+      `SELECT COUNT(DISTINCT rr.review_id) as count
+       FROM review_reports rr
+       JOIN reviews r ON rr.review_id = r.id
+       WHERE rr.status = 'open' AND r.is_hidden = FALSE`,
+    );
+
+    // Rank proof waiting for a decision
+    const [verifications] = await conn.execute(
+      "SELECT COUNT(*) as count FROM employee_verifications WHERE status = 'pending'",
+    );
+
+    res.json({
+      stats: totals[0],
+      pending_applications: pending[0].count,
+      active_requests: active[0].count,
+      reported_reviews: reported[0].count,
+      pending_verifications: verifications[0].count,
+    });
+  } catch (err) {
+    console.error("Dashboard error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+app.get("/api/admin/users", verifyToken, verifyAdmin, async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const [users] = await conn.execute(
+      `
+      SELECT u.id, u.email, u.full_name, u.is_employee, u.account_status, u.wallet_balance, u.created_at,
+             ep.tier as employee_tier, ep.is_verified
+      FROM users u
+      LEFT JOIN employee_profiles ep ON ep.user_id = u.id
+      ORDER BY u.created_at DESC
+      LIMIT ? OFFSET ?
+    `,
+      [parseInt(limit), parseInt(offset)],
+    );
+
+    res.json({ users });
+  } catch (err) {
+    console.error("Get users error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+app.put(
+  "/api/admin/users/:id/status",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    const { account_status } = req.body;
+
+    // [INPUT VALIDATION] Validate allowed status values (including 'blocked' for the blocking feature)
+    if (
+      !["active", "suspended", "banned", "blocked"].includes(account_status)
+    ) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    let conn;
+    try {
+      conn = await pool.getConnection();
+
+      await conn.execute("UPDATE users SET account_status = ? WHERE id = ?", [
+        account_status,
+        id,
+      ]);
+
+      // [ADMIN AUDIT LOGS] Log user status change (editing user)
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "UPDATE_USER_STATUS",
+        targetType: "user",
+        targetId: parseInt(id),
+        details: `Changed user status to '${account_status}'`,
+        ipAddress: req.ip,
+      });
+
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Update user status error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// ==========================================
+// ADMIN SERVICE COMPLETION REVIEW ENDPOINTS
+// ==========================================
+
+// Get all pending completions for admin review
+app.get(
+  "/api/admin/completions/pending",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    let conn;
+    try {
+      conn = await pool.getConnection();
+
+      const [completions] = await conn.execute(`
+      SELECT 
+        sc.id, sc.service_request_id, sc.employee_completion_notes, sc.status, sc.submitted_by_employee_at, sc.escalated_at,
+        sr.amount, sr.service_details,
+        ps.title as service_title, g.name as game_name,
+        u_emp.full_name as employee_name, u_emp.id as employee_id,
+        u_req.full_name as requester_name, u_req.id as requester_id,
+        c.id as chat_id,
+        (SELECT COUNT(*) FROM disputes d
+         WHERE d.service_request_id = sr.id AND d.status IN ('open', 'investigating')) as open_disputes
+      FROM service_completions sc
+      JOIN service_requests sr ON sc.service_request_id = sr.id
+      JOIN published_services ps ON sr.published_service_id = ps.id
+      JOIN games g ON ps.game_id = g.id
+      JOIN users u_emp ON sr.employee_user_id = u_emp.id
+      JOIN users u_req ON sr.requester_user_id = u_req.id
+      LEFT JOIN chats c ON sr.id = c.service_request_id
+      WHERE sc.status = 'pending_review'
+      ORDER BY sc.escalated_at IS NULL, sc.submitted_by_employee_at ASC
+    `);
+
+      res.json({ completions });
+    } catch (err) {
+      console.error("Get pending completions error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// Admin approves completion and closes service (triggers payment)
+app.post(
+  "/api/admin/completions/:id/approve",
+  verifyToken,
   verifyAdmin,
   async (req, res) => {
     const { id } = req.params;
-    const { account_status } = req.body;
+    const { admin_notes } = req.body;
 
-    // [INPUT VALIDATION] Validate allowed status values (including 'blocked' for the blocking feature)
-    if (
-      !["active", "suspended", "banned", "blocked"].includes(account_status)
-    ) {
-      return res.status(400).json({ error: "Invalid status" });
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const [completions] = await conn.execute(
+        "SELECT id, service_request_id FROM service_completions WHERE id = ?",
+        [id],
+      );
+
+      if (completions.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: "Completion record not found" });
+      }
+
+      const completion = completions[0];
+
+      // Close the request: archives the chat, releases escrow and notifies
+      // both parties. Refused while a dispute is open.
+      const { denied, result } = await transitionRequest(
+        conn,
+        completion.service_request_id,
+        "approve_completion",
+        {
+          actor: { userId: req.userId, role: req.userRole },
+          note: admin_notes ? sanitizeInput(admin_notes) : null,
+        },
+      );
+      if (denied) {
+        await conn.rollback();
+        return sendRequestError(res, denied);
+      }
+      const { employeeEarnings } = result;
+
+      await conn.execute(
+        `UPDATE service_completions 
+       SET status = 'closed', admin_review_notes = ?, reviewed_by_admin = ?, reviewed_at = NOW(), closed_at = NOW()
+       WHERE id = ?`,
+        [admin_notes || null, req.userId || null, id],
+      );
+
+      // [ADMIN AUDIT LOGS] Log completion approval (updating content/service)
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "APPROVE_COMPLETION",
+        targetType: "service_completion",
+        targetId: parseInt(id),
+        details: `Approved completion for request ${completion.service_request_id}. Employee earned $${employeeEarnings.toFixed(2)}`,
+        ipAddress: req.ip,
+      });
+
+      await conn.commit();
+      await publishNotifications(conn);
+      res.json({
+        success: true,
+        message: "Service closed. Employee has been paid.",
+      });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error("Approve completion error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// Admin reopens a completion request (needs more work)
+app.post(
+  "/api/admin/completions/:id/reopen",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    const { admin_notes } = req.body;
+
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const [completions] = await conn.execute(
+        "SELECT id, service_request_id FROM service_completions WHERE id = ?",
+        [id],
+      );
+
+      if (completions.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: "Completion record not found" });
+      }
+
+      const completion = completions[0];
+
+      // Back to in_progress; both parties are notified
+      const { denied } = await transitionRequest(
+        conn,
+        completion.service_request_id,
+        "reopen",
+        {
+          actor: { userId: req.userId, role: req.userRole },
+          note: admin_notes ? sanitizeInput(admin_notes) : null,
+        },
+      );
+      if (denied) {
+        await conn.rollback();
+        return sendRequestError(res, denied);
+      }
+
+      // Update completion status to needs_revision
+      await conn.execute(
+        `UPDATE service_completions 
+       SET status = 'needs_revision', admin_review_notes = ?, reviewed_by_admin = ?, reviewed_at = NOW()
+       WHERE id = ?`,
+        [admin_notes || null, req.userId, id],
+      );
+
+      // [ADMIN AUDIT LOGS] Log completion reopen (updating content)
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "REOPEN_COMPLETION",
+        targetType: "service_completion",
+        targetId: parseInt(id),
+        details: `Reopened service request ${completion.service_request_id}. Reason: ${admin_notes || "Additional work needed"}`,
+        ipAddress: req.ip,
+      });
+
+      await conn.commit();
+      await publishNotifications(conn);
+      res.json({
+        success: true,
+        message: "Service reopened for additional work",
+      });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error("Reopen completion error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// ==========================================
+// ADMIN DISPUTE RESOLUTION ENDPOINTS
+// ==========================================
+
+const DISPUTE_RESOLUTIONS = ["refund", "release", "split", "dismiss"];
+
+// Admin dispute queue ('active' = open + investigating, or a single status)
+app.get("/api/admin/disputes", verifyToken, verifyAdmin, async (req, res) => {
+  const { status = "active" } = req.query;
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    let query = `
+      SELECT d.id, d.service_request_id, d.reason, d.description, d.status,
+             d.resolution, d.employee_share, d.resolution_notes,
+             d.created_at, d.resolved_at,
+             d.complainant_user_id, u_comp.full_name as complainant_name,
+             d.respondent_user_id, u_resp.full_name as respondent_name,
+             sr.status as request_status, sr.amount,
+             sr.requester_user_id, sr.employee_user_id,
+             ps.title as service_title, g.name as game_name,
+             c.id as chat_id,
+             DATEDIFF(NOW(), d.created_at) as days_open
+      FROM disputes d
+      JOIN users u_comp ON d.complainant_user_id = u_comp.id
+      JOIN users u_resp ON d.respondent_user_id = u_resp.id
+      JOIN service_requests sr ON d.service_request_id = sr.id
+      JOIN published_services ps ON sr.published_service_id = ps.id
+      JOIN games g ON ps.game_id = g.id
+      LEFT JOIN chats c ON sr.id = c.service_request_id
+    `;
+    const params = [];
+
+    if (status === "active") {
+      query += " WHERE d.status IN ('open', 'investigating')";
+    } else if (status !== "all") {
+      query += " WHERE d.status = ?";
+      params.push(status);
+    }
+
+    query += " ORDER BY d.created_at ASC";
+
+    const [disputes] = await conn.execute(query, params);
+    res.json({ disputes });
+  } catch (err) {
+    console.error("Get disputes error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// Admin marks a dispute as under investigation
+app.post(
+  "/api/admin/disputes/:id/investigate",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    let conn;
+    try {
+      conn = await pool.getConnection();
+
+      const [result] = await conn.execute(
+        "UPDATE disputes SET status = 'investigating' WHERE id = ? AND status = 'open'",
+        [id],
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(400).json({ error: "Dispute is not open" });
+      }
+
+      // [ADMIN AUDIT LOGS] Log dispute investigation
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "INVESTIGATE_DISPUTE",
+        targetType: "dispute",
+        targetId: parseInt(id),
+        details: `Started investigating dispute ${id}`,
+        ipAddress: req.ip,
+      });
+
+      res.json({ success: true, message: "Dispute marked as investigating" });
+    } catch (err) {
+      console.error("Investigate dispute error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// Admin resolves a dispute: refund the requester, release funds to the
+// employee, split the amount between them, or dismiss without moving funds.
+app.post(
+  "/api/admin/disputes/:id/resolve",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    const { resolution, employee_share, resolution_notes } = req.body;
+
+    if (!DISPUTE_RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({ error: "Invalid resolution" });
+    }
+
+    // Percentage of the request amount that goes to the employee
+    let employeeShare = 0;
+    if (resolution === "release") employeeShare = 100;
+    if (resolution === "split") {
+      employeeShare = parseFloat(employee_share);
+      if (isNaN(employeeShare) || employeeShare <= 0 || employeeShare >= 100) {
+        return res
+          .status(400)
+          .json({ error: "Employee share must be between 0 and 100" });
+      }
     }
 
+    // [INPUT VALIDATION] Sanitize admin notes
+    const safeNotes = resolution_notes ? sanitizeInput(resolution_notes) : null;
+
     let conn;
     try {
       conn = await pool.getConnection();
+      await conn.beginTransaction();
 
-      await conn.execute("UPDATE users SET account_status = ? WHERE id = ?", [
-        account_status,
-        id,
-      ]);
+      const [disputes] = await conn.execute(
+        `SELECT d.*, sr.requester_user_id, sr.employee_user_id, ps.title
+         FROM disputes d
+         JOIN service_requests sr ON d.service_request_id = sr.id
+         JOIN published_services ps ON sr.published_service_id = ps.id
+         WHERE d.id = ? FOR UPDATE`,
+        [id],
+      );
 
-      // [ADMIN AUDIT LOGS] Log user status change (editing user)
+      if (disputes.length === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: "Dispute not found" });
+      }
+
+      const dispute = disputes[0];
+
+      if (!["open", "investigating"].includes(dispute.status)) {
+        await conn.rollback();
+        return res.status(400).json({ error: "Dispute is already resolved" });
+      }
+
+      const requestId = dispute.service_request_id;
+      let summary;
+
+      if (resolution === "dismiss") {
+        // Service continues as normal; completion approval is unfrozen
+        summary = "Dispute dismissed, service continues";
+        await conn.execute(
+          `UPDATE disputes
+           SET status = 'closed', resolution = 'dismiss', resolution_notes = ?,
+               resolved_by_admin = ?, resolved_at = NOW()
+           WHERE id = ?`,
+          [safeNotes, req.userId, id],
+        );
+      } else {
+        // A full refund cancels the service; release or split closes it.
+        // The transition moves the escrowed funds and archives the chat.
+        const { denied, result } = await transitionRequest(
+          conn,
+          requestId,
+          resolution === "refund" ? "refund" : "settle",
+          {
+            actor: { userId: req.userId, role: req.userRole },
+            employeeShare,
+            note: `Dispute ${id} resolved (${resolution})${safeNotes ? `: ${safeNotes}` : ""}`,
+          },
+        );
+        if (denied) {
+          await conn.rollback();
+          return sendRequestError(res, denied);
+        }
+        const { requesterRefund, employeeEarnings } = result;
+
+        // Close any completion still waiting on admin review
+        await conn.execute(
+          `UPDATE service_completions
+           SET status = 'closed', admin_review_notes = ?, reviewed_by_admin = ?, reviewed_at = NOW(), closed_at = NOW()
+           WHERE service_request_id = ? AND status IN ('pending_review', 'needs_revision')`,
+          [`Closed by dispute ${id} resolution`, req.userId, requestId],
+        );
+
+        await conn.execute(
+          `UPDATE disputes
+           SET status = 'resolved', resolution = ?, employee_share = ?, resolution_notes = ?,
+               resolved_by_admin = ?, resolved_at = NOW()
+           WHERE id = ?`,
+          [resolution, employeeShare, safeNotes, req.userId, id],
+        );
+
+        summary = `Refunded $${requesterRefund.toFixed(2)} to requester, released $${employeeEarnings.toFixed(2)} to employee`;
+      }
+
+      // Notify both parties
+      for (const userId of [
+        dispute.requester_user_id,
+        dispute.employee_user_id,
+      ]) {
+        await notify(conn, {
+          userId,
+          type: "dispute_resolved",
+          entityType: "service_request",
+          entityId: requestId,
+          title: "Dispute Resolved",
+          message: `The dispute on "${dispute.title}" has been resolved. ${summary}.`,
+        });
+      }
+
+      // [ADMIN AUDIT LOGS] Log dispute resolution (financial action)
       await logAdminAction(conn, {
         adminId: req.userId,
-        action: "UPDATE_USER_STATUS",
-        targetType: "user",
+        action:
+          resolution === "dismiss" ? "DISMISS_DISPUTE" : "RESOLVE_DISPUTE",
+        targetType: "dispute",
         targetId: parseInt(id),
-        details: `Changed user status to '${account_status}'`,
+        details: `Resolution: ${resolution} on request ${requestId}. ${summary}`,
         ipAddress: req.ip,
       });
 
-      res.json({ success: true });
+      await conn.commit();
+      await publishNotifications(conn);
+      res.json({ success: true, message: summary });
     } catch (err) {
-      console.error("Update user status error:", err);
+      if (conn) await conn.rollback();
+      console.error("Resolve dispute error:", err);
       res.status(500).json({ error: "Server error" });
     } finally {
       if (conn) conn.end();
@@ -2206,41 +5189,62 @@ app.put(
 );
 
 // ==========================================
-// ADMIN SERVICE COMPLETION REVIEW ENDPOINTS
+// ADMIN PAYOUT ENDPOINTS
 // ==========================================
+// Withdrawal lifecycle: pending -> approved (sent to the payout provider)
+// -> paid, or pending/approved -> rejected (funds returned to the wallet).
+// Every step updates the withdrawal's transactions row, is written to the
+// admin log and notifies the user.
+
+// Load a withdrawal with its owner, locked for update
+const getWithdrawalForUpdate = async (conn, id) => {
+  const [rows] = await conn.execute(
+    `SELECT w.*, u.full_name, u.email
+     FROM withdrawal_requests w
+     JOIN users u ON w.user_id = u.id
+     WHERE w.id = ? FOR UPDATE`,
+    [id],
+  );
+  return rows[0];
+};
 
-// Get all pending completions for admin review
+// Admin payouts queue ('active' = pending, processing and approved, or a
+// single status)
 app.get(
-  "/api/admin/completions/pending",
+  "/api/admin/withdrawals",
   verifyToken,
   verifyAdmin,
   async (req, res) => {
+    const { status = "active" } = req.query;
     let conn;
     try {
       conn = await pool.getConnection();
 
-      const [completions] = await conn.execute(`
-      SELECT 
-        sc.id, sc.service_request_id, sc.employee_completion_notes, sc.status, sc.submitted_by_employee_at,
-        sr.amount, sr.service_details,
-        ps.title as service_title, g.name as game_name,
-        u_emp.full_name as employee_name, u_emp.id as employee_id,
-        u_req.full_name as requester_name, u_req.id as requester_id,
-        c.id as chat_id
-      FROM service_completions sc
-      JOIN service_requests sr ON sc.service_request_id = sr.id
-      JOIN published_services ps ON sr.published_service_id = ps.id
-      JOIN games g ON ps.game_id = g.id
-      JOIN users u_emp ON sr.employee_user_id = u_emp.id
-      JOIN users u_req ON sr.requester_user_id = u_req.id
-      LEFT JOIN chats c ON sr.id = c.service_request_id
-      WHERE sc.status = 'pending_review'
-      ORDER BY sc.submitted_by_employee_at ASC
-    `);
+      let query = `
+        SELECT w.id, w.user_id, w.amount, w.status, w.payout_details,
+               w.provider, w.provider_reference, w.admin_notes,
+               w.transaction_id, w.created_at, w.reviewed_at, w.paid_at,
+               u.full_name, u.email, u.wallet_balance,
+               a.full_name as reviewed_by_name
+        FROM withdrawal_requests w
+        JOIN users u ON w.user_id = u.id
+        LEFT JOIN admin a ON w.reviewed_by_admin = a.id
+      `;
+      const params = [];
+
+      if (status === "active") {
+        query += " WHERE w.status IN ('pending', 'processing', 'approved')";
+      } else if (status !== "all") {
+        query += " WHERE w.status = ?";
+        params.push(status);
+      }
 
-      res.json({ completions });
+      query += " ORDER BY w.created_at ASC";
+
+      const [withdrawals] = await conn.execute(query, params);
+      res.json({ withdrawals });
     } catch (err) {
-      console.error("Get pending completions error:", err);
+      console.error("Get withdrawals error:", err);
       res.status(500).json({ error: "Server error" });
     } finally {
       if (conn) conn.end();
@@ -2248,130 +5252,145 @@ app.get(
   },
 );
 
-// Admin approves completion and closes service (triggers payment)
+// Admin approves a withdrawal and sends it to the payout provider.
+// Providers that settle instantly mark it paid in the same step.
+//
+// The provider is called outside any database transaction: the request
+// is first committed as 'processing', then paid, then the result is
+// recorded in a second transaction. The withdrawal ID is the provider's
+// idempotency key, so retrying a payout stuck in 'processing' (e.g. the
+// result could not be saved) never pays twice.
 app.post(
-  "/api/admin/completions/:id/approve",
+  "/api/admin/withdrawals/:id/approve",
   verifyToken,
   verifyAdmin,
   async (req, res) => {
     const { id } = req.params;
-    const { admin_notes } = req.body;
-
     let conn;
     try {
+      const provider = getPayoutProvider();
       conn = await pool.getConnection();
-      await conn.beginTransaction();
-
-      // Get completion details
-      const [completions] = await conn.execute(
-        `SELECT sc.*, sr.employee_user_id, sr.requester_user_id, sr.amount, sr.published_service_id
-       FROM service_completions sc
-       JOIN service_requests sr ON sc.service_request_id = sr.id
-       WHERE sc.id = ?`,
-        [id],
-      );
 
-      if (completions.length === 0) {
+      // 1. Claim the withdrawal; it can't be rejected while the payout runs
+      await conn.beginTransaction();
+      const withdrawal = await getWithdrawalForUpdate(conn, id);
+      if (!withdrawal) {
         await conn.rollback();
-        return res.status(404).json({ error: "Completion record not found" });
+        return res.status(404).json({ error: "Withdrawal not found" });
+      }
+      if (!["pending", "processing"].includes(withdrawal.status)) {
+        await conn.rollback();
+        return res.status(409).json({ error: "Withdrawal is not pending" });
       }
-
-      const completion = completions[0];
-      const commissionRate = 0.1; // 10% platform fee
-      const commissionAmount = completion.amount * commissionRate;
-      const employeeEarnings = completion.amount - commissionAmount;
-
-      // Update completion status (use null for undefined values)
-      await conn.execute(
-        `UPDATE service_completions 
-       SET status = 'closed', admin_review_notes = ?, reviewed_by_admin = ?, reviewed_at = NOW(), closed_at = NOW()
-       WHERE id = ?`,
-        [admin_notes || null, req.userId || null, id],
-      );
-
-      // Update service request to closed
-      await conn.execute(
-        `UPDATE service_requests SET status = 'closed', closed_at = NOW() WHERE id = ?`,
-        [completion.service_request_id],
-      );
-
-      // Archive the chat
-      await conn.execute(
-        `UPDATE chats SET is_archived = TRUE, archived_at = NOW() WHERE service_request_id = ?`,
-        [completion.service_request_id],
-      );
-
-      // Create transaction record
       await conn.execute(
-        `INSERT INTO transactions (service_request_id, from_user_id, to_user_id, amount, commission_amount, transaction_type, status, completed_at)
-       VALUES (?, ?, ?, ?, ?, 'service_payment', 'completed', NOW())`,
-        [
-          completion.service_request_id,
-          completion.requester_user_id,
-          completion.employee_user_id,
-          completion.amount,
-          commissionAmount,
-        ],
+        `UPDATE withdrawal_requests
+         SET status = 'processing', provider = ?, reviewed_by_admin = ?, reviewed_at = NOW()
+         WHERE id = ?`,
+        [provider.name, req.userId, id],
       );
+      await conn.commit();
 
-      // Update employee wallet balance
-      await conn.execute(
-        `UPDATE users SET wallet_balance = wallet_balance + ? WHERE id = ?`,
-        [employeeEarnings, completion.employee_user_id],
-      );
+      // 2. Pay out, with no transaction or row lock held
+      let payout;
+      try {
+        payout = await provider.sendPayout({
+          withdrawalId: withdrawal.id,
+          userId: withdrawal.user_id,
+          amount: parseFloat(withdrawal.amount),
+          destination: withdrawal.payout_details,
+          idempotencyKey: `withdrawal-${withdrawal.id}`,
+        });
+      } catch (providerErr) {
+        console.error("Payout provider error:", providerErr);
+        await conn.execute(
+          `UPDATE withdrawal_requests SET status = 'pending'
+           WHERE id = ? AND status = 'processing'`,
+          [id],
+        );
+        return res
+          .status(502)
+          .json({ error: "Payout provider rejected the payout" });
+      }
 
-      // Update employee stats
-      await conn.execute(
-        `UPDATE employee_profiles SET total_services_completed = total_services_completed + 1 WHERE user_id = ?`,
-        [completion.employee_user_id],
-      );
+      const paid = payout.status === "paid";
 
-      // Get service title for notifications
-      const [service] = await conn.execute(
-        "SELECT title FROM published_services WHERE id = ?",
-        [completion.published_service_id],
-      );
+      // 3. Record the result
+      await conn.beginTransaction();
+      const claimed = await getWithdrawalForUpdate(conn, id);
+      if (claimed.status !== "processing") {
+        // A concurrent retry already recorded this payout
+        await conn.rollback();
+        return res
+          .status(409)
+          .json({ error: "Withdrawal has already been processed" });
+      }
 
-      // Notify employee about payment
       await conn.execute(
-        `INSERT INTO notifications (user_id, notification_type, related_entity_type, related_entity_id, title, message)
-       VALUES (?, 'payment_received', 'service_request', ?, 'Payment Received!', ?)`,
+        `UPDATE withdrawal_requests
+         SET status = ?, provider_reference = ?,
+             paid_at = IF(? = 'paid', NOW(), NULL)
+         WHERE id = ?`,
         [
-          completion.employee_user_id,
-          completion.service_request_id,
-          `You earned $${employeeEarnings.toFixed(2)} for completing "${service[0]?.title}". The chat has been archived.`,
+          paid ? "paid" : "approved",
+          payout.reference,
+          paid ? "paid" : "approved",
+          id,
         ],
       );
 
-      // Notify requester about service completion
       await conn.execute(
-        `INSERT INTO notifications (user_id, notification_type, related_entity_type, related_entity_id, title, message)
-       VALUES (?, 'service_completed', 'service_request', ?, 'Service Completed', ?)`,
+        `UPDATE transactions
+         SET payment_method = ?, status = ?, completed_at = IF(? = 'completed', NOW(), NULL)
+         WHERE id = ?`,
         [
-          completion.requester_user_id,
-          completion.service_request_id,
-          `Your service "${service[0]?.title}" has been completed and closed. Thank you for using GamerHelpers!`,
+          `${provider.name}:${payout.reference}`,
+          paid ? "completed" : "pending",
+          paid ? "completed" : "pending",
+          withdrawal.transaction_id,
         ],
       );
 
-      // [ADMIN AUDIT LOGS] Log completion approval (updating content/service)
+      // [ESCROW LEDGER] Instant payouts leave the platform right away
+      if (paid) {
+        await completeWithdrawal(conn, {
+          userId: withdrawal.user_id,
+          amount: withdrawal.amount,
+          transactionId: withdrawal.transaction_id,
+        });
+      }
+
+      const amountText = `$${parseFloat(withdrawal.amount).toFixed(2)}`;
+      await notify(conn, {
+        userId: withdrawal.user_id,
+        type: paid ? "withdrawal_paid" : "withdrawal_approved",
+        entityType: "payment",
+        entityId: withdrawal.id,
+        title: paid ? "Withdrawal Paid" : "Withdrawal Approved",
+        message: paid
+          ? `Your withdrawal of ${amountText} has been paid out (ref ${payout.reference}).`
+          : `Your withdrawal of ${amountText} was approved and is being processed (ref ${payout.reference}).`,
+      });
+
+      // [ADMIN AUDIT LOGS] Log withdrawal approval (financial action)
       await logAdminAction(conn, {
         adminId: req.userId,
-        action: "APPROVE_COMPLETION",
-        targetType: "service_completion",
+        action: "APPROVE_WITHDRAWAL",
+        targetType: "withdrawal",
         targetId: parseInt(id),
-        details: `Approved completion for request ${completion.service_request_id}. Employee earned $${employeeEarnings.toFixed(2)}`,
+        details: `Approved ${amountText} for ${withdrawal.full_name} (${withdrawal.email}) via ${provider.name}, ref ${payout.reference}`,
         ipAddress: req.ip,
       });
 
       await conn.commit();
+      await publishNotifications(conn);
       res.json({
         success: true,
-        message: "Service closed. Employee has been paid.",
+        status: paid ? "paid" : "approved",
+        provider_reference: payout.reference,
       });
     } catch (err) {
       if (conn) await conn.rollback();
-      console.error("Approve completion error:", err);
+      console.error("Approve withdrawal error:", err);
       res.status(500).json({ error: "Server error" });
     } finally {
       if (conn) conn.end();
@@ -2379,95 +5398,162 @@ app.post(
   },
 );
 
-// Admin reopens a completion request (needs more work)
+// Admin rejects a withdrawal; the reserved funds go back to the wallet.
+// Approved payouts that bounced can be rejected too.
 app.post(
-  "/api/admin/completions/:id/reopen",
+  "/api/admin/withdrawals/:id/reject",
   verifyToken,
   verifyAdmin,
   async (req, res) => {
     const { id } = req.params;
-    const { admin_notes } = req.body;
+    const { reason } = req.body;
+
+    // [INPUT VALIDATION] A reason is shown to the user
+    const safeReason = sanitizeInput(reason);
+    if (!safeReason) {
+      return res.status(400).json({ error: "A rejection reason is required" });
+    }
+    const reasonCheck = validateFieldLength(safeReason, "Reason");
+    if (!reasonCheck.valid) {
+      return res.status(400).json({ error: reasonCheck.error });
+    }
 
     let conn;
     try {
       conn = await pool.getConnection();
       await conn.beginTransaction();
 
-      // Get completion details
-      const [completions] = await conn.execute(
-        `SELECT sc.*, sr.employee_user_id, sr.requester_user_id, sr.published_service_id
-       FROM service_completions sc
-       JOIN service_requests sr ON sc.service_request_id = sr.id
-       WHERE sc.id = ?`,
-        [id],
-      );
-
-      if (completions.length === 0) {
+      const withdrawal = await getWithdrawalForUpdate(conn, id);
+      if (!withdrawal) {
         await conn.rollback();
-        return res.status(404).json({ error: "Completion record not found" });
+        return res.status(404).json({ error: "Withdrawal not found" });
+      }
+      if (!["pending", "approved"].includes(withdrawal.status)) {
+        await conn.rollback();
+        return res
+          .status(409)
+          .json({ error: "Withdrawal has already been settled" });
       }
 
-      const completion = completions[0];
-
-      // Update completion status to needs_revision
       await conn.execute(
-        `UPDATE service_completions 
-       SET status = 'needs_revision', admin_review_notes = ?, reviewed_by_admin = ?, reviewed_at = NOW()
-       WHERE id = ?`,
-        [admin_notes, req.userId, id],
+        `UPDATE withdrawal_requests
+         SET status = 'rejected', admin_notes = ?, reviewed_by_admin = ?, reviewed_at = NOW()
+         WHERE id = ?`,
+        [safeReason, req.userId, id],
       );
 
-      // Reopen service request to in_progress
       await conn.execute(
-        `UPDATE service_requests SET status = 'in_progress', completed_at = NULL WHERE id = ?`,
-        [completion.service_request_id],
+        `UPDATE transactions SET status = 'failed' WHERE id = ?`,
+        [withdrawal.transaction_id],
       );
 
-      // Get service title for notifications
-      const [service] = await conn.execute(
-        "SELECT title FROM published_services WHERE id = ?",
-        [completion.published_service_id],
-      );
+      // [ESCROW LEDGER] Return the reserved amount to the wallet
+      await reverseWithdrawal(conn, {
+        userId: withdrawal.user_id,
+        amount: withdrawal.amount,
+        transactionId: withdrawal.transaction_id,
+      });
+
+      const amountText = `$${parseFloat(withdrawal.amount).toFixed(2)}`;
+      await notify(conn, {
+        userId: withdrawal.user_id,
+        type: "withdrawal_rejected",
+        entityType: "payment",
+        entityId: withdrawal.id,
+        title: "Withdrawal Rejected",
+        message: `Your withdrawal of ${amountText} was rejected and returned to your wallet. Reason: ${safeReason}`,
+      });
+
+      // [ADMIN AUDIT LOGS] Log withdrawal rejection (financial action)
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "REJECT_WITHDRAWAL",
+        targetType: "withdrawal",
+        targetId: parseInt(id),
+        details: `Rejected ${amountText} for ${withdrawal.full_name} (${withdrawal.email}). Reason: ${safeReason}`,
+        ipAddress: req.ip,
+      });
+
+      await conn.commit();
+      await publishNotifications(conn);
+      res.json({ success: true, message: "Withdrawal rejected" });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error("Reject withdrawal error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// Admin confirms an approved payout has reached the user
+app.post(
+  "/api/admin/withdrawals/:id/mark-paid",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const withdrawal = await getWithdrawalForUpdate(conn, id);
+      if (!withdrawal) {
+        await conn.rollback();
+        return res.status(404).json({ error: "Withdrawal not found" });
+      }
+      if (withdrawal.status !== "approved") {
+        await conn.rollback();
+        return res
+          .status(409)
+          .json({ error: "Only approved withdrawals can be marked as paid" });
+      }
 
-      // Notify both parties
       await conn.execute(
-        `INSERT INTO notifications (user_id, notification_type, related_entity_type, related_entity_id, title, message)
-       VALUES (?, 'service_reopened', 'service_request', ?, 'Service Reopened', ?)`,
-        [
-          completion.employee_user_id,
-          completion.service_request_id,
-          `Admin has reopened "${service[0]?.title}". Reason: ${admin_notes || "Additional work needed"}`,
-        ],
+        `UPDATE withdrawal_requests SET status = 'paid', paid_at = NOW() WHERE id = ?`,
+        [id],
       );
 
       await conn.execute(
-        `INSERT INTO notifications (user_id, notification_type, related_entity_type, related_entity_id, title, message)
-       VALUES (?, 'service_reopened', 'service_request', ?, 'Service Reopened', ?)`,
-        [
-          completion.requester_user_id,
-          completion.service_request_id,
-          `The service "${service[0]?.title}" has been reopened for additional work.`,
-        ],
+        `UPDATE transactions SET status = 'completed', completed_at = NOW() WHERE id = ?`,
+        [withdrawal.transaction_id],
       );
 
-      // [ADMIN AUDIT LOGS] Log completion reopen (updating content)
+      // [ESCROW LEDGER] Reserved funds leave the platform
+      await completeWithdrawal(conn, {
+        userId: withdrawal.user_id,
+        amount: withdrawal.amount,
+        transactionId: withdrawal.transaction_id,
+      });
+
+      const amountText = `$${parseFloat(withdrawal.amount).toFixed(2)}`;
+      await notify(conn, {
+        userId: withdrawal.user_id,
+        type: "withdrawal_paid",
+        entityType: "payment",
+        entityId: withdrawal.id,
+        title: "Withdrawal Paid",
+        message: `Your withdrawal of ${amountText} has been paid out.`,
+      });
+
+      // [ADMIN AUDIT LOGS] Log payout confirmation (financial action)
       await logAdminAction(conn, {
         adminId: req.userId,
-        action: "REOPEN_COMPLETION",
-        targetType: "service_completion",
+        action: "MARK_WITHDRAWAL_PAID",
+        targetType: "withdrawal",
         targetId: parseInt(id),
-        details: `Reopened service request ${completion.service_request_id}. Reason: ${admin_notes || "Additional work needed"}`,
+        details: `Marked ${amountText} for ${withdrawal.full_name} (${withdrawal.email}) as paid, ref ${withdrawal.provider_reference || "n/a"}`,
         ipAddress: req.ip,
       });
 
       await conn.commit();
-      res.json({
-        success: true,
-        message: "Service reopened for additional work",
-      });
+      await publishNotifications(conn);
+      res.json({ success: true, message: "Withdrawal marked as paid" });
     } catch (err) {
       if (conn) await conn.rollback();
-      console.error("Reopen completion error:", err);
+      console.error("Mark withdrawal paid error:", err);
       res.status(500).json({ error: "Server error" });
     } finally {
       if (conn) conn.end();
@@ -2547,7 +5633,12 @@ app.get(
         ipAddress: req.ip,
       });
 
-      res.json({ messages });
+      const [readReceipts] = await conn.execute(
+        "SELECT user_id, last_read_message_id, read_at FROM chat_read_receipts WHERE chat_id = ?",
+        [id],
+      );
+
+      res.json({ messages, read_receipts: readReceipts });
     } catch (err) {
       console.error("Admin get messages error:", err);
       res.status(500).json({ error: "Server error" });
@@ -2557,6 +5648,44 @@ app.get(
   },
 );
 
+// Admin watches a chat live (same feed the members receive)
+app.get(
+  "/api/admin/chats/:id/stream",
+  verifyStreamToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    let conn;
+    try {
+      conn = await pool.getConnection();
+
+      const [chats] = await conn.execute("SELECT id FROM chats WHERE id = ?", [
+        id,
+      ]);
+      if (chats.length === 0) {
+        return res.status(404).json({ error: "Chat not found" });
+      }
+
+      // [ADMIN AUDIT LOGS] Log viewing sensitive data (live chat feed)
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "WATCH_CHAT_LIVE",
+        targetType: "chat",
+        targetId: parseInt(id),
+        details: `Admin opened a live feed for chat ${id}`,
+        ipAddress: req.ip,
+      });
+    } catch (err) {
+      console.error("Admin chat stream error:", err);
+      return res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+
+    openStream(req, res, [`chat:${id}`]);
+  },
+);
+
 // Get all active service requests for admin
 app.get("/api/admin/requests", verifyToken, verifyAdmin, async (req, res) => {
   const { status } = req.query;
@@ -2585,45 +5714,132 @@ app.get("/api/admin/requests", verifyToken, verifyAdmin, async (req, res) => {
 
     query += " ORDER BY sr.created_at DESC";
 
-    const [requests] = await conn.execute(query, params);
+    const [requests] = await conn.execute(query, params);
+
+    res.json({ requests });
+  } catch (err) {
+    console.error("Admin get requests error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// ==========================================
+// NOTIFICATION ENDPOINTS
+// ==========================================
+
+// Get user notifications, newest first, one page at a time.
+// Query: cursor (from next_cursor), limit (1-50, default 20),
+// unread_only=true, archived=true (the archive instead of the inbox)
+app.get("/api/notifications", verifyToken, async (req, res) => {
+  const { cursor, limit, unread_only, archived } = req.query;
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const page = await listNotifications(conn, req.userId, {
+      cursor: cursor || null,
+      limit: pageSize,
+      unreadOnly: unread_only === "true",
+      archived: archived === "true",
+    });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    res.json({
+      notifications: page.notifications,
+      next_cursor: page.nextCursor,
+    });
+  } catch (err) {
+    console.error("Get notifications error:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+});
+
+// Live notification feed for the signed-in user (Server-Sent Events):
+//   - notification : a new or updated (coalesced) notification row
+//   - unread_count : { count } after anything changes it
+//   - read         : { ids } or { all: true } when marked read elsewhere
+//   - removed      : { ids } archived or deleted elsewhere
+// Admin accounts have no notifications of their own and keep polling.
+app.get("/api/notifications/stream", verifyStreamToken, (req, res) => {
+  if (req.userRole === "admin") {
+    return res
+      .status(403)
+      .json({ error: "Notification stream is for user accounts" });
+  }
+
+  openStream(req, res, [`user:${req.userId}`]);
+});
+
+// Notification preferences: per type, channel (in_app / email / off) and
+// email delivery (immediate / digest). Types never saved use the default.
+app.get("/api/notifications/preferences", verifyToken, async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const preferences = await getNotificationPreferences(conn, req.userId);
 
-    res.json({ requests });
+    res.json({
+      preferences,
+      channels: NOTIFICATION_CHANNELS,
+      deliveries: NOTIFICATION_DELIVERIES,
+    });
   } catch (err) {
-    console.error("Admin get requests error:", err);
+    console.error("Get notification preferences error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
     if (conn) conn.end();
   }
 });
 
-// ==========================================
-// NOTIFICATION ENDPOINTS
-// ==========================================
+app.put("/api/notifications/preferences", verifyToken, async (req, res) => {
+  const { preferences } = req.body;
+
+  // [INPUT VALIDATION] Every entry must name a known type and option
+  if (!Array.isArray(preferences) || preferences.length === 0) {
+    return res.status(400).json({ error: "Preferences are required" });
+  }
+  for (const pref of preferences) {
+    if (!NOTIFICATION_TYPES.includes(pref?.type)) {
+      return res.status(400).json({ error: "Invalid notification type" });
+    }
+    if (!NOTIFICATION_CHANNELS.includes(pref.channel)) {
+      return res.status(400).json({ error: "Invalid channel" });
+    }
+    if (!NOTIFICATION_DELIVERIES.includes(pref.delivery)) {
+      return res.status(400).json({ error: "Invalid delivery" });
+    }
+  }
 
-// Get user notifications
-app.get("/api/notifications", verifyToken, async (req, res) => {
-  const { unread_only } = req.query;
   let conn;
   try {
     conn = await pool.getConnection();
+    await conn.beginTransaction();
 
-    let query = `
-      SELECT id, notification_type, related_entity_type, related_entity_id, title, message, is_read, created_at, read_at
-      FROM notifications
-      WHERE user_id = ?
-    `;
-
-    if (unread_only === "true") {
-      query += " AND is_read = FALSE";
+    for (const pref of preferences) {
+      await conn.execute(
+        `INSERT INTO notification_preferences (user_id, notification_type, channel, delivery)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE channel = VALUES(channel), delivery = VALUES(delivery)`,
+        [req.userId, pref.type, pref.channel, pref.delivery],
+      );
     }
 
-    query += " ORDER BY created_at DESC LIMIT 50";
-
-    const [notifications] = await conn.execute(query, [req.userId]);
+    await conn.commit();
 
-    res.json({ notifications });
+    const updated = await getNotificationPreferences(conn, req.userId);
+    res.json({ success: true, preferences: updated });
   } catch (err) {
-    console.error("Get notifications error:", err);
+    if (conn) await conn.rollback();
+    console.error("Update notification preferences error:", err);
     res.status(500).json({ error: "Server error" });
   } finally {
     if (conn) conn.end();
@@ -2642,6 +5858,10 @@ app.post("/api/notifications/:id/read", verifyToken, async (req, res) => {
       [id, req.userId],
     );
 
+    // Keep the user's other tabs in sync
+    publish(`user:${req.userId}`, "read", { ids: [parseInt(id)] });
+    await publishUnreadCount(conn, req.userId);
+
     res.json({ success: true });
   } catch (err) {
     console.error("Mark notification read error:", err);
@@ -2651,6 +5871,100 @@ app.post("/api/notifications/:id/read", verifyToken, async (req, res) => {
   }
 });
 
+// ==========================================
+// BULK NOTIFICATION ACTIONS
+// ==========================================
+// Each takes { ids: [...] } (up to MAX_BULK_NOTIFICATIONS) and only ever
+// touches the caller's own notifications. Archiving also marks read.
+// ==========================================
+
+const MAX_BULK_NOTIFICATIONS = 100;
+
+// [INPUT VALIDATION] A non-empty list of positive integer IDs
+const parseNotificationIds = (ids) => {
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    ids.length > MAX_BULK_NOTIFICATIONS
+  ) {
+    return null;
+  }
+  const parsed = ids.map((id) => parseInt(id));
+  return parsed.every((id) => Number.isInteger(id) && id > 0) ? parsed : null;
+};
+
+const NOTIFICATION_BULK_ACTIONS = {
+  read: {
+    sql: "UPDATE notifications SET is_read = TRUE, read_at = COALESCE(read_at, NOW())",
+    event: "read",
+  },
+  archive: {
+    sql: "UPDATE notifications SET archived_at = NOW(), is_read = TRUE, read_at = COALESCE(read_at, NOW())",
+    event: "removed",
+  },
+  unarchive: {
+    sql: "UPDATE notifications SET archived_at = NULL",
+    event: null,
+  },
+  delete: {
+    sql: "DELETE FROM notifications",
+    event: "removed",
+  },
+};
+
+const runNotificationBulkAction = (action) => async (req, res) => {
+  const ids = parseNotificationIds((req.body || {}).ids);
+  if (!ids) {
+    return res.status(400).json({
+      error: `Provide between 1 and ${MAX_BULK_NOTIFICATIONS} notification IDs`,
+    });
+  }
+
+  const { sql, event } = NOTIFICATION_BULK_ACTIONS[action];
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const [result] = await conn.execute(
+      `${sql} WHERE user_id = ? AND id IN (${ids.map(() => "?").join(", ")})`,
+      [req.userId, ...ids],
+    );
+
+    // Keep the user's other tabs in sync
+    if (event) publish(`user:${req.userId}`, event, { ids });
+    await publishUnreadCount(conn, req.userId);
+
+    res.json({ success: true, affected: result.affectedRows });
+  } catch (err) {
+    console.error(`Bulk ${action} notifications error:`, err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    if (conn) conn.end();
+  }
+};
+
+app.post(
+  "/api/notifications/read",
+  verifyToken,
+  runNotificationBulkAction("read"),
+);
+app.post(
+  "/api/notifications/archive",
+  verifyToken,
+  runNotificationBulkAction("archive"),
+);
+app.post(
+  "/api/notifications/unarchive",
+  verifyToken,
+  runNotificationBulkAction("unarchive"),
+);
+app.delete(
+  "/api/notifications",
+  verifyToken,
+  runNotificationBulkAction("delete"),
+);
+
 // Mark all notifications as read
 app.post("/api/notifications/read-all", verifyToken, async (req, res) => {
   let conn;
@@ -2662,6 +5976,9 @@ app.post("/api/notifications/read-all", verifyToken, async (req, res) => {
       [req.userId],
     );
 
+    publish(`user:${req.userId}`, "read", { all: true });
+    await publishUnreadCount(conn, req.userId);
+
     res.json({ success: true });
   } catch (err) {
     console.error("Mark all notifications read error:", err);
@@ -2678,7 +5995,7 @@ app.get("/api/notifications/unread-count", verifyToken, async (req, res) => {
     conn = await pool.getConnection();
 
     const [result] = await conn.execute(
-      "SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = FALSE",
+      "SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = FALSE AND archived_at IS NULL",
       [req.userId],
     );
 
@@ -2726,7 +6043,8 @@ app.get("/api/admin/analytics", verifyToken, verifyAdmin, async (req, res) => {
         SUM(amount) as revenue,
         SUM(commission_amount) as commission
       FROM transactions
-      WHERE status = 'completed' AND completed_at >= DATE_SUB(NOW(), INTERVAL ${range} DAY)
+      WHERE status = 'completed' AND transaction_type = 'service_payment'
+        AND completed_at >= DATE_SUB(NOW(), INTERVAL ${range} DAY)
       GROUP BY DATE(completed_at)
       ORDER BY date ASC
     `);
@@ -3025,6 +6343,312 @@ app.delete(
   },
 );
 
+// ==========================================
+// COMMISSION RULE ENDPOINTS (super admin only)
+// ==========================================
+// Rules live in commission_rules and are resolved by ./commission.js.
+// Rules are never edited: a new rate for the same scope closes the
+// current rule at the new rule's effective_from, keeping the history.
+
+// List commission rules ('current' = in effect or scheduled, 'all' = full history)
+app.get(
+  "/api/admin/commission-rules",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { status = "current" } = req.query;
+    let conn;
+    try {
+      conn = await pool.getConnection();
+
+      // Verify this is a super admin
+      const [currentAdmin] = await conn.execute(
+        "SELECT role FROM admin WHERE id = ?",
+        [req.userId],
+      );
+
+      if (currentAdmin.length === 0 || currentAdmin[0].role !== "super") {
+        return res.status(403).json({ error: "Super admin access required" });
+      }
+
+      let query = `
+        SELECT cr.id, cr.game_id, g.name as game_name, cr.service_type,
+               cr.employee_tier, cr.rate, cr.effective_from, cr.effective_to,
+               cr.notes, cr.created_at, a.full_name as created_by_name,
+               CASE
+                 WHEN cr.effective_from > NOW() THEN 'scheduled'
+                 WHEN cr.effective_to IS NOT NULL AND cr.effective_to <= NOW() THEN 'expired'
+                 ELSE 'active'
+               END as rule_status,
+               (SELECT COUNT(*) FROM transactions t WHERE t.commission_rule_id = cr.id) as times_applied
+        FROM commission_rules cr
+        LEFT JOIN games g ON cr.game_id = g.id
+        LEFT JOIN admin a ON cr.created_by_admin = a.id
+      `;
+
+      if (status !== "all") {
+        query += " WHERE cr.effective_to IS NULL OR cr.effective_to > NOW()";
+      }
+
+      query += " ORDER BY cr.effective_from DESC, cr.id DESC";
+
+      const [rules] = await conn.execute(query);
+      res.json({
+        rules,
+        service_types: SERVICE_TYPES,
+        employee_tiers: EMPLOYEE_TIERS,
+      });
+    } catch (err) {
+      console.error("Get commission rules error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// Create a commission rule (replaces the open rule with the same scope)
+app.post(
+  "/api/admin/commission-rules",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const {
+      game_id,
+      service_type,
+      employee_tier,
+      rate_percent,
+      effective_from,
+      notes,
+    } = req.body;
+
+    const gameId = game_id ? parseInt(game_id) : null;
+    const serviceType = service_type || null;
+    const employeeTier = employee_tier || null;
+
+    if (serviceType && !SERVICE_TYPES.includes(serviceType)) {
+      return res.status(400).json({ error: "Invalid service type" });
+    }
+    if (employeeTier && !EMPLOYEE_TIERS.includes(employeeTier)) {
+      return res.status(400).json({ error: "Invalid employee tier" });
+    }
+
+    const ratePercent = parseFloat(rate_percent);
+    if (isNaN(ratePercent) || ratePercent < 0 || ratePercent > 100) {
+      return res
+        .status(400)
+        .json({ error: "Commission must be between 0 and 100%" });
+    }
+    const rate = Math.round(ratePercent * 100) / 10000;
+
+    // Rules take effect now or in the future; history is never rewritten
+    const effectiveFrom = effective_from
+      ? new Date(effective_from)
+      : new Date();
+    if (isNaN(effectiveFrom.getTime())) {
+      return res.status(400).json({ error: "Invalid effective date" });
+    }
+    if (effectiveFrom.getTime() < Date.now() - 60 * 1000) {
+      return res
+        .status(400)
+        .json({ error: "Effective date cannot be in the past" });
+    }
+
+    // [INPUT VALIDATION] Sanitize notes
+    const safeNotes = notes ? sanitizeInput(notes) : null;
+    const notesCheck = validateFieldLength(safeNotes, "Notes", 255);
+    if (!notesCheck.valid) {
+      return res.status(400).json({ error: notesCheck.error });
+    }
+
+    let conn;
+    try {
+      conn = await pool.getConnection();
+
+      // Verify this is a super admin
+      const [currentAdmin] = await conn.execute(
+        "SELECT role FROM admin WHERE id = ?",
+        [req.userId],
+      );
+
+      if (currentAdmin.length === 0 || currentAdmin[0].role !== "super") {
+        return res.status(403).json({ error: "Super admin access required" });
+      }
+
+      await conn.beginTransaction();
+
+      // Same-scope rules (NULL-safe comparison on every scope column)
+      const [sameScope] = await conn.execute(
+        `SELECT id, effective_from FROM commission_rules
+         WHERE game_id <=> ? AND service_type <=> ? AND employee_tier <=> ?
+           AND (effective_to IS NULL OR effective_to > ?)
+         FOR UPDATE`,
+        [gameId, serviceType, employeeTier, effectiveFrom],
+      );
+
+      if (sameScope.some((r) => new Date(r.effective_from) >= effectiveFrom)) {
+        await conn.rollback();
+        return res.status(409).json({
+          error:
+            "A rule for this scope is already scheduled from that date. Retire it first.",
+        });
+      }
+
+      // Close the rule being replaced when the new one starts
+      for (const rule of sameScope) {
+        await conn.execute(
+          "UPDATE commission_rules SET effective_to = ? WHERE id = ?",
+          [effectiveFrom, rule.id],
+        );
+      }
+
+      const [result] = await conn.execute(
+        `INSERT INTO commission_rules (game_id, service_type, employee_tier, rate, effective_from, notes, created_by_admin)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          gameId,
+          serviceType,
+          employeeTier,
+          rate,
+          effectiveFrom,
+          safeNotes,
+          req.userId,
+        ],
+      );
+
+      // [ADMIN AUDIT LOGS] Log commission change (financial setting)
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "CREATE_COMMISSION_RULE",
+        targetType: "commission_rule",
+        targetId: result.insertId,
+        details: `Set ${ratePercent}% commission for game=${gameId ?? "any"}, type=${serviceType ?? "any"}, tier=${employeeTier ?? "any"} from ${effectiveFrom.toISOString()}${sameScope.length ? ` (replaces rule ${sameScope.map((r) => r.id).join(", ")})` : ""}`,
+        ipAddress: req.ip,
+      });
+
+      await conn.commit();
+      res.status(201).json({ success: true, rule_id: result.insertId });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error("Create commission rule error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// Retire a commission rule now (scheduled rules are retired before they start)
+app.post(
+  "/api/admin/commission-rules/:id/retire",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    let conn;
+    try {
+      conn = await pool.getConnection();
+
+      // Verify this is a super admin
+      const [currentAdmin] = await conn.execute(
+        "SELECT role FROM admin WHERE id = ?",
+        [req.userId],
+      );
+
+      if (currentAdmin.length === 0 || currentAdmin[0].role !== "super") {
+        return res.status(403).json({ error: "Super admin access required" });
+      }
+
+      // A scheduled rule ends at its own start, so it never applies
+      const [result] = await conn.execute(
+        `UPDATE commission_rules
+         SET effective_to = GREATEST(effective_from, NOW())
+         WHERE id = ? AND (effective_to IS NULL OR effective_to > NOW())`,
+        [id],
+      );
+
+      if (result.affectedRows === 0) {
+        return res
+          .status(404)
+          .json({ error: "Rule not found or already expired" });
+      }
+
+      // [ADMIN AUDIT LOGS] Log commission rule retirement
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "RETIRE_COMMISSION_RULE",
+        targetType: "commission_rule",
+        targetId: parseInt(id),
+        details: `Retired commission rule ${id}`,
+        ipAddress: req.ip,
+      });
+
+      res.json({ success: true, message: "Commission rule retired" });
+    } catch (err) {
+      console.error("Retire commission rule error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
+// Set an employee's commission tier
+app.put(
+  "/api/admin/employees/:id/tier",
+  verifyToken,
+  verifyAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    const { tier } = req.body;
+
+    if (!EMPLOYEE_TIERS.includes(tier)) {
+      return res.status(400).json({ error: "Invalid employee tier" });
+    }
+
+    let conn;
+    try {
+      conn = await pool.getConnection();
+
+      // Verify this is a super admin
+      const [currentAdmin] = await conn.execute(
+        "SELECT role FROM admin WHERE id = ?",
+        [req.userId],
+      );
+
+      if (currentAdmin.length === 0 || currentAdmin[0].role !== "super") {
+        return res.status(403).json({ error: "Super admin access required" });
+      }
+
+      const [result] = await conn.execute(
+        "UPDATE employee_profiles SET tier = ? WHERE user_id = ?",
+        [tier, id],
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: "Employee not found" });
+      }
+
+      // [ADMIN AUDIT LOGS] Log tier change (affects commission)
+      await logAdminAction(conn, {
+        adminId: req.userId,
+        action: "UPDATE_EMPLOYEE_TIER",
+        targetType: "user",
+        targetId: parseInt(id),
+        details: `Set employee ${id} commission tier to ${tier}`,
+        ipAddress: req.ip,
+      });
+
+      res.json({ success: true, message: "Employee tier updated" });
+    } catch (err) {
+      console.error("Update employee tier error:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      if (conn) conn.end();
+    }
+  },
+);
+
 // ==========================================
 // [ADMIN AUDIT LOGS] Admin Logout Logging Endpoint
 // ==========================================
@@ -3265,4 +6889,10 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`GamerHelpers API running on http://localhost:${PORT}`);
+
+  // Request expiry and completion review SLAs. With several API instances,
+  // set SCHEDULER_ENABLED=false on all but one.
+  if (process.env.SCHEDULER_ENABLED !== "false") {
+    createScheduler({ pool }).start();
+  }
 });
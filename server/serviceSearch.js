@@ -0,0 +1,328 @@
+// ==========================================
+// SERVICE SEARCH (Full-text, Filters, Facets)
+// ==========================================
+// Builds the SQL behind GET /api/services:
+//   - q          : full-text search over title and description
+//                  (FULLTEXT index, boolean mode with prefix matching)
+//   - filters    : game, service type, tags, price range, minimum rating
+//   - sort       : newest, price_asc, price_desc, rating, completed, relevance
+//   - pagination : opaque keyset cursor (sort value + id), so pages stay
+//                  stable while new services are published
+//   - facets     : counts per filter value, each computed with every
+//                  other active filter applied (but not its own)
+//
+// [SQL INJECTION PREVENTION] User input only ever reaches SQL through
+// ? placeholders; sort columns come from the fixed SERVICE_SORTS map.
+// ==========================================
+
+import { Buffer } from "buffer";
+import { parseTags } from "./tags.js";
+
+export const SERVICE_SORTS = {
+  newest: { column: "ps.created_at", direction: "DESC" },
+  price_asc: { column: "ps.price", direction: "ASC" },
+  price_desc: { column: "ps.price", direction: "DESC" },
+  rating: { column: "ep.rating", direction: "DESC" },
+  completed: { column: "ep.total_services_completed", direction: "DESC" },
+  relevance: {
+    column: "MATCH(ps.title, ps.description) AGAINST (? IN BOOLEAN MODE)",
+    direction: "DESC",
+  },
+};
+
+export const MAX_PAGE_SIZE = 100;
+
+// Price chips shown on the Home page ([min, max), max null = no limit)
+const PRICE_RANGES = [
+  { label: "Under $10", min: 0, max: 10 },
+  { label: "$10 – $25", min: 10, max: 25 },
+  { label: "$25 – $50", min: 25, max: 50 },
+  { label: "$50+", min: 50, max: null },
+];
+
+const RATING_STEPS = [4.5, 4, 3];
+
+const BASE_FROM = `
+  FROM published_services ps
+  JOIN users u ON ps.employee_id = u.id
+  JOIN employee_profiles ep ON u.id = ep.user_id
+  JOIN games g ON ps.game_id = g.id
+`;
+
+/**
+ * Turn free text into a boolean-mode query: every word is required and
+ * prefix-matched. Operators typed by the user are stripped.
+ * @returns {string|null} null when nothing searchable is left
+ */
+const toBooleanQuery = (q) => {
+  const words = q
+    .split(/\s+/)
+    .map((w) => w.replace(/[^\p{L}\p{N}]/gu, ""))
+    .filter(Boolean);
+  if (words.length === 0) return null;
+  return words.map((w) => `+${w}*`).join(" ");
+};
+
+export const parseNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const n = parseFloat(value);
+  return isNaN(n) ? NaN : n;
+};
+
+/**
+ * Validate and normalize the query string of GET /api/services.
+ * @returns {object} { filters } or { error }
+ */
+export const parseServiceSearch = (query) => {
+  const q = typeof query.q === "string" ? query.q.trim().slice(0, 100) : "";
+  const minPrice = parseNumber(query.min_price);
+  const maxPrice = parseNumber(query.max_price);
+  const minRating = parseNumber(query.min_rating);
+
+  if ([minPrice, maxPrice, minRating].some((n) => Number.isNaN(n))) {
+    return { error: "Price and rating filters must be numbers" };
+  }
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    return { error: "min_price cannot be greater than max_price" };
+  }
+
+  const sort = query.sort || (q ? "relevance" : "newest");
+  if (!SERVICE_SORTS[sort]) {
+    return { error: "Invalid sort option" };
+  }
+
+  const tags = (Array.isArray(query.tags) ? query.tags.join(",") : query.tags)
+    ?.split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || 20, 1),
+    MAX_PAGE_SIZE,
+  );
+
+  return {
+    filters: {
+      q,
+      booleanQuery: q ? toBooleanQuery(q) : null,
+      gameId: query.game_id ? parseInt(query.game_id) : null,
+      employeeId: query.employee_id ? parseInt(query.employee_id) : null,
+      serviceType: query.service_type || null,
+      tags: tags || [],
+      minPrice,
+      maxPrice,
+      minRating,
+      // Relevance needs search terms; fall back to newest without them
+      sort: sort === "relevance" && !q ? "newest" : sort,
+      limit,
+      cursor: query.cursor || null,
+    },
+  };
+};
+
+/**
+ * WHERE clause for the active filters.
+ * @param {object} filters - from parseServiceSearch
+ * @param {string} [skip] - facet dimension to leave out
+ *   ('game' | 'service_type' | 'tags' | 'price' | 'rating')
+ * @returns {object} { sql, params }
+ */
+const buildWhere = (filters, skip) => {
+  const clauses = ["ps.is_active = TRUE"];
+  const params = [];
+
+  if (filters.q) {
+    // Full-text on title/description; LIKE catches coach and game names
+    // and words shorter than the FULLTEXT minimum token size
+    const like = `%${filters.q}%`;
+    if (filters.booleanQuery) {
+      clauses.push(
+        `(MATCH(ps.title, ps.description) AGAINST (? IN BOOLEAN MODE)
+          OR ps.title LIKE ? OR u.full_name LIKE ? OR g.name LIKE ?)`,
+      );
+      params.push(filters.booleanQuery, like, like, like);
+    } else {
+      clauses.push("(ps.title LIKE ? OR u.full_name LIKE ? OR g.name LIKE ?)");
+      params.push(like, like, like);
+    }
+  }
+  if (filters.employeeId) {
+    clauses.push("ps.employee_id = ?");
+    params.push(filters.employeeId);
+  }
+  if (filters.gameId && skip !== "game") {
+    clauses.push("ps.game_id = ?");
+    params.push(filters.gameId);
+  }
+  if (filters.serviceType && skip !== "service_type") {
+    clauses.push("ps.service_type = ?");
+    params.push(filters.serviceType);
+  }
+  if (filters.tags.length > 0 && skip !== "tags") {
+    for (const tag of filters.tags) {
+      clauses.push("JSON_CONTAINS(ps.tags, JSON_QUOTE(?))");
+      params.push(tag);
+    }
+  }
+  if (skip !== "price") {
+    if (filters.minPrice !== null) {
+      clauses.push("ps.price >= ?");
+      params.push(filters.minPrice);
+    }
+    if (filters.maxPrice !== null) {
+      clauses.push("ps.price < ?");
+      params.push(filters.maxPrice);
+    }
+  }
+  if (filters.minRating !== null && skip !== "rating") {
+    clauses.push("ep.rating >= ?");
+    params.push(filters.minRating);
+  }
+
+  return { sql: `WHERE ${clauses.join(" AND ")}`, params };
+};
+
+export const encodeCursor = (sortValue, id) =>
+  Buffer.from(JSON.stringify([sortValue, id])).toString("base64url");
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const [value, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8"),
+    );
+    if (!Number.isInteger(id)) return null;
+    return { value: sort === "newest" ? new Date(value) : value, id };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Run the page query.
+ * @returns {object} { services, nextCursor } or { error } for a bad cursor
+ */
+export const searchServices = async (conn, filters) => {
+  const sort = SERVICE_SORTS[filters.sort];
+  const isRelevance = filters.sort === "relevance";
+  const where = buildWhere(filters);
+  const sortParams = isRelevance ? [filters.booleanQuery || ""] : [];
+
+  let sql = `
+    SELECT ps.*, u.full_name, u.profile_picture, ep.rating, ep.total_reviews,
+           ep.total_services_completed, ep.is_verified, g.name as game_name,
+           ${sort.column} as sort_value
+    ${BASE_FROM}
+    ${where.sql}
+  `;
+  const params = [...sortParams, ...where.params];
+
+  // Keyset pagination: rows strictly after the cursor in sort order
+  if (filters.cursor) {
+    const cursor = decodeCursor(filters.cursor, filters.sort);
+    if (!cursor) return { error: "Invalid cursor" };
+    const op = sort.direction === "DESC" ? "<" : ">";
+    sql += ` AND (${sort.column} ${op} ? OR (${sort.column} = ? AND ps.id ${op} ?))`;
+    params.push(
+      ...sortParams,
+      cursor.value,
+      ...sortParams,
+      cursor.value,
+      cursor.id,
+    );
+  }
+
+  sql += ` ORDER BY ${sort.column} ${sort.direction}, ps.id ${sort.direction} LIMIT ?`;
+  params.push(...sortParams, filters.limit + 1);
+
+  const [rows] = await conn.execute(sql, params);
+
+  const hasMore = rows.length > filters.limit;
+  const services = rows.slice(0, filters.limit).map((row) => {
+    const { sort_value: _sortValue, ...service } = row;
+    return service;
+  });
+
+  const last = rows[filters.limit - 1];
+  return {
+    services,
+    nextCursor: hasMore ? encodeCursor(last.sort_value, last.id) : null,
+  };
+};
+
+/**
+ * Total matches plus facet counts for the filter chips.
+ * @returns {object} { total, facets }
+ */
+export const getServiceFacets = async (conn, filters) => {
+  const all = buildWhere(filters);
+  const [totalRows] = await conn.execute(
+    `SELECT COUNT(*) as total ${BASE_FROM} ${all.sql}`,
+    all.params,
+  );
+
+  const byGame = buildWhere(filters, "game");
+  const [games] = await conn.execute(
+    `SELECT g.id, g.name, COUNT(*) as count ${BASE_FROM} ${byGame.sql}
+     GROUP BY g.id, g.name ORDER BY count DESC, g.name ASC`,
+    byGame.params,
+  );
+
+  const byType = buildWhere(filters, "service_type");
+  const [serviceTypes] = await conn.execute(
+    `SELECT ps.service_type as value, COUNT(*) as count ${BASE_FROM} ${byType.sql}
+     AND ps.service_type IS NOT NULL
+     GROUP BY ps.service_type ORDER BY count DESC`,
+    byType.params,
+  );
+
+  const byPrice = buildWhere(filters, "price");
+  const priceSums = PRICE_RANGES.map(
+    (_, i) =>
+      `SUM(ps.price >= ? AND (? IS NULL OR ps.price < ?)) as range_${i}`,
+  ).join(", ");
+  const [priceRows] = await conn.execute(
+    `SELECT ${priceSums} ${BASE_FROM} ${byPrice.sql}`,
+    [...PRICE_RANGES.flatMap((r) => [r.min, r.max, r.max]), ...byPrice.params],
+  );
+
+  const byRating = buildWhere(filters, "rating");
+  const ratingSums = RATING_STEPS.map(
+    (_, i) => `SUM(ep.rating >= ?) as rating_${i}`,
+  ).join(", ");
+  const [ratingRows] = await conn.execute(
+    `SELECT ${ratingSums} ${BASE_FROM} ${byRating.sql}`,
+    [...RATING_STEPS, ...byRating.params],
+  );
+
+  // Tags are a JSON array per service; count them here rather than in SQL
+  const byTags = buildWhere(filters, "tags");
+  const [tagRows] = await conn.execute(
+    `SELECT ps.tags ${BASE_FROM} ${byTags.sql}`,
+    byTags.params,
+  );
+  const tagCounts = new Map();
+  for (const row of tagRows) {
+    for (const tag of new Set(parseTags(row.tags))) {
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    }
+  }
+
+  return {
+    total: totalRows[0].total,
+    facets: {
+      games,
+      service_types: serviceTypes,
+      tags: [...tagCounts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+      price_ranges: PRICE_RANGES.map((range, i) => ({
+        ...range,
+        count: Number(priceRows[0][`range_${i}`] || 0),
+      })),
+      ratings: RATING_STEPS.map((minRating, i) => ({
+        min_rating: minRating,
+        count: Number(ratingRows[0][`rating_${i}`] || 0),
+      })),
+    },
+  };
+};
@@ -0,0 +1,36 @@
+// ==========================================
+// FILE STORAGE BACKENDS
+// ==========================================
+// Uploaded files (service images) are stored through a backend selected
+// with the STORAGE_DRIVER environment variable (default: "local").
+//
+// A backend is an object with:
+//   - name: string
+//   - save(key, buffer, contentType) resolves to the public URL of the file
+//   - remove(key) deletes the file; missing files are ignored
+//   - staticMount (optional): { route, dir } for backends whose files are
+//       served by this API server
+//
+// Keys are relative paths such as "services/<uuid>.webp". To add a
+// cloud bucket, create a module next to local.js and register it in
+// `drivers` below.
+// ==========================================
+
+import localStorageDriver from "./local.js";
+
+const drivers = {
+  [localStorageDriver.name]: localStorageDriver,
+};
+
+/**
+ * Resolve the configured storage backend.
+ * @returns {object} backend implementing save() and remove()
+ */
+export const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || "local";
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
@@ -0,0 +1,50 @@
+// ==========================================
+// LOCAL DISK STORAGE
+// ==========================================
+// Writes files under UPLOAD_DIR (default: server/uploads) and serves
+// them from /uploads on the API server. Suitable for development and
+// single-server deployments.
+// ==========================================
+
+import { mkdir, writeFile, unlink } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const UPLOAD_ROUTE = "/uploads";
+
+const rootDir = path.resolve(
+  process.env.UPLOAD_DIR ||
+    path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "uploads"),
+);
+
+// Keys are generated by the server, but never let one escape rootDir
+const resolveKey = (key) => {
+  const filePath = path.resolve(rootDir, key);
+  if (!filePath.startsWith(rootDir + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const localStorageDriver = {
+  name: "local",
+
+  staticMount: { route: UPLOAD_ROUTE, dir: rootDir },
+
+  async save(key, buffer) {
+    const filePath = resolveKey(key);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, buffer);
+    return `${UPLOAD_ROUTE}/${key}`;
+  },
+
+  async remove(key) {
+    try {
+      await unlink(resolveKey(key));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  },
+};
+
+export default localStorageDriver;
@@ -0,0 +1,98 @@
+// ==========================================
+// SERVICE CATALOG VOCABULARY (Service Types & Tags)
+// ==========================================
+// Services have one service type and up to MAX_SERVICE_TAGS tags.
+// Tags come from the admin-curated service_tags table and are stored on
+// applications and published services as a JSON array of tag names.
+//
+// Colors are palette keys ("blue", "red", ...) that the frontend maps
+// to its own classes, so admins can restyle a tag without a deploy.
+// ==========================================
+
+export const MAX_SERVICE_TAGS = 5;
+
+export const TAG_COLORS = [
+  "blue",
+  "green",
+  "yellow",
+  "red",
+  "purple",
+  "pink",
+  "orange",
+  "teal",
+  "gray",
+];
+
+export const SERVICE_TYPE_STYLES = {
+  coaching: { label: "Coaching", color: "blue" },
+  piloting: { label: "Piloting", color: "purple" },
+};
+
+export const SERVICE_TYPES = Object.keys(SERVICE_TYPE_STYLES);
+
+/**
+ * Read a JSON tags column (string or already-parsed) as an array.
+ */
+export const parseTags = (tags) => {
+  if (!tags) return [];
+  if (Array.isArray(tags)) return tags;
+  try {
+    const parsed = JSON.parse(tags);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Validate tags submitted with an application against the active
+ * vocabulary. Matching is case-insensitive; the stored name is the
+ * vocabulary's spelling.
+ * @returns {object} { tags } or { error }
+ */
+export const normalizeServiceTags = async (conn, tags) => {
+  if (tags === undefined || tags === null) return { tags: [] };
+  if (!Array.isArray(tags)) return { error: "Tags must be a list" };
+
+  const requested = [...new Set(tags.map((t) => String(t).trim()))].filter(
+    Boolean,
+  );
+  if (requested.length > MAX_SERVICE_TAGS) {
+    return { error: `Choose at most ${MAX_SERVICE_TAGS} tags` };
+  }
+  if (requested.length === 0) return { tags: [] };
+
+  const [rows] = await conn.execute(
+    "SELECT name FROM service_tags WHERE is_active = TRUE",
+  );
+  const byLower = new Map(rows.map((r) => [r.name.toLowerCase(), r.name]));
+
+  const normalized = [];
+  for (const tag of requested) {
+    const name = byLower.get(tag.toLowerCase());
+    if (!name) return { error: `Unknown tag: ${tag}` };
+    normalized.push(name);
+  }
+  return { tags: normalized };
+};
+
+/**
+ * Replace each service's raw tags column with [{ name, color }] and add
+ * service_type_info { label, color } for rendering badges.
+ * Tags that were retired from the vocabulary render in gray.
+ */
+export const withTagDetails = async (conn, services) => {
+  if (services.length === 0) return services;
+
+  const [rows] = await conn.execute("SELECT name, color FROM service_tags");
+  const colors = new Map(rows.map((r) => [r.name, r.color]));
+
+  return services.map((service) => ({
+    ...service,
+    tags: parseTags(service.tags).map((name) => ({
+      name,
+      color: colors.get(name) || "gray",
+    })),
+    service_type_info: SERVICE_TYPE_STYLES[service.service_type] || null,
+  }));
+};
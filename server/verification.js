@@ -0,0 +1,317 @@
+// ==========================================
+// EMPLOYEE VERIFICATION
+// ==========================================
+// Employees prove their rank with an in-game screenshot, the ID of their
+// game account and a short note on how to check the rank. Admins work
+// through the pending submissions:
+//   - verify : the employee gets the verified badge
+//              (employee_profiles.is_verified and verification_date)
+//   - reject : the proof is not enough; the employee can submit again
+//   - revoke : takes the badge back from a verified employee
+// Rejecting and revoking need a reason, which the employee is sent.
+//
+// An employee has at most one pending submission and cannot submit while
+// verified. Screenshots are validated and re-encoded like service images
+// (./images.js); their URLs are only returned to the employee and admins.
+//
+// Denials use the same { status, code, error } shape as the request
+// state machine, so routes answer them with sendRequestError().
+// ==========================================
+
+import { REQUEST_ERRORS } from "./requestStateMachine.js";
+import { notify } from "./notifications.js";
+
+export const MAX_ACCOUNT_ID_LENGTH = 100;
+export const MAX_RANK_NOTE_LENGTH = 500;
+export const MAX_DECISION_REASON_LENGTH = 500;
+
+export const VERIFICATION_STATUSES = [
+  "pending",
+  "verified",
+  "rejected",
+  "revoked",
+];
+
+export const VERIFICATION_ERRORS = {
+  NOT_EMPLOYEE: {
+    status: 403,
+    code: "VERIFICATION_NOT_EMPLOYEE",
+    error: "Only employees can apply for verification",
+  },
+  ALREADY_VERIFIED: {
+    status: 409,
+    code: "VERIFICATION_EXISTS",
+    error: "You are already verified",
+  },
+  ALREADY_PENDING: {
+    status: 409,
+    code: "VERIFICATION_PENDING",
+    error: "Your previous submission is still being reviewed",
+  },
+  INVALID_GAME: {
+    status: 400,
+    code: "VERIFICATION_INVALID_GAME",
+    error: "Game not found",
+  },
+  NOT_FOUND: {
+    status: 404,
+    code: "VERIFICATION_NOT_FOUND",
+    error: "Verification not found",
+  },
+  NOT_PENDING: {
+    status: 409,
+    code: "VERIFICATION_NOT_PENDING",
+    error: "This submission has already been decided",
+  },
+  NOT_VERIFIED: {
+    status: 409,
+    code: "VERIFICATION_NOT_VERIFIED",
+    error: "Only a verified submission can be revoked",
+  },
+};
+
+/**
+ * Validate the text fields of a submission: { game_id, account_id,
+ * rank_note }. game_id is optional.
+ * @returns {object} { gameId, accountId, rankNote } or { error }
+ */
+export const parseVerification = (body, sanitize) => {
+  const accountId = body.account_id
+    ? sanitize(String(body.account_id).trim())
+    : "";
+  const rankNote = body.rank_note
+    ? sanitize(String(body.rank_note).trim())
+    : "";
+
+  if (!accountId || !rankNote) {
+    return { error: "Account ID and rank note are required" };
+  }
+  if (accountId.length > MAX_ACCOUNT_ID_LENGTH) {
+    return {
+      error: `Account ID must be at most ${MAX_ACCOUNT_ID_LENGTH} characters`,
+    };
+  }
+  if (rankNote.length > MAX_RANK_NOTE_LENGTH) {
+    return {
+      error: `Rank note must be at most ${MAX_RANK_NOTE_LENGTH} characters`,
+    };
+  }
+
+  let gameId = null;
+  if (body.game_id) {
+    gameId = parseInt(body.game_id);
+    if (!Number.isInteger(gameId) || gameId < 1) {
+      return { error: "Invalid game" };
+    }
+  }
+
+  return { gameId, accountId, rankNote };
+};
+
+/**
+ * Validate an admin's reason: { reason }. Required to reject or revoke.
+ * @returns {object} { reason } (null when empty) or { error }
+ */
+export const parseDecisionReason = (body, sanitize, required) => {
+  const reason = body.reason ? sanitize(String(body.reason).trim()) : "";
+  if (required && !reason) {
+    return { error: "A reason is required" };
+  }
+  if (reason.length > MAX_DECISION_REASON_LENGTH) {
+    return {
+      error: `Reason must be at most ${MAX_DECISION_REASON_LENGTH} characters`,
+    };
+  }
+  return { reason: reason || null };
+};
+
+/**
+ * Record an employee's proof for review. The screenshot has already been
+ * stored; the caller removes it again when this is denied.
+ * @param {object} screenshot - from storeImage()
+ * @returns {object} { verificationId } or { denied }
+ */
+export const submitVerification = async (
+  conn,
+  actor,
+  { gameId, accountId, rankNote },
+  screenshot,
+) => {
+  // Admin IDs are from the admin table and may collide with user IDs
+  if (actor.role === "admin") return { denied: REQUEST_ERRORS.NOT_ALLOWED };
+
+  // Lock the profile so two submissions can't both pass the pending check
+  const [profiles] = await conn.execute(
+    "SELECT is_verified FROM employee_profiles WHERE user_id = ? FOR UPDATE",
+    [actor.userId],
+  );
+  if (profiles.length === 0) {
+    return { denied: VERIFICATION_ERRORS.NOT_EMPLOYEE };
+  }
+  if (profiles[0].is_verified) {
+    return { denied: VERIFICATION_ERRORS.ALREADY_VERIFIED };
+  }
+
+  const [pending] = await conn.execute(
+    "SELECT id FROM employee_verifications WHERE employee_id = ? AND status = 'pending'",
+    [actor.userId],
+  );
+  if (pending.length > 0) {
+    return { denied: VERIFICATION_ERRORS.ALREADY_PENDING };
+  }
+
+  if (gameId) {
+    const [games] = await conn.execute("SELECT id FROM games WHERE id = ?", [
+      gameId,
+    ]);
+    if (games.length === 0) {
+      return { denied: VERIFICATION_ERRORS.INVALID_GAME };
+    }
+  }
+
+  const [result] = await conn.execute(
+    `INSERT INTO employee_verifications
+       (employee_id, game_id, account_id, rank_note,
+        screenshot_url, screenshot_key, thumbnail_url, thumbnail_key)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      actor.userId,
+      gameId,
+      accountId,
+      rankNote,
+      screenshot.imageUrl,
+      screenshot.storageKey,
+      screenshot.thumbnailUrl,
+      screenshot.thumbnailKey,
+    ],
+  );
+  return { verificationId: result.insertId };
+};
+
+/**
+ * An employee's badge and their latest submission.
+ * @returns {object} { is_verified, verification_date, submission, can_submit }
+ *   or null when the user has no employee profile
+ */
+export const getVerificationStatus = async (conn, employeeId) => {
+  const [profiles] = await conn.execute(
+    "SELECT is_verified, verification_date FROM employee_profiles WHERE user_id = ?",
+    [employeeId],
+  );
+  if (profiles.length === 0) return null;
+
+  const [submissions] = await conn.execute(
+    `SELECT v.id, v.game_id, g.name as game_name, v.account_id, v.rank_note,
+            v.screenshot_url, v.thumbnail_url, v.status, v.decision_reason,
+            v.decided_at, v.created_at
+     FROM employee_verifications v
+     LEFT JOIN games g ON v.game_id = g.id
+     WHERE v.employee_id = ?
+     ORDER BY v.created_at DESC, v.id DESC
+     LIMIT 1`,
+    [employeeId],
+  );
+  const submission = submissions[0] || null;
+  const isVerified = !!profiles[0].is_verified;
+
+  return {
+    is_verified: isVerified,
+    verification_date: profiles[0].verification_date,
+    submission,
+    can_submit: !isVerified && submission?.status !== "pending",
+  };
+};
+
+// Lock a submission for an admin decision
+const lockVerification = async (conn, verificationId) => {
+  const [rows] = await conn.execute(
+    `SELECT id, employee_id, status FROM employee_verifications
+     WHERE id = ? FOR UPDATE`,
+    [verificationId],
+  );
+  return rows[0] || null;
+};
+
+const setDecision = (conn, verification, status, { adminId, reason }) =>
+  conn.execute(
+    `UPDATE employee_verifications
+     SET status = ?, decision_reason = ?, decided_by_admin = ?, decided_at = NOW()
+     WHERE id = ?`,
+    [status, reason, adminId, verification.id],
+  );
+
+/**
+ * Verify or reject a pending submission and tell the employee.
+ * @returns {object} { verification } or { denied }
+ */
+export const decideVerification = async (
+  conn,
+  verificationId,
+  verified,
+  { adminId, reason },
+) => {
+  const verification = await lockVerification(conn, verificationId);
+  if (!verification) return { denied: VERIFICATION_ERRORS.NOT_FOUND };
+  if (verification.status !== "pending") {
+    return { denied: VERIFICATION_ERRORS.NOT_PENDING };
+  }
+
+  await setDecision(conn, verification, verified ? "verified" : "rejected", {
+    adminId,
+    reason,
+  });
+  if (verified) {
+    await conn.execute(
+      `UPDATE employee_profiles SET is_verified = TRUE, verification_date = NOW()
+       WHERE user_id = ?`,
+      [verification.employee_id],
+    );
+  }
+
+  await notify(conn, {
+    userId: verification.employee_id,
+    type: verified ? "verification_approved" : "verification_rejected",
+    entityType: "verification",
+    entityId: verification.id,
+    title: verified ? "You're Verified" : "Verification Not Approved",
+    message: verified
+      ? "Your rank has been verified. Your profile and services now show the verified badge."
+      : `Your verification was not approved. Reason: ${reason}`,
+  });
+
+  return { verification };
+};
+
+/**
+ * Take the badge back from a verified employee.
+ * @returns {object} { verification } or { denied }
+ */
+export const revokeVerification = async (
+  conn,
+  verificationId,
+  { adminId, reason },
+) => {
+  const verification = await lockVerification(conn, verificationId);
+  if (!verification) return { denied: VERIFICATION_ERRORS.NOT_FOUND };
+  if (verification.status !== "verified") {
+    return { denied: VERIFICATION_ERRORS.NOT_VERIFIED };
+  }
+
+  await setDecision(conn, verification, "revoked", { adminId, reason });
+  await conn.execute(
+    `UPDATE employee_profiles SET is_verified = FALSE, verification_date = NULL
+     WHERE user_id = ?`,
+    [verification.employee_id],
+  );
+
+  await notify(conn, {
+    userId: verification.employee_id,
+    type: "verification_revoked",
+    entityType: "verification",
+    entityId: verification.id,
+    title: "Verification Revoked",
+    message: `Your verified badge was removed. Reason: ${reason}`,
+  });
+
+  return { verification };
+};
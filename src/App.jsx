@@ -18,8 +18,12 @@ import CreateAccount from "./pages/login/CreateAccount";
 import Home from "./pages/Home";
 import Chat from "./pages/Chat";
 import Apply from "./pages/Apply";
+import Notifications from "./pages/Notifications";
+import NotificationSettings from "./pages/NotificationSettings";
 import AdminLogin from "./pages/login/AdminLogin";
 import AdminDashboard from "./pages/AdminDashboard";
+import Coaches from "./pages/Coaches";
+import CoachProfile from "./pages/CoachProfile";
 
 export default function App() {
   return (
@@ -63,6 +67,13 @@ function AppRoutes() {
           <Route path="/" element={<Home />} />
           <Route path="/chats" element={<Chat />} />
           <Route path="/apply" element={<Apply />} />
+          <Route path="/notifications" element={<Notifications />} />
+          <Route
+            path="/settings/notifications"
+            element={<NotificationSettings />}
+          />
+          <Route path="/coaches" element={<Coaches />} />
+          <Route path="/coaches/:id" element={<CoachProfile />} />
           <Route path="*" element={<Navigate to="/" />} />
         </>
       )}
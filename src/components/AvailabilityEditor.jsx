@@ -0,0 +1,302 @@
+import { useState, useEffect } from "react";
+import { Clock, Loader, Plus, Save, Trash2 } from "lucide-react";
+import { SessionsAPI } from "../services/api";
+import { viewerTimeZone } from "../constants/sessions";
+
+// Monday first; values are day_of_week as stored (0 = Sunday)
+const WEEKDAYS = [
+  { day: 1, label: "Monday" },
+  { day: 2, label: "Tuesday" },
+  { day: 3, label: "Wednesday" },
+  { day: 4, label: "Thursday" },
+  { day: 5, label: "Friday" },
+  { day: 6, label: "Saturday" },
+  { day: 0, label: "Sunday" },
+];
+
+const timeZones = () =>
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : [viewerTimeZone()];
+
+const inputClass =
+  "px-3 py-2 rounded-lg bg-ghbackground border border-ghforegroundlow/20 text-white text-sm focus:outline-none focus:border-ghaccent";
+
+// Employee-only editor for weekly bookable hours, blackout dates, timezone
+// and session length. Saving replaces the whole schedule.
+export default function AvailabilityEditor() {
+  const [schedule, setSchedule] = useState(null);
+  const [sessionLengths, setSessionLengths] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: "", text: "" });
+
+  useEffect(() => {
+    SessionsAPI.getAvailability()
+      .then((res) => {
+        setSessionLengths(res.session_lengths || []);
+        setSchedule({
+          // Nothing published yet: start from the browser's timezone
+          timezone: res.weekly.length ? res.timezone : viewerTimeZone(),
+          session_minutes: res.session_minutes,
+          weekly: res.weekly,
+          blackouts: res.blackouts,
+        });
+      })
+      .catch((err) => {
+        console.error("Failed to fetch availability:", err);
+        setLoadError("Could not load your availability");
+      });
+  }, []);
+
+  if (loadError) {
+    return <p className="text-red-400 text-sm">{loadError}</p>;
+  }
+  if (!schedule) {
+    return (
+      <div className="flex items-center gap-2 text-ghforegroundlow text-sm">
+        <Loader size={14} className="animate-spin" />
+        Loading availability...
+      </div>
+    );
+  }
+
+  const update = (changes) => {
+    setSchedule((prev) => ({ ...prev, ...changes }));
+    setMessage({ type: "", text: "" });
+  };
+
+  const updateWindow = (index, changes) =>
+    update({
+      weekly: schedule.weekly.map((window, i) =>
+        i === index ? { ...window, ...changes } : window,
+      ),
+    });
+
+  const addWindow = (day) =>
+    update({
+      weekly: [
+        ...schedule.weekly,
+        { day_of_week: day, start_time: "18:00", end_time: "21:00" },
+      ],
+    });
+
+  const removeWindow = (index) =>
+    update({ weekly: schedule.weekly.filter((_, i) => i !== index) });
+
+  const updateBlackout = (index, changes) =>
+    update({
+      blackouts: schedule.blackouts.map((blackout, i) =>
+        i === index ? { ...blackout, ...changes } : blackout,
+      ),
+    });
+
+  const addBlackout = () =>
+    update({ blackouts: [...schedule.blackouts, { date: "", reason: "" }] });
+
+  const removeBlackout = (index) =>
+    update({ blackouts: schedule.blackouts.filter((_, i) => i !== index) });
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage({ type: "", text: "" });
+    try {
+      const res = await SessionsAPI.updateAvailability({
+        ...schedule,
+        blackouts: schedule.blackouts.filter((blackout) => blackout.date),
+      });
+      setSchedule({
+        timezone: res.timezone,
+        session_minutes: res.session_minutes,
+        weekly: res.weekly,
+        blackouts: res.blackouts,
+      });
+      setMessage({ type: "success", text: "Availability saved" });
+    } catch (err) {
+      setMessage({
+        type: "error",
+        text: err.message || "Failed to save availability",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-ghbackground-secondary rounded-2xl border border-ghforegroundlow/20 p-6 space-y-6">
+      <div>
+        <h3 className="flex items-center gap-2 text-lg font-bold text-white">
+          <Clock size={20} />
+          Availability
+        </h3>
+        <p className="text-sm text-ghforegroundlow mt-1">
+          Customers can only book times inside these hours. Leave every day
+          empty to take requests without a set time.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-4">
+        <label className="flex flex-col gap-1 text-sm text-ghforegroundlow">
+          Timezone
+          <select
+            value={schedule.timezone}
+            onChange={(e) => update({ timezone: e.target.value })}
+            className={inputClass}
+          >
+            {[...new Set([schedule.timezone, ...timeZones()])].map((zone) => (
+              <option key={zone} value={zone}>
+                {zone}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-sm text-ghforegroundlow">
+          Session length
+          <select
+            value={schedule.session_minutes}
+            onChange={(e) =>
+              update({ session_minutes: parseInt(e.target.value) })
+            }
+            className={inputClass}
+          >
+            {sessionLengths.map((minutes) => (
+              <option key={minutes} value={minutes}>
+                {minutes} minutes
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="space-y-3">
+        {WEEKDAYS.map(({ day, label }) => {
+          const windows = schedule.weekly
+            .map((window, index) => ({ window, index }))
+            .filter(({ window }) => window.day_of_week === day);
+          return (
+            <div
+              key={day}
+              className="flex flex-col sm:flex-row sm:items-start gap-2"
+            >
+              <p className="w-28 pt-2 text-sm font-semibold text-white">
+                {label}
+              </p>
+              <div className="flex-1 space-y-2">
+                {windows.length === 0 && (
+                  <p className="pt-2 text-sm text-ghforegroundlow">
+                    Unavailable
+                  </p>
+                )}
+                {windows.map(({ window, index }) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <input
+                      type="time"
+                      value={window.start_time}
+                      onChange={(e) =>
+                        updateWindow(index, { start_time: e.target.value })
+                      }
+                      className={inputClass}
+                    />
+                    <span className="text-ghforegroundlow">–</span>
+                    <input
+                      type="time"
+                      value={window.end_time}
+                      onChange={(e) =>
+                        updateWindow(index, { end_time: e.target.value })
+                      }
+                      className={inputClass}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeWindow(index)}
+                      className="p-2 text-ghforegroundlow hover:text-red-400 transition-colors"
+                      title="Remove time range"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => addWindow(day)}
+                className="flex items-center gap-1 px-3 py-2 text-sm text-ghaccent hover:text-white transition-colors"
+              >
+                <Plus size={14} />
+                Add hours
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <p className="text-sm font-semibold text-white">Days off</p>
+          <button
+            type="button"
+            onClick={addBlackout}
+            className="flex items-center gap-1 text-sm text-ghaccent hover:text-white transition-colors"
+          >
+            <Plus size={14} />
+            Add date
+          </button>
+        </div>
+        {schedule.blackouts.length === 0 && (
+          <p className="text-sm text-ghforegroundlow">No days off planned</p>
+        )}
+        {schedule.blackouts.map((blackout, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <input
+              type="date"
+              value={blackout.date}
+              onChange={(e) => updateBlackout(index, { date: e.target.value })}
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={blackout.reason || ""}
+              onChange={(e) =>
+                updateBlackout(index, { reason: e.target.value })
+              }
+              placeholder="Reason (optional)"
+              maxLength={255}
+              className={`${inputClass} flex-1 min-w-40`}
+            />
+            <button
+              type="button"
+              onClick={() => removeBlackout(index)}
+              className="p-2 text-ghforegroundlow hover:text-red-400 transition-colors"
+              title="Remove date"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {message.text && (
+        <p
+          className={`text-sm ${
+            message.type === "error" ? "text-red-400" : "text-green-400"
+          }`}
+        >
+          {message.text}
+        </p>
+      )}
+
+      <button
+        onClick={handleSave}
+        disabled={saving}
+        className="flex items-center gap-2 px-6 py-3 rounded-xl bg-ghaccent hover:bg-ghaccent/80 text-white font-semibold transition-all disabled:opacity-50"
+      >
+        {saving ? (
+          <Loader size={18} className="animate-spin" />
+        ) : (
+          <Save size={18} />
+        )}
+        Save availability
+      </button>
+    </div>
+  );
+}
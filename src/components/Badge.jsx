@@ -1,6 +1,20 @@
+// Palette keys sent by the server (service tags and service types)
+const COLORS = {
+  blue: "bg-blue-800 text-blue-200",
+  green: "bg-green-800 text-green-200",
+  yellow: "bg-yellow-800 text-yellow-200",
+  red: "bg-red-800 text-red-200",
+  purple: "bg-purple-800 text-purple-200",
+  pink: "bg-pink-800 text-pink-200",
+  orange: "bg-orange-800 text-orange-200",
+  teal: "bg-teal-800 text-teal-200",
+  gray: "bg-gray-800 text-gray-200",
+};
+
 export default function Badge({
   children,
   variant = "primary",
+  color,
   className = "",
 }) {
   const variants = {
@@ -12,9 +26,11 @@ export default function Badge({
     gray: "bg-gray-800 text-gray-200",
   };
 
+  const colorClasses = color ? COLORS[color] || COLORS.gray : variants[variant];
+
   return (
     <span
-      className={`${variants[variant]} px-3 py-1 rounded-full text-xs font-semibold border border-current/30 ${className}`}
+      className={`${colorClasses} px-3 py-1 rounded-full text-xs font-semibold border border-current/30 ${className}`}
     >
       {children}
     </span>
@@ -0,0 +1,18 @@
+// Filter chip with an optional facet count
+export default function FilterChip({ label, count, active, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`px-3 py-1.5 rounded-full text-sm font-medium border transition-all whitespace-nowrap ${
+        active
+          ? "bg-ghaccent border-ghaccent text-white"
+          : "bg-ghbackground-secondary border-ghforegroundlow/20 text-ghforegroundlow hover:text-white"
+      } ${!active && count === 0 ? "opacity-40" : ""}`}
+    >
+      {label}
+      {count !== undefined && (
+        <span className="ml-1.5 text-xs opacity-70">{count}</span>
+      )}
+    </button>
+  );
+}
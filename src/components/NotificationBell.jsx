@@ -1,63 +1,31 @@
 import { useState, useEffect, useRef } from "react";
-import {
-  Bell,
-  X,
-  Check,
-  CheckCheck,
-  MessageCircle,
-  FileCheck,
-  DollarSign,
-  Star,
-  Briefcase,
-} from "lucide-react";
+import { Bell, Settings } from "lucide-react";
+import { useNavigate } from "react-router-dom";
 import { NotificationsAPI } from "../services/api";
 import { useAuth } from "../context/AuthContext";
-
-const notificationIcons = {
-  new_request: MessageCircle,
-  request_accepted: Check,
-  request_rejected: X,
-  user_confirmed: CheckCheck,
-  service_started: Briefcase,
-  chat_message: MessageCircle,
-  completion_requested: FileCheck,
-  service_completed: Check,
-  service_reopened: Briefcase,
-  payment_received: DollarSign,
-  review_received: Star,
-  application_approved: Check,
-  application_rejected: X,
-  application_pending_reapproval: FileCheck,
-};
-
-const notificationColors = {
-  new_request: "text-blue-400",
-  request_accepted: "text-green-400",
-  request_rejected: "text-red-400",
-  user_confirmed: "text-green-400",
-  service_started: "text-purple-400",
-  chat_message: "text-blue-400",
-  completion_requested: "text-yellow-400",
-  service_completed: "text-green-400",
-  service_reopened: "text-yellow-400",
-  payment_received: "text-green-400",
-  review_received: "text-yellow-400",
-  application_approved: "text-green-400",
-  application_rejected: "text-red-400",
-  application_pending_reapproval: "text-yellow-400",
-};
+import NotificationItem from "./NotificationItem";
+import {
+  groupNotifications,
+  notificationLink,
+} from "../constants/notifications";
 
 export default function NotificationBell() {
-  const { user } = useAuth();
+  const { user, role } = useAuth();
+  const navigate = useNavigate();
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [isOpen, setIsOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const dropdownRef = useRef(null);
 
+  // Live updates come over the notification stream. The unread count is
+  // polled only while the stream is unavailable: not connected yet,
+  // reconnecting, refused, or an admin account (which has no stream).
   useEffect(() => {
     if (!user) return;
 
+    let interval = null;
+
     const fetchUnreadCount = async () => {
       try {
         const res = await NotificationsAPI.getUnreadCount();
@@ -67,11 +35,67 @@ export default function NotificationBell() {
       }
     };
 
+    const startPolling = () => {
+      if (interval) return;
+      interval = setInterval(fetchUnreadCount, 30000); // Poll every 30 seconds
+    };
+
+    const stopPolling = () => {
+      clearInterval(interval);
+      interval = null;
+    };
+
     fetchUnreadCount();
-    const interval = setInterval(fetchUnreadCount, 30000); // Poll every 30 seconds
 
-    return () => clearInterval(interval);
-  }, [user]);
+    if (role === "admin" || typeof EventSource === "undefined") {
+      startPolling();
+      return stopPolling;
+    }
+
+    startPolling();
+    const stream = NotificationsAPI.openStream();
+
+    stream.addEventListener("ready", () => {
+      stopPolling();
+      // Catch up on anything missed while disconnected
+      fetchUnreadCount();
+    });
+
+    stream.addEventListener("notification", (e) => {
+      const notification = JSON.parse(e.data);
+      // A coalesced chat notification replaces its older copy
+      setNotifications((prev) => [
+        notification,
+        ...prev.filter((n) => n.id !== notification.id),
+      ]);
+    });
+
+    stream.addEventListener("unread_count", (e) => {
+      setUnreadCount(JSON.parse(e.data).count);
+    });
+
+    stream.addEventListener("read", (e) => {
+      const { ids, all } = JSON.parse(e.data);
+      setNotifications((prev) =>
+        prev.map((n) =>
+          all || ids.includes(n.id) ? { ...n, is_read: true } : n,
+        ),
+      );
+    });
+
+    stream.addEventListener("removed", (e) => {
+      const { ids } = JSON.parse(e.data);
+      setNotifications((prev) => prev.filter((n) => !ids.includes(n.id)));
+    });
+
+    // EventSource retries on its own; "ready" stops the polling again
+    stream.addEventListener("error", startPolling);
+
+    return () => {
+      stream.close();
+      stopPolling();
+    };
+  }, [user, role]);
 
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -103,15 +127,30 @@ export default function NotificationBell() {
     setIsOpen(!isOpen);
   };
 
-  const handleMarkAsRead = async (id) => {
-    try {
-      await NotificationsAPI.markAsRead(id);
-      setNotifications((prev) =>
-        prev.map((n) => (n.id === id ? { ...n, is_read: true } : n)),
-      );
-      setUnreadCount((prev) => Math.max(0, prev - 1));
-    } catch (err) {
-      console.error("Failed to mark as read:", err);
+  // Mark the whole group read, then follow its deep link
+  const handleOpen = async (group) => {
+    if (group.unreadIds.length > 0) {
+      try {
+        if (group.unreadIds.length === 1) {
+          await NotificationsAPI.markAsRead(group.unreadIds[0]);
+        } else {
+          await NotificationsAPI.markManyAsRead(group.unreadIds);
+        }
+        setNotifications((prev) =>
+          prev.map((n) =>
+            group.unreadIds.includes(n.id) ? { ...n, is_read: true } : n,
+          ),
+        );
+        setUnreadCount((prev) => Math.max(0, prev - group.unreadIds.length));
+      } catch (err) {
+        console.error("Failed to mark as read:", err);
+      }
+    }
+
+    const link = notificationLink(group, role);
+    if (link) {
+      setIsOpen(false);
+      navigate(link);
     }
   };
 
@@ -125,21 +164,6 @@ export default function NotificationBell() {
     }
   };
 
-  const formatTime = (dateString) => {
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffHours = Math.floor(diffMs / 3600000);
-    const diffDays = Math.floor(diffMs / 86400000);
-
-    if (diffMins < 1) return "Just now";
-    if (diffMins < 60) return `${diffMins}m ago`;
-    if (diffHours < 24) return `${diffHours}h ago`;
-    if (diffDays < 7) return `${diffDays}d ago`;
-    return date.toLocaleDateString();
-  };
-
   if (!user) return null;
 
   return (
@@ -164,14 +188,28 @@ export default function NotificationBell() {
           {/* Header */}
           <div className="flex items-center justify-between p-4 border-b border-ghforegroundlow/20 bg-ghbackground">
             <h3 className="text-lg font-bold text-white">Notifications</h3>
-            {unreadCount > 0 && (
-              <button
-                onClick={handleMarkAllAsRead}
-                className="text-sm text-ghaccent hover:text-ghaccent-hover transition-colors"
-              >
-                Mark all read
-              </button>
-            )}
+            <div className="flex items-center gap-3">
+              {unreadCount > 0 && (
+                <button
+                  onClick={handleMarkAllAsRead}
+                  className="text-sm text-ghaccent hover:text-ghaccent-hover transition-colors"
+                >
+                  Mark all read
+                </button>
+              )}
+              {role !== "admin" && (
+                <button
+                  onClick={() => {
+                    setIsOpen(false);
+                    navigate("/settings/notifications");
+                  }}
+                  className="p-1 text-ghforegroundlow hover:text-white transition-colors"
+                  title="Notification settings"
+                >
+                  <Settings size={18} />
+                </button>
+              )}
+            </div>
           </div>
 
           {/* Notifications list */}
@@ -187,53 +225,27 @@ export default function NotificationBell() {
                 <p>No notifications yet</p>
               </div>
             ) : (
-              notifications.map((notification) => {
-                const Icon =
-                  notificationIcons[notification.notification_type] || Bell;
-                const colorClass =
-                  notificationColors[notification.notification_type] ||
-                  "text-ghforegroundlow";
-
-                return (
-                  <div
-                    key={notification.id}
-                    onClick={() =>
-                      !notification.is_read && handleMarkAsRead(notification.id)
-                    }
-                    className={`p-4 border-b border-ghforegroundlow/10 cursor-pointer transition-all hover:bg-ghforegroundlow/5 ${
-                      !notification.is_read ? "bg-ghaccent/5" : ""
-                    }`}
-                  >
-                    <div className="flex gap-3">
-                      <div
-                        className={`p-2 rounded-lg bg-ghbackground ${colorClass}`}
-                      >
-                        <Icon size={18} />
-                      </div>
-                      <div className="flex-1 min-w-0">
-                        <div className="flex items-start justify-between gap-2">
-                          <p
-                            className={`font-semibold text-sm ${notification.is_read ? "text-ghforegroundlow" : "text-white"}`}
-                          >
-                            {notification.title}
-                          </p>
-                          {!notification.is_read && (
-                            <span className="w-2 h-2 rounded-full bg-ghaccent flex-shrink-0 mt-1.5"></span>
-                          )}
-                        </div>
-                        <p className="text-sm text-ghforegroundlow mt-1 line-clamp-2">
-                          {notification.message}
-                        </p>
-                        <p className="text-xs text-ghforegroundlow/60 mt-2">
-                          {formatTime(notification.created_at)}
-                        </p>
-                      </div>
-                    </div>
-                  </div>
-                );
-              })
+              groupNotifications(notifications).map((group) => (
+                <NotificationItem
+                  key={group.key}
+                  group={group}
+                  onOpen={handleOpen}
+                />
+              ))
             )}
           </div>
+
+          {role !== "admin" && (
+            <button
+              onClick={() => {
+                setIsOpen(false);
+                navigate("/notifications");
+              }}
+              className="w-full p-3 text-sm text-ghaccent hover:text-ghaccent-hover hover:bg-ghforegroundlow/5 border-t border-ghforegroundlow/20 transition-colors"
+            >
+              View all notifications
+            </button>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,70 @@
+import { Bell } from "lucide-react";
+import {
+  NOTIFICATION_ICONS,
+  NOTIFICATION_COLORS,
+  formatNotificationTime,
+} from "../constants/notifications";
+
+// One notification group (see groupNotifications), as listed in the bell
+// dropdown and on the notifications page. Pass onToggleSelect to show a
+// selection checkbox.
+export default function NotificationItem({
+  group,
+  onOpen,
+  selected = false,
+  onToggleSelect,
+}) {
+  const Icon = NOTIFICATION_ICONS[group.notification_type] || Bell;
+  const colorClass =
+    NOTIFICATION_COLORS[group.notification_type] || "text-ghforegroundlow";
+
+  return (
+    <div
+      onClick={() => onOpen(group)}
+      className={`p-4 border-b border-ghforegroundlow/10 cursor-pointer transition-all hover:bg-ghforegroundlow/5 ${
+        !group.is_read ? "bg-ghaccent/5" : ""
+      }`}
+    >
+      <div className="flex gap-3">
+        {onToggleSelect && (
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={() => onToggleSelect(group)}
+            onClick={(e) => e.stopPropagation()}
+            aria-label={`Select "${group.title}"`}
+            className="mt-2.5 accent-ghaccent"
+          />
+        )}
+        <div className={`p-2 rounded-lg bg-ghbackground h-fit ${colorClass}`}>
+          <Icon size={18} />
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-start justify-between gap-2">
+            <p
+              className={`font-semibold text-sm ${group.is_read ? "text-ghforegroundlow" : "text-white"}`}
+            >
+              {group.title}
+              {group.count > 1 && (
+                <span className="ml-2 px-1.5 py-0.5 rounded-full bg-ghforegroundlow/10 text-xs font-medium text-ghforegroundlow">
+                  {group.notification_type === "chat_message"
+                    ? `${group.count} messages`
+                    : `${group.count} updates`}
+                </span>
+              )}
+            </p>
+            {!group.is_read && (
+              <span className="w-2 h-2 rounded-full bg-ghaccent flex-shrink-0 mt-1.5"></span>
+            )}
+          </div>
+          <p className="text-sm text-ghforegroundlow mt-1 line-clamp-2">
+            {group.message}
+          </p>
+          <p className="text-xs text-ghforegroundlow/60 mt-2">
+            {formatNotificationTime(group.created_at)}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { useState } from "react";
+import { Loader, Send } from "lucide-react";
+
+const inputClass =
+  "w-full px-3 py-2 rounded-lg bg-ghbackground border border-ghforegroundlow/30 text-white text-sm placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent";
+
+// Amount, estimated duration and notes for a quote or counter-offer.
+// onSubmit receives { amount, estimated_minutes, notes } and may throw.
+export default function OfferForm({
+  initialAmount,
+  submitLabel,
+  onSubmit,
+  onCancel,
+}) {
+  const [amount, setAmount] = useState(
+    initialAmount ? parseFloat(initialAmount).toFixed(2) : "",
+  );
+  const [minutes, setMinutes] = useState("");
+  const [notes, setNotes] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async () => {
+    if (!(parseFloat(amount) > 0)) {
+      setError("Enter an amount");
+      return;
+    }
+    setSubmitting(true);
+    setError("");
+    try {
+      await onSubmit({
+        amount: parseFloat(amount),
+        estimated_minutes: minutes ? parseInt(minutes) : undefined,
+        notes: notes.trim() || undefined,
+      });
+    } catch (err) {
+      setError(err.message || "Failed to send offer");
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2 animate-slideInUp">
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-xs text-ghforegroundlow space-y-1">
+          <span>Amount ($)</span>
+          <input
+            type="number"
+            min="1"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-ghforegroundlow space-y-1">
+          <span>Estimated minutes (optional)</span>
+          <input
+            type="number"
+            min="1"
+            value={minutes}
+            onChange={(e) => setMinutes(e.target.value)}
+            className={inputClass}
+          />
+        </label>
+      </div>
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        placeholder="Notes, e.g. what the price covers (optional)"
+        maxLength={500}
+        rows="2"
+        className={`${inputClass} resize-none`}
+      />
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          onClick={handleSubmit}
+          disabled={submitting}
+          className="btn-primary flex-1 px-4 py-2 rounded-xl text-white font-semibold text-sm flex items-center justify-center gap-2 disabled:opacity-50"
+        >
+          {submitting ? (
+            <Loader size={16} className="animate-spin" />
+          ) : (
+            <Send size={16} />
+          )}
+          {submitLabel}
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-ghforegroundlow font-semibold text-sm transition-all"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
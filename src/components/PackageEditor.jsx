@@ -0,0 +1,82 @@
+import { Plus, Trash2 } from "lucide-react";
+
+const EMPTY_PACKAGE = { name: "", price: "", sessions: "", description: "" };
+
+const inputClass =
+  "w-full px-3 py-2 rounded-lg bg-ghbackground border border-ghforegroundlow/20 text-white text-sm placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent focus:border-transparent transition-all";
+
+// Editor for a service's pricing tiers (see server/packages.js). An empty
+// list means the service sells at its flat price.
+export default function PackageEditor({ packages, onChange, max }) {
+  const update = (index, changes) =>
+    onChange(
+      packages.map((pkg, i) => (i === index ? { ...pkg, ...changes } : pkg)),
+    );
+
+  return (
+    <div className="space-y-3">
+      {packages.map((pkg, index) => (
+        <div
+          key={index}
+          className="rounded-lg border border-ghforegroundlow/20 p-3 space-y-2"
+        >
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={pkg.name}
+              onChange={(e) => update(index, { name: e.target.value })}
+              placeholder="Name, e.g. 5 sessions or Gold → Platinum"
+              maxLength={60}
+              className={inputClass}
+            />
+            <button
+              type="button"
+              onClick={() => onChange(packages.filter((_, i) => i !== index))}
+              className="p-2 text-ghforegroundlow hover:text-red-400 transition-colors"
+              title="Remove package"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="number"
+              value={pkg.price}
+              onChange={(e) => update(index, { price: e.target.value })}
+              placeholder="Price ($)"
+              min="1"
+              step="0.01"
+              className={inputClass}
+            />
+            <input
+              type="number"
+              value={pkg.sessions ?? ""}
+              onChange={(e) => update(index, { sessions: e.target.value })}
+              placeholder="Sessions (optional)"
+              min="1"
+              className={inputClass}
+            />
+          </div>
+          <input
+            type="text"
+            value={pkg.description || ""}
+            onChange={(e) => update(index, { description: e.target.value })}
+            placeholder="What's included (optional)"
+            maxLength={200}
+            className={inputClass}
+          />
+        </div>
+      ))}
+      {packages.length < max && (
+        <button
+          type="button"
+          onClick={() => onChange([...packages, EMPTY_PACKAGE])}
+          className="flex items-center gap-1 text-sm text-ghaccent hover:text-white transition-colors"
+        >
+          <Plus size={14} />
+          Add package
+        </button>
+      )}
+    </div>
+  );
+}
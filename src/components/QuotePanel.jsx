@@ -0,0 +1,176 @@
+import { useState, useEffect } from "react";
+import { Check, DollarSign, Loader, X } from "lucide-react";
+import { RequestsAPI } from "../services/api";
+import OfferForm from "./OfferForm";
+
+const STATUS_STYLES = {
+  open: "text-blue-400",
+  accepted: "text-green-400",
+  declined: "text-red-400",
+  countered: "text-ghforegroundlow",
+  withdrawn: "text-ghforegroundlow",
+};
+
+const formatAmount = (amount) => `$${parseFloat(amount).toFixed(2)}`;
+
+// Price negotiation of an accepted request: offer history plus accept,
+// counter and decline for the open offer. party is "employee" or
+// "requester"; onChange runs after every action so the parent can
+// refresh the request's amount and quote_status.
+export default function QuotePanel({ request, party, onChange }) {
+  const [version, setVersion] = useState(0);
+  // Keyed by what was fetched, so a refresh after an action shows the loader
+  const [history, setHistory] = useState({ key: null, quotes: [], error: "" });
+  const [showForm, setShowForm] = useState(false);
+  const [acting, setActing] = useState(false);
+  const [actionError, setActionError] = useState("");
+  const key = `${request.id}:${request.quote_status}:${request.amount}:${version}`;
+
+  useEffect(() => {
+    RequestsAPI.getQuotes(request.id)
+      .then((res) => setHistory({ key, quotes: res.quotes || [], error: "" }))
+      .catch((err) => {
+        console.error("Failed to fetch quotes:", err);
+        setHistory({ key, quotes: [], error: "Could not load offers" });
+      });
+  }, [request.id, key]);
+
+  const refresh = () => {
+    setVersion((v) => v + 1);
+    onChange?.();
+  };
+
+  const handleOffer = async (offer) => {
+    await RequestsAPI.makeOffer(request.id, offer);
+    setShowForm(false);
+    refresh();
+  };
+
+  const respond = async (quote, accept) => {
+    setActing(true);
+    setActionError("");
+    try {
+      if (accept) await RequestsAPI.acceptOffer(request.id, quote.id);
+      else await RequestsAPI.declineOffer(request.id, quote.id);
+      refresh();
+    } catch (err) {
+      setActionError(err.message || "Failed to answer the offer");
+    } finally {
+      setActing(false);
+    }
+  };
+
+  if (history.key !== key) {
+    return (
+      <div className="flex items-center gap-2 text-ghforegroundlow text-sm">
+        <Loader size={14} className="animate-spin" />
+        Loading offers...
+      </div>
+    );
+  }
+  if (history.error) {
+    return <p className="text-red-400 text-sm">{history.error}</p>;
+  }
+
+  const { quotes } = history;
+  const open = quotes.find((quote) => quote.status === "open");
+  const theirOffer = open && open.offered_by !== party;
+  const negotiable = request.status === "employee_accepted";
+
+  return (
+    <div className="rounded-xl border border-ghforegroundlow/20 p-4 space-y-3">
+      <p className="flex items-center gap-2 text-sm font-semibold text-white">
+        <DollarSign size={16} />
+        Price
+        {request.list_amount &&
+          parseFloat(request.list_amount) !== parseFloat(request.amount) && (
+            <span className="font-normal text-xs text-ghforegroundlow">
+              (list price {formatAmount(request.list_amount)})
+            </span>
+          )}
+      </p>
+
+      {quotes.length > 0 && (
+        <ol className="space-y-2">
+          {quotes.map((quote) => (
+            <li key={quote.id} className="text-sm">
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-ghforegroundlow">
+                  {quote.offered_by === party
+                    ? "You"
+                    : quote.offered_by_name || quote.offered_by}{" "}
+                  offered{" "}
+                  <span className="text-white font-semibold">
+                    {formatAmount(quote.amount)}
+                  </span>
+                  {quote.estimated_minutes &&
+                    ` · ~${quote.estimated_minutes} min`}
+                </span>
+                <span
+                  className={`text-xs capitalize ${STATUS_STYLES[quote.status]}`}
+                >
+                  {quote.status}
+                </span>
+              </div>
+              {quote.notes && (
+                <p className="text-xs text-ghforegroundlow italic break-words">
+                  "{quote.notes}"
+                </p>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {actionError && <p className="text-red-400 text-xs">{actionError}</p>}
+
+      {negotiable &&
+        (showForm ? (
+          <OfferForm
+            initialAmount={open?.amount ?? request.amount}
+            submitLabel={theirOffer ? "Send counter-offer" : "Send offer"}
+            onSubmit={handleOffer}
+            onCancel={() => setShowForm(false)}
+          />
+        ) : theirOffer ? (
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => respond(open, true)}
+              disabled={acting}
+              className="btn-success px-4 py-2 rounded-xl text-white font-semibold text-sm flex items-center gap-2 disabled:opacity-50"
+            >
+              <Check size={16} /> Accept {formatAmount(open.amount)}
+            </button>
+            <button
+              onClick={() => setShowForm(true)}
+              disabled={acting}
+              className="btn-primary px-4 py-2 rounded-xl text-white font-semibold text-sm disabled:opacity-50"
+            >
+              Counter
+            </button>
+            <button
+              onClick={() => respond(open, false)}
+              disabled={acting}
+              className="px-4 py-2 rounded-xl bg-ghforegroundlow/10 hover:bg-red-500/20 text-ghforegroundlow hover:text-red-400 font-semibold text-sm flex items-center gap-2 transition-all disabled:opacity-50"
+            >
+              <X size={16} /> Decline
+            </button>
+          </div>
+        ) : (
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-xs text-ghforegroundlow">
+              {open
+                ? "Waiting for the other party to answer your offer."
+                : `Agreed price: ${formatAmount(request.amount)}`}
+            </p>
+            <button
+              onClick={() => setShowForm(true)}
+              className="text-sm text-ghaccent hover:text-white transition-colors"
+            >
+              {open ? "Change offer" : "Propose a different price"}
+            </button>
+          </div>
+        ))}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { useState } from "react";
+import { Flag, Loader } from "lucide-react";
+import { ReviewsAPI } from "../services/api";
+import { REPORT_REASONS } from "../constants/reviews";
+
+const inputClass =
+  "w-full px-3 py-2 rounded-lg bg-ghbackground border border-ghforegroundlow/30 text-white text-sm placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent";
+
+// Flags a review for the admin moderation queue
+export default function ReportReviewButton({ reviewId }) {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState("abusive");
+  const [details, setDetails] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [reported, setReported] = useState(false);
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError("");
+    try {
+      await ReviewsAPI.reportReview(reviewId, reason, details.trim());
+      setReported(true);
+      setOpen(false);
+    } catch (err) {
+      // Reporting twice just means it is already in the queue
+      if (err.code === "REVIEW_ALREADY_REPORTED") setReported(true);
+      else setError(err.message || "Failed to report review");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (reported) {
+    return (
+      <p className="text-xs text-ghforegroundlow">
+        Reported. An admin will look at this review.
+      </p>
+    );
+  }
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="flex items-center gap-1 text-xs text-ghforegroundlow hover:text-red-400 transition-colors"
+      >
+        <Flag size={12} />
+        Report
+      </button>
+    );
+  }
+
+  return (
+    <div className="space-y-2 animate-slideInUp">
+      <select
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        className={inputClass}
+      >
+        {Object.entries(REPORT_REASONS).map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+        placeholder="Details (optional)"
+        maxLength={500}
+        className={inputClass}
+      />
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          onClick={handleSubmit}
+          disabled={submitting}
+          className="btn-danger px-3 py-1.5 rounded-lg text-white font-medium text-xs flex items-center gap-1 disabled:opacity-50"
+        >
+          {submitting ? (
+            <Loader size={12} className="animate-spin" />
+          ) : (
+            <Flag size={12} />
+          )}
+          Report Review
+        </button>
+        <button
+          onClick={() => setOpen(false)}
+          className="px-3 py-1.5 rounded-lg bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-ghforegroundlow font-medium text-xs transition-all"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
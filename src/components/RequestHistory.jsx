@@ -0,0 +1,95 @@
+import { useState, useEffect } from "react";
+import { History, Loader } from "lucide-react";
+import { RequestsAPI } from "../services/api";
+
+const EVENT_LABELS = {
+  created: "Request submitted",
+  accept: "Accepted by employee",
+  quote: "Price offer",
+  counter_offer: "Counter-offer",
+  quote_accepted: "Offer accepted",
+  quote_declined: "Offer declined",
+  reject: "Declined by employee",
+  confirm: "Confirmed, service started",
+  complete: "Marked complete",
+  cancel: "Cancelled",
+  approve_completion: "Completion approved, service closed",
+  reopen: "Reopened for more work",
+  refund: "Refunded after dispute",
+  settle: "Settled after dispute",
+  expire: "Expired automatically",
+  escalate: "Review escalated to admins",
+};
+
+const formatStatus = (status) => (status ? status.replace(/_/g, " ") : "");
+
+// Status history of a service request, oldest first
+export default function RequestHistory({ requestId, refreshKey }) {
+  // Keyed by what was fetched, so switching requests shows the loader
+  const [history, setHistory] = useState({ key: null, events: [], error: "" });
+  const key = `${requestId}:${refreshKey}`;
+
+  useEffect(() => {
+    if (!requestId) return;
+    RequestsAPI.getTimeline(requestId)
+      .then((res) => setHistory({ key, events: res.timeline || [], error: "" }))
+      .catch((err) => {
+        console.error("Failed to fetch request history:", err);
+        setHistory({ key, events: [], error: "Could not load history" });
+      });
+  }, [requestId, key]);
+
+  if (!requestId) return null;
+
+  const loading = history.key !== key;
+  const { events, error } = history;
+
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 text-ghforegroundlow text-sm">
+        <Loader size={14} className="animate-spin" />
+        Loading history...
+      </div>
+    );
+  }
+
+  if (error) return <p className="text-red-400 text-sm">{error}</p>;
+
+  if (events.length === 0) {
+    return <p className="text-ghforegroundlow text-sm">No history yet</p>;
+  }
+
+  return (
+    <ol className="space-y-3">
+      {events.map((event) => (
+        <li key={event.id} className="flex gap-3">
+          <History
+            size={14}
+            className="text-ghforegroundlow mt-0.5 flex-shrink-0"
+          />
+          <div className="min-w-0">
+            <p className="text-sm text-white">
+              {EVENT_LABELS[event.event_type] || event.event_type}
+            </p>
+            <p className="text-xs text-ghforegroundlow">
+              {event.actor_name ||
+                (event.actor_type === "admin" ? "Admin" : "Unknown")}{" "}
+              · {new Date(event.created_at).toLocaleString()}
+            </p>
+            {event.from_status && (
+              <p className="text-xs text-ghforegroundlow/70 capitalize">
+                {formatStatus(event.from_status)} →{" "}
+                {formatStatus(event.to_status)}
+              </p>
+            )}
+            {event.note && (
+              <p className="text-xs text-ghforegroundlow mt-1 italic break-words">
+                "{event.note}"
+              </p>
+            )}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,256 @@
+import { useState, useEffect } from "react";
+import { Loader, MessageCircle, Send, Star } from "lucide-react";
+import { ReviewsAPI } from "../services/api";
+import StarRating from "./StarRating";
+import ReportReviewButton from "./ReportReviewButton";
+
+const inputClass =
+  "w-full px-3 py-2 rounded-lg bg-ghbackground border border-ghforegroundlow/30 text-white text-sm placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent resize-none";
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+  });
+
+// Rating + optional text, submitted once
+const RatingForm = ({ prompt, placeholder, submitLabel, onSubmit }) => {
+  const [rating, setRating] = useState(0);
+  const [text, setText] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async () => {
+    if (!rating) {
+      setError("Choose a rating");
+      return;
+    }
+    setSubmitting(true);
+    setError("");
+    try {
+      await onSubmit(rating, text.trim());
+    } catch (err) {
+      setError(err.message || "Failed to submit");
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm font-semibold text-white">{prompt}</p>
+      <StarRating value={rating} onChange={setRating} size={22} />
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={placeholder}
+        maxLength={2000}
+        rows="3"
+        className={inputClass}
+      />
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+      <button
+        onClick={handleSubmit}
+        disabled={submitting}
+        className="btn-primary px-4 py-2 rounded-xl text-white font-semibold text-sm flex items-center gap-2 disabled:opacity-50"
+      >
+        {submitting ? (
+          <Loader size={14} className="animate-spin" />
+        ) : (
+          <Star size={14} />
+        )}
+        {submitLabel}
+      </button>
+    </div>
+  );
+};
+
+const ReplyForm = ({ onSubmit }) => {
+  const [reply, setReply] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async () => {
+    if (!reply.trim()) return;
+    setSubmitting(true);
+    setError("");
+    try {
+      await onSubmit(reply.trim());
+    } catch (err) {
+      setError(err.message || "Failed to post reply");
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <textarea
+        value={reply}
+        onChange={(e) => setReply(e.target.value)}
+        placeholder="Reply publicly to this review (you can only reply once)"
+        maxLength={1000}
+        rows="2"
+        className={inputClass}
+      />
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+      <button
+        onClick={handleSubmit}
+        disabled={submitting || !reply.trim()}
+        className="px-4 py-2 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-white font-semibold text-sm flex items-center gap-2 transition-all disabled:opacity-50"
+      >
+        {submitting ? (
+          <Loader size={14} className="animate-spin" />
+        ) : (
+          <Send size={14} />
+        )}
+        Post Reply
+      </button>
+    </div>
+  );
+};
+
+// The review of a request, with the employee's reply
+const ReviewCard = ({ review }) => (
+  <div className="space-y-2">
+    <StarRating value={review.rating} />
+    {review.is_hidden && (
+      <p className="text-xs text-red-400">
+        Hidden by a moderator. It does not count towards the coach's rating.
+      </p>
+    )}
+    {review.review_text && (
+      <p className="text-sm text-ghforegroundlow break-words">
+        {review.review_text}
+      </p>
+    )}
+    {review.reply_text && (
+      <div className="ml-3 pl-3 border-l-2 border-ghaccent/40">
+        <p className="text-xs text-ghforegroundlow flex items-center gap-1">
+          <MessageCircle size={12} />
+          Coach reply · {formatDate(review.replied_at)}
+        </p>
+        <p className="text-sm text-white break-words">{review.reply_text}</p>
+      </div>
+    )}
+  </div>
+);
+
+// Review step of a closed request. The requester reviews the coach; the
+// coach replies to that review and privately rates the requester. Shows
+// nothing while the request is not closed.
+export default function ReviewPrompt({ requestId, onChange }) {
+  const [version, setVersion] = useState(0);
+  const [state, setState] = useState({ key: null, status: null });
+  const key = `${requestId}:${version}`;
+
+  useEffect(() => {
+    if (!requestId) return;
+    ReviewsAPI.getReviewStatus(requestId)
+      .then((status) => setState({ key, status }))
+      .catch((err) => {
+        console.error("Failed to fetch review status:", err);
+        setState({ key, status: null });
+      });
+  }, [requestId, key]);
+
+  const refresh = () => {
+    setVersion((v) => v + 1);
+    onChange?.();
+  };
+
+  if (state.key !== key || !state.status?.closed) return null;
+  const { status } = state;
+  const deadline = status.review_deadline && formatDate(status.review_deadline);
+
+  if (status.party === "requester") {
+    if (status.review) {
+      return (
+        <div className="space-y-2">
+          <p className="text-sm font-semibold text-white">Your review</p>
+          <ReviewCard review={status.review} />
+        </div>
+      );
+    }
+    if (!status.can_review) {
+      return (
+        <p className="text-xs text-ghforegroundlow">
+          The review window for this service has closed.
+        </p>
+      );
+    }
+    return (
+      <div className="space-y-1">
+        <RatingForm
+          prompt="How was your coach?"
+          placeholder="Tell others about the service (optional)"
+          submitLabel="Submit Review"
+          onSubmit={async (rating, text) => {
+            await ReviewsAPI.submitReview({
+              service_request_id: requestId,
+              rating,
+              review_text: text,
+            });
+            refresh();
+          }}
+        />
+        <p className="text-xs text-ghforegroundlow">
+          You can review until {deadline}.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {status.review ? (
+        <div className="space-y-2">
+          <p className="text-sm font-semibold text-white">Client review</p>
+          <ReviewCard review={status.review} />
+          {!status.review.is_hidden && (
+            <ReportReviewButton reviewId={status.review.id} />
+          )}
+          {status.can_reply && (
+            <ReplyForm
+              onSubmit={async (reply) => {
+                await ReviewsAPI.replyToReview(status.review.id, reply);
+                refresh();
+              }}
+            />
+          )}
+        </div>
+      ) : (
+        <p className="text-xs text-ghforegroundlow">
+          The client has not reviewed this service yet.
+        </p>
+      )}
+
+      {status.requester_rating ? (
+        <div className="space-y-1">
+          <p className="text-sm font-semibold text-white">
+            Your rating of this client
+          </p>
+          <StarRating value={status.requester_rating.rating} />
+          <p className="text-xs text-ghforegroundlow">
+            Only coaches and admins see client ratings.
+          </p>
+        </div>
+      ) : (
+        status.can_rate_requester && (
+          <div className="space-y-1">
+            <RatingForm
+              prompt="Rate this client"
+              placeholder="Private note (optional)"
+              submitLabel="Rate Client"
+              onSubmit={async (rating, note) => {
+                await ReviewsAPI.rateRequester(requestId, rating, note);
+                refresh();
+              }}
+            />
+            <p className="text-xs text-ghforegroundlow">
+              Private: the client never sees this. Open until {deadline}.
+            </p>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
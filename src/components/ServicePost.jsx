@@ -1,8 +1,8 @@
-import { getTagColors } from "../constants/tagColors";
 import { CheckCircle, MessageCircle, X } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import { useState, useEffect } from "react";
-import { RequestsAPI, ServicesAPI } from "../services/api";
+import { RequestsAPI, ServicesAPI, assetUrl } from "../services/api";
+import Badge from "./Badge";
 
 export default function ServicePost({
   post,
@@ -15,6 +15,8 @@ export default function ServicePost({
   const [error, setError] = useState("");
   const [hasRequested, setHasRequested] = useState(false);
   const [requestId, setRequestId] = useState(null);
+  const [activeImage, setActiveImage] = useState(0);
+  const images = post.images || [];
 
   // Check if user has already requested this service
   useEffect(() => {
@@ -90,28 +92,36 @@ export default function ServicePost({
         <div className="flex flex-col md:flex-row h-full">
           {/* Coach Profile Section */}
           <div className="md:w-56 bg-gradient-to-br from-ghbackground to-ghbackground-secondary p-6 flex flex-col items-center md:items-start justify-center border-b md:border-b-0 md:border-r border-ghforegroundlow/20">
-            <img
-              src={
-                post.profile_picture ||
-                "https://randomuser.me/api/portraits/lego/1.jpg"
-              }
-              alt={`${post.full_name} profile picture`}
-              className="w-32 h-32 rounded-full object-cover border-4 border-ghaccent mb-4 shadow-lg hover:shadow-xl transition-shadow"
-            />
-            <h3 className="font-bold text-xl text-white text-center md:text-left">
-              {post.full_name}
-            </h3>
+            <button
+              onClick={() => navigate(`/coaches/${post.employee_id}`)}
+              aria-label={`View ${post.full_name}'s profile`}
+              className="flex flex-col items-center md:items-start"
+            >
+              <img
+                src={
+                  post.profile_picture ||
+                  "https://randomuser.me/api/portraits/lego/1.jpg"
+                }
+                alt={`${post.full_name} profile picture`}
+                className="w-32 h-32 rounded-full object-cover border-4 border-ghaccent mb-4 shadow-lg hover:shadow-xl transition-shadow"
+              />
+              <h3 className="font-bold text-xl text-white text-center md:text-left hover:text-ghaccent transition-colors">
+                {post.full_name}
+              </h3>
+            </button>
             <div className="mt-2 text-center md:text-left">
               <p className="text-sm text-ghforegroundlow">
                 ⭐ {post.rating ? Number(post.rating).toFixed(1) : "N/A"} (
                 {post.total_reviews || 0} reviews)
               </p>
             </div>
-            <div className="mt-4 text-center md:text-left">
-              <div className="inline-flex items-center gap-2 px-3 py-1 bg-ghaccent/20 border border-ghaccent/50 rounded-full text-ghaccent text-xs font-semibold">
-                <CheckCircle size={14} /> Verified Coach
+            {!!post.is_verified && (
+              <div className="mt-4 text-center md:text-left">
+                <div className="inline-flex items-center gap-2 px-3 py-1 bg-ghaccent/20 border border-ghaccent/50 rounded-full text-ghaccent text-xs font-semibold">
+                  <CheckCircle size={14} /> Verified Coach
+                </div>
               </div>
-            </div>
+            )}
           </div>
 
           {/* Service Details Section */}
@@ -121,18 +131,61 @@ export default function ServicePost({
                 {post.title}
               </h2>
 
-              {/* Game Tag */}
-              {post.game_name && (
-                <div className="flex flex-wrap gap-2 mb-4">
+              {/* Game, Service Type and Tags */}
+              <div className="flex flex-wrap gap-2 mb-4">
+                {post.game_name && (
                   <span className="bg-blue-900/30 text-blue-400 px-3 py-1 rounded-full text-xs font-semibold border border-blue-500/30">
                     🎮 {post.game_name}
                   </span>
-                </div>
-              )}
+                )}
+                {post.service_type_info && (
+                  <Badge color={post.service_type_info.color}>
+                    {post.service_type_info.label}
+                  </Badge>
+                )}
+                {(post.tags || []).map((tag) => (
+                  <Badge key={tag.name} color={tag.color}>
+                    {tag.name}
+                  </Badge>
+                ))}
+              </div>
 
               <p className="text-ghforegroundlow text-base leading-relaxed">
                 {post.description}
               </p>
+
+              {/* Image Gallery */}
+              {images.length > 0 && (
+                <div className="mt-4">
+                  <img
+                    src={assetUrl(images[activeImage]?.image_url)}
+                    alt={`${post.title} image ${activeImage + 1}`}
+                    className="w-full max-h-80 object-cover rounded-lg border border-ghforegroundlow/20"
+                  />
+                  {images.length > 1 && (
+                    <div className="flex gap-2 mt-2 overflow-x-auto">
+                      {images.map((image, index) => (
+                        <button
+                          key={image.id}
+                          onClick={() => setActiveImage(index)}
+                          aria-label={`Show image ${index + 1}`}
+                          className={`flex-shrink-0 w-20 h-15 rounded-md overflow-hidden border-2 transition-all ${
+                            index === activeImage
+                              ? "border-ghaccent"
+                              : "border-transparent opacity-60 hover:opacity-100"
+                          }`}
+                        >
+                          <img
+                            src={assetUrl(image.thumbnail_url)}
+                            alt=""
+                            className="w-full h-full object-cover"
+                          />
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
 
             {/* Footer with Price and CTA */}
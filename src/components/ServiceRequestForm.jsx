@@ -0,0 +1,105 @@
+import { useState } from "react";
+import { Check, Loader } from "lucide-react";
+import SlotPicker from "./SlotPicker";
+
+// Details, package and session time for requesting a service.
+// onSubmit(details, sessionStart, packageId) may throw to keep the form.
+export default function ServiceRequestForm({ service, onSubmit, onCancel }) {
+  const [serviceDetails, setServiceDetails] = useState("");
+  const [sessionStart, setSessionStart] = useState(null);
+  // Coaches with published hours need a session time picked
+  const [needsSlot, setNeedsSlot] = useState(false);
+  const [packageId, setPackageId] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const packages = service.packages || [];
+  const canSubmit =
+    serviceDetails.trim() &&
+    (!needsSlot || sessionStart) &&
+    (packages.length === 0 || packageId);
+
+  const handleSubmit = async () => {
+    if (!canSubmit) return;
+    setSubmitting(true);
+    try {
+      await onSubmit(serviceDetails, sessionStart, packageId);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3 animate-slideInUp">
+      <textarea
+        value={serviceDetails}
+        onChange={(e) => setServiceDetails(e.target.value)}
+        placeholder="Describe what you need help with..."
+        className="w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent resize-none"
+        rows="3"
+      />
+      {packages.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm font-semibold text-white">Choose a package</p>
+          <div className="grid sm:grid-cols-2 gap-2">
+            {packages.map((pkg) => (
+              <button
+                key={pkg.id}
+                type="button"
+                onClick={() => setPackageId(pkg.id)}
+                aria-pressed={packageId === pkg.id}
+                className={`text-left px-4 py-3 rounded-xl border transition-all ${
+                  packageId === pkg.id
+                    ? "border-ghaccent bg-ghaccent/10"
+                    : "border-ghforegroundlow/20 hover:border-ghaccent/50"
+                }`}
+              >
+                <span className="flex items-center justify-between gap-2">
+                  <span className="text-white font-semibold text-sm">
+                    {pkg.name}
+                  </span>
+                  <span className="text-green-400 font-bold text-sm">
+                    ${parseFloat(pkg.price).toFixed(2)}
+                  </span>
+                </span>
+                {(pkg.sessions || pkg.description) && (
+                  <span className="block text-xs text-ghforegroundlow mt-1">
+                    {pkg.sessions &&
+                      `${pkg.sessions} session${pkg.sessions === 1 ? "" : "s"}`}
+                    {pkg.sessions && pkg.description && " · "}
+                    {pkg.description}
+                  </span>
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      <SlotPicker
+        coachId={service.employee_id}
+        value={sessionStart}
+        onChange={setSessionStart}
+        onScheduling={setNeedsSlot}
+      />
+      <div className="flex gap-2">
+        <button
+          onClick={handleSubmit}
+          disabled={!canSubmit || submitting}
+          className="btn-primary px-4 py-2 rounded-xl text-white font-semibold text-sm disabled:opacity-50 flex items-center gap-2"
+        >
+          {submitting ? (
+            <Loader size={16} className="animate-spin" />
+          ) : (
+            <Check size={16} />
+          )}
+          Submit Request
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-ghforegroundlow font-semibold text-sm transition-all"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
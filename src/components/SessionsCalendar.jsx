@@ -0,0 +1,181 @@
+import { useState, useEffect } from "react";
+import { CalendarDays, Download, Loader } from "lucide-react";
+import { SessionsAPI } from "../services/api";
+import {
+  formatSessionRange,
+  formatSessionTime,
+  localDayKey,
+} from "../constants/sessions";
+
+const CALENDAR_DAYS = 14;
+
+// Booked sessions over the next two weeks as a day grid, then anything
+// later as a list. Shared by requesters and coaches.
+export default function SessionsCalendar() {
+  const [calendar, setCalendar] = useState({
+    loaded: false,
+    sessions: [],
+    error: "",
+  });
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
+
+  useEffect(() => {
+    SessionsAPI.getUpcoming()
+      .then((res) =>
+        setCalendar({ loaded: true, sessions: res.sessions || [], error: "" }),
+      )
+      .catch((err) => {
+        console.error("Failed to fetch sessions:", err);
+        setCalendar({
+          loaded: true,
+          sessions: [],
+          error: "Could not load your sessions",
+        });
+      });
+  }, []);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setExportError("");
+    try {
+      await SessionsAPI.downloadCalendar();
+    } catch (err) {
+      setExportError(err.message || "Export failed");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const days = Array.from({ length: CALENDAR_DAYS }, (_, i) => {
+    const day = new Date(today);
+    day.setDate(today.getDate() + i);
+    return day;
+  });
+  const gridEnd = new Date(today);
+  gridEnd.setDate(today.getDate() + CALENDAR_DAYS);
+
+  const byDay = new Map();
+  const later = [];
+  for (const session of calendar.sessions) {
+    if (new Date(session.session_start) >= gridEnd) {
+      later.push(session);
+      continue;
+    }
+    const key = localDayKey(session.session_start);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(session);
+  }
+
+  const sessionClass = (session) =>
+    session.status === "pending"
+      ? "border-yellow-500/40 bg-yellow-500/10 text-yellow-200"
+      : "border-ghaccent/40 bg-ghaccent/10 text-white";
+
+  return (
+    <div className="bg-ghbackground-secondary rounded-2xl border border-ghforegroundlow/20 p-6">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h3 className="flex items-center gap-2 text-lg font-bold text-white">
+          <CalendarDays size={20} />
+          Upcoming Sessions
+        </h3>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="flex items-center gap-2 px-4 py-2 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-ghforegroundlow hover:text-white text-sm font-semibold transition-all disabled:opacity-50"
+        >
+          {exporting ? (
+            <Loader size={16} className="animate-spin" />
+          ) : (
+            <Download size={16} />
+          )}
+          Export (.ics)
+        </button>
+      </div>
+
+      {exportError && (
+        <p className="text-red-400 text-sm mb-3">{exportError}</p>
+      )}
+
+      {!calendar.loaded ? (
+        <div className="flex items-center gap-2 text-ghforegroundlow text-sm">
+          <Loader size={14} className="animate-spin" />
+          Loading sessions...
+        </div>
+      ) : calendar.error ? (
+        <p className="text-red-400 text-sm">{calendar.error}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-2">
+            {days.map((day) => {
+              const key = localDayKey(day);
+              const sessions = byDay.get(key) || [];
+              return (
+                <div
+                  key={key}
+                  className={`min-h-24 rounded-xl border p-2 ${
+                    sessions.length > 0
+                      ? "border-ghforegroundlow/30 bg-ghbackground"
+                      : "border-ghforegroundlow/10"
+                  }`}
+                >
+                  <p className="text-xs text-ghforegroundlow mb-1">
+                    {day.toLocaleDateString(undefined, {
+                      weekday: "short",
+                      day: "numeric",
+                    })}
+                  </p>
+                  <div className="space-y-1">
+                    {sessions.map((session) => (
+                      <div
+                        key={session.id}
+                        title={`${session.title} with ${session.other_party_name}`}
+                        className={`rounded-lg border px-2 py-1 text-xs ${sessionClass(session)}`}
+                      >
+                        <p className="font-semibold">
+                          {formatSessionTime(session.session_start)}
+                        </p>
+                        <p className="truncate">{session.other_party_name}</p>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {calendar.sessions.length === 0 && (
+            <p className="text-ghforegroundlow text-sm mt-4">
+              No sessions booked yet
+            </p>
+          )}
+
+          {later.length > 0 && (
+            <div className="mt-6">
+              <p className="text-sm font-semibold text-white mb-2">Later</p>
+              <ul className="space-y-2">
+                {later.map((session) => (
+                  <li key={session.id} className="text-sm text-ghforegroundlow">
+                    <span className="text-white">
+                      {formatSessionRange(
+                        session.session_start,
+                        session.session_end,
+                      )}
+                    </span>{" "}
+                    · {session.title} with {session.other_party_name}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <p className="text-xs text-ghforegroundlow/70 mt-4">
+            Pending requests are shown in yellow until the coach accepts.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
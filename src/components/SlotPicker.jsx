@@ -0,0 +1,122 @@
+import { useState, useEffect } from "react";
+import { CalendarDays, Loader } from "lucide-react";
+import { CoachesAPI } from "../services/api";
+import {
+  formatSessionDay,
+  formatSessionTime,
+  localDayKey,
+  viewerTimeZone,
+} from "../constants/sessions";
+
+// Session time picker for a coach's free slots over the next two weeks.
+// Reports through onScheduling(false) when the coach takes no scheduled
+// sessions, in which case nothing is rendered.
+export default function SlotPicker({ coachId, value, onChange, onScheduling }) {
+  // Keyed by coach, so switching coaches shows the loader
+  const [availability, setAvailability] = useState({
+    key: null,
+    scheduling: false,
+    slots: [],
+    error: "",
+  });
+  const [selectedDay, setSelectedDay] = useState(null);
+
+  useEffect(() => {
+    CoachesAPI.getSlots(coachId, { days: 14 })
+      .then((res) => {
+        setAvailability({
+          key: coachId,
+          scheduling: res.scheduling,
+          slots: res.slots || [],
+          error: "",
+        });
+        onScheduling?.(res.scheduling);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch slots:", err);
+        setAvailability({
+          key: coachId,
+          scheduling: true,
+          slots: [],
+          error: "Could not load available times",
+        });
+      });
+  }, [coachId, onScheduling]);
+
+  if (availability.key !== coachId) {
+    return (
+      <div className="flex items-center gap-2 text-ghforegroundlow text-sm">
+        <Loader size={14} className="animate-spin" />
+        Loading available times...
+      </div>
+    );
+  }
+
+  const { scheduling, slots, error } = availability;
+  if (!scheduling) return null;
+  if (error) return <p className="text-red-400 text-sm">{error}</p>;
+  if (slots.length === 0) {
+    return (
+      <p className="text-ghforegroundlow text-sm">
+        No open times in the next two weeks
+      </p>
+    );
+  }
+
+  const days = [];
+  const slotsByDay = new Map();
+  for (const slot of slots) {
+    const key = localDayKey(slot.start);
+    if (!slotsByDay.has(key)) {
+      slotsByDay.set(key, []);
+      days.push({ key, start: slot.start });
+    }
+    slotsByDay.get(key).push(slot);
+  }
+  const activeDay = slotsByDay.has(selectedDay) ? selectedDay : days[0].key;
+
+  return (
+    <div className="space-y-2">
+      <p className="flex items-center gap-2 text-sm font-semibold text-white">
+        <CalendarDays size={16} />
+        Pick a session time
+        <span className="font-normal text-xs text-ghforegroundlow">
+          ({viewerTimeZone()})
+        </span>
+      </p>
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        {days.map((day) => (
+          <button
+            key={day.key}
+            type="button"
+            onClick={() => setSelectedDay(day.key)}
+            className={`px-3 py-1.5 rounded-lg text-xs font-medium whitespace-nowrap transition-all ${
+              day.key === activeDay
+                ? "bg-ghaccent text-white"
+                : "bg-ghforegroundlow/10 text-ghforegroundlow hover:text-white"
+            }`}
+          >
+            {formatSessionDay(day.start)}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {slotsByDay.get(activeDay).map((slot) => (
+          <button
+            key={slot.start}
+            type="button"
+            onClick={() => onChange(slot.start)}
+            aria-pressed={value === slot.start}
+            className={`px-3 py-1.5 rounded-lg text-sm border transition-all ${
+              value === slot.start
+                ? "border-ghaccent bg-ghaccent/20 text-white"
+                : "border-ghforegroundlow/20 text-ghforegroundlow hover:border-ghaccent/50 hover:text-white"
+            }`}
+          >
+            {formatSessionTime(slot.start)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
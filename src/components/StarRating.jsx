@@ -0,0 +1,32 @@
+import { Star } from "lucide-react";
+
+// Five stars for a 1-5 rating. Read-only unless onChange is given.
+export default function StarRating({ value, onChange, size = 16 }) {
+  return (
+    <div className="flex items-center gap-0.5">
+      {[1, 2, 3, 4, 5].map((star) => {
+        const filled = star <= Math.round(value || 0);
+        const icon = (
+          <Star
+            size={size}
+            className={filled ? "text-yellow-400" : "text-ghforegroundlow/40"}
+            fill={filled ? "currentColor" : "none"}
+          />
+        );
+        return onChange ? (
+          <button
+            key={star}
+            type="button"
+            onClick={() => onChange(star)}
+            className="hover:scale-110 transition-transform"
+            title={`${star} star${star > 1 ? "s" : ""}`}
+          >
+            {icon}
+          </button>
+        ) : (
+          <span key={star}>{icon}</span>
+        );
+      })}
+    </div>
+  );
+}
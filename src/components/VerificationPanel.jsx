@@ -0,0 +1,307 @@
+import { useState, useEffect } from "react";
+import {
+  AlertCircle,
+  Clock,
+  ImagePlus,
+  Loader,
+  ShieldCheck,
+  ShieldOff,
+  Upload,
+} from "lucide-react";
+import { GamesAPI, VerificationAPI, assetUrl } from "../services/api";
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const ACCEPTED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const inputClass =
+  "w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent";
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+// Rank proof: game, account ID, note and one screenshot
+const VerificationForm = ({ onSubmitted }) => {
+  const [games, setGames] = useState([]);
+  const [gameId, setGameId] = useState("");
+  const [accountId, setAccountId] = useState("");
+  const [rankNote, setRankNote] = useState("");
+  const [screenshot, setScreenshot] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    GamesAPI.getAllGames()
+      .then((res) => setGames(res.games || []))
+      .catch((err) => console.error("Failed to fetch games:", err));
+  }, []);
+
+  // Free the preview URL when it is replaced or the form goes away
+  useEffect(() => () => preview && URL.revokeObjectURL(preview), [preview]);
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    if (
+      !ACCEPTED_IMAGE_TYPES.includes(file.type) ||
+      file.size > MAX_IMAGE_SIZE
+    ) {
+      setError("The screenshot must be a JPEG, PNG or WebP of at most 5 MB");
+      return;
+    }
+    setError("");
+    setScreenshot(file);
+    setPreview(URL.createObjectURL(file));
+  };
+
+  const canSubmit = screenshot && accountId.trim() && rankNote.trim();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    setSubmitting(true);
+    setError("");
+    try {
+      await VerificationAPI.submit({
+        screenshot,
+        accountId: accountId.trim(),
+        rankNote: rankNote.trim(),
+        gameId,
+      });
+      onSubmitted();
+    } catch (err) {
+      setError(err.message || "Failed to submit verification");
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-semibold text-white mb-2">
+            Game
+          </label>
+          <select
+            value={gameId}
+            onChange={(e) => setGameId(e.target.value)}
+            className={`${inputClass} cursor-pointer`}
+          >
+            <option value="">Select a game (optional)</option>
+            {games.map((game) => (
+              <option key={game.id} value={game.id}>
+                {game.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-white mb-2">
+            Account ID
+          </label>
+          <input
+            type="text"
+            value={accountId}
+            onChange={(e) => setAccountId(e.target.value)}
+            placeholder="e.g. Summoner name, Riot ID, Steam ID"
+            maxLength={100}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold text-white mb-2">
+          Rank check
+        </label>
+        <textarea
+          value={rankNote}
+          onChange={(e) => setRankNote(e.target.value)}
+          placeholder="Your current rank and where we can confirm it (e.g. an op.gg or tracker link)"
+          maxLength={500}
+          rows="3"
+          className={`${inputClass} resize-none`}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-semibold text-white mb-2">
+          Rank screenshot
+        </label>
+        <label className="flex items-center gap-4 p-4 rounded-xl border-2 border-dashed border-ghforegroundlow/30 hover:border-ghaccent/50 text-ghforegroundlow cursor-pointer transition-all">
+          {preview ? (
+            <img
+              src={preview}
+              alt="Rank screenshot preview"
+              className="w-32 h-24 rounded-lg object-cover"
+            />
+          ) : (
+            <ImagePlus size={32} />
+          )}
+          <span className="text-sm">
+            {screenshot
+              ? `${screenshot.name} (click to replace)`
+              : "Upload an in-game screenshot showing your rank and account name"}
+          </span>
+          <input
+            type="file"
+            accept={ACCEPTED_IMAGE_TYPES.join(",")}
+            onChange={handleFileSelect}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {error && (
+        <p className="text-red-400 text-sm flex items-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </p>
+      )}
+
+      <button
+        type="submit"
+        disabled={submitting || !canSubmit}
+        className="btn-primary px-6 py-3 rounded-xl text-white font-semibold flex items-center gap-2 disabled:opacity-50"
+      >
+        {submitting ? (
+          <Loader size={18} className="animate-spin" />
+        ) : (
+          <Upload size={18} />
+        )}
+        Submit for Verification
+      </button>
+    </form>
+  );
+};
+
+// How each submission status is shown to the employee
+const SUBMISSION_STYLES = {
+  pending: {
+    icon: Clock,
+    color: "text-yellow-400",
+    text: "In review. An admin will check your proof soon.",
+  },
+  verified: { icon: ShieldCheck, color: "text-green-400", text: "Verified" },
+  rejected: {
+    icon: ShieldOff,
+    color: "text-red-400",
+    text: "Not approved. You can submit new proof below.",
+  },
+  revoked: {
+    icon: ShieldOff,
+    color: "text-red-400",
+    text: "Your badge was revoked. You can submit new proof below.",
+  },
+};
+
+// The last submission and what happened to it
+const SubmissionStatus = ({ submission }) => {
+  const style = SUBMISSION_STYLES[submission.status];
+  const Icon = style.icon;
+
+  return (
+    <div className="flex gap-4 p-4 rounded-xl bg-ghbackground/50 border border-ghforegroundlow/10">
+      <a
+        href={assetUrl(submission.screenshot_url)}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="flex-shrink-0"
+      >
+        <img
+          src={assetUrl(submission.thumbnail_url)}
+          alt="Rank screenshot"
+          className="w-28 h-20 rounded-lg object-cover"
+        />
+      </a>
+      <div className="min-w-0 space-y-1 text-sm">
+        <p className={`font-semibold flex items-center gap-2 ${style.color}`}>
+          <Icon size={16} />
+          {style.text}
+        </p>
+        {submission.decision_reason && submission.status !== "verified" && (
+          <p className="text-white break-words">
+            Reason: {submission.decision_reason}
+          </p>
+        )}
+        <p className="text-ghforegroundlow break-words">
+          {submission.game_name && `${submission.game_name} · `}
+          {submission.account_id} · submitted{" "}
+          {formatDate(submission.created_at)}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// Employee side of the verification program
+export default function VerificationPanel() {
+  const [version, setVersion] = useState(0);
+  const [state, setState] = useState({ version: null, status: null });
+
+  useEffect(() => {
+    VerificationAPI.getStatus()
+      .then((status) => setState({ version, status }))
+      .catch((err) => {
+        console.error("Failed to fetch verification status:", err);
+        setState({ version, status: null });
+      });
+  }, [version]);
+
+  if (state.version !== version) {
+    return (
+      <div className="flex items-center justify-center gap-3 text-ghforegroundlow py-16">
+        <Loader size={24} className="animate-spin" />
+        <span>Loading verification...</span>
+      </div>
+    );
+  }
+
+  const { status } = state;
+  if (!status) {
+    return (
+      <div className="p-4 bg-red-500/20 border border-red-500/50 rounded-xl flex items-center gap-3 text-red-400">
+        <AlertCircle size={20} />
+        Failed to load your verification status.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-ghbackground-secondary rounded-2xl border border-ghforegroundlow/20 p-6 space-y-6">
+      <div>
+        <h2 className="text-xl font-bold text-white flex items-center gap-2">
+          <ShieldCheck size={22} className="text-green-400" />
+          Verified Coach
+        </h2>
+        <p className="text-sm text-ghforegroundlow mt-1">
+          Verified coaches get a badge on their profile and services, and can be
+          found with the "Verified only" filter in the coach directory.
+        </p>
+      </div>
+
+      {status.is_verified && (
+        <p className="text-green-400 font-semibold flex items-center gap-2">
+          <ShieldCheck size={18} />
+          You are verified
+          {status.verification_date &&
+            ` since ${formatDate(status.verification_date)}`}
+        </p>
+      )}
+
+      {status.submission && !status.is_verified && (
+        <SubmissionStatus submission={status.submission} />
+      )}
+
+      {status.can_submit && (
+        <VerificationForm onSubmitted={() => setVersion((v) => v + 1)} />
+      )}
+    </div>
+  );
+}
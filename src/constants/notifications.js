@@ -0,0 +1,163 @@
+// Shared by the notification bell and the notifications page
+import {
+  X,
+  Check,
+  CheckCheck,
+  MessageCircle,
+  FileCheck,
+  DollarSign,
+  Star,
+  Briefcase,
+  Scale,
+  Wallet,
+  Clock,
+  ShieldCheck,
+  ShieldOff,
+} from "lucide-react";
+
+export const NOTIFICATION_ICONS = {
+  new_request: MessageCircle,
+  request_accepted: Check,
+  quote_received: DollarSign,
+  quote_accepted: Check,
+  quote_declined: X,
+  request_rejected: X,
+  request_cancelled: X,
+  request_expired: Clock,
+  user_confirmed: CheckCheck,
+  service_started: Briefcase,
+  chat_message: MessageCircle,
+  completion_requested: FileCheck,
+  completion_overdue: Clock,
+  service_completed: Check,
+  service_reopened: Briefcase,
+  payment_received: DollarSign,
+  review_received: Star,
+  review_replied: MessageCircle,
+  application_approved: Check,
+  application_rejected: X,
+  application_pending_reapproval: FileCheck,
+  dispute_opened: Scale,
+  dispute_resolved: Scale,
+  withdrawal_approved: Wallet,
+  withdrawal_rejected: Wallet,
+  withdrawal_paid: DollarSign,
+  verification_approved: ShieldCheck,
+  verification_rejected: ShieldOff,
+  verification_revoked: ShieldOff,
+};
+
+export const NOTIFICATION_COLORS = {
+  new_request: "text-blue-400",
+  request_accepted: "text-green-400",
+  quote_received: "text-blue-400",
+  quote_accepted: "text-green-400",
+  quote_declined: "text-red-400",
+  request_rejected: "text-red-400",
+  request_cancelled: "text-red-400",
+  request_expired: "text-yellow-400",
+  user_confirmed: "text-green-400",
+  service_started: "text-purple-400",
+  chat_message: "text-blue-400",
+  completion_requested: "text-yellow-400",
+  completion_overdue: "text-yellow-400",
+  service_completed: "text-green-400",
+  service_reopened: "text-yellow-400",
+  payment_received: "text-green-400",
+  review_received: "text-yellow-400",
+  review_replied: "text-blue-400",
+  application_approved: "text-green-400",
+  application_rejected: "text-red-400",
+  application_pending_reapproval: "text-yellow-400",
+  dispute_opened: "text-red-400",
+  dispute_resolved: "text-green-400",
+  withdrawal_approved: "text-blue-400",
+  withdrawal_rejected: "text-red-400",
+  withdrawal_paid: "text-green-400",
+  verification_approved: "text-green-400",
+  verification_rejected: "text-red-400",
+  verification_revoked: "text-red-400",
+};
+
+/**
+ * Where clicking a notification leads, from its related entity.
+ * Requests and applications open their Home tab with the item highlighted.
+ * @returns {string|null} a router path, or null if there is nowhere to go
+ */
+export const notificationLink = (notification, role) => {
+  const id = notification.related_entity_id;
+  switch (notification.related_entity_type) {
+    case "chat":
+      return `/chats?chat=${id}`;
+    case "service_request":
+      return role === "employee"
+        ? `/?tab=requests&request=${id}`
+        : `/?tab=my-requests&request=${id}`;
+    case "application":
+      return `/?tab=applications&application=${id}`;
+    case "payment":
+      return "/?tab=wallet";
+    case "verification":
+      return "/?tab=verification";
+    default:
+      return null;
+  }
+};
+
+/**
+ * Fold repeated events into one entry per type and entity, e.g. every
+ * chat_message notification for chat 12. Each group is its newest
+ * notification plus:
+ *   ids       - every notification in the group
+ *   unreadIds - the unread ones
+ *   count     - how many events it stands for (chat messages that were
+ *               already coalesced on the server count individually)
+ * @param {object[]} notifications - newest first
+ * @returns {object[]} groups, newest first
+ */
+export const groupNotifications = (notifications) => {
+  const groups = [];
+  const byKey = new Map();
+
+  for (const notification of notifications) {
+    const key = notification.related_entity_id
+      ? `${notification.notification_type}:${notification.related_entity_type}:${notification.related_entity_id}`
+      : `id:${notification.id}`;
+    const count = notification.coalesced_count || 1;
+    const group = byKey.get(key);
+
+    if (group) {
+      group.ids.push(notification.id);
+      if (!notification.is_read) group.unreadIds.push(notification.id);
+      group.count += count;
+      group.is_read = group.is_read && notification.is_read;
+    } else {
+      const created = {
+        ...notification,
+        key,
+        ids: [notification.id],
+        unreadIds: notification.is_read ? [] : [notification.id],
+        count,
+      };
+      byKey.set(key, created);
+      groups.push(created);
+    }
+  }
+
+  return groups;
+};
+
+export const formatNotificationTime = (dateString) => {
+  const date = new Date(dateString);
+  const now = new Date();
+  const diffMs = now - date;
+  const diffMins = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMs / 3600000);
+  const diffDays = Math.floor(diffMs / 86400000);
+
+  if (diffMins < 1) return "Just now";
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  if (diffDays < 7) return `${diffDays}d ago`;
+  return date.toLocaleDateString();
+};
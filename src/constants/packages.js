@@ -0,0 +1,7 @@
+// Mirrors MAX_PACKAGES in server/packages.js
+export const MAX_PACKAGES = 6;
+
+// Price shown on a card: services with packages start at their cheapest
+// one, which the server keeps in price
+export const priceLabel = (service) =>
+  service.packages?.length > 0 ? "starting from" : "per session";
@@ -0,0 +1,8 @@
+// Mirrors REPORT_REASONS in server/reviews.js
+export const REPORT_REASONS = {
+  abusive: "Abusive or harassing",
+  spam: "Spam or advertising",
+  off_topic: "Not about the service",
+  personal_info: "Shares personal information",
+  other: "Other",
+};
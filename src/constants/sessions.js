@@ -0,0 +1,27 @@
+// Session times are shown in the viewer's own timezone
+
+export const formatSessionDay = (date) =>
+  new Date(date).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+
+export const formatSessionTime = (date) =>
+  new Date(date).toLocaleTimeString(undefined, {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+// "Mon, Oct 19 · 6:00 PM – 7:00 PM"
+export const formatSessionRange = (start, end) =>
+  `${formatSessionDay(start)} · ${formatSessionTime(start)} – ${formatSessionTime(end)}`;
+
+// Local calendar day key (YYYY-MM-DD) for grouping
+export const localDayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+export const viewerTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
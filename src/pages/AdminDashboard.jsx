@@ -27,6 +27,17 @@ import {
   Ban,
   Unlock,
   Search,
+  Scale,
+  Wallet,
+  Send,
+  Percent,
+  Plus,
+  Tag,
+  Edit3,
+  Star,
+  Flag,
+  EyeOff,
+  Trash2,
 } from "lucide-react";
 import {
   LineChart,
@@ -48,7 +59,9 @@ import {
 
 // File imports
 import Header from "../templates/Header";
-import { AdminAPI, ApplicationsAPI } from "../services/api";
+import Badge from "../components/Badge";
+import RequestHistory from "../components/RequestHistory";
+import { AdminAPI, ApplicationsAPI, GamesAPI, assetUrl } from "../services/api";
 import { useAuth } from "../context/AuthContext";
 
 // Status Badge Component
@@ -114,6 +127,42 @@ const StatusBadge = ({ status }) => {
       text: "text-red-400",
       label: "Needs Revision",
     },
+    open: {
+      bg: "bg-red-500/20",
+      border: "border-red-500/50",
+      text: "text-red-400",
+      label: "Open",
+    },
+    investigating: {
+      bg: "bg-yellow-500/20",
+      border: "border-yellow-500/50",
+      text: "text-yellow-400",
+      label: "Investigating",
+    },
+    resolved: {
+      bg: "bg-green-500/20",
+      border: "border-green-500/50",
+      text: "text-green-400",
+      label: "Resolved",
+    },
+    processing: {
+      bg: "bg-blue-500/20",
+      border: "border-blue-500/50",
+      text: "text-blue-400",
+      label: "Processing",
+    },
+    paid: {
+      bg: "bg-green-500/20",
+      border: "border-green-500/50",
+      text: "text-green-400",
+      label: "Paid",
+    },
+    rejected: {
+      bg: "bg-red-500/20",
+      border: "border-red-500/50",
+      text: "text-red-400",
+      label: "Rejected",
+    },
   };
 
   const config = statusConfig[status] || statusConfig.pending;
@@ -608,256 +657,1628 @@ const AdminManagement = ({
   );
 };
 
-// Admin Card Component
-const AdminCard = ({ admin, onUpdate, onRemove }) => {
+// Commission Rules Component (Super Admin Only)
+const CommissionRules = () => {
+  const [rules, setRules] = useState([]);
+  const [games, setGames] = useState([]);
+  const [serviceTypes, setServiceTypes] = useState([]);
+  const [employeeTiers, setEmployeeTiers] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(false);
+  const [form, setForm] = useState({
+    game_id: "",
+    service_type: "",
+    employee_tier: "",
+    rate_percent: "",
+    effective_from: "",
+    notes: "",
+  });
 
-  const handleToggleStatus = async () => {
-    setProcessing(true);
+  const formatRate = (rate) =>
+    `${(Number(rate) * 100).toFixed(2).replace(/\.?0+$/, "")}%`;
+
+  const loadRules = async (history) => {
+    setLoading(true);
     try {
-      await onUpdate(admin.id, { is_active: !admin.is_active });
+      const res = await AdminAPI.getCommissionRules(
+        history ? "all" : "current",
+      );
+      setRules(res.rules || []);
+      setServiceTypes(res.service_types || []);
+      setEmployeeTiers(res.employee_tiers || []);
+    } catch (err) {
+      console.error("Failed to fetch commission rules:", err);
     } finally {
-      setProcessing(false);
+      setLoading(false);
     }
   };
 
-  const handleToggleRole = async () => {
+  useEffect(() => {
+    loadRules(showHistory);
+  }, [showHistory]);
+
+  useEffect(() => {
+    GamesAPI.getAllGames()
+      .then((res) => setGames(res.games || []))
+      .catch(() => setGames([]));
+  }, []);
+
+  const handleCreate = async () => {
+    if (form.rate_percent === "") return;
     setProcessing(true);
     try {
-      await onUpdate(admin.id, {
-        role: admin.role === "super" ? "regular" : "super",
+      await AdminAPI.createCommissionRule({
+        ...form,
+        effective_from: form.effective_from
+          ? new Date(form.effective_from).toISOString()
+          : null,
       });
+      setForm({ ...form, rate_percent: "", effective_from: "", notes: "" });
+      await loadRules(showHistory);
+    } catch (err) {
+      console.error("Failed to create commission rule:", err);
+      alert(err.message || "Failed to create commission rule");
     } finally {
       setProcessing(false);
     }
   };
 
-  const handleRemove = async () => {
-    if (!confirm(`Remove ${admin.full_name} as admin?`)) return;
+  const handleRetire = async (rule) => {
+    if (!confirm(`Retire the ${formatRate(rule.rate)} rule?`)) return;
+    try {
+      await AdminAPI.retireCommissionRule(rule.id);
+      await loadRules(showHistory);
+    } catch (err) {
+      console.error("Failed to retire commission rule:", err);
+      alert(err.message || "Failed to retire commission rule");
+    }
+  };
+
+  const ruleStatusStyles = {
+    active: "bg-green-500/20 border-green-500/50 text-green-400",
+    scheduled: "bg-blue-500/20 border-blue-500/50 text-blue-400",
+    expired: "bg-gray-500/20 border-gray-500/50 text-gray-400",
+  };
+
+  const selectClass =
+    "w-full px-3 py-2 rounded-lg bg-ghbackground border border-ghforegroundlow/30 text-white focus:outline-none focus:ring-2 focus:ring-ghaccent text-sm";
+
+  return (
+    <div className="space-y-6 animate-fadeIn">
+      <div className="flex justify-between items-center">
+        <h3 className="text-white font-bold text-lg flex items-center gap-2">
+          <Percent size={20} className="text-purple-400" />
+          Commission Rules
+        </h3>
+        <label className="flex items-center gap-2 text-sm text-ghforegroundlow cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showHistory}
+            onChange={(e) => setShowHistory(e.target.checked)}
+          />
+          Show expired rules
+        </label>
+      </div>
+
+      {/* New Rule */}
+      <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 p-6">
+        <p className="text-sm text-ghforegroundlow mb-4">
+          The most specific matching rule applies. Adding a rule for an existing
+          scope replaces it from the effective date; past transactions keep the
+          rate they were charged.
+        </p>
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+          <select
+            value={form.game_id}
+            onChange={(e) => setForm({ ...form, game_id: e.target.value })}
+            className={selectClass}
+          >
+            <option value="">Any game</option>
+            {games.map((game) => (
+              <option key={game.id} value={game.id}>
+                {game.name}
+              </option>
+            ))}
+          </select>
+          <select
+            value={form.service_type}
+            onChange={(e) => setForm({ ...form, service_type: e.target.value })}
+            className={`${selectClass} capitalize`}
+          >
+            <option value="">Any service type</option>
+            {serviceTypes.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+          <select
+            value={form.employee_tier}
+            onChange={(e) =>
+              setForm({ ...form, employee_tier: e.target.value })
+            }
+            className={`${selectClass} capitalize`}
+          >
+            <option value="">Any tier</option>
+            {employeeTiers.map((tier) => (
+              <option key={tier} value={tier}>
+                {tier}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.01"
+            value={form.rate_percent}
+            onChange={(e) => setForm({ ...form, rate_percent: e.target.value })}
+            placeholder="Rate %"
+            className={selectClass}
+          />
+          <input
+            type="datetime-local"
+            value={form.effective_from}
+            onChange={(e) =>
+              setForm({ ...form, effective_from: e.target.value })
+            }
+            title="Effective from (leave empty for now)"
+            className={selectClass}
+          />
+          <button
+            onClick={handleCreate}
+            disabled={processing || form.rate_percent === ""}
+            className="btn-primary px-4 py-2 rounded-lg text-white font-semibold flex items-center justify-center gap-2 text-sm disabled:opacity-50"
+          >
+            {processing ? (
+              <Loader size={16} className="animate-spin" />
+            ) : (
+              <Plus size={16} />
+            )}
+            Add Rule
+          </button>
+        </div>
+        <input
+          type="text"
+          value={form.notes}
+          onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          placeholder="Notes (optional)"
+          maxLength={255}
+          className={`${selectClass} mt-3`}
+        />
+      </div>
+
+      {/* Rules List */}
+      {loading ? (
+        <div className="flex items-center justify-center gap-3 text-ghforegroundlow py-8">
+          <Loader size={24} className="animate-spin" />
+          <span>Loading rules...</span>
+        </div>
+      ) : rules.length === 0 ? (
+        <div className="text-center py-12 text-ghforegroundlow">
+          <Percent size={48} className="mx-auto mb-4 opacity-30" />
+          <p className="text-lg">No commission rules</p>
+          <p className="text-sm opacity-70 mt-1">
+            The default 10% platform fee applies
+          </p>
+        </div>
+      ) : (
+        <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-ghforegroundlow border-b border-ghforegroundlow/20">
+                <th className="px-4 py-3">Rate</th>
+                <th className="px-4 py-3">Game</th>
+                <th className="px-4 py-3">Service Type</th>
+                <th className="px-4 py-3">Tier</th>
+                <th className="px-4 py-3">Effective</th>
+                <th className="px-4 py-3">Applied</th>
+                <th className="px-4 py-3">Status</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((rule) => (
+                <tr
+                  key={rule.id}
+                  className="border-b border-ghforegroundlow/10 text-white"
+                >
+                  <td className="px-4 py-3 font-bold text-green-400">
+                    {formatRate(rule.rate)}
+                  </td>
+                  <td className="px-4 py-3">{rule.game_name || "Any"}</td>
+                  <td className="px-4 py-3 capitalize">
+                    {rule.service_type || "Any"}
+                  </td>
+                  <td className="px-4 py-3 capitalize">
+                    {rule.employee_tier || "Any"}
+                  </td>
+                  <td className="px-4 py-3 text-ghforegroundlow">
+                    {new Date(rule.effective_from).toLocaleString()}
+                    {rule.effective_to &&
+                      ` → ${new Date(rule.effective_to).toLocaleString()}`}
+                    {rule.notes && (
+                      <p className="text-xs opacity-70">{rule.notes}</p>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-ghforegroundlow">
+                    {rule.times_applied}×
+                  </td>
+                  <td className="px-4 py-3">
+                    <span
+                      className={`px-3 py-1 rounded-full text-xs font-semibold border capitalize ${ruleStatusStyles[rule.rule_status]}`}
+                    >
+                      {rule.rule_status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    {rule.rule_status !== "expired" && (
+                      <button
+                        onClick={() => handleRetire(rule)}
+                        className="px-3 py-1 rounded-lg bg-ghforegroundlow/10 hover:bg-red-500/20 text-ghforegroundlow hover:text-red-400 text-xs font-semibold transition-all"
+                      >
+                        Retire
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Service Tags Component (tag vocabulary offered on the Apply form)
+const TagManager = () => {
+  const [tags, setTags] = useState([]);
+  const [colors, setColors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [processing, setProcessing] = useState(false);
+  const [form, setForm] = useState({ name: "", color: "gray" });
+
+  const loadTags = async () => {
+    try {
+      const res = await AdminAPI.getTags();
+      setTags(res.tags || []);
+      setColors(res.colors || []);
+    } catch (err) {
+      console.error("Failed to fetch tags:", err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTags();
+  }, []);
+
+  const handleCreate = async () => {
+    if (!form.name.trim()) return;
     setProcessing(true);
     try {
-      await onRemove(admin.id);
+      await AdminAPI.createTag(form.name.trim(), form.color);
+      setForm({ name: "", color: form.color });
+      await loadTags();
+    } catch (err) {
+      console.error("Failed to create tag:", err);
+      alert(err.message || "Failed to create tag");
     } finally {
       setProcessing(false);
     }
   };
 
+  const handleUpdate = async (tag, updates) => {
+    try {
+      await AdminAPI.updateTag(tag.id, updates);
+      setTags((prev) =>
+        prev.map((t) => (t.id === tag.id ? { ...t, ...updates } : t)),
+      );
+    } catch (err) {
+      console.error("Failed to update tag:", err);
+      alert(err.message || "Failed to update tag");
+    }
+  };
+
+  const selectClass =
+    "px-3 py-2 rounded-lg bg-ghbackground border border-ghforegroundlow/30 text-white focus:outline-none focus:ring-2 focus:ring-ghaccent text-sm";
+
   return (
-    <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 p-6 animate-slideInUp">
-      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
-        <div className="flex items-center gap-4">
-          <div
-            className={`w-12 h-12 rounded-xl flex items-center justify-center ${
-              admin.role === "super"
-                ? "bg-gradient-to-br from-purple-500 to-pink-600"
-                : "bg-gradient-to-br from-ghaccent to-blue-600"
-            }`}
+    <div className="space-y-6 animate-fadeIn">
+      <h3 className="text-white font-bold text-lg flex items-center gap-2">
+        <Tag size={20} className="text-blue-400" />
+        Service Tags
+      </h3>
+
+      {/* New Tag */}
+      <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 p-6">
+        <p className="text-sm text-ghforegroundlow mb-4">
+          Applicants choose from active tags. Retired tags stay on existing
+          services but can no longer be picked.
+        </p>
+        <div className="flex flex-wrap gap-3 items-center">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Tag name"
+            maxLength={30}
+            className={`${selectClass} flex-1 min-w-[12rem]`}
+          />
+          <select
+            value={form.color}
+            onChange={(e) => setForm({ ...form, color: e.target.value })}
+            className={`${selectClass} capitalize`}
           >
-            {admin.role === "super" ? (
-              <ShieldCheck size={20} className="text-white" />
+            {colors.map((color) => (
+              <option key={color} value={color}>
+                {color}
+              </option>
+            ))}
+          </select>
+          <Badge color={form.color}>{form.name.trim() || "Preview"}</Badge>
+          <button
+            onClick={handleCreate}
+            disabled={processing || !form.name.trim()}
+            className="btn-primary px-4 py-2 rounded-lg text-white font-semibold flex items-center justify-center gap-2 text-sm disabled:opacity-50"
+          >
+            {processing ? (
+              <Loader size={16} className="animate-spin" />
             ) : (
-              <Shield size={20} className="text-white" />
+              <Plus size={16} />
             )}
-          </div>
-          <div>
-            <h3 className="text-lg font-bold text-white flex items-center gap-2">
-              {admin.full_name}
-              <span
-                className={`text-xs px-2 py-0.5 rounded-full ${
-                  admin.role === "super"
-                    ? "bg-purple-500/20 text-purple-300 border border-purple-500/50"
-                    : "bg-ghaccent/20 text-ghaccent border border-ghaccent/50"
-                }`}
-              >
-                {admin.role === "super" ? "Super Admin" : "Regular Admin"}
-              </span>
-            </h3>
-            <p className="text-ghforegroundlow text-sm">{admin.email}</p>
-          </div>
+            Add Tag
+          </button>
         </div>
+      </div>
 
-        <div className="flex items-center gap-3">
-          <span
-            className={`px-3 py-1 rounded-full text-xs font-semibold ${
-              admin.is_active
-                ? "bg-green-500/20 text-green-400 border border-green-500/50"
-                : "bg-red-500/20 text-red-400 border border-red-500/50"
-            }`}
-          >
-            {admin.is_active ? "Active" : "Inactive"}
-          </span>
-
-          <div className="flex gap-2">
-            <button
-              onClick={handleToggleStatus}
-              disabled={processing}
-              className={`px-3 py-2 rounded-lg text-sm font-semibold flex items-center gap-1 transition-all ${
-                admin.is_active
-                  ? "bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-400"
-                  : "bg-green-500/20 hover:bg-green-500/30 text-green-400"
-              }`}
-            >
-              {admin.is_active ? "Deactivate" : "Activate"}
-            </button>
-            <button
-              onClick={handleToggleRole}
-              disabled={processing}
-              className="px-3 py-2 rounded-lg bg-purple-500/20 hover:bg-purple-500/30 text-purple-400 text-sm font-semibold flex items-center gap-1 transition-all"
-            >
-              {admin.role === "super" ? "Make Regular" : "Make Super"}
-            </button>
-            <button
-              onClick={handleRemove}
-              disabled={processing}
-              className="px-3 py-2 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-400 text-sm font-semibold flex items-center gap-1 transition-all"
-            >
-              <UserMinus size={14} /> Remove
-            </button>
-          </div>
+      {/* Tags List */}
+      {loading ? (
+        <div className="flex items-center justify-center gap-3 text-ghforegroundlow py-8">
+          <Loader size={24} className="animate-spin" />
+          <span>Loading tags...</span>
         </div>
-      </div>
+      ) : tags.length === 0 ? (
+        <div className="text-center py-12 text-ghforegroundlow">
+          <Tag size={48} className="mx-auto mb-4 opacity-30" />
+          <p className="text-lg">No tags yet</p>
+        </div>
+      ) : (
+        <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-ghforegroundlow border-b border-ghforegroundlow/20">
+                <th className="px-4 py-3">Tag</th>
+                <th className="px-4 py-3">Color</th>
+                <th className="px-4 py-3">Live Services</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {tags.map((tag) => (
+                <tr
+                  key={tag.id}
+                  className={`border-b border-ghforegroundlow/10 text-white ${
+                    tag.is_active ? "" : "opacity-50"
+                  }`}
+                >
+                  <td className="px-4 py-3">
+                    <Badge color={tag.color}>{tag.name}</Badge>
+                  </td>
+                  <td className="px-4 py-3">
+                    <select
+                      value={tag.color}
+                      onChange={(e) =>
+                        handleUpdate(tag, { color: e.target.value })
+                      }
+                      className={`${selectClass} capitalize`}
+                    >
+                      {colors.map((color) => (
+                        <option key={color} value={color}>
+                          {color}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-3 text-ghforegroundlow">
+                    {tag.service_count}
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    <button
+                      onClick={() =>
+                        handleUpdate(tag, { is_active: !tag.is_active })
+                      }
+                      className="px-3 py-1 rounded-lg bg-ghforegroundlow/10 hover:bg-ghaccent/20 text-ghforegroundlow hover:text-white text-xs font-semibold transition-all"
+                    >
+                      {tag.is_active ? "Retire" : "Restore"}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 };
 
-// Completion Card Component
-const CompletionCard = ({ completion, onApprove, onReopen }) => {
-  const [expanded, setExpanded] = useState(false);
+// Review Moderation Component (reported reviews, hide / restore / delete)
+const ReviewModerationCard = ({ review, reasons, onAction }) => {
+  const [hideReason, setHideReason] = useState("");
   const [processing, setProcessing] = useState(false);
-  const [adminNotes, setAdminNotes] = useState("");
 
-  const handleApprove = async () => {
+  const run = async (action, ...args) => {
     setProcessing(true);
     try {
-      await onApprove(completion.id);
+      await onAction(action, review.id, ...args);
     } finally {
       setProcessing(false);
     }
   };
 
-  const handleReopen = async () => {
-    if (!adminNotes.trim()) {
-      alert("Please provide revision notes");
-      return;
-    }
+  return (
+    <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 p-6 space-y-4 animate-slideInUp">
+      <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-1 text-yellow-400 mb-1">
+            {Array.from({ length: review.rating }, (_, i) => (
+              <Star key={i} size={14} fill="currentColor" />
+            ))}
+          </div>
+          <p className="text-white break-words">
+            {review.review_text || (
+              <span className="text-ghforegroundlow italic">No text</span>
+            )}
+          </p>
+          {review.reply_text && (
+            <p className="text-sm text-ghforegroundlow mt-2 pl-3 border-l-2 border-ghaccent/40 break-words">
+              Reply: {review.reply_text}
+            </p>
+          )}
+          <p className="text-xs text-ghforegroundlow mt-2">
+            By {review.reviewer_name} for {review.employee_name} • Request #
+            {review.service_request_id} •{" "}
+            {new Date(review.created_at).toLocaleDateString()}
+          </p>
+        </div>
+        <div className="text-right">
+          {review.is_hidden ? (
+            <span className="px-3 py-1 rounded-full text-xs font-semibold bg-red-500/20 text-red-400">
+              Hidden
+            </span>
+          ) : (
+            review.open_reports > 0 && (
+              <span className="px-3 py-1 rounded-full text-xs font-semibold bg-orange-500/20 text-orange-400">
+                {review.open_reports} open report
+                {review.open_reports > 1 ? "s" : ""}
+              </span>
+            )
+          )}
+        </div>
+      </div>
+
+      {review.is_hidden && (
+        <p className="text-sm text-ghforegroundlow">
+          Hidden by {review.hidden_by_name || "an admin"}
+          {review.hidden_at &&
+            ` on ${new Date(review.hidden_at).toLocaleDateString()}`}
+          : {review.hidden_reason}
+        </p>
+      )}
+
+      {review.reports.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {review.reports.map((report) => (
+            <li
+              key={report.id}
+              className={
+                report.status === "open"
+                  ? "text-white"
+                  : "text-ghforegroundlow line-through"
+              }
+            >
+              <Flag size={12} className="inline mr-1 text-red-400" />
+              {reasons[report.reason] || report.reason}
+              {report.details && ` – ${report.details}`}{" "}
+              <span className="text-xs text-ghforegroundlow">
+                ({report.reporter_name})
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap gap-2 items-center">
+        {review.is_hidden ? (
+          <button
+            onClick={() => run("restore")}
+            disabled={processing}
+            className="btn-success px-4 py-2 rounded-lg text-white font-semibold text-sm flex items-center gap-2 disabled:opacity-50"
+          >
+            <RotateCcw size={14} /> Restore
+          </button>
+        ) : (
+          <>
+            <input
+              type="text"
+              value={hideReason}
+              onChange={(e) => setHideReason(e.target.value)}
+              placeholder="Reason for hiding"
+              maxLength={500}
+              className="flex-1 min-w-[12rem] px-3 py-2 rounded-lg bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent text-sm"
+            />
+            <button
+              onClick={() => run("hide", hideReason.trim())}
+              disabled={processing || !hideReason.trim()}
+              className="btn-danger px-4 py-2 rounded-lg text-white font-semibold text-sm flex items-center gap-2 disabled:opacity-50"
+            >
+              <EyeOff size={14} /> Hide
+            </button>
+            {review.open_reports > 0 && (
+              <button
+                onClick={() => run("dismiss")}
+                disabled={processing}
+                className="px-4 py-2 rounded-lg bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-white font-semibold text-sm transition-all disabled:opacity-50"
+              >
+                Dismiss Reports
+              </button>
+            )}
+          </>
+        )}
+        <button
+          onClick={() => {
+            if (confirm("Delete this review for good?")) run("delete");
+          }}
+          disabled={processing}
+          className="px-4 py-2 rounded-lg text-red-400 hover:bg-red-500/10 font-semibold text-sm flex items-center gap-2 transition-all disabled:opacity-50"
+        >
+          <Trash2 size={14} /> Delete
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ReviewModeration = ({ onQueueChange }) => {
+  const [filter, setFilter] = useState("reported");
+  const [queue, setQueue] = useState({ filter: null, reviews: [] });
+  const [reasons, setReasons] = useState({});
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    AdminAPI.getReviewQueue(filter)
+      .then((res) => {
+        setQueue({ filter, reviews: res.reviews || [] });
+        setReasons(res.reasons || {});
+        if (filter === "reported") onQueueChange(res.reviews?.length || 0);
+      })
+      .catch((err) => {
+        console.error("Failed to fetch review queue:", err);
+        setQueue({ filter, reviews: [] });
+      });
+  }, [filter, version, onQueueChange]);
+
+  const handleAction = async (action, reviewId, reason) => {
+    try {
+      if (action === "hide") await AdminAPI.hideReview(reviewId, reason);
+      if (action === "restore") await AdminAPI.restoreReview(reviewId);
+      if (action === "dismiss") await AdminAPI.dismissReviewReports(reviewId);
+      if (action === "delete") await AdminAPI.deleteReview(reviewId);
+      setVersion((v) => v + 1);
+    } catch (err) {
+      console.error(`Failed to ${action} review:`, err);
+      alert(err.message || `Failed to ${action} review`);
+    }
+  };
+
+  return (
+    <div className="space-y-6 animate-fadeIn">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-white font-bold text-lg flex items-center gap-2">
+          <Flag size={20} className="text-red-400" />
+          Review Moderation
+        </h3>
+        <div className="flex gap-2">
+          {[
+            ["reported", "Reported"],
+            ["hidden", "Hidden"],
+            ["all", "All Reviews"],
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setFilter(value)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-all ${
+                filter === value
+                  ? "bg-ghaccent/20 text-ghaccent"
+                  : "text-ghforegroundlow hover:text-white hover:bg-ghforegroundlow/10"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {queue.filter !== filter ? (
+        <div className="flex items-center justify-center gap-3 text-ghforegroundlow py-8">
+          <Loader size={24} className="animate-spin" />
+          <span>Loading reviews...</span>
+        </div>
+      ) : queue.reviews.length === 0 ? (
+        <div className="text-center py-12 text-ghforegroundlow">
+          <Flag size={48} className="mx-auto mb-4 opacity-30" />
+          <p className="text-lg">
+            {filter === "reported" ? "No reported reviews" : "No reviews"}
+          </p>
+        </div>
+      ) : (
+        queue.reviews.map((review) => (
+          <ReviewModerationCard
+            key={review.id}
+            review={review}
+            reasons={reasons}
+            onAction={handleAction}
+          />
+        ))
+      )}
+    </div>
+  );
+};
+
+// Verification Queue Component (employee rank proof, verify / reject / revoke)
+const VERIFICATION_FILTERS = [
+  ["pending", "Pending"],
+  ["verified", "Verified"],
+  ["rejected", "Rejected"],
+  ["revoked", "Revoked"],
+  ["all", "All"],
+];
+
+const VERIFICATION_STATUS_STYLES = {
+  pending: "bg-yellow-500/20 text-yellow-400",
+  verified: "bg-green-500/20 text-green-400",
+  rejected: "bg-red-500/20 text-red-400",
+  revoked: "bg-red-500/20 text-red-400",
+};
+
+const VerificationCard = ({ verification, onAction }) => {
+  const [reason, setReason] = useState("");
+  const [processing, setProcessing] = useState(false);
+
+  const run = async (action) => {
+    setProcessing(true);
+    try {
+      await onAction(action, verification.id, reason.trim());
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const isPending = verification.status === "pending";
+  const canRevoke = verification.status === "verified";
+
+  return (
+    <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 p-6 space-y-4 animate-slideInUp">
+      <div className="flex flex-col md:flex-row gap-4">
+        <a
+          href={assetUrl(verification.screenshot_url)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex-shrink-0"
+          title="Open full screenshot"
+        >
+          <img
+            src={assetUrl(verification.thumbnail_url)}
+            alt={`Rank screenshot from ${verification.employee_name}`}
+            className="w-40 h-28 rounded-lg object-cover border border-ghforegroundlow/20"
+          />
+        </a>
+        <div className="flex-1 min-w-0 space-y-1">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h3 className="text-lg font-bold text-white">
+                {verification.employee_name}
+              </h3>
+              <p className="text-ghforegroundlow text-sm">
+                {verification.email}
+              </p>
+            </div>
+            <span
+              className={`px-3 py-1 rounded-full text-xs font-semibold capitalize ${
+                VERIFICATION_STATUS_STYLES[verification.status]
+              }`}
+            >
+              {verification.status}
+            </span>
+          </div>
+          <p className="text-sm text-white">
+            <Gamepad2 size={14} className="inline mr-1 text-ghaccent" />
+            {verification.game_name || "No game"} · {verification.account_id}
+            {verification.rank_tier &&
+              ` · Profile rank: ${verification.rank_tier}`}
+          </p>
+          <p className="text-sm text-ghforegroundlow break-words">
+            {verification.rank_note}
+          </p>
+          <p className="text-xs text-ghforegroundlow">
+            Submitted {new Date(verification.created_at).toLocaleDateString()}
+          </p>
+        </div>
+      </div>
+
+      {verification.decided_at && (
+        <p className="text-sm text-ghforegroundlow">
+          {verification.status === "verified" ? "Verified" : "Decided"} by{" "}
+          {verification.decided_by_name || "an admin"} on{" "}
+          {new Date(verification.decided_at).toLocaleDateString()}
+          {verification.decision_reason && `: ${verification.decision_reason}`}
+        </p>
+      )}
+
+      {(isPending || canRevoke) && (
+        <div className="flex flex-wrap gap-2 items-center">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder={
+              isPending ? "Note (required to reject)" : "Reason for revoking"
+            }
+            maxLength={500}
+            className="flex-1 min-w-[12rem] px-3 py-2 rounded-lg bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent text-sm"
+          />
+          {isPending ? (
+            <>
+              <button
+                onClick={() => run("verify")}
+                disabled={processing}
+                className="btn-success px-4 py-2 rounded-lg text-white font-semibold text-sm flex items-center gap-2 disabled:opacity-50"
+              >
+                <ShieldCheck size={14} /> Verify
+              </button>
+              <button
+                onClick={() => run("reject")}
+                disabled={processing || !reason.trim()}
+                className="btn-danger px-4 py-2 rounded-lg text-white font-semibold text-sm flex items-center gap-2 disabled:opacity-50"
+              >
+                <XCircle size={14} /> Reject
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() => run("revoke")}
+              disabled={processing || !reason.trim()}
+              className="btn-danger px-4 py-2 rounded-lg text-white font-semibold text-sm flex items-center gap-2 disabled:opacity-50"
+            >
+              <Ban size={14} /> Revoke
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const VerificationQueue = ({ onQueueChange }) => {
+  const [status, setStatus] = useState("pending");
+  const [queue, setQueue] = useState({ status: null, verifications: [] });
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    AdminAPI.getVerifications(status)
+      .then((res) => {
+        setQueue({ status, verifications: res.verifications || [] });
+        if (status === "pending") {
+          onQueueChange(res.verifications?.length || 0);
+        }
+      })
+      .catch((err) => {
+        console.error("Failed to fetch verification queue:", err);
+        setQueue({ status, verifications: [] });
+      });
+  }, [status, version, onQueueChange]);
+
+  const handleAction = async (action, verificationId, reason) => {
+    try {
+      if (action === "verify") {
+        await AdminAPI.verifyEmployee(verificationId, reason);
+      }
+      if (action === "reject") {
+        await AdminAPI.rejectVerification(verificationId, reason);
+      }
+      if (action === "revoke") {
+        await AdminAPI.revokeVerification(verificationId, reason);
+      }
+      setVersion((v) => v + 1);
+    } catch (err) {
+      console.error(`Failed to ${action} verification:`, err);
+      alert(err.message || `Failed to ${action} verification`);
+    }
+  };
+
+  return (
+    <div className="space-y-6 animate-fadeIn">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-white font-bold text-lg flex items-center gap-2">
+          <ShieldCheck size={20} className="text-green-400" />
+          Employee Verification
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          {VERIFICATION_FILTERS.map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setStatus(value)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-all ${
+                status === value
+                  ? "bg-ghaccent/20 text-ghaccent"
+                  : "text-ghforegroundlow hover:text-white hover:bg-ghforegroundlow/10"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {queue.status !== status ? (
+        <div className="flex items-center justify-center gap-3 text-ghforegroundlow py-8">
+          <Loader size={24} className="animate-spin" />
+          <span>Loading submissions...</span>
+        </div>
+      ) : queue.verifications.length === 0 ? (
+        <div className="text-center py-12 text-ghforegroundlow">
+          <ShieldCheck size={48} className="mx-auto mb-4 opacity-30" />
+          <p className="text-lg">
+            {status === "pending"
+              ? "No pending verifications"
+              : "No verifications"}
+          </p>
+        </div>
+      ) : (
+        queue.verifications.map((verification) => (
+          <VerificationCard
+            key={verification.id}
+            verification={verification}
+            onAction={handleAction}
+          />
+        ))
+      )}
+    </div>
+  );
+};
+
+// Admin Card Component
+const AdminCard = ({ admin, onUpdate, onRemove }) => {
+  const [processing, setProcessing] = useState(false);
+
+  const handleToggleStatus = async () => {
+    setProcessing(true);
+    try {
+      await onUpdate(admin.id, { is_active: !admin.is_active });
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleToggleRole = async () => {
+    setProcessing(true);
+    try {
+      await onUpdate(admin.id, {
+        role: admin.role === "super" ? "regular" : "super",
+      });
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!confirm(`Remove ${admin.full_name} as admin?`)) return;
+    setProcessing(true);
+    try {
+      await onRemove(admin.id);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 p-6 animate-slideInUp">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div className="flex items-center gap-4">
+          <div
+            className={`w-12 h-12 rounded-xl flex items-center justify-center ${
+              admin.role === "super"
+                ? "bg-gradient-to-br from-purple-500 to-pink-600"
+                : "bg-gradient-to-br from-ghaccent to-blue-600"
+            }`}
+          >
+            {admin.role === "super" ? (
+              <ShieldCheck size={20} className="text-white" />
+            ) : (
+              <Shield size={20} className="text-white" />
+            )}
+          </div>
+          <div>
+            <h3 className="text-lg font-bold text-white flex items-center gap-2">
+              {admin.full_name}
+              <span
+                className={`text-xs px-2 py-0.5 rounded-full ${
+                  admin.role === "super"
+                    ? "bg-purple-500/20 text-purple-300 border border-purple-500/50"
+                    : "bg-ghaccent/20 text-ghaccent border border-ghaccent/50"
+                }`}
+              >
+                {admin.role === "super" ? "Super Admin" : "Regular Admin"}
+              </span>
+            </h3>
+            <p className="text-ghforegroundlow text-sm">{admin.email}</p>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <span
+            className={`px-3 py-1 rounded-full text-xs font-semibold ${
+              admin.is_active
+                ? "bg-green-500/20 text-green-400 border border-green-500/50"
+                : "bg-red-500/20 text-red-400 border border-red-500/50"
+            }`}
+          >
+            {admin.is_active ? "Active" : "Inactive"}
+          </span>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleToggleStatus}
+              disabled={processing}
+              className={`px-3 py-2 rounded-lg text-sm font-semibold flex items-center gap-1 transition-all ${
+                admin.is_active
+                  ? "bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-400"
+                  : "bg-green-500/20 hover:bg-green-500/30 text-green-400"
+              }`}
+            >
+              {admin.is_active ? "Deactivate" : "Activate"}
+            </button>
+            <button
+              onClick={handleToggleRole}
+              disabled={processing}
+              className="px-3 py-2 rounded-lg bg-purple-500/20 hover:bg-purple-500/30 text-purple-400 text-sm font-semibold flex items-center gap-1 transition-all"
+            >
+              {admin.role === "super" ? "Make Regular" : "Make Super"}
+            </button>
+            <button
+              onClick={handleRemove}
+              disabled={processing}
+              className="px-3 py-2 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-400 text-sm font-semibold flex items-center gap-1 transition-all"
+            >
+              <UserMinus size={14} /> Remove
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Completion Card Component
+const CompletionCard = ({ completion, onApprove, onReopen }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [processing, setProcessing] = useState(false);
+  const [adminNotes, setAdminNotes] = useState("");
+  const hasOpenDispute = Number(completion.open_disputes) > 0;
+
+  const handleApprove = async () => {
+    setProcessing(true);
+    try {
+      await onApprove(completion.id);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleReopen = async () => {
+    if (!adminNotes.trim()) {
+      alert("Please provide revision notes");
+      return;
+    }
+    setProcessing(true);
+    try {
+      await onReopen(completion.id, adminNotes);
+      setAdminNotes("");
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 overflow-hidden animate-slideInUp">
+      <div className="p-6">
+        <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+          <div className="flex-1">
+            <div className="flex items-center gap-3 mb-2">
+              <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-ghaccent to-purple-600 flex items-center justify-center">
+                <Gamepad2 size={18} className="text-white" />
+              </div>
+              <div>
+                <h3 className="text-lg font-bold text-white">
+                  {completion.service_title}
+                </h3>
+                <p className="text-ghforegroundlow text-sm">
+                  {completion.game}
+                </p>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+              <div>
+                <p className="text-xs text-ghforegroundlow">Employee</p>
+                <p className="text-white font-medium">
+                  {completion.employee_name}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-ghforegroundlow">Client</p>
+                <p className="text-white font-medium">
+                  {completion.requester_name}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-ghforegroundlow">Amount</p>
+                <p className="text-green-400 font-bold flex items-center gap-1">
+                  <DollarSign size={14} />
+                  {Number(completion.amount || 0).toFixed(2)}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-ghforegroundlow">Submitted</p>
+                <p className="text-white">
+                  {new Date(completion.submitted_at).toLocaleDateString()}
+                </p>
+              </div>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {completion.escalated_at && (
+              <Badge variant="danger" className="flex items-center gap-1">
+                <Clock size={12} /> Overdue
+              </Badge>
+            )}
+            <StatusBadge status={completion.status} />
+            <button
+              onClick={() => setExpanded(!expanded)}
+              className="p-2 rounded-lg hover:bg-ghforegroundlow/10 text-ghforegroundlow hover:text-white transition-all"
+            >
+              {expanded ? <ChevronUp size={20} /> : <ChevronDown size={20} />}
+            </button>
+          </div>
+        </div>
+
+        {completion.notes && (
+          <div className="mt-4 p-3 bg-ghbackground rounded-lg border border-ghforegroundlow/10">
+            <p className="text-xs text-ghforegroundlow mb-1">Employee Notes:</p>
+            <p className="text-white text-sm">{completion.notes}</p>
+          </div>
+        )}
+
+        {hasOpenDispute && (
+          <div className="mt-4 p-3 bg-red-500/10 rounded-lg border border-red-500/30 flex items-center gap-2 text-red-400 text-sm">
+            <Scale size={16} />
+            This request has an open dispute. Resolve it in the Disputes tab
+            before closing the service.
+          </div>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="border-t border-ghforegroundlow/20 p-6 bg-ghbackground/50">
+          <div className="space-y-4">
+            <div>
+              <label className="text-sm text-ghforegroundlow block mb-2">
+                Revision Notes (required for reopen)
+              </label>
+              <textarea
+                value={adminNotes}
+                onChange={(e) => setAdminNotes(e.target.value)}
+                placeholder="Enter notes for the employee if reopening..."
+                className="w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent resize-none text-sm"
+                rows="2"
+              />
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={handleApprove}
+                disabled={processing || hasOpenDispute}
+                className="flex-1 btn-success px-4 py-3 rounded-xl text-white font-semibold flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+              >
+                {processing ? (
+                  <Loader size={18} className="animate-spin" />
+                ) : (
+                  <CheckCircle size={18} />
+                )}
+                Approve & Close
+              </button>
+              <button
+                onClick={handleReopen}
+                disabled={processing || !adminNotes.trim()}
+                className="flex-1 btn-warning px-4 py-3 rounded-xl text-white font-semibold flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+              >
+                {processing ? (
+                  <Loader size={18} className="animate-spin" />
+                ) : (
+                  <RotateCcw size={18} />
+                )}
+                Reopen for Revision
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Dispute Card Component
+const DisputeCard = ({ dispute, onInvestigate, onResolve }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [processing, setProcessing] = useState(false);
+  const [resolutionNotes, setResolutionNotes] = useState("");
+  const [employeeShare, setEmployeeShare] = useState(50);
+  const isActive = ["open", "investigating"].includes(dispute.status);
+
+  const handleInvestigate = async () => {
+    setProcessing(true);
+    try {
+      await onInvestigate(dispute.id);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleResolve = async (resolution) => {
+    const confirmText = {
+      refund: "Refund the full amount to the requester?",
+      release: "Release the full amount to the employee?",
+      split: `Pay ${employeeShare}% to the employee and refund the rest?`,
+      dismiss: "Dismiss this dispute without moving funds?",
+    };
+    if (!confirm(confirmText[resolution])) return;
+    setProcessing(true);
+    try {
+      await onResolve(dispute.id, resolution, employeeShare, resolutionNotes);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 overflow-hidden animate-slideInUp">
+      <div className="p-6">
+        <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+          <div className="flex-1">
+            <div className="flex items-center gap-3 mb-2">
+              <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-red-500 to-orange-600 flex items-center justify-center">
+                <Scale size={18} className="text-white" />
+              </div>
+              <div>
+                <h3 className="text-lg font-bold text-white">
+                  {dispute.reason}
+                </h3>
+                <p className="text-ghforegroundlow text-sm">
+                  {dispute.service_title} • {dispute.game_name}
+                </p>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+              <div>
+                <p className="text-xs text-ghforegroundlow">Filed by</p>
+                <p className="text-white font-medium">
+                  {dispute.complainant_name}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-ghforegroundlow">Against</p>
+                <p className="text-white font-medium">
+                  {dispute.respondent_name}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-ghforegroundlow">Amount</p>
+                <p className="text-green-400 font-bold flex items-center gap-1">
+                  <DollarSign size={14} />
+                  {Number(dispute.amount || 0).toFixed(2)}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-ghforegroundlow">Opened</p>
+                <p className="text-white">
+                  {new Date(dispute.created_at).toLocaleDateString()}
+                  <span className="text-ghforegroundlow text-xs ml-1">
+                    ({dispute.days_open}d)
+                  </span>
+                </p>
+              </div>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <StatusBadge status={dispute.status} />
+            <StatusBadge status={dispute.request_status} />
+            <button
+              onClick={() => setExpanded(!expanded)}
+              className="p-2 rounded-lg hover:bg-ghforegroundlow/10 text-ghforegroundlow hover:text-white transition-all"
+            >
+              {expanded ? <ChevronUp size={20} /> : <ChevronDown size={20} />}
+            </button>
+          </div>
+        </div>
+
+        <div className="mt-4 p-3 bg-ghbackground rounded-lg border border-ghforegroundlow/10">
+          <p className="text-xs text-ghforegroundlow mb-1">Description:</p>
+          <p className="text-white text-sm">{dispute.description}</p>
+        </div>
+
+        {dispute.resolution_notes && (
+          <div className="mt-3 p-3 bg-ghbackground rounded-lg border border-ghforegroundlow/10">
+            <p className="text-xs text-ghforegroundlow mb-1">
+              Resolution Notes:
+            </p>
+            <p className="text-white text-sm">{dispute.resolution_notes}</p>
+          </div>
+        )}
+      </div>
+
+      {expanded && isActive && (
+        <div className="border-t border-ghforegroundlow/20 p-6 bg-ghbackground/50">
+          <div className="space-y-4">
+            <div>
+              <label className="text-sm text-ghforegroundlow block mb-2">
+                Resolution Notes
+              </label>
+              <textarea
+                value={resolutionNotes}
+                onChange={(e) => setResolutionNotes(e.target.value)}
+                placeholder="Explain the decision to both parties..."
+                className="w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent resize-none text-sm"
+                rows="2"
+              />
+            </div>
+            <div className="flex items-center gap-3">
+              <label className="text-sm text-ghforegroundlow">
+                Employee share for split (%)
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="99"
+                value={employeeShare}
+                onChange={(e) => setEmployeeShare(e.target.value)}
+                className="w-24 px-3 py-2 rounded-lg bg-ghbackground border border-ghforegroundlow/30 text-white focus:outline-none focus:ring-2 focus:ring-ghaccent text-sm"
+              />
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              {dispute.status === "open" && (
+                <button
+                  onClick={handleInvestigate}
+                  disabled={processing}
+                  className="px-4 py-3 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-white font-semibold flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+                >
+                  <Search size={18} /> Investigate
+                </button>
+              )}
+              <button
+                onClick={() => handleResolve("refund")}
+                disabled={processing}
+                className="btn-danger px-4 py-3 rounded-xl text-white font-semibold flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+              >
+                <RotateCcw size={18} /> Refund Requester
+              </button>
+              <button
+                onClick={() => handleResolve("release")}
+                disabled={processing}
+                className="btn-success px-4 py-3 rounded-xl text-white font-semibold flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+              >
+                <DollarSign size={18} /> Release to Employee
+              </button>
+              <button
+                onClick={() => handleResolve("split")}
+                disabled={processing}
+                className="btn-warning px-4 py-3 rounded-xl text-white font-semibold flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+              >
+                <Scale size={18} /> Split
+              </button>
+              <button
+                onClick={() => handleResolve("dismiss")}
+                disabled={processing}
+                className="px-4 py-3 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-ghforegroundlow font-semibold flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+              >
+                <XCircle size={18} /> Dismiss
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Payout Card Component
+const PayoutCard = ({ withdrawal, onApprove, onReject, onMarkPaid }) => {
+  const [processing, setProcessing] = useState(false);
+  const [showReject, setShowReject] = useState(false);
+  const [rejectReason, setRejectReason] = useState("");
+  const amount = Number(withdrawal.amount || 0).toFixed(2);
+
+  const run = async (action) => {
+    setProcessing(true);
+    try {
+      await action();
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleApprove = () => {
+    if (!confirm(`Send $${amount} to ${withdrawal.full_name}?`)) return;
+    run(() => onApprove(withdrawal.id));
+  };
+
+  const handleMarkPaid = () => {
+    if (!confirm(`Confirm $${amount} has reached ${withdrawal.full_name}?`))
+      return;
+    run(() => onMarkPaid(withdrawal.id));
+  };
+
+  const handleReject = () => {
+    if (!rejectReason.trim()) return;
+    run(() => onReject(withdrawal.id, rejectReason));
+  };
+
+  return (
+    <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 p-6 animate-slideInUp">
+      <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+        <div className="flex-1">
+          <div className="flex items-center gap-3 mb-2">
+            <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-green-500 to-emerald-600 flex items-center justify-center">
+              <Wallet size={18} className="text-white" />
+            </div>
+            <div>
+              <h3 className="text-lg font-bold text-white">
+                {withdrawal.full_name}
+              </h3>
+              <p className="text-ghforegroundlow text-sm">{withdrawal.email}</p>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+            <div>
+              <p className="text-xs text-ghforegroundlow">Amount</p>
+              <p className="text-green-400 font-bold flex items-center gap-1">
+                <DollarSign size={14} />
+                {amount}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-ghforegroundlow">Pay to</p>
+              <p className="text-white font-medium break-all">
+                {withdrawal.payout_details}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-ghforegroundlow">Requested</p>
+              <p className="text-white">
+                {new Date(withdrawal.created_at).toLocaleDateString()}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-ghforegroundlow">Reference</p>
+              <p className="text-white font-mono text-sm">
+                {withdrawal.provider_reference || "—"}
+              </p>
+            </div>
+          </div>
+        </div>
+        <StatusBadge status={withdrawal.status} />
+      </div>
+
+      {showReject && (
+        <div className="mt-4 flex gap-3">
+          <input
+            type="text"
+            value={rejectReason}
+            onChange={(e) => setRejectReason(e.target.value)}
+            placeholder="Reason shown to the user..."
+            maxLength={100}
+            className="flex-1 px-4 py-2 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent text-sm"
+          />
+          <button
+            onClick={handleReject}
+            disabled={processing || !rejectReason.trim()}
+            className="btn-danger px-4 py-2 rounded-xl text-white font-semibold transition-all disabled:opacity-50"
+          >
+            Confirm Reject
+          </button>
+        </div>
+      )}
+
+      <div className="mt-4 flex flex-wrap gap-3">
+        {withdrawal.status === "pending" && (
+          <button
+            onClick={handleApprove}
+            disabled={processing}
+            className="btn-success px-4 py-2 rounded-xl text-white font-semibold flex items-center gap-2 transition-all disabled:opacity-50"
+          >
+            <Send size={16} /> Approve & Send
+          </button>
+        )}
+        {withdrawal.status === "processing" && (
+          <button
+            onClick={handleApprove}
+            disabled={processing}
+            title="The payout result was not recorded. Retrying never pays twice."
+            className="btn-success px-4 py-2 rounded-xl text-white font-semibold flex items-center gap-2 transition-all disabled:opacity-50"
+          >
+            <RotateCcw size={16} /> Retry Payout
+          </button>
+        )}
+        {withdrawal.status === "approved" && (
+          <button
+            onClick={handleMarkPaid}
+            disabled={processing}
+            className="btn-success px-4 py-2 rounded-xl text-white font-semibold flex items-center gap-2 transition-all disabled:opacity-50"
+          >
+            <CheckCircle size={16} /> Mark as Paid
+          </button>
+        )}
+        {withdrawal.status !== "processing" && (
+          <button
+            onClick={() => setShowReject(!showReject)}
+            disabled={processing}
+            className="px-4 py-2 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-ghforegroundlow font-semibold flex items-center gap-2 transition-all disabled:opacity-50"
+          >
+            <XCircle size={16} /> Reject
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Revision Card Component (live version vs proposed edit)
+const RevisionCard = ({ revision, onApprove, onReject }) => {
+  const [processing, setProcessing] = useState(false);
+  const [showReject, setShowReject] = useState(false);
+  const [rejectReason, setRejectReason] = useState("");
+
+  const formatPrice = (price) => `$${Number(price || 0).toFixed(2)}`;
+  const formatTags = (tags) => (tags.length > 0 ? tags.join(", ") : "None");
+  const formatPackages = (packages) =>
+    packages.length > 0
+      ? packages
+          .map((pkg) => `${pkg.name}: ${formatPrice(pkg.price)}`)
+          .join("\n")
+      : "None";
+
+  const fields = [
+    { label: "Title", from: revision.current_title, to: revision.title },
+    {
+      label: "Description",
+      from: revision.current_description,
+      to: revision.description,
+    },
+    {
+      label: "Price",
+      from: formatPrice(revision.current_price),
+      to: formatPrice(revision.price),
+    },
+    {
+      label: "Service Type",
+      from: revision.current_service_type || "None",
+      to: revision.service_type || "None",
+    },
+    {
+      label: "Tags",
+      from: formatTags(revision.current_tags),
+      to: formatTags(revision.tags),
+    },
+    {
+      label: "Packages",
+      from: formatPackages(revision.current_packages),
+      to: formatPackages(revision.packages),
+    },
+  ];
+  const changed = fields.filter((field) => field.from !== field.to);
+
+  const run = async (action) => {
     setProcessing(true);
     try {
-      await onReopen(completion.id, adminNotes);
-      setAdminNotes("");
+      await action();
     } finally {
       setProcessing(false);
     }
   };
 
   return (
-    <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 overflow-hidden animate-slideInUp">
-      <div className="p-6">
-        <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
-          <div className="flex-1">
-            <div className="flex items-center gap-3 mb-2">
-              <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-ghaccent to-purple-600 flex items-center justify-center">
-                <Gamepad2 size={18} className="text-white" />
-              </div>
-              <div>
-                <h3 className="text-lg font-bold text-white">
-                  {completion.service_title}
-                </h3>
-                <p className="text-ghforegroundlow text-sm">
-                  {completion.game}
-                </p>
-              </div>
-            </div>
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
-              <div>
-                <p className="text-xs text-ghforegroundlow">Employee</p>
-                <p className="text-white font-medium">
-                  {completion.employee_name}
-                </p>
-              </div>
-              <div>
-                <p className="text-xs text-ghforegroundlow">Client</p>
-                <p className="text-white font-medium">
-                  {completion.requester_name}
-                </p>
-              </div>
-              <div>
-                <p className="text-xs text-ghforegroundlow">Amount</p>
-                <p className="text-green-400 font-bold flex items-center gap-1">
-                  <DollarSign size={14} />
-                  {Number(completion.amount || 0).toFixed(2)}
+    <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 p-6 animate-slideInUp">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center">
+          <Edit3 size={20} className="text-white" />
+        </div>
+        <div>
+          <h3 className="text-xl font-bold text-white">
+            {revision.current_title}
+          </h3>
+          <p className="text-ghforegroundlow text-sm">
+            by <strong>{revision.employee_name}</strong> • {revision.game_name}{" "}
+            • submitted {new Date(revision.submitted_at).toLocaleString()}
+          </p>
+        </div>
+      </div>
+
+      {changed.length === 0 ? (
+        <p className="text-ghforegroundlow text-sm mb-4">
+          No visible changes (resubmitted as-is).
+        </p>
+      ) : (
+        <div className="space-y-3 mb-4">
+          {changed.map((field) => (
+            <div
+              key={field.label}
+              className="rounded-lg border border-ghforegroundlow/20 overflow-hidden text-sm"
+            >
+              <p className="px-3 py-1 bg-ghbackground text-xs font-semibold text-ghforegroundlow">
+                {field.label}
+              </p>
+              <div className="grid md:grid-cols-2">
+                <p className="px-3 py-2 bg-red-500/10 text-red-300 whitespace-pre-wrap break-words">
+                  <span className="select-none opacity-60">− </span>
+                  {field.from}
                 </p>
-              </div>
-              <div>
-                <p className="text-xs text-ghforegroundlow">Submitted</p>
-                <p className="text-white">
-                  {new Date(completion.submitted_at).toLocaleDateString()}
+                <p className="px-3 py-2 bg-green-500/10 text-green-300 whitespace-pre-wrap break-words">
+                  <span className="select-none opacity-60">+ </span>
+                  {field.to}
                 </p>
               </div>
             </div>
-          </div>
-          <div className="flex items-center gap-2">
-            <StatusBadge status={completion.status} />
-            <button
-              onClick={() => setExpanded(!expanded)}
-              className="p-2 rounded-lg hover:bg-ghforegroundlow/10 text-ghforegroundlow hover:text-white transition-all"
-            >
-              {expanded ? <ChevronUp size={20} /> : <ChevronDown size={20} />}
-            </button>
-          </div>
+          ))}
         </div>
+      )}
 
-        {completion.notes && (
-          <div className="mt-4 p-3 bg-ghbackground rounded-lg border border-ghforegroundlow/10">
-            <p className="text-xs text-ghforegroundlow mb-1">Employee Notes:</p>
-            <p className="text-white text-sm">{completion.notes}</p>
-          </div>
-        )}
-      </div>
-
-      {expanded && (
-        <div className="border-t border-ghforegroundlow/20 p-6 bg-ghbackground/50">
-          <div className="space-y-4">
-            <div>
-              <label className="text-sm text-ghforegroundlow block mb-2">
-                Revision Notes (required for reopen)
-              </label>
-              <textarea
-                value={adminNotes}
-                onChange={(e) => setAdminNotes(e.target.value)}
-                placeholder="Enter notes for the employee if reopening..."
-                className="w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent resize-none text-sm"
-                rows="2"
-              />
-            </div>
-            <div className="flex gap-3">
-              <button
-                onClick={handleApprove}
-                disabled={processing}
-                className="flex-1 btn-success px-4 py-3 rounded-xl text-white font-semibold flex items-center justify-center gap-2 transition-all"
-              >
-                {processing ? (
-                  <Loader size={18} className="animate-spin" />
-                ) : (
-                  <CheckCircle size={18} />
-                )}
-                Approve & Close
-              </button>
-              <button
-                onClick={handleReopen}
-                disabled={processing || !adminNotes.trim()}
-                className="flex-1 btn-warning px-4 py-3 rounded-xl text-white font-semibold flex items-center justify-center gap-2 transition-all disabled:opacity-50"
-              >
-                {processing ? (
-                  <Loader size={18} className="animate-spin" />
-                ) : (
-                  <RotateCcw size={18} />
-                )}
-                Reopen for Revision
-              </button>
-            </div>
-          </div>
+      {showReject && (
+        <div className="mb-4 flex gap-3">
+          <input
+            type="text"
+            value={rejectReason}
+            onChange={(e) => setRejectReason(e.target.value)}
+            placeholder="Reason shown to the employee..."
+            maxLength={100}
+            className="flex-1 px-4 py-2 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent text-sm"
+          />
+          <button
+            onClick={() => run(() => onReject(revision.id, rejectReason))}
+            disabled={processing || !rejectReason.trim()}
+            className="btn-danger px-4 py-2 rounded-xl text-white font-semibold transition-all disabled:opacity-50"
+          >
+            Confirm Reject
+          </button>
         </div>
       )}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={() => run(() => onApprove(revision.id))}
+          disabled={processing}
+          className="btn-success px-4 py-2 rounded-xl text-white font-semibold flex items-center gap-2 transition-all disabled:opacity-50"
+        >
+          <CheckCircle size={16} /> Approve Changes
+        </button>
+        <button
+          onClick={() => setShowReject(!showReject)}
+          disabled={processing}
+          className="px-4 py-2 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-ghforegroundlow font-semibold flex items-center gap-2 transition-all disabled:opacity-50"
+        >
+          <XCircle size={16} /> Reject
+        </button>
+      </div>
     </div>
   );
 };
@@ -906,9 +2327,22 @@ const ChatCard = ({ chat, onViewChat }) => {
 };
 
 // Chat Messages Modal
-const ChatMessagesModal = ({ chat, messages, onClose }) => {
+const ChatMessagesModal = ({
+  chat,
+  messages,
+  readReceipts,
+  typingUser,
+  onClose,
+}) => {
   if (!chat) return null;
 
+  // A message is seen once a member other than the sender has read past it
+  const isSeen = (msg) =>
+    readReceipts.some(
+      (r) =>
+        r.user_id !== msg.sender_user_id && r.last_read_message_id >= msg.id,
+    );
+
   return (
     <div
       className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50 flex items-center justify-center p-4"
@@ -965,16 +2399,22 @@ const ChatMessagesModal = ({ chat, messages, onClose }) => {
                   <p className="text-white text-sm">{msg.message}</p>
                   <p className="text-xs text-ghforegroundlow/50 mt-1">
                     {new Date(msg.created_at).toLocaleString()}
+                    {isSeen(msg) && " • Seen"}
                   </p>
                 </div>
               </div>
             ))
           )}
+          {typingUser && (
+            <p className="text-xs italic text-ghforegroundlow">
+              {typingUser.full_name || "Someone"} is typing...
+            </p>
+          )}
         </div>
 
         <div className="p-4 border-t border-ghforegroundlow/20 text-center">
           <p className="text-ghforegroundlow text-sm">
-            Admin view only • Messages cannot be sent
+            Admin view only • Live • Messages cannot be sent
           </p>
         </div>
       </div>
@@ -1221,8 +2661,14 @@ export default function AdminDashboard() {
   const [analyticsLoading, setAnalyticsLoading] = useState(false);
   const [pendingApplications, setPendingApplications] = useState([]);
   const [pendingCompletions, setPendingCompletions] = useState([]);
+  const [disputes, setDisputes] = useState([]);
+  const [reportedReviews, setReportedReviews] = useState(0);
+  const [pendingVerifications, setPendingVerifications] = useState(0);
+  const [withdrawals, setWithdrawals] = useState([]);
+  const [revisions, setRevisions] = useState([]);
   const [allChats, setAllChats] = useState([]);
   const [allRequests, setAllRequests] = useState([]);
+  const [expandedRequestId, setExpandedRequestId] = useState(null);
   const [approvedEmployees, setApprovedEmployees] = useState([]);
   const [allUsers, setAllUsers] = useState([]);
   const [admins, setAdmins] = useState([]);
@@ -1232,6 +2678,8 @@ export default function AdminDashboard() {
   const [selectedChat, setSelectedChat] = useState(null);
   const [chatMessages, setChatMessages] = useState([]);
   const [loadingMessages, setLoadingMessages] = useState(false);
+  const [chatReadReceipts, setChatReadReceipts] = useState([]);
+  const [chatTypingUser, setChatTypingUser] = useState(null);
 
   // Check if current user is super admin
   const isSuperAdmin = user?.admin_role === "super";
@@ -1248,7 +2696,10 @@ export default function AdminDashboard() {
           statsRes,
           analyticsRes,
           appsRes,
+          revisionsRes,
           completionsRes,
+          disputesRes,
+          withdrawalsRes,
           chatsRes,
           requestsRes,
           usersRes,
@@ -1258,16 +2709,24 @@ export default function AdminDashboard() {
           ApplicationsAPI.getPendingApplications().catch(() => ({
             applications: [],
           })),
+          AdminAPI.getServiceRevisions().catch(() => ({ revisions: [] })),
           AdminAPI.getPendingCompletions().catch(() => ({ completions: [] })),
+          AdminAPI.getDisputes().catch(() => ({ disputes: [] })),
+          AdminAPI.getWithdrawals().catch(() => ({ withdrawals: [] })),
           AdminAPI.getAllChats().catch(() => ({ chats: [] })),
           AdminAPI.getAllRequests().catch(() => ({ requests: [] })),
           AdminAPI.listUsers().catch(() => ({ users: [] })),
         ]);
 
         setStats(statsRes);
+        setReportedReviews(statsRes.reported_reviews || 0);
+        setPendingVerifications(statsRes.pending_verifications || 0);
         setAnalytics(analyticsRes);
         setPendingApplications(appsRes.applications || []);
+        setRevisions(revisionsRes.revisions || []);
         setPendingCompletions(completionsRes.completions || []);
+        setDisputes(disputesRes.disputes || []);
+        setWithdrawals(withdrawalsRes.withdrawals || []);
         setAllChats(chatsRes.chats || []);
         setAllRequests(requestsRes.requests || []);
         setApprovedEmployees(
@@ -1303,6 +2762,46 @@ export default function AdminDashboard() {
     }
   }, [activeTab, isSuperAdmin]);
 
+  // Live feed for the chat open in the messages modal
+  const watchedChatId = selectedChat?.id;
+  useEffect(() => {
+    if (!watchedChatId) return;
+
+    const stream = AdminAPI.openChatStream(watchedChatId);
+    let typingTimeout;
+
+    stream.addEventListener("message", (e) => {
+      const message = JSON.parse(e.data);
+      setChatMessages((prev) =>
+        prev.some((m) => m.id === message.id) ? prev : [...prev, message],
+      );
+      setChatTypingUser((prev) =>
+        prev?.user_id === message.sender_user_id ? null : prev,
+      );
+    });
+
+    stream.addEventListener("typing", (e) => {
+      const typing = JSON.parse(e.data);
+      clearTimeout(typingTimeout);
+      setChatTypingUser(typing.is_typing ? typing : null);
+      typingTimeout = setTimeout(() => setChatTypingUser(null), 5000);
+    });
+
+    stream.addEventListener("read", (e) => {
+      const receipt = JSON.parse(e.data);
+      setChatReadReceipts((prev) => [
+        ...prev.filter((r) => r.user_id !== receipt.user_id),
+        receipt,
+      ]);
+    });
+
+    return () => {
+      stream.close();
+      clearTimeout(typingTimeout);
+      setChatTypingUser(null);
+    };
+  }, [watchedChatId]);
+
   // Handle analytics range change
   const handleAnalyticsRangeChange = async (newRange) => {
     setAnalyticsRange(newRange);
@@ -1335,6 +2834,26 @@ export default function AdminDashboard() {
     }
   };
 
+  const handleApproveRevision = async (revisionId) => {
+    try {
+      await AdminAPI.approveServiceRevision(revisionId);
+      setRevisions((prev) => prev.filter((r) => r.id !== revisionId));
+    } catch (err) {
+      console.error("Failed to approve revision:", err);
+      alert(err.message || "Failed to approve revision");
+    }
+  };
+
+  const handleRejectRevision = async (revisionId, reason) => {
+    try {
+      await AdminAPI.rejectServiceRevision(revisionId, reason);
+      setRevisions((prev) => prev.filter((r) => r.id !== revisionId));
+    } catch (err) {
+      console.error("Failed to reject revision:", err);
+      alert(err.message || "Failed to reject revision");
+    }
+  };
+
   const handleApproveCompletion = async (completionId) => {
     try {
       await AdminAPI.approveCompletion(completionId);
@@ -1343,6 +2862,7 @@ export default function AdminDashboard() {
       );
     } catch (err) {
       console.error("Failed to approve completion:", err);
+      alert(err.message || "Failed to approve completion");
     }
   };
 
@@ -1357,15 +2877,114 @@ export default function AdminDashboard() {
     }
   };
 
+  const handleInvestigateDispute = async (disputeId) => {
+    try {
+      await AdminAPI.investigateDispute(disputeId);
+      setDisputes((prev) =>
+        prev.map((d) =>
+          d.id === disputeId ? { ...d, status: "investigating" } : d,
+        ),
+      );
+    } catch (err) {
+      console.error("Failed to update dispute:", err);
+      alert(err.message || "Failed to update dispute");
+    }
+  };
+
+  const handleResolveDispute = async (disputeId, resolution, share, notes) => {
+    try {
+      await AdminAPI.resolveDispute(disputeId, resolution, share, notes);
+      const dispute = disputes.find((d) => d.id === disputeId);
+      setDisputes((prev) => prev.filter((d) => d.id !== disputeId));
+      // Refund/release/split settle the request, so its completion leaves the queue
+      if (resolution === "dismiss") {
+        setPendingCompletions((prev) =>
+          prev.map((c) =>
+            c.service_request_id === dispute?.service_request_id
+              ? { ...c, open_disputes: 0 }
+              : c,
+          ),
+        );
+      } else {
+        setPendingCompletions((prev) =>
+          prev.filter(
+            (c) => c.service_request_id !== dispute?.service_request_id,
+          ),
+        );
+      }
+    } catch (err) {
+      console.error("Failed to resolve dispute:", err);
+      alert(err.message || "Failed to resolve dispute");
+    }
+  };
+
+  const handleApproveWithdrawal = async (withdrawalId) => {
+    try {
+      const res = await AdminAPI.approveWithdrawal(withdrawalId);
+      // Instant payouts are already settled and leave the queue
+      setWithdrawals((prev) =>
+        res.status === "paid"
+          ? prev.filter((w) => w.id !== withdrawalId)
+          : prev.map((w) =>
+              w.id === withdrawalId
+                ? {
+                    ...w,
+                    status: res.status,
+                    provider_reference: res.provider_reference,
+                  }
+                : w,
+            ),
+      );
+    } catch (err) {
+      console.error("Failed to approve withdrawal:", err);
+      alert(err.message || "Failed to approve withdrawal");
+    }
+  };
+
+  const handleRejectWithdrawal = async (withdrawalId, reason) => {
+    try {
+      await AdminAPI.rejectWithdrawal(withdrawalId, reason);
+      setWithdrawals((prev) => prev.filter((w) => w.id !== withdrawalId));
+    } catch (err) {
+      console.error("Failed to reject withdrawal:", err);
+      alert(err.message || "Failed to reject withdrawal");
+    }
+  };
+
+  const handleMarkWithdrawalPaid = async (withdrawalId) => {
+    try {
+      await AdminAPI.markWithdrawalPaid(withdrawalId);
+      setWithdrawals((prev) => prev.filter((w) => w.id !== withdrawalId));
+    } catch (err) {
+      console.error("Failed to mark withdrawal as paid:", err);
+      alert(err.message || "Failed to mark withdrawal as paid");
+    }
+  };
+
+  const handleUpdateEmployeeTier = async (userId, tier) => {
+    try {
+      await AdminAPI.updateEmployeeTier(userId, tier);
+      const withTier = (u) =>
+        u.id === userId ? { ...u, employee_tier: tier } : u;
+      setApprovedEmployees((prev) => prev.map(withTier));
+      setAllUsers((prev) => prev.map(withTier));
+    } catch (err) {
+      console.error("Failed to update employee tier:", err);
+      alert(err.message || "Failed to update employee tier");
+    }
+  };
+
   const handleViewChat = async (chat) => {
     setSelectedChat(chat);
     setLoadingMessages(true);
     try {
       const res = await AdminAPI.getChatMessages(chat.id);
       setChatMessages(res.messages || []);
+      setChatReadReceipts(res.read_receipts || []);
     } catch (err) {
       console.error("Failed to fetch chat messages:", err);
       setChatMessages([]);
+      setChatReadReceipts([]);
     } finally {
       setLoadingMessages(false);
     }
@@ -1438,12 +3057,30 @@ export default function AdminDashboard() {
       icon: Clock,
       count: pendingCompletions.length,
     },
+    {
+      id: "disputes",
+      label: "Disputes",
+      icon: Scale,
+      count: disputes.length,
+    },
+    {
+      id: "payouts",
+      label: "Payouts",
+      icon: Wallet,
+      count: withdrawals.length,
+    },
     {
       id: "applications",
       label: "Applications",
       icon: FileText,
       count: pendingApplications.length,
     },
+    {
+      id: "revisions",
+      label: "Post Edits",
+      icon: Edit3,
+      count: revisions.length,
+    },
     {
       id: "chats",
       label: "All Chats",
@@ -1468,8 +3105,24 @@ export default function AdminDashboard() {
       icon: Users,
       count: approvedEmployees.length,
     },
+    {
+      id: "reviews",
+      label: "Reviews",
+      icon: Flag,
+      count: reportedReviews,
+    },
+    {
+      id: "verifications",
+      label: "Verification",
+      icon: ShieldCheck,
+      count: pendingVerifications,
+    },
+    { id: "tags", label: "Tags", icon: Tag },
     ...(isSuperAdmin
-      ? [{ id: "admin-management", label: "Admin Management", icon: Shield }]
+      ? [
+          { id: "commission", label: "Commission", icon: Percent },
+          { id: "admin-management", label: "Admin Management", icon: Shield },
+        ]
       : []),
   ];
 
@@ -1636,6 +3289,51 @@ export default function AdminDashboard() {
               </>
             )}
 
+            {/* Disputes */}
+            {activeTab === "disputes" && (
+              <>
+                {disputes.length === 0 ? (
+                  <div className="text-center py-16 text-ghforegroundlow">
+                    <Scale size={48} className="mx-auto mb-4 opacity-30" />
+                    <p className="text-lg">No open disputes</p>
+                    <p className="text-sm opacity-70 mt-1">All caught up!</p>
+                  </div>
+                ) : (
+                  disputes.map((dispute) => (
+                    <DisputeCard
+                      key={dispute.id}
+                      dispute={dispute}
+                      onInvestigate={handleInvestigateDispute}
+                      onResolve={handleResolveDispute}
+                    />
+                  ))
+                )}
+              </>
+            )}
+
+            {/* Payouts */}
+            {activeTab === "payouts" && (
+              <>
+                {withdrawals.length === 0 ? (
+                  <div className="text-center py-16 text-ghforegroundlow">
+                    <Wallet size={48} className="mx-auto mb-4 opacity-30" />
+                    <p className="text-lg">No pending payouts</p>
+                    <p className="text-sm opacity-70 mt-1">All caught up!</p>
+                  </div>
+                ) : (
+                  withdrawals.map((withdrawal) => (
+                    <PayoutCard
+                      key={withdrawal.id}
+                      withdrawal={withdrawal}
+                      onApprove={handleApproveWithdrawal}
+                      onReject={handleRejectWithdrawal}
+                      onMarkPaid={handleMarkWithdrawalPaid}
+                    />
+                  ))
+                )}
+              </>
+            )}
+
             {/* Applications */}
             {activeTab === "applications" && (
               <>
@@ -1668,11 +3366,63 @@ export default function AdminDashboard() {
                               </p>
                             </div>
                           </div>
+                          {(app.service_type_info || app.tags?.length > 0) && (
+                            <div className="flex flex-wrap gap-2 mb-3">
+                              {app.service_type_info && (
+                                <Badge color={app.service_type_info.color}>
+                                  {app.service_type_info.label}
+                                </Badge>
+                              )}
+                              {app.tags.map((tag) => (
+                                <Badge key={tag.name} color={tag.color}>
+                                  {tag.name}
+                                </Badge>
+                              ))}
+                            </div>
+                          )}
                           {app.description && (
                             <p className="text-ghforegroundlow text-sm mb-3 line-clamp-2">
                               {app.description}
                             </p>
                           )}
+                          <p className="text-sm mb-3">
+                            {app.packages?.length > 0 ? (
+                              app.packages.map((pkg) => (
+                                <span
+                                  key={pkg.id}
+                                  className="inline-block mr-4 text-ghforegroundlow"
+                                >
+                                  {pkg.name}:{" "}
+                                  <span className="text-green-400">
+                                    ${parseFloat(pkg.price).toFixed(2)}
+                                  </span>
+                                </span>
+                              ))
+                            ) : (
+                              <span className="text-green-400">
+                                ${parseFloat(app.price).toFixed(2)}
+                              </span>
+                            )}
+                          </p>
+                          {app.images?.length > 0 && (
+                            <div className="flex flex-wrap gap-2 mb-3">
+                              {app.images.map((image) => (
+                                <a
+                                  key={image.id}
+                                  href={assetUrl(image.image_url)}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="block w-24 h-18 rounded-lg overflow-hidden border border-ghforegroundlow/20 hover:border-ghaccent/50 transition-all"
+                                >
+                                  <img
+                                    src={assetUrl(image.thumbnail_url)}
+                                    alt={`${app.title} image`}
+                                    className="w-full h-full object-cover"
+                                  />
+                                </a>
+                              ))}
+                            </div>
+                          )}
                           <p className="text-xs text-ghforegroundlow">
                             Submitted:{" "}
                             {new Date(app.submitted_at).toLocaleDateString()}
@@ -1699,6 +3449,28 @@ export default function AdminDashboard() {
               </>
             )}
 
+            {/* Post Edits */}
+            {activeTab === "revisions" && (
+              <>
+                {revisions.length === 0 ? (
+                  <div className="text-center py-16 text-ghforegroundlow">
+                    <Edit3 size={48} className="mx-auto mb-4 opacity-30" />
+                    <p className="text-lg">No edits waiting for review</p>
+                    <p className="text-sm opacity-70 mt-1">All caught up!</p>
+                  </div>
+                ) : (
+                  revisions.map((revision) => (
+                    <RevisionCard
+                      key={revision.id}
+                      revision={revision}
+                      onApprove={handleApproveRevision}
+                      onReject={handleRejectRevision}
+                    />
+                  ))
+                )}
+              </>
+            )}
+
             {/* All Chats */}
             {activeTab === "chats" && (
               <>
@@ -1767,8 +3539,33 @@ export default function AdminDashboard() {
                             </p>
                           </div>
                           <StatusBadge status={request.status} />
+                          <button
+                            onClick={() =>
+                              setExpandedRequestId(
+                                expandedRequestId === request.id
+                                  ? null
+                                  : request.id,
+                              )
+                            }
+                            title="History"
+                            className="p-2 rounded-lg hover:bg-ghforegroundlow/10 text-ghforegroundlow hover:text-white transition-all"
+                          >
+                            {expandedRequestId === request.id ? (
+                              <ChevronUp size={20} />
+                            ) : (
+                              <ChevronDown size={20} />
+                            )}
+                          </button>
                         </div>
                       </div>
+                      {expandedRequestId === request.id && (
+                        <div className="mt-4 pt-4 border-t border-ghforegroundlow/20">
+                          <h4 className="text-sm font-semibold text-white mb-3">
+                            History
+                          </h4>
+                          <RequestHistory requestId={request.id} />
+                        </div>
+                      )}
                     </div>
                   ))
                 )}
@@ -1801,8 +3598,15 @@ export default function AdminDashboard() {
                           <Users size={20} className="text-white" />
                         </div>
                         <div>
-                          <h3 className="text-lg font-bold text-white">
+                          <h3 className="text-lg font-bold text-white flex items-center gap-2">
                             {employee.full_name}
+                            {!!employee.is_verified && (
+                              <ShieldCheck
+                                size={16}
+                                className="text-green-400"
+                                aria-label="Verified"
+                              />
+                            )}
                           </h3>
                           <p className="text-ghforegroundlow text-sm">
                             {employee.email}
@@ -1819,6 +3623,27 @@ export default function AdminDashboard() {
                             Wallet Balance
                           </p>
                         </div>
+                        {isSuperAdmin ? (
+                          <select
+                            value={employee.employee_tier || "standard"}
+                            onChange={(e) =>
+                              handleUpdateEmployeeTier(
+                                employee.id,
+                                e.target.value,
+                              )
+                            }
+                            title="Commission tier"
+                            className="px-3 py-1.5 rounded-lg bg-ghbackground border border-ghforegroundlow/30 text-white text-xs capitalize focus:outline-none focus:ring-2 focus:ring-ghaccent"
+                          >
+                            <option value="standard">Standard</option>
+                            <option value="pro">Pro</option>
+                            <option value="elite">Elite</option>
+                          </select>
+                        ) : (
+                          <span className="px-3 py-1 rounded-full text-xs font-semibold bg-purple-500/20 border border-purple-500/50 text-purple-400 capitalize">
+                            {employee.employee_tier || "standard"}
+                          </span>
+                        )}
                         <span className="px-3 py-1 rounded-full text-xs font-semibold bg-green-500/20 border border-green-500/50 text-green-400">
                           Active
                         </span>
@@ -1829,6 +3654,19 @@ export default function AdminDashboard() {
               </>
             )}
 
+            {/* Commission Rules (Super Admin Only) */}
+            {activeTab === "reviews" && (
+              <ReviewModeration onQueueChange={setReportedReviews} />
+            )}
+
+            {activeTab === "verifications" && (
+              <VerificationQueue onQueueChange={setPendingVerifications} />
+            )}
+
+            {activeTab === "tags" && <TagManager />}
+
+            {activeTab === "commission" && isSuperAdmin && <CommissionRules />}
+
             {/* Admin Management (Super Admin Only) */}
             {activeTab === "admin-management" && isSuperAdmin && (
               <AdminManagement
@@ -1849,6 +3687,8 @@ export default function AdminDashboard() {
         <ChatMessagesModal
           chat={selectedChat}
           messages={loadingMessages ? [] : chatMessages}
+          readReceipts={chatReadReceipts}
+          typingUser={chatTypingUser}
           onClose={() => {
             setSelectedChat(null);
             setChatMessages([]);
@@ -1,35 +1,56 @@
 // React imports
 import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import { CheckCircle, AlertCircle, Loader } from "lucide-react";
+import { CheckCircle, AlertCircle, Loader, ImagePlus, X } from "lucide-react";
 
 // File imports
 import Header from "../templates/Header";
-import { ApplicationsAPI, GamesAPI } from "../services/api";
+import { ApplicationsAPI, GamesAPI, TagsAPI } from "../services/api";
+import Badge from "../components/Badge";
+import PackageEditor from "../components/PackageEditor";
+import { MAX_PACKAGES } from "../constants/packages";
 import { useAuth } from "../context/AuthContext";
 
+// Mirrors the server's upload limits (server/images.js)
+const MAX_IMAGES = 6;
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const ACCEPTED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
 export default function Apply() {
   const navigate = useNavigate();
   const { user } = useAuth();
   const [games, setGames] = useState([]);
+  const [vocabulary, setVocabulary] = useState({
+    tags: [],
+    service_types: [],
+    max_tags: 0,
+  });
   const [formData, setFormData] = useState({
     game_id: "",
+    service_type: "",
+    tags: [],
     title: "",
     description: "",
     price: "",
+    packages: [],
     service_details: [],
     termsAccepted: false,
   });
+  const [images, setImages] = useState([]); // [{ file, preview }]
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitStatus, setSubmitStatus] = useState(null);
   const [loadingGames, setLoadingGames] = useState(true);
 
-  // Fetch games on mount
+  // Fetch games and the tag vocabulary on mount
   useEffect(() => {
     const fetchGames = async () => {
       try {
-        const res = await GamesAPI.getAllGames();
-        setGames(res.games || []);
+        const [gamesRes, tagsRes] = await Promise.all([
+          GamesAPI.getAllGames(),
+          TagsAPI.getTags(),
+        ]);
+        setGames(gamesRes.games || []);
+        setVocabulary(tagsRes);
       } catch (err) {
         console.error("Failed to fetch games:", err);
       } finally {
@@ -47,6 +68,48 @@ export default function Apply() {
     });
   };
 
+  const handleImageSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+
+    const invalid = files.find(
+      (file) =>
+        !ACCEPTED_IMAGE_TYPES.includes(file.type) || file.size > MAX_IMAGE_SIZE,
+    );
+    if (invalid) {
+      setSubmitStatus({
+        type: "error",
+        message: `${invalid.name}: images must be JPEG, PNG or WebP and at most 5 MB`,
+      });
+      return;
+    }
+
+    const room = MAX_IMAGES - images.length;
+    setImages([
+      ...images,
+      ...files.slice(0, room).map((file) => ({
+        file,
+        preview: URL.createObjectURL(file),
+      })),
+    ]);
+  };
+
+  const removeImage = (index) => {
+    URL.revokeObjectURL(images[index].preview);
+    setImages(images.filter((_, i) => i !== index));
+  };
+
+  const toggleTag = (name) => {
+    const selected = formData.tags.includes(name);
+    if (!selected && formData.tags.length >= vocabulary.max_tags) return;
+    setFormData({
+      ...formData,
+      tags: selected
+        ? formData.tags.filter((t) => t !== name)
+        : [...formData.tags, name],
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!formData.termsAccepted) {
@@ -59,9 +122,10 @@ export default function Apply() {
 
     if (
       !formData.game_id ||
+      !formData.service_type ||
       !formData.title ||
       !formData.description ||
-      !formData.price
+      (!formData.price && formData.packages.length === 0)
     ) {
       setSubmitStatus({
         type: "error",
@@ -72,27 +136,55 @@ export default function Apply() {
 
     setIsSubmitting(true);
     try {
-      await ApplicationsAPI.submitApplication({
+      const res = await ApplicationsAPI.submitApplication({
         game_id: parseInt(formData.game_id),
+        service_type: formData.service_type,
+        tags: formData.tags,
         title: formData.title,
         description: formData.description,
-        price: parseFloat(formData.price),
+        // With packages the server prices the service from the cheapest one
+        price: formData.price ? parseFloat(formData.price) : undefined,
+        packages: formData.packages,
       });
 
-      setSubmitStatus({
-        type: "success",
-        message: "Application submitted! Admin will review it soon.",
-      });
+      let imageError = null;
+      if (images.length > 0) {
+        try {
+          await ApplicationsAPI.uploadImages(
+            res.application_id,
+            images.map((image) => image.file),
+          );
+        } catch (err) {
+          imageError = err.message || "Image upload failed";
+        }
+      }
+
+      setSubmitStatus(
+        imageError
+          ? {
+              type: "error",
+              message: `Application submitted, but the images could not be uploaded: ${imageError}`,
+            }
+          : {
+              type: "success",
+              message: "Application submitted! Admin will review it soon.",
+            },
+      );
 
       // Reset form
       setFormData({
         game_id: "",
+        service_type: "",
+        tags: [],
         title: "",
         description: "",
         price: "",
+        packages: [],
         service_details: [],
         termsAccepted: false,
       });
+      images.forEach((image) => URL.revokeObjectURL(image.preview));
+      setImages([]);
 
       setTimeout(() => navigate("/", { replace: true }), 2000);
     } catch (error) {
@@ -188,6 +280,71 @@ export default function Apply() {
               )}
             </div>
 
+            {/* Service Type */}
+            <div>
+              <label className="block text-sm font-semibold text-white mb-2">
+                Service Type
+              </label>
+              <div className="grid grid-cols-2 gap-3">
+                {vocabulary.service_types.map((type) => (
+                  <label
+                    key={type.value}
+                    className={`flex items-center gap-3 px-4 py-3 rounded-lg border cursor-pointer transition-all ${
+                      formData.service_type === type.value
+                        ? "border-ghaccent bg-ghaccent/10"
+                        : "border-ghforegroundlow/20 bg-ghbackground hover:border-ghaccent/50"
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="service_type"
+                      value={type.value}
+                      checked={formData.service_type === type.value}
+                      onChange={handleInputChange}
+                      className="text-ghaccent focus:ring-ghaccent"
+                      required
+                    />
+                    <Badge color={type.color}>{type.label}</Badge>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {/* Tags */}
+            {vocabulary.tags.length > 0 && (
+              <div>
+                <label className="block text-sm font-semibold text-white mb-2">
+                  Tags{" "}
+                  <span className="text-ghforegroundlow font-normal">
+                    ({formData.tags.length}/{vocabulary.max_tags})
+                  </span>
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {vocabulary.tags.map((tag) => {
+                    const selected = formData.tags.includes(tag.name);
+                    const atLimit =
+                      !selected && formData.tags.length >= vocabulary.max_tags;
+                    return (
+                      <button
+                        key={tag.id}
+                        type="button"
+                        onClick={() => toggleTag(tag.name)}
+                        disabled={atLimit}
+                        aria-pressed={selected}
+                        className={`rounded-full transition-all disabled:opacity-40 disabled:cursor-not-allowed ${
+                          selected
+                            ? "ring-2 ring-ghaccent"
+                            : "opacity-60 hover:opacity-100"
+                        }`}
+                      >
+                        <Badge color={tag.color}>{tag.name}</Badge>
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
             {/* Description */}
             <div>
               <label className="block text-sm font-semibold text-white mb-2">
@@ -205,22 +362,89 @@ export default function Apply() {
             </div>
 
             {/* Price */}
+            {formData.packages.length === 0 && (
+              <div>
+                <label className="block text-sm font-semibold text-white mb-2">
+                  Price per session ($)
+                </label>
+                <input
+                  type="number"
+                  name="price"
+                  value={formData.price}
+                  onChange={handleInputChange}
+                  placeholder="e.g., 25"
+                  min="1"
+                  className="w-full px-4 py-3 rounded-lg bg-ghbackground border border-ghforegroundlow/20 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent focus:border-transparent transition-all"
+                  required
+                />
+              </div>
+            )}
+
+            {/* Packages */}
             <div>
               <label className="block text-sm font-semibold text-white mb-2">
-                Price per session ($)
+                Packages{" "}
+                <span className="text-ghforegroundlow font-normal">
+                  (optional, {formData.packages.length}/{MAX_PACKAGES})
+                </span>
               </label>
-              <input
-                type="number"
-                name="price"
-                value={formData.price}
-                onChange={handleInputChange}
-                placeholder="e.g., 25"
-                min="1"
-                className="w-full px-4 py-3 rounded-lg bg-ghbackground border border-ghforegroundlow/20 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent focus:border-transparent transition-all"
-                required
+              <p className="text-xs text-ghforegroundlow mb-3">
+                Sell tiers such as 1 session, 5 sessions or monthly, or price
+                each rank division separately. Customers pick one when they
+                request your service.
+              </p>
+              <PackageEditor
+                packages={formData.packages}
+                onChange={(packages) => setFormData({ ...formData, packages })}
+                max={MAX_PACKAGES}
               />
             </div>
 
+            {/* Images */}
+            <div>
+              <label className="block text-sm font-semibold text-white mb-2">
+                Images{" "}
+                <span className="text-ghforegroundlow font-normal">
+                  ({images.length}/{MAX_IMAGES}, JPEG, PNG or WebP up to 5 MB)
+                </span>
+              </label>
+              <div className="grid grid-cols-3 gap-3">
+                {images.map((image, index) => (
+                  <div
+                    key={image.preview}
+                    className="relative aspect-[4/3] rounded-lg overflow-hidden border border-ghforegroundlow/20"
+                  >
+                    <img
+                      src={image.preview}
+                      alt={image.file.name}
+                      className="w-full h-full object-cover"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeImage(index)}
+                      aria-label={`Remove ${image.file.name}`}
+                      className="absolute top-1 right-1 p-1 rounded-full bg-black/60 text-white hover:bg-red-600 transition-colors"
+                    >
+                      <X size={14} />
+                    </button>
+                  </div>
+                ))}
+                {images.length < MAX_IMAGES && (
+                  <label className="aspect-[4/3] rounded-lg border-2 border-dashed border-ghforegroundlow/30 hover:border-ghaccent/50 flex flex-col items-center justify-center gap-1 text-ghforegroundlow cursor-pointer transition-all">
+                    <ImagePlus size={24} />
+                    <span className="text-xs">Add images</span>
+                    <input
+                      type="file"
+                      accept={ACCEPTED_IMAGE_TYPES.join(",")}
+                      multiple
+                      onChange={handleImageSelect}
+                      className="hidden"
+                    />
+                  </label>
+                )}
+              </div>
+            </div>
+
             {/* Terms and Conditions */}
             <div className="bg-ghbackground rounded-lg p-4 max-h-48 overflow-y-auto mb-4">
               <p className="text-sm text-ghforegroundlow">
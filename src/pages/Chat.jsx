@@ -1,5 +1,6 @@
 // React imports
 import { useState, useRef, useEffect } from "react";
+import { useSearchParams } from "react-router-dom";
 import {
   MessageCircle,
   Send,
@@ -14,24 +15,42 @@ import {
   Gamepad2,
   DollarSign,
   X,
+  Scale,
+  Star,
 } from "lucide-react";
 
 // File imports
 import Header from "../templates/Header";
+import RequestHistory from "../components/RequestHistory";
+import ReviewPrompt from "../components/ReviewPrompt";
 import { ChatAPI, RequestsAPI } from "../services/api";
 import { useAuth } from "../context/AuthContext";
 
+// Messages for structured chat error codes returned by the API
+const CHAT_ERROR_MESSAGES = {
+  CHAT_NOT_FOUND: "This chat no longer exists",
+  CHAT_NOT_MEMBER: "You are not a member of this chat",
+  CHAT_ARCHIVED: "This chat has been archived",
+  CHAT_REQUEST_CLOSED: "This service has been closed. The chat is read-only.",
+  CHAT_REQUEST_CANCELLED:
+    "This service request was cancelled. The chat is read-only.",
+};
+
 // Status timeline component
 const ServiceTimeline = ({ request, isEmployee, onComplete }) => {
   const [showCompleteForm, setShowCompleteForm] = useState(false);
   const [completionNotes, setCompletionNotes] = useState("");
   const [processing, setProcessing] = useState(false);
+  const [completeError, setCompleteError] = useState("");
 
   const handleComplete = async () => {
     setProcessing(true);
+    setCompleteError("");
     try {
       await onComplete(request.id, completionNotes);
       setShowCompleteForm(false);
+    } catch (err) {
+      setCompleteError(err.message || "Failed to submit completion");
     } finally {
       setProcessing(false);
     }
@@ -54,7 +73,6 @@ const ServiceTimeline = ({ request, isEmployee, onComplete }) => {
           "employee_accepted",
           "in_progress",
           "pending_completion",
-          "completed",
           "closed",
         ].includes(request?.status),
         date: request?.accepted_at,
@@ -63,12 +81,9 @@ const ServiceTimeline = ({ request, isEmployee, onComplete }) => {
         id: "started",
         label: "Service Started",
         icon: Play,
-        completed: [
-          "in_progress",
-          "pending_completion",
-          "completed",
-          "closed",
-        ].includes(request?.status),
+        completed: ["in_progress", "pending_completion", "closed"].includes(
+          request?.status,
+        ),
         active: request?.status === "in_progress",
         date: request?.started_at,
       },
@@ -76,9 +91,7 @@ const ServiceTimeline = ({ request, isEmployee, onComplete }) => {
         id: "completed",
         label: "Marked Complete",
         icon: CheckCircle,
-        completed: ["pending_completion", "completed", "closed"].includes(
-          request?.status,
-        ),
+        completed: ["pending_completion", "closed"].includes(request?.status),
         date: request?.completed_at,
       },
       {
@@ -180,6 +193,9 @@ const ServiceTimeline = ({ request, isEmployee, onComplete }) => {
               className="w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent resize-none text-sm"
               rows="2"
             />
+            {completeError && (
+              <p className="text-red-400 text-sm">{completeError}</p>
+            )}
             <div className="flex gap-2">
               <button
                 onClick={handleComplete}
@@ -222,6 +238,120 @@ const ServiceTimeline = ({ request, isEmployee, onComplete }) => {
   );
 };
 
+// Dispute panel: shows the current dispute or lets either party open one
+const DisputePanel = ({ request }) => {
+  const [disputes, setDisputes] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [reason, setReason] = useState("");
+  const [description, setDescription] = useState("");
+  const [processing, setProcessing] = useState(false);
+  const [formError, setFormError] = useState("");
+
+  useEffect(() => {
+    if (!request?.id) return;
+    RequestsAPI.getDisputes(request.id)
+      .then((res) => setDisputes(res.disputes || []))
+      .catch((err) => console.error("Failed to fetch disputes:", err));
+  }, [request?.id]);
+
+  const activeDispute = disputes.find((d) =>
+    ["open", "investigating"].includes(d.status),
+  );
+  const canDispute = [
+    "employee_accepted",
+    "in_progress",
+    "pending_completion",
+  ].includes(request?.status);
+
+  const handleSubmit = async () => {
+    if (!reason.trim() || !description.trim()) {
+      setFormError("Please provide a reason and description");
+      return;
+    }
+    setProcessing(true);
+    setFormError("");
+    try {
+      await RequestsAPI.openDispute(request.id, reason, description);
+      const res = await RequestsAPI.getDisputes(request.id);
+      setDisputes(res.disputes || []);
+      setShowForm(false);
+      setReason("");
+      setDescription("");
+    } catch (err) {
+      setFormError(err.message || "Failed to open dispute");
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  if (activeDispute) {
+    return (
+      <div className="bg-red-500/10 border border-red-500/30 rounded-xl p-3">
+        <p className="text-red-400 text-sm font-medium flex items-center gap-2">
+          <Scale size={14} />
+          Dispute{" "}
+          {activeDispute.status === "investigating"
+            ? "under investigation"
+            : "open"}
+        </p>
+        <p className="text-xs text-ghforegroundlow mt-1">
+          {activeDispute.reason}
+        </p>
+      </div>
+    );
+  }
+
+  if (!canDispute) return null;
+
+  return showForm ? (
+    <div className="space-y-3 animate-slideInUp">
+      <input
+        type="text"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        placeholder="Reason (e.g., Service not delivered)"
+        maxLength={100}
+        className="w-full px-4 py-2.5 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent text-sm"
+      />
+      <textarea
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Describe what went wrong..."
+        className="w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent resize-none text-sm"
+        rows="3"
+      />
+      {formError && <p className="text-red-400 text-xs">{formError}</p>}
+      <div className="flex gap-2">
+        <button
+          onClick={handleSubmit}
+          disabled={processing}
+          className="btn-danger flex-1 px-3 py-2 rounded-lg text-white font-medium text-sm flex items-center justify-center gap-2"
+        >
+          {processing ? (
+            <Loader size={14} className="animate-spin" />
+          ) : (
+            <Scale size={14} />
+          )}
+          Submit Dispute
+        </button>
+        <button
+          onClick={() => setShowForm(false)}
+          className="px-3 py-2 rounded-lg bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-ghforegroundlow font-medium text-sm transition-all"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  ) : (
+    <button
+      onClick={() => setShowForm(true)}
+      className="w-full px-4 py-2.5 rounded-xl border border-red-500/40 text-red-400 hover:bg-red-500/10 font-semibold text-sm flex items-center justify-center gap-2 transition-all"
+    >
+      <Scale size={16} /> Open Dispute
+    </button>
+  );
+};
+
 export default function Chat() {
   const { user, role } = useAuth();
   const [chats, setChats] = useState([]);
@@ -232,16 +362,27 @@ export default function Chat() {
   const [error, setError] = useState("");
   const [showInfo, setShowInfo] = useState(false);
   const [requestDetails, setRequestDetails] = useState(null);
+  const [readReceipts, setReadReceipts] = useState([]);
+  const [typingUser, setTypingUser] = useState(null);
+  const [chatError, setChatError] = useState(null);
   const messagesEndRef = useRef(null);
+  const typingTimeoutRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
+  const [searchParams] = useSearchParams();
+  const linkedChatId = parseInt(searchParams.get("chat")) || null;
 
-  // Fetch chats on mount
+  // Fetch chats on mount, and again when a notification links to a chat
+  // (?chat=<id>), which is then selected
   useEffect(() => {
     const fetchChats = async () => {
       try {
         setLoading(true);
         setError("");
         const res = await ChatAPI.listChats();
-        setChats(res.chats || []);
+        const list = res.chats || [];
+        setChats(list);
+        const linkedIdx = list.findIndex((c) => c.id === linkedChatId);
+        if (linkedIdx !== -1) setSelectedIdx(linkedIdx);
       } catch (err) {
         console.error("Failed to fetch chats:", err);
         setError("Failed to load chats");
@@ -251,7 +392,7 @@ export default function Chat() {
     };
 
     fetchChats();
-  }, []);
+  }, [linkedChatId]);
 
   // Fetch messages and request details when selected chat changes
   useEffect(() => {
@@ -266,15 +407,72 @@ export default function Chat() {
           ),
         ]);
         setMessages(messagesRes.messages || []);
+        setReadReceipts(messagesRes.read_receipts || []);
         setRequestDetails(requestRes.request || null);
       } catch (err) {
         console.error("Failed to fetch data:", err);
+        if (err.code) setChatError(err.code);
       }
     };
 
     fetchData();
   }, [selectedIdx, chats]);
 
+  // Live feed for the selected chat: new messages, typing and read receipts
+  const selectedChatId = chats[selectedIdx]?.id;
+  useEffect(() => {
+    if (!selectedChatId) return;
+
+    const stream = ChatAPI.openStream(selectedChatId);
+
+    stream.addEventListener("message", (e) => {
+      const message = JSON.parse(e.data);
+      setMessages((prev) =>
+        prev.some((m) => m.id === message.id) ? prev : [...prev, message],
+      );
+      setTypingUser((prev) =>
+        prev?.user_id === message.sender_user_id ? null : prev,
+      );
+    });
+
+    stream.addEventListener("typing", (e) => {
+      const typing = JSON.parse(e.data);
+      if (typing.user_id === user?.id) return;
+      clearTimeout(typingTimeoutRef.current);
+      if (typing.is_typing) {
+        setTypingUser(typing);
+        // Hide the indicator if no further typing events arrive
+        typingTimeoutRef.current = setTimeout(() => setTypingUser(null), 5000);
+      } else {
+        setTypingUser(null);
+      }
+    });
+
+    stream.addEventListener("read", (e) => {
+      const receipt = JSON.parse(e.data);
+      setReadReceipts((prev) => [
+        ...prev.filter((r) => r.user_id !== receipt.user_id),
+        receipt,
+      ]);
+    });
+
+    return () => {
+      stream.close();
+      clearTimeout(typingTimeoutRef.current);
+      setTypingUser(null);
+    };
+  }, [selectedChatId, user?.id]);
+
+  // Send a read receipt when the latest message is from the other party
+  const lastMessage = messages[messages.length - 1];
+  useEffect(() => {
+    if (!selectedChatId || !lastMessage?.id) return;
+    if (lastMessage.sender_user_id === user?.id) return;
+    ChatAPI.markRead(selectedChatId, lastMessage.id).catch((err) =>
+      console.error("Failed to send read receipt:", err),
+    );
+  }, [selectedChatId, lastMessage?.id, lastMessage?.sender_user_id, user?.id]);
+
   // Scroll to bottom on new message
   useEffect(() => {
     if (messagesEndRef.current) {
@@ -287,14 +485,32 @@ export default function Chat() {
     if (!input.trim() || chats.length === 0) return;
 
     try {
-      await ChatAPI.sendMessage(chats[selectedIdx].id, input);
+      const res = await ChatAPI.sendMessage(chats[selectedIdx].id, input);
       setInput("");
+      lastTypingSentRef.current = 0;
 
-      // Refresh messages
-      const res = await ChatAPI.getMessages(chats[selectedIdx].id);
-      setMessages(res.messages || []);
+      // The stream delivers the message too; skip it if it already arrived
+      if (res.message) {
+        setMessages((prev) =>
+          prev.some((m) => m.id === res.message.id)
+            ? prev
+            : [...prev, res.message],
+        );
+      }
     } catch (err) {
       console.error("Failed to send message:", err);
+      setChatError(err.code || null);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    setInput(e.target.value);
+
+    // Throttle typing events to one every 3 seconds
+    const now = Date.now();
+    if (e.target.value && now - lastTypingSentRef.current > 3000) {
+      lastTypingSentRef.current = now;
+      ChatAPI.sendTyping(chats[selectedIdx].id, true).catch(() => {});
     }
   };
 
@@ -306,6 +522,7 @@ export default function Chat() {
       setRequestDetails(res.request || null);
     } catch (err) {
       console.error("Failed to complete request:", err);
+      throw err;
     }
   };
 
@@ -313,6 +530,28 @@ export default function Chat() {
   const isEmployee = role === "employee";
   const isArchived = selectedChat?.is_archived;
 
+  // Posting is locked for archived chats and closed/cancelled requests
+  const lockedCode = isArchived
+    ? "CHAT_ARCHIVED"
+    : selectedChat?.request_status === "closed"
+      ? "CHAT_REQUEST_CLOSED"
+      : selectedChat?.request_status === "cancelled"
+        ? "CHAT_REQUEST_CANCELLED"
+        : chatError && chatError !== "CHAT_NOT_FOUND"
+          ? chatError
+          : null;
+
+  // Latest own message the other party has read
+  const otherPartyReadId = Math.max(
+    0,
+    ...readReceipts
+      .filter((r) => r.user_id !== user?.id)
+      .map((r) => r.last_read_message_id),
+  );
+  const lastSeenOwnMessageId = messages
+    .filter((m) => m.sender_user_id === user?.id && m.id <= otherPartyReadId)
+    .reduce((latest, m) => Math.max(latest, m.id), 0);
+
   return (
     <div className="bg-ghbackground min-h-screen w-full">
       <Header />
@@ -351,7 +590,10 @@ export default function Chat() {
               chats.map((chat, idx) => (
                 <div
                   key={chat.id}
-                  onClick={() => setSelectedIdx(idx)}
+                  onClick={() => {
+                    setSelectedIdx(idx);
+                    setChatError(null);
+                  }}
                   className={`flex items-center gap-3 px-4 py-3 cursor-pointer rounded-xl transition-all ${
                     idx === selectedIdx
                       ? "bg-ghaccent/20 border border-ghaccent/50"
@@ -450,6 +692,12 @@ export default function Chat() {
                 {/* Messages */}
                 <div className="flex-1 flex flex-col">
                   <div className="flex-1 overflow-y-auto px-6 py-6 flex flex-col gap-3">
+                    {chatError === "CHAT_NOT_FOUND" && (
+                      <div className="p-4 bg-red-500/20 border border-red-500/50 rounded-xl flex items-center gap-2 text-red-400">
+                        <AlertCircle size={20} />
+                        {CHAT_ERROR_MESSAGES[chatError]}
+                      </div>
+                    )}
                     {messages.length === 0 ? (
                       <div className="text-center py-12 text-ghforegroundlow">
                         <MessageCircle
@@ -490,21 +738,44 @@ export default function Chat() {
                                 hour: "2-digit",
                                 minute: "2-digit",
                               })}
+                              {msg.id === lastSeenOwnMessageId && " • Seen"}
                             </p>
                           </div>
                         </div>
                       ))
                     )}
+                    {typingUser && (
+                      <div className="flex justify-start">
+                        <div className="px-4 py-2 rounded-2xl rounded-bl-sm bg-ghbackground-secondary border border-ghforegroundlow/20 text-ghforegroundlow text-xs italic">
+                          {typingUser.full_name || "Someone"} is typing...
+                        </div>
+                      </div>
+                    )}
                     <div ref={messagesEndRef} />
                   </div>
 
                   {/* Input */}
-                  {isArchived ? (
+                  {lockedCode ? (
                     <div className="px-6 py-4 border-t border-ghforegroundlow/20 bg-ghbackground-secondary/50">
                       <div className="flex items-center justify-center gap-2 text-ghforegroundlow py-2">
-                        <Archive size={18} />
-                        <span>This chat has been archived</span>
+                        {lockedCode === "CHAT_NOT_MEMBER" ? (
+                          <AlertCircle size={18} />
+                        ) : (
+                          <Archive size={18} />
+                        )}
+                        <span>{CHAT_ERROR_MESSAGES[lockedCode]}</span>
                       </div>
+                      {requestDetails?.status === "closed" && !showInfo && (
+                        <button
+                          onClick={() => setShowInfo(true)}
+                          className="mx-auto flex items-center gap-2 text-sm text-ghaccent hover:text-white transition-colors"
+                        >
+                          <Star size={14} />
+                          {isEmployee
+                            ? "See the review and rate this client"
+                            : "Rate this service"}
+                        </button>
+                      )}
                     </div>
                   ) : (
                     <form
@@ -518,7 +789,7 @@ export default function Chat() {
                             placeholder="Type a message..."
                             className="w-full bg-ghbackground border border-ghforegroundlow/20 rounded-xl px-4 py-3 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent focus:border-transparent transition-all"
                             value={input}
-                            onChange={(e) => setInput(e.target.value)}
+                            onChange={handleInputChange}
                             autoComplete="off"
                           />
                         </div>
@@ -594,6 +865,28 @@ export default function Chat() {
                           onComplete={handleComplete}
                         />
                       </div>
+
+                      {/* History */}
+                      <div className="border-t border-ghforegroundlow/20 pt-6 mt-6">
+                        <h4 className="text-white font-bold mb-4">History</h4>
+                        <RequestHistory
+                          requestId={requestDetails?.id}
+                          refreshKey={requestDetails?.status}
+                        />
+                      </div>
+
+                      {/* Review, once the service is closed */}
+                      {requestDetails?.status === "closed" && (
+                        <div className="border-t border-ghforegroundlow/20 pt-6 mt-6">
+                          <h4 className="text-white font-bold mb-4">Review</h4>
+                          <ReviewPrompt requestId={requestDetails.id} />
+                        </div>
+                      )}
+
+                      {/* Dispute */}
+                      <div className="border-t border-ghforegroundlow/20 pt-6 mt-6">
+                        <DisputePanel request={requestDetails} />
+                      </div>
                     </div>
                   </div>
                 )}
@@ -0,0 +1,504 @@
+// React imports
+import { useState, useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import {
+  ArrowLeft,
+  Award,
+  CalendarDays,
+  CheckCircle,
+  Gamepad2,
+  Loader,
+  AlertCircle,
+  MessageCircle,
+  Star,
+  TrendingUp,
+  Clock,
+  ShieldCheck,
+} from "lucide-react";
+
+// File imports
+import Header from "../templates/Header";
+import Badge from "../components/Badge";
+import StarRating from "../components/StarRating";
+import ServiceRequestForm from "../components/ServiceRequestForm";
+import ReportReviewButton from "../components/ReportReviewButton";
+import { CoachesAPI, RequestsAPI, ReviewsAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+import { priceLabel } from "../constants/packages";
+
+const REVIEWS_PAGE_SIZE = 10;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+// One of the coach's live services, with its request form
+const CoachServiceCard = ({ service, canRequest }) => {
+  const navigate = useNavigate();
+  const [showForm, setShowForm] = useState(false);
+  const [requestId, setRequestId] = useState(null);
+  const [error, setError] = useState("");
+
+  const handleRequest = async (details, sessionStart, packageId) => {
+    setError("");
+    try {
+      const res = await RequestsAPI.createRequest({
+        published_service_id: service.id,
+        service_details: details,
+        session_start: sessionStart || undefined,
+        package_id: packageId || undefined,
+      });
+      setRequestId(res.request_id);
+      setShowForm(false);
+    } catch (err) {
+      console.error("Failed to create request:", err);
+      setError(err.message || "Failed to submit request. Please try again.");
+    }
+  };
+
+  return (
+    <div className="bg-ghbackground-secondary rounded-2xl border border-ghforegroundlow/20 p-6 space-y-3">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-bold text-white">{service.title}</h3>
+          <div className="flex flex-wrap gap-2 mt-2">
+            <span className="inline-flex items-center gap-1.5 px-3 py-1 rounded-lg bg-ghaccent/10 border border-ghaccent/30 text-ghaccent text-xs">
+              <Gamepad2 size={12} />
+              {service.game_name}
+            </span>
+            {service.service_type_info && (
+              <Badge color={service.service_type_info.color}>
+                {service.service_type_info.label}
+              </Badge>
+            )}
+            {service.tags.map((tag) => (
+              <Badge key={tag.name} color={tag.color}>
+                {tag.name}
+              </Badge>
+            ))}
+          </div>
+        </div>
+        <div className="text-right flex-shrink-0">
+          <p className="text-2xl font-bold text-green-400">
+            ${parseFloat(service.price).toFixed(2)}
+          </p>
+          <p className="text-xs text-ghforegroundlow">{priceLabel(service)}</p>
+        </div>
+      </div>
+
+      {service.description && (
+        <p className="text-sm text-ghforegroundlow">{service.description}</p>
+      )}
+
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+
+      {requestId ? (
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <span className="text-green-400 flex items-center gap-2">
+            <CheckCircle size={16} />
+            Request sent
+          </span>
+          <button
+            onClick={() => navigate(`/?tab=my-requests&request=${requestId}`)}
+            className="text-ghaccent hover:text-white transition-colors"
+          >
+            View in My Requests
+          </button>
+        </div>
+      ) : showForm ? (
+        <ServiceRequestForm
+          service={service}
+          onSubmit={handleRequest}
+          onCancel={() => setShowForm(false)}
+        />
+      ) : (
+        canRequest && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="btn-primary px-6 py-2.5 rounded-xl text-white font-semibold flex items-center gap-2"
+          >
+            <MessageCircle size={18} />
+            Request Service
+          </button>
+        )
+      )}
+    </div>
+  );
+};
+
+// Count of reviews per star, 5 down to 1
+const RatingBreakdown = ({ breakdown, total }) => (
+  <div className="space-y-1.5">
+    {[5, 4, 3, 2, 1].map((star) => {
+      const count = breakdown[star] || 0;
+      const percent = total > 0 ? (count / total) * 100 : 0;
+      return (
+        <div key={star} className="flex items-center gap-2 text-sm">
+          <span className="w-3 text-ghforegroundlow">{star}</span>
+          <Star size={12} className="text-yellow-400" fill="currentColor" />
+          <div className="flex-1 h-2 rounded-full bg-ghforegroundlow/20 overflow-hidden">
+            <div
+              className="h-full bg-yellow-400 rounded-full"
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+          <span className="w-8 text-right text-ghforegroundlow">{count}</span>
+        </div>
+      );
+    })}
+  </div>
+);
+
+const ReviewItem = ({ review, canReport }) => (
+  <div className="py-4 border-b border-ghforegroundlow/10 last:border-0 space-y-2">
+    <div className="flex items-center gap-3">
+      <img
+        src={
+          review.profile_picture ||
+          "https://randomuser.me/api/portraits/lego/1.jpg"
+        }
+        alt={review.full_name}
+        className="w-9 h-9 rounded-full object-cover"
+      />
+      <div className="flex-1 min-w-0">
+        <p className="text-white font-medium text-sm">{review.full_name}</p>
+        <p className="text-xs text-ghforegroundlow">
+          {formatDate(review.created_at)}
+        </p>
+      </div>
+      <StarRating value={review.rating} size={14} />
+    </div>
+    {review.review_text && (
+      <p className="text-sm text-ghforegroundlow break-words">
+        {review.review_text}
+      </p>
+    )}
+    {review.reply_text && (
+      <div className="ml-3 pl-3 border-l-2 border-ghaccent/40">
+        <p className="text-xs text-ghforegroundlow">Coach reply</p>
+        <p className="text-sm text-white break-words">{review.reply_text}</p>
+      </div>
+    )}
+    {canReport && <ReportReviewButton reviewId={review.id} />}
+  </div>
+);
+
+export default function CoachProfile() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  // Keyed by coach, so opening another profile shows the loader
+  const [profile, setProfile] = useState({ id: null, coach: null, error: "" });
+  const [reviews, setReviews] = useState({
+    id: null,
+    reviews: [],
+    total: 0,
+    average: 0,
+    breakdown: {},
+  });
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  useEffect(() => {
+    CoachesAPI.getCoach(id)
+      .then((res) => setProfile({ id, coach: res.coach, error: "" }))
+      .catch((err) => {
+        console.error("Failed to fetch coach:", err);
+        setProfile({
+          id,
+          coach: null,
+          error: err.message || "Failed to load this coach",
+        });
+      });
+
+    ReviewsAPI.getCoachReviews(id, REVIEWS_PAGE_SIZE, 0)
+      .then((res) =>
+        setReviews({
+          id,
+          reviews: res.reviews || [],
+          total: res.total || 0,
+          average: res.average || 0,
+          breakdown: res.breakdown || {},
+        }),
+      )
+      .catch((err) => {
+        console.error("Failed to fetch reviews:", err);
+        setReviews({ id, reviews: [], total: 0, average: 0, breakdown: {} });
+      });
+  }, [id]);
+
+  const loadMoreReviews = async () => {
+    setLoadingMore(true);
+    try {
+      const res = await ReviewsAPI.getCoachReviews(
+        id,
+        REVIEWS_PAGE_SIZE,
+        reviews.reviews.length,
+      );
+      setReviews((prev) => ({
+        ...prev,
+        reviews: [...prev.reviews, ...(res.reviews || [])],
+      }));
+    } catch (err) {
+      console.error("Failed to fetch reviews:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const { coach } = profile;
+  const isOwnProfile = user?.id === coach?.id;
+
+  return (
+    <>
+      <Header />
+      <main className="bg-gradient-to-br from-ghbackground via-ghbackground-secondary to-ghbackground min-h-screen py-12 px-4">
+        <div className="max-w-5xl mx-auto animate-slideInDown space-y-6">
+          <button
+            onClick={() => navigate(-1)}
+            className="flex items-center gap-2 text-ghforegroundlow hover:text-white transition-colors"
+          >
+            <ArrowLeft size={18} />
+            Back
+          </button>
+
+          {profile.id !== id ? (
+            <div className="flex items-center justify-center gap-3 text-ghforegroundlow py-16">
+              <Loader size={24} className="animate-spin" />
+              <span>Loading coach...</span>
+            </div>
+          ) : profile.error ? (
+            <div className="p-4 bg-red-500/20 border border-red-500/50 rounded-xl flex items-center gap-3 text-red-400">
+              <AlertCircle size={24} />
+              {profile.error}
+            </div>
+          ) : (
+            <>
+              {/* Profile */}
+              <div className="bg-ghbackground-secondary rounded-2xl border border-ghforegroundlow/20 p-8 flex flex-col md:flex-row gap-6">
+                <img
+                  src={
+                    coach.profile_picture ||
+                    "https://randomuser.me/api/portraits/lego/1.jpg"
+                  }
+                  alt={coach.full_name}
+                  className="w-32 h-32 rounded-2xl object-cover border-4 border-ghaccent/50 shadow-lg"
+                />
+                <div className="flex-1 min-w-0 space-y-3">
+                  <div className="flex flex-wrap items-center gap-3">
+                    <h1 className="text-3xl md:text-4xl font-bold text-white">
+                      {coach.full_name}
+                    </h1>
+                    {!!coach.profile?.is_verified && (
+                      <span
+                        className="inline-flex items-center gap-1.5 px-3 py-1 rounded-full bg-green-500/20 border border-green-500/50 text-green-400 text-xs font-semibold"
+                        title={
+                          coach.profile.verification_date
+                            ? `Verified on ${formatDate(coach.profile.verification_date)}`
+                            : undefined
+                        }
+                      >
+                        <ShieldCheck size={14} />
+                        Verified Coach
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap items-center gap-4 text-sm text-ghforegroundlow">
+                    <span className="flex items-center gap-2">
+                      <StarRating value={coach.profile?.rating} />
+                      {coach.profile?.total_reviews > 0
+                        ? `${Number(coach.profile.rating).toFixed(1)} (${coach.profile.total_reviews} reviews)`
+                        : "No reviews yet"}
+                    </span>
+                    {coach.profile?.rank_tier && (
+                      <span className="flex items-center gap-1">
+                        <Award size={14} className="text-ghaccent" />
+                        {coach.profile.rank_tier}
+                      </span>
+                    )}
+                    {coach.profile?.years_experience > 0 && (
+                      <span className="flex items-center gap-1">
+                        <Clock size={14} />
+                        {coach.profile.years_experience} years experience
+                      </span>
+                    )}
+                    <span className="flex items-center gap-1">
+                      <CalendarDays size={14} />
+                      Member since {formatDate(coach.created_at)}
+                    </span>
+                  </div>
+                  {coach.profile?.bio && (
+                    <p className="text-ghforegroundlow leading-relaxed">
+                      {coach.profile.bio}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              {/* Completion Stats */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {[
+                  {
+                    icon: CheckCircle,
+                    label: "Services Completed",
+                    value: coach.stats.completed,
+                  },
+                  {
+                    icon: TrendingUp,
+                    label: "Completion Rate",
+                    value:
+                      coach.stats.completion_rate === null
+                        ? "–"
+                        : `${coach.stats.completion_rate}%`,
+                  },
+                  {
+                    icon: Clock,
+                    label: "In Progress",
+                    value: coach.stats.in_progress,
+                  },
+                  {
+                    icon: Star,
+                    label: "Reviews",
+                    value: coach.profile?.total_reviews || 0,
+                  },
+                ].map((stat) => {
+                  const Icon = stat.icon;
+                  return (
+                    <div
+                      key={stat.label}
+                      className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 p-5 flex items-center justify-between"
+                    >
+                      <div>
+                        <p className="text-sm text-ghforegroundlow mb-1">
+                          {stat.label}
+                        </p>
+                        <p className="text-2xl font-bold text-white">
+                          {stat.value}
+                        </p>
+                      </div>
+                      <Icon size={24} className="text-ghaccent" />
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Specializations */}
+              {coach.specializations.length > 0 && (
+                <section className="space-y-3">
+                  <h2 className="text-xl font-bold text-white">
+                    Specializations
+                  </h2>
+                  <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-3">
+                    {coach.specializations.map((spec) => (
+                      <div
+                        key={spec.id}
+                        className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 p-4 space-y-1"
+                      >
+                        <p className="text-white font-semibold flex items-center gap-2">
+                          <Gamepad2 size={16} className="text-ghaccent" />
+                          {spec.name}
+                        </p>
+                        {spec.rank_in_game && (
+                          <p className="text-sm text-ghforegroundlow">
+                            Rank: {spec.rank_in_game}
+                          </p>
+                        )}
+                        {spec.years_in_game > 0 && (
+                          <p className="text-sm text-ghforegroundlow">
+                            {spec.years_in_game} years played
+                          </p>
+                        )}
+                        {spec.hourly_rate && (
+                          <p className="text-sm text-green-400 font-semibold">
+                            ${parseFloat(spec.hourly_rate).toFixed(2)}/hour
+                          </p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </section>
+              )}
+
+              {/* Services */}
+              <section className="space-y-3">
+                <h2 className="text-xl font-bold text-white">Services</h2>
+                {coach.services.length === 0 ? (
+                  <p className="text-ghforegroundlow">
+                    No services available right now.
+                  </p>
+                ) : (
+                  coach.services.map((service) => (
+                    <CoachServiceCard
+                      key={service.id}
+                      service={service}
+                      canRequest={!isOwnProfile}
+                    />
+                  ))
+                )}
+              </section>
+
+              {/* Reviews */}
+              <section className="space-y-3">
+                <h2 className="text-xl font-bold text-white">Reviews</h2>
+                <div className="bg-ghbackground-secondary rounded-2xl border border-ghforegroundlow/20 p-6">
+                  {reviews.id !== id ? (
+                    <div className="flex items-center gap-2 text-ghforegroundlow">
+                      <Loader size={16} className="animate-spin" />
+                      Loading reviews...
+                    </div>
+                  ) : reviews.total === 0 ? (
+                    <p className="text-ghforegroundlow">No reviews yet.</p>
+                  ) : (
+                    <>
+                      <div className="flex flex-col sm:flex-row gap-6 pb-4 border-b border-ghforegroundlow/20">
+                        <div className="text-center sm:w-40">
+                          <p className="text-5xl font-bold text-white">
+                            {Number(reviews.average).toFixed(1)}
+                          </p>
+                          <div className="flex justify-center my-1">
+                            <StarRating value={reviews.average} />
+                          </div>
+                          <p className="text-sm text-ghforegroundlow">
+                            {reviews.total} review
+                            {reviews.total === 1 ? "" : "s"}
+                          </p>
+                        </div>
+                        <div className="flex-1">
+                          <RatingBreakdown
+                            breakdown={reviews.breakdown}
+                            total={reviews.total}
+                          />
+                        </div>
+                      </div>
+                      {reviews.reviews.map((review) => (
+                        <ReviewItem
+                          key={review.id}
+                          review={review}
+                          canReport={!!user}
+                        />
+                      ))}
+                      {reviews.reviews.length < reviews.total && (
+                        <button
+                          onClick={loadMoreReviews}
+                          disabled={loadingMore}
+                          className="mt-4 w-full px-4 py-2.5 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-white font-semibold text-sm flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+                        >
+                          {loadingMore && (
+                            <Loader size={16} className="animate-spin" />
+                          )}
+                          Show more reviews
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </section>
+            </>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
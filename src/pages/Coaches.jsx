@@ -0,0 +1,399 @@
+// React imports
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import {
+  AlertCircle,
+  Award,
+  CheckCircle,
+  Clock,
+  Gamepad2,
+  Loader,
+  ShieldCheck,
+  Users,
+} from "lucide-react";
+
+// File imports
+import Header from "../templates/Header";
+import FilterChip from "../components/FilterChip";
+import StarRating from "../components/StarRating";
+import { CoachesAPI } from "../services/api";
+
+const COACHES_PAGE_SIZE = 20;
+
+const SORT_OPTIONS = [
+  { value: "ranked", label: "Recommended" },
+  { value: "rating", label: "Highest Rated" },
+  { value: "reviews", label: "Most Reviewed" },
+  { value: "completed", label: "Most Completed" },
+  { value: "rate_asc", label: "Rate: Low to High" },
+  { value: "rate_desc", label: "Rate: High to Low" },
+  { value: "experience", label: "Most Experienced" },
+];
+
+// Hourly rate chips ([min, max), null = no limit)
+const RATE_RANGES = [
+  { label: "Under $15/h", min: null, max: 15 },
+  { label: "$15 – $30/h", min: 15, max: 30 },
+  { label: "$30 – $60/h", min: 30, max: 60 },
+  { label: "$60+/h", min: 60, max: null },
+];
+
+const EXPERIENCE_STEPS = [1, 3, 5];
+
+const RATING_STEPS = [4.5, 4, 3];
+
+const EMPTY_FILTERS = {
+  gameId: "",
+  rank: "",
+  rateRange: null,
+  minYears: null,
+  minRating: null,
+  verifiedOnly: false,
+  sort: "ranked",
+};
+
+// Turn the page's filter state into CoachesAPI.listCoaches filters
+const toCoachQuery = (filters) => ({
+  gameId: filters.gameId,
+  rank: filters.rank,
+  minRate: filters.rateRange?.min ?? null,
+  maxRate: filters.rateRange?.max ?? null,
+  minYears: filters.minYears,
+  minRating: filters.minRating,
+  verifiedOnly: filters.verifiedOnly,
+  sort: filters.sort,
+});
+
+const selectClass =
+  "px-5 py-3 rounded-xl bg-ghbackground-secondary border border-ghforegroundlow/20 text-white focus:outline-none focus:ring-2 focus:ring-ghaccent cursor-pointer";
+
+const CoachCard = ({ coach, gameSelected }) => (
+  <div className="bg-ghbackground-secondary rounded-2xl border border-ghforegroundlow/20 p-6 card-hover group">
+    <div className="flex gap-5">
+      <Link to={`/coaches/${coach.id}`} className="flex-shrink-0">
+        <img
+          src={
+            coach.profile_picture ||
+            "https://randomuser.me/api/portraits/lego/1.jpg"
+          }
+          alt={coach.full_name}
+          className="w-20 h-20 rounded-2xl object-cover border-2 border-ghaccent/50 shadow-lg group-hover:shadow-ghaccent/30 transition-shadow"
+        />
+      </Link>
+
+      <div className="flex-1 min-w-0 space-y-2">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <Link
+              to={`/coaches/${coach.id}`}
+              className="text-xl font-bold text-white hover:text-ghaccent transition-colors flex items-center gap-2"
+            >
+              {coach.full_name}
+              {coach.is_verified && (
+                <ShieldCheck
+                  size={18}
+                  className="text-green-400"
+                  aria-label="Verified coach"
+                />
+              )}
+            </Link>
+            <div className="flex items-center gap-2 text-sm text-ghforegroundlow">
+              <StarRating value={coach.rating} size={14} />
+              {coach.total_reviews > 0
+                ? `${Number(coach.rating).toFixed(1)} (${coach.total_reviews})`
+                : "No reviews yet"}
+            </div>
+          </div>
+          {coach.hourly_rate !== null && (
+            <div className="text-right flex-shrink-0">
+              <p className="text-2xl font-bold text-green-400">
+                ${parseFloat(coach.hourly_rate).toFixed(2)}
+              </p>
+              <p className="text-xs text-ghforegroundlow">
+                {gameSelected ? "per hour" : "per hour, from"}
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 text-sm text-ghforegroundlow">
+          {coach.rank_tier && (
+            <span className="flex items-center gap-1">
+              <Award size={14} className="text-ghaccent" />
+              {coach.rank_tier}
+            </span>
+          )}
+          {coach.years_experience > 0 && (
+            <span className="flex items-center gap-1">
+              <Clock size={14} />
+              {coach.years_experience} years
+            </span>
+          )}
+          <span className="flex items-center gap-1">
+            <CheckCircle size={14} />
+            {coach.total_services_completed} completed
+          </span>
+        </div>
+
+        {coach.games.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {coach.games.map((game) => (
+              <span
+                key={game.id}
+                className="inline-flex items-center gap-1.5 px-3 py-1 rounded-lg bg-ghaccent/10 border border-ghaccent/30 text-ghaccent text-xs"
+              >
+                <Gamepad2 size={12} />
+                {game.name}
+                {game.rank_in_game && ` · ${game.rank_in_game}`}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {coach.bio && (
+          <p className="text-ghforegroundlow text-sm line-clamp-2">
+            {coach.bio}
+          </p>
+        )}
+      </div>
+    </div>
+  </div>
+);
+
+export default function Coaches() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [coaches, setCoaches] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+
+  // Search coaches on the server whenever the filters change
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCoaches = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const res = await CoachesAPI.listCoaches(
+          toCoachQuery(filters),
+          COACHES_PAGE_SIZE,
+          0,
+        );
+        if (cancelled) return;
+        setCoaches(res.coaches || []);
+        setTotal(res.total || 0);
+        setFacets(res.facets || null);
+      } catch (err) {
+        console.error("Failed to fetch coaches:", err);
+        if (!cancelled) setError("Failed to load coaches. Please try again.");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchCoaches();
+    return () => {
+      cancelled = true;
+    };
+  }, [filters]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const res = await CoachesAPI.listCoaches(
+        toCoachQuery(filters),
+        COACHES_PAGE_SIZE,
+        coaches.length,
+      );
+      setCoaches((prev) => [...prev, ...(res.coaches || [])]);
+    } catch (err) {
+      console.error("Failed to load more coaches:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const setFilter = (key, value) =>
+    setFilters((prev) => ({ ...prev, [key]: value }));
+
+  // Toggle a single-value filter (clicking the active chip clears it)
+  const toggleFilter = (key, value, isActive) =>
+    setFilter(key, isActive ? null : value);
+
+  const hasActiveFilters =
+    filters.gameId ||
+    filters.rank ||
+    filters.rateRange ||
+    filters.minYears ||
+    filters.minRating ||
+    filters.verifiedOnly;
+
+  return (
+    <>
+      <Header />
+      <main className="bg-gradient-to-br from-ghbackground via-ghbackground-secondary to-ghbackground min-h-screen py-12 px-4">
+        <div className="max-w-5xl mx-auto animate-slideInDown">
+          <div className="mb-8">
+            <h1 className="text-3xl md:text-4xl font-bold text-white flex items-center gap-3">
+              <Users size={32} className="text-ghaccent" />
+              Find a Coach
+            </h1>
+            <p className="text-ghforegroundlow mt-2">
+              Coaches are ranked by rating, number of reviews and completed
+              services.
+            </p>
+          </div>
+
+          {/* Game, rank and sort */}
+          <div className="flex flex-col md:flex-row gap-4 mb-6">
+            <select
+              value={filters.gameId}
+              onChange={(e) =>
+                // Ranks belong to a game, so start over when it changes
+                setFilters((prev) => ({
+                  ...prev,
+                  gameId: e.target.value,
+                  rank: "",
+                }))
+              }
+              className={`flex-1 ${selectClass}`}
+            >
+              <option value="">All Games</option>
+              {(facets?.games || []).map((game) => (
+                <option key={game.id} value={game.id}>
+                  {game.name} ({game.count})
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.rank}
+              onChange={(e) => setFilter("rank", e.target.value)}
+              disabled={!facets?.ranks.length && !filters.rank}
+              className={`${selectClass} disabled:opacity-50`}
+            >
+              <option value="">Any Rank</option>
+              {(facets?.ranks || []).map((rank) => (
+                <option key={rank.value} value={rank.value}>
+                  {rank.value} ({rank.count})
+                </option>
+              ))}
+            </select>
+            <select
+              value={filters.sort}
+              onChange={(e) => setFilter("sort", e.target.value)}
+              className={selectClass}
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Filter Chips */}
+          <div className="space-y-3 mb-8">
+            <div className="flex flex-wrap items-center gap-2">
+              {RATE_RANGES.map((range) => {
+                const active = filters.rateRange?.label === range.label;
+                return (
+                  <FilterChip
+                    key={range.label}
+                    label={range.label}
+                    active={active}
+                    onClick={() => toggleFilter("rateRange", range, active)}
+                  />
+                );
+              })}
+              {EXPERIENCE_STEPS.map((years) => (
+                <FilterChip
+                  key={years}
+                  label={`${years}+ years`}
+                  active={filters.minYears === years}
+                  onClick={() =>
+                    toggleFilter("minYears", years, filters.minYears === years)
+                  }
+                />
+              ))}
+              {RATING_STEPS.map((rating) => (
+                <FilterChip
+                  key={rating}
+                  label={`${rating}★ & up`}
+                  active={filters.minRating === rating}
+                  onClick={() =>
+                    toggleFilter(
+                      "minRating",
+                      rating,
+                      filters.minRating === rating,
+                    )
+                  }
+                />
+              ))}
+              <FilterChip
+                label="Verified only"
+                active={filters.verifiedOnly}
+                onClick={() => setFilter("verifiedOnly", !filters.verifiedOnly)}
+              />
+            </div>
+            <div className="flex items-center gap-4 text-sm text-ghforegroundlow">
+              <span>
+                {total} coach{total === 1 ? "" : "es"}
+              </span>
+              {hasActiveFilters && (
+                <button
+                  onClick={() => setFilters(EMPTY_FILTERS)}
+                  className="text-ghaccent hover:underline"
+                >
+                  Clear filters
+                </button>
+              )}
+            </div>
+          </div>
+
+          {error && (
+            <div className="mb-6 p-4 bg-red-500/20 border border-red-500/50 rounded-xl flex items-center gap-3 text-red-400">
+              <AlertCircle size={20} />
+              {error}
+            </div>
+          )}
+
+          {/* Coaches List */}
+          {loading ? (
+            <div className="flex items-center justify-center gap-3 text-ghforegroundlow py-16">
+              <Loader size={24} className="animate-spin" />
+              <span>Loading coaches...</span>
+            </div>
+          ) : coaches.length > 0 ? (
+            <div className="space-y-4">
+              {coaches.map((coach) => (
+                <CoachCard
+                  key={coach.id}
+                  coach={coach}
+                  gameSelected={!!filters.gameId}
+                />
+              ))}
+              {coaches.length < total && (
+                <button
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                  className="w-full px-4 py-3 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-white font-semibold flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+                >
+                  {loadingMore && <Loader size={18} className="animate-spin" />}
+                  Show more coaches
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="text-center py-16 text-ghforegroundlow">
+              <Users size={48} className="mx-auto mb-4 opacity-50" />
+              <p>No coaches match these filters.</p>
+            </div>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
@@ -1,6 +1,6 @@
 // React imports
 import { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import {
   Gamepad2,
   AlertCircle,
@@ -16,17 +16,38 @@ import {
   Play,
   Check,
   X,
+  Wallet,
+  CalendarDays,
+  ShieldCheck,
 } from "lucide-react";
 
 // File imports
 import Header from "../templates/Header";
+import Badge from "../components/Badge";
+import FilterChip from "../components/FilterChip";
+import ServiceRequestForm from "../components/ServiceRequestForm";
+import SessionsCalendar from "../components/SessionsCalendar";
+import AvailabilityEditor from "../components/AvailabilityEditor";
+import VerificationPanel from "../components/VerificationPanel";
+import PackageEditor from "../components/PackageEditor";
+import OfferForm from "../components/OfferForm";
+import QuotePanel from "../components/QuotePanel";
+import ReviewPrompt from "../components/ReviewPrompt";
 import { useAuth } from "../context/AuthContext";
 import {
   ServicesAPI,
   GamesAPI,
   ApplicationsAPI,
   RequestsAPI,
+  WalletAPI,
 } from "../services/api";
+import { formatSessionRange } from "../constants/sessions";
+import { MAX_PACKAGES, priceLabel } from "../constants/packages";
+
+// Once a price is negotiated, the latest offer has to be accepted before
+// the requester can confirm (the server refuses otherwise)
+const canConfirm = (request) =>
+  !request.quote_status || request.quote_status === "accepted";
 
 // Status badge component
 const StatusBadge = ({ status }) => {
@@ -54,12 +75,14 @@ const StatusBadge = ({ status }) => {
     },
     closed: { class: "status-closed", icon: CheckCircle, label: "Closed" },
     cancelled: { class: "status-cancelled", icon: XCircle, label: "Cancelled" },
+    processing: { class: "status-pending", icon: Clock, label: "Processing" },
     approved: {
       class: "status-completed",
       icon: CheckCircle,
       label: "Approved",
     },
     rejected: { class: "status-cancelled", icon: XCircle, label: "Rejected" },
+    paid: { class: "status-completed", icon: CheckCircle, label: "Paid" },
   };
 
   const config = statusConfig[status] || statusConfig.pending;
@@ -85,19 +108,10 @@ const ServiceCard = ({
   onCancel,
 }) => {
   const [showDetails, setShowDetails] = useState(false);
-  const [serviceDetails, setServiceDetails] = useState("");
-  const [submitting, setSubmitting] = useState(false);
 
-  const handleRequest = async () => {
-    if (!serviceDetails.trim()) return;
-    setSubmitting(true);
-    try {
-      await onRequest(service.id, serviceDetails);
-      setShowDetails(false);
-      setServiceDetails("");
-    } finally {
-      setSubmitting(false);
-    }
+  const handleRequest = async (details, sessionStart, packageId) => {
+    await onRequest(service.id, details, sessionStart, packageId);
+    setShowDetails(false);
   };
 
   return (
@@ -106,14 +120,16 @@ const ServiceCard = ({
         <div className="flex gap-5">
           {/* Coach Avatar */}
           <div className="flex-shrink-0">
-            <img
-              src={
-                service.profile_picture ||
-                "https://randomuser.me/api/portraits/lego/1.jpg"
-              }
-              alt={service.full_name}
-              className="w-20 h-20 rounded-2xl object-cover border-2 border-ghaccent/50 shadow-lg group-hover:shadow-ghaccent/30 transition-shadow"
-            />
+            <Link to={`/coaches/${service.employee_id}`}>
+              <img
+                src={
+                  service.profile_picture ||
+                  "https://randomuser.me/api/portraits/lego/1.jpg"
+                }
+                alt={service.full_name}
+                className="w-20 h-20 rounded-2xl object-cover border-2 border-ghaccent/50 shadow-lg group-hover:shadow-ghaccent/30 transition-shadow"
+              />
+            </Link>
           </div>
 
           {/* Service Info */}
@@ -124,14 +140,29 @@ const ServiceCard = ({
                   {service.title}
                 </h3>
                 <p className="text-sm text-ghforegroundlow">
-                  by {service.full_name}
+                  by{" "}
+                  <Link
+                    to={`/coaches/${service.employee_id}`}
+                    className="hover:text-ghaccent transition-colors"
+                  >
+                    {service.full_name}
+                  </Link>
+                  {!!service.is_verified && (
+                    <ShieldCheck
+                      size={14}
+                      className="inline ml-1 text-green-400"
+                      aria-label="Verified coach"
+                    />
+                  )}
                 </p>
               </div>
               <div className="text-right flex-shrink-0">
                 <p className="text-2xl font-bold text-green-400">
                   ${parseFloat(service.price).toFixed(2)}
                 </p>
-                <p className="text-xs text-ghforegroundlow">per session</p>
+                <p className="text-xs text-ghforegroundlow">
+                  {priceLabel(service)}
+                </p>
               </div>
             </div>
 
@@ -148,6 +179,21 @@ const ServiceCard = ({
               )}
             </div>
 
+            {(service.service_type_info || service.tags?.length > 0) && (
+              <div className="flex flex-wrap gap-2 mb-3">
+                {service.service_type_info && (
+                  <Badge color={service.service_type_info.color}>
+                    {service.service_type_info.label}
+                  </Badge>
+                )}
+                {service.tags.map((tag) => (
+                  <Badge key={tag.name} color={tag.color}>
+                    {tag.name}
+                  </Badge>
+                ))}
+              </div>
+            )}
+
             <p className="text-ghforegroundlow text-sm line-clamp-2 mb-4">
               {service.description}
             </p>
@@ -156,15 +202,16 @@ const ServiceCard = ({
             {hasRequested && existingRequest ? (
               <div className="flex items-center gap-3 flex-wrap">
                 <StatusBadge status={existingRequest.status} />
-                {existingRequest.status === "employee_accepted" && (
-                  <button
-                    onClick={() => onConfirm(existingRequest.id)}
-                    className="btn-success px-4 py-2 rounded-xl text-white font-semibold text-sm flex items-center gap-2"
-                  >
-                    <CheckCircle size={16} />
-                    Confirm & Start
-                  </button>
-                )}
+                {existingRequest.status === "employee_accepted" &&
+                  canConfirm(existingRequest) && (
+                    <button
+                      onClick={() => onConfirm(existingRequest.id)}
+                      className="btn-success px-4 py-2 rounded-xl text-white font-semibold text-sm flex items-center gap-2"
+                    >
+                      <CheckCircle size={16} />
+                      Confirm & Start
+                    </button>
+                  )}
                 {existingRequest.status === "pending" && (
                   <button
                     onClick={() => onCancel(existingRequest.id)}
@@ -175,35 +222,11 @@ const ServiceCard = ({
                 )}
               </div>
             ) : showDetails ? (
-              <div className="space-y-3 animate-slideInUp">
-                <textarea
-                  value={serviceDetails}
-                  onChange={(e) => setServiceDetails(e.target.value)}
-                  placeholder="Describe what you need help with..."
-                  className="w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent resize-none"
-                  rows="3"
-                />
-                <div className="flex gap-2">
-                  <button
-                    onClick={handleRequest}
-                    disabled={!serviceDetails.trim() || submitting}
-                    className="btn-primary px-4 py-2 rounded-xl text-white font-semibold text-sm disabled:opacity-50 flex items-center gap-2"
-                  >
-                    {submitting ? (
-                      <Loader size={16} className="animate-spin" />
-                    ) : (
-                      <Check size={16} />
-                    )}
-                    Submit Request
-                  </button>
-                  <button
-                    onClick={() => setShowDetails(false)}
-                    className="px-4 py-2 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-ghforegroundlow font-semibold text-sm transition-all"
-                  >
-                    Cancel
-                  </button>
-                </div>
-              </div>
+              <ServiceRequestForm
+                service={service}
+                onSubmit={handleRequest}
+                onCancel={() => setShowDetails(false)}
+              />
             ) : (
               <button
                 onClick={() => setShowDetails(true)}
@@ -263,17 +286,31 @@ const ApplicationCard = ({
               rows="4"
             />
           </div>
+          {editFormData.packages.length === 0 && (
+            <div>
+              <label className="block text-sm font-semibold text-white mb-2">
+                Price ($)
+              </label>
+              <input
+                type="number"
+                value={editFormData.price}
+                onChange={(e) =>
+                  setEditFormData({ ...editFormData, price: e.target.value })
+                }
+                className="w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white focus:outline-none focus:ring-2 focus:ring-ghaccent"
+              />
+            </div>
+          )}
           <div>
             <label className="block text-sm font-semibold text-white mb-2">
-              Price ($)
+              Packages
             </label>
-            <input
-              type="number"
-              value={editFormData.price}
-              onChange={(e) =>
-                setEditFormData({ ...editFormData, price: e.target.value })
+            <PackageEditor
+              packages={editFormData.packages}
+              onChange={(packages) =>
+                setEditFormData({ ...editFormData, packages })
               }
-              className="w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white focus:outline-none focus:ring-2 focus:ring-ghaccent"
+              max={MAX_PACKAGES}
             />
           </div>
           <div className="flex gap-3 pt-2">
@@ -306,8 +343,25 @@ const ApplicationCard = ({
           <p className="text-ghforegroundlow mb-4 line-clamp-3">
             {app.description}
           </p>
+          {app.packages?.length > 0 && (
+            <ul className="mb-4 space-y-1 text-sm">
+              {app.packages.map((pkg) => (
+                <li key={pkg.id} className="flex justify-between gap-3">
+                  <span className="text-white">{pkg.name}</span>
+                  <span className="text-green-400">
+                    ${parseFloat(pkg.price).toFixed(2)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
           <div className="flex items-center justify-between">
             <p className="text-2xl font-bold text-green-400">
+              {app.packages?.length > 0 && (
+                <span className="text-sm font-normal text-ghforegroundlow">
+                  from{" "}
+                </span>
+              )}
               ${parseFloat(app.price).toFixed(2)}
             </p>
             <button
@@ -323,6 +377,20 @@ const ApplicationCard = ({
               Waiting for admin review
             </p>
           )}
+          {app.revision?.status === "pending" && (
+            <p className="text-yellow-400/80 text-xs mt-3 flex items-center gap-1">
+              <Clock size={12} />
+              Your edits are waiting for admin review. The version above stays
+              live until they are approved.
+            </p>
+          )}
+          {app.revision?.status === "rejected" && (
+            <p className="text-red-400/80 text-xs mt-3 flex items-center gap-1">
+              <X size={12} />
+              Your last edits were not approved
+              {app.revision.admin_notes && `: ${app.revision.admin_notes}`}
+            </p>
+          )}
         </div>
       )}
     </div>
@@ -330,9 +398,16 @@ const ApplicationCard = ({
 };
 
 // Employee Request Card
-const EmployeeRequestCard = ({ request, onAccept, onReject, onComplete }) => {
+const EmployeeRequestCard = ({
+  request,
+  onAccept,
+  onReject,
+  onComplete,
+  onRefresh,
+}) => {
   const [completionNotes, setCompletionNotes] = useState("");
   const [showCompleteForm, setShowCompleteForm] = useState(false);
+  const [showQuoteForm, setShowQuoteForm] = useState(false);
   const [processing, setProcessing] = useState(false);
 
   const handleComplete = async () => {
@@ -364,6 +439,22 @@ const EmployeeRequestCard = ({ request, onAccept, onReject, onComplete }) => {
                 From:{" "}
                 <span className="text-white">{request.requester_name}</span>
               </p>
+              {request.requester_rating_count > 0 && (
+                <p
+                  className="text-xs text-ghforegroundlow flex items-center gap-1"
+                  title="Private client rating from coaches"
+                >
+                  <Star size={12} className="text-yellow-400" />
+                  {parseFloat(request.requester_rating).toFixed(1)} client
+                  rating ({request.requester_rating_count})
+                </p>
+              )}
+              {request.package_name && (
+                <p className="text-sm text-ghforegroundlow">
+                  Package:{" "}
+                  <span className="text-white">{request.package_name}</span>
+                </p>
+              )}
             </div>
             <StatusBadge status={request.status} />
           </div>
@@ -376,6 +467,13 @@ const EmployeeRequestCard = ({ request, onAccept, onReject, onComplete }) => {
         </p>
       </div>
 
+      {request.session_start && (
+        <p className="flex items-center gap-2 text-sm text-white mb-4">
+          <CalendarDays size={14} className="text-ghaccent" />
+          {formatSessionRange(request.session_start, request.session_end)}
+        </p>
+      )}
+
       <div className="flex items-center justify-between mb-4">
         <span className="text-ghforegroundlow text-sm flex items-center gap-2">
           <Gamepad2 size={14} />
@@ -386,20 +484,42 @@ const EmployeeRequestCard = ({ request, onAccept, onReject, onComplete }) => {
         </span>
       </div>
 
-      {request.status === "pending" && (
-        <div className="flex gap-3">
-          <button
-            onClick={() => onAccept(request.id)}
-            className="btn-success flex-1 px-4 py-2.5 rounded-xl text-white font-semibold flex items-center justify-center gap-2"
-          >
-            <Check size={18} /> Accept
-          </button>
-          <button
-            onClick={() => onReject(request.id)}
-            className="btn-danger flex-1 px-4 py-2.5 rounded-xl text-white font-semibold flex items-center justify-center gap-2"
-          >
-            <X size={18} /> Decline
-          </button>
+      {request.status === "pending" &&
+        (showQuoteForm ? (
+          <OfferForm
+            initialAmount={request.amount}
+            submitLabel="Accept with quote"
+            onSubmit={(quote) => onAccept(request.id, quote)}
+            onCancel={() => setShowQuoteForm(false)}
+          />
+        ) : (
+          <div className="space-y-2">
+            <div className="flex gap-3">
+              <button
+                onClick={() => onAccept(request.id)}
+                className="btn-success flex-1 px-4 py-2.5 rounded-xl text-white font-semibold flex items-center justify-center gap-2"
+              >
+                <Check size={18} /> Accept
+              </button>
+              <button
+                onClick={() => onReject(request.id)}
+                className="btn-danger flex-1 px-4 py-2.5 rounded-xl text-white font-semibold flex items-center justify-center gap-2"
+              >
+                <X size={18} /> Decline
+              </button>
+            </div>
+            <button
+              onClick={() => setShowQuoteForm(true)}
+              className="w-full text-sm text-ghaccent hover:text-white transition-colors"
+            >
+              Accept with a different price
+            </button>
+          </div>
+        ))}
+
+      {request.status === "employee_accepted" && (
+        <div className="mb-3">
+          <QuotePanel request={request} party="employee" onChange={onRefresh} />
         </div>
       )}
 
@@ -460,6 +580,215 @@ const EmployeeRequestCard = ({ request, onAccept, onReject, onComplete }) => {
           </p>
         </div>
       )}
+
+      {request.status === "closed" &&
+        (request.review_open || request.review_awaiting_reply) && (
+          <div className="border-t border-ghforegroundlow/20 pt-4">
+            <ReviewPrompt requestId={request.id} onChange={onRefresh} />
+          </div>
+        )}
+    </div>
+  );
+};
+
+// Browse filters
+const SERVICES_PAGE_SIZE = 20;
+
+const SORT_OPTIONS = [
+  { value: "", label: "Best match" },
+  { value: "newest", label: "Newest" },
+  { value: "price_asc", label: "Price: Low to High" },
+  { value: "price_desc", label: "Price: High to Low" },
+  { value: "rating", label: "Top Rated" },
+  { value: "completed", label: "Most Completed" },
+];
+
+const EMPTY_SERVICE_FILTERS = {
+  serviceType: null,
+  tags: [],
+  priceRange: null,
+  minRating: null,
+  sort: "",
+};
+
+// Turn the Home page filter state into ServicesAPI.listServices filters
+const toServiceQuery = (query, gameId, filters) => ({
+  q: query,
+  gameId: gameId === "all" ? null : gameId,
+  serviceType: filters.serviceType,
+  tags: filters.tags,
+  minPrice: filters.priceRange?.min ?? null,
+  maxPrice: filters.priceRange?.max ?? null,
+  minRating: filters.minRating,
+  sort: filters.sort,
+});
+
+// Employee Wallet Panel (balance + withdrawals)
+const WalletPanel = () => {
+  const [wallet, setWallet] = useState(null);
+  const [withdrawals, setWithdrawals] = useState([]);
+  const [limits, setLimits] = useState(null);
+  const [amount, setAmount] = useState("");
+  const [payoutDetails, setPayoutDetails] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [formError, setFormError] = useState("");
+  const [formMessage, setFormMessage] = useState("");
+
+  const loadWallet = async () => {
+    const [walletRes, withdrawalsRes] = await Promise.all([
+      WalletAPI.getWallet(10),
+      WalletAPI.getWithdrawals(),
+    ]);
+    setWallet(walletRes);
+    setWithdrawals(withdrawalsRes.withdrawals || []);
+    setLimits(withdrawalsRes.limits || null);
+  };
+
+  useEffect(() => {
+    loadWallet().catch((err) => console.error("Failed to load wallet:", err));
+  }, []);
+
+  const handleWithdraw = async (e) => {
+    e.preventDefault();
+    setFormError("");
+    setFormMessage("");
+    setSubmitting(true);
+    try {
+      const res = await WalletAPI.requestWithdrawal(
+        parseFloat(amount),
+        payoutDetails,
+      );
+      setFormMessage(res.message);
+      setAmount("");
+      await loadWallet();
+    } catch (err) {
+      setFormError(err.message || "Failed to request withdrawal");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!wallet) {
+    return (
+      <div className="flex items-center justify-center gap-3 text-ghforegroundlow py-16">
+        <Loader size={24} className="animate-spin" />
+        <span>Loading wallet...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid gap-6 md:grid-cols-2">
+      <div className="bg-ghbackground-secondary rounded-2xl border border-ghforegroundlow/20 p-6">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-green-500 to-emerald-600 flex items-center justify-center">
+            <Wallet size={22} className="text-white" />
+          </div>
+          <div>
+            <p className="text-3xl font-bold text-green-400">
+              ${Number(wallet.balance).toFixed(2)}
+            </p>
+            <p className="text-sm text-ghforegroundlow">Available balance</p>
+          </div>
+        </div>
+
+        {wallet.withdrawable < wallet.balance && (
+          <p className="text-sm text-ghforegroundlow mb-4">
+            ${Number(wallet.withdrawable).toFixed(2)} can be withdrawn. Refunds
+            can only be spent on services.
+          </p>
+        )}
+
+        {wallet.pending_withdrawals > 0 && (
+          <p className="text-sm text-yellow-400 mb-4 flex items-center gap-2">
+            <Clock size={14} />${Number(wallet.pending_withdrawals).toFixed(2)}{" "}
+            waiting to be paid out
+          </p>
+        )}
+
+        <form onSubmit={handleWithdraw} className="space-y-3">
+          <input
+            type="number"
+            step="0.01"
+            min={limits?.min_amount}
+            max={limits?.max_amount}
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder={
+              limits
+                ? `Amount ($${limits.min_amount} – $${limits.max_amount})`
+                : "Amount"
+            }
+            required
+            className="w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent"
+          />
+          <input
+            type="text"
+            value={payoutDetails}
+            onChange={(e) => setPayoutDetails(e.target.value)}
+            placeholder="Pay to (e.g. GCash number or PayPal email)"
+            maxLength={100}
+            required
+            className="w-full px-4 py-3 rounded-xl bg-ghbackground border border-ghforegroundlow/30 text-white placeholder-ghforegroundlow focus:outline-none focus:ring-2 focus:ring-ghaccent"
+          />
+          {formError && (
+            <p className="text-sm text-red-400 flex items-center gap-2">
+              <AlertCircle size={14} />
+              {formError}
+            </p>
+          )}
+          {formMessage && (
+            <p className="text-sm text-green-400 flex items-center gap-2">
+              <CheckCircle size={14} />
+              {formMessage}
+            </p>
+          )}
+          <button
+            type="submit"
+            disabled={submitting}
+            className="btn-primary w-full px-4 py-2.5 rounded-xl text-white font-semibold flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            {submitting ? (
+              <Loader size={16} className="animate-spin" />
+            ) : (
+              <Wallet size={16} />
+            )}
+            Request Withdrawal
+          </button>
+        </form>
+      </div>
+
+      <div className="bg-ghbackground-secondary rounded-2xl border border-ghforegroundlow/20 p-6">
+        <h3 className="text-lg font-bold text-white mb-4">Withdrawals</h3>
+        {withdrawals.length > 0 ? (
+          <div className="space-y-3">
+            {withdrawals.map((w) => (
+              <div
+                key={w.id}
+                className="bg-ghbackground/50 rounded-xl p-4 flex items-start justify-between gap-3"
+              >
+                <div className="min-w-0">
+                  <p className="text-white font-semibold">
+                    ${Number(w.amount).toFixed(2)}
+                  </p>
+                  <p className="text-xs text-ghforegroundlow truncate">
+                    To {w.payout_details} •{" "}
+                    {new Date(w.created_at).toLocaleDateString()}
+                  </p>
+                  {w.status === "rejected" && w.admin_notes && (
+                    <p className="text-xs text-red-400 mt-1">{w.admin_notes}</p>
+                  )}
+                </div>
+                <StatusBadge status={w.status} />
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-ghforegroundlow text-sm">
+            You haven&apos;t requested any withdrawals yet.
+          </p>
+        )}
+      </div>
     </div>
   );
 };
@@ -467,11 +796,17 @@ const EmployeeRequestCard = ({ request, onAccept, onReject, onComplete }) => {
 export default function Home() {
   const navigate = useNavigate();
   const { user, role, loading: authLoading } = useAuth();
+  // The tab and a highlighted item live in the URL (?tab=requests&request=12)
+  // so notifications can link straight to them
+  const [searchParams, setSearchParams] = useSearchParams();
   const [selectedCategory, setSelectedCategory] = useState("all");
-  const [activeTab, setActiveTab] = useState(
-    role === "employee" ? "applications" : "services",
-  );
   const [services, setServices] = useState([]);
+  const [servicesTotal, setServicesTotal] = useState(0);
+  const [facets, setFacets] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [servicesLoading, setServicesLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [serviceFilters, setServiceFilters] = useState(EMPTY_SERVICE_FILTERS);
   const [games, setGames] = useState([]);
   const [userApplications, setUserApplications] = useState([]);
   const [employeeRequests, setEmployeeRequests] = useState([]);
@@ -483,10 +818,22 @@ export default function Home() {
     title: "",
     description: "",
     price: "",
+    packages: [],
   });
   const [searchQuery, setSearchQuery] = useState("");
+  const [debouncedQuery, setDebouncedQuery] = useState("");
+
+  const highlightedRequestId = parseInt(searchParams.get("request")) || null;
+  const highlightedApplicationId =
+    parseInt(searchParams.get("application")) || null;
+  const highlightTarget = highlightedRequestId
+    ? `request-${highlightedRequestId}`
+    : highlightedApplicationId
+      ? `application-${highlightedApplicationId}`
+      : null;
 
-  // Fetch data on mount
+  // Fetch data on mount, and again when a deep link points at an item
+  // that may have arrived since
   useEffect(() => {
     const fetchData = async () => {
       try {
@@ -506,12 +853,7 @@ export default function Home() {
           setEmployeeRequests(reqsRes.requests || []);
         }
 
-        // Fetch services for all users (employees can see them too)
-        const [servicesRes, userReqRes] = await Promise.all([
-          ServicesAPI.listServices(null, null, 100),
-          RequestsAPI.getUserRequests(),
-        ]);
-        setServices(servicesRes.services || []);
+        const userReqRes = await RequestsAPI.getUserRequests();
         setUserRequests(userReqRes.requests || []);
       } catch (err) {
         console.error("Failed to fetch data:", err);
@@ -524,20 +866,74 @@ export default function Home() {
     if (!authLoading) {
       fetchData();
     }
-  }, [role, authLoading]);
+  }, [role, authLoading, highlightTarget]);
+
+  // Bring the deep-linked item into view once the lists are loaded
+  useEffect(() => {
+    if (loading || !highlightTarget) return;
+    document
+      .getElementById(highlightTarget)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [loading, highlightTarget]);
+
+  // Wait for the user to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Search services on the server whenever the filters change
+  // (employees can browse them too)
+  useEffect(() => {
+    if (authLoading) return;
+    let cancelled = false;
+
+    const fetchServices = async () => {
+      setServicesLoading(true);
+      try {
+        const res = await ServicesAPI.listServices(
+          toServiceQuery(debouncedQuery, selectedCategory, serviceFilters),
+          null,
+          SERVICES_PAGE_SIZE,
+        );
+        if (cancelled) return;
+        setServices(res.services || []);
+        setServicesTotal(res.total || 0);
+        setFacets(res.facets || null);
+        setNextCursor(res.next_cursor || null);
+      } catch (err) {
+        console.error("Failed to fetch services:", err);
+        if (!cancelled) setError("Failed to load services. Please try again.");
+      } finally {
+        if (!cancelled) setServicesLoading(false);
+      }
+    };
+
+    fetchServices();
+    return () => {
+      cancelled = true;
+    };
+  }, [authLoading, debouncedQuery, selectedCategory, serviceFilters]);
 
   // Handlers
-  const handleServiceRequest = async (serviceId, details) => {
+  const handleServiceRequest = async (
+    serviceId,
+    details,
+    sessionStart,
+    packageId,
+  ) => {
     try {
       await RequestsAPI.createRequest({
         published_service_id: serviceId,
         service_details: details,
+        session_start: sessionStart || undefined,
+        package_id: packageId || undefined,
       });
       const res = await RequestsAPI.getUserRequests();
       setUserRequests(res.requests || []);
     } catch (err) {
       console.error("Failed to create request:", err);
-      setError("Failed to submit request. Please try again.");
+      setError(err.message || "Failed to submit request. Please try again.");
     }
   };
 
@@ -549,7 +945,7 @@ export default function Home() {
       navigate("/chats");
     } catch (err) {
       console.error("Failed to confirm request:", err);
-      setError("Failed to confirm request. Please try again.");
+      setError(err.message || "Failed to confirm request. Please try again.");
     }
   };
 
@@ -560,16 +956,39 @@ export default function Home() {
       setUserRequests(res.requests || []);
     } catch (err) {
       console.error("Failed to cancel request:", err);
+      setError(err.message || "Failed to cancel request. Please try again.");
     }
   };
 
-  const handleAcceptRequest = async (requestId) => {
+  const handleAcceptRequest = async (requestId, quote) => {
     try {
-      await RequestsAPI.acceptRequest(requestId, "Request accepted");
+      await RequestsAPI.acceptRequest(requestId, "Request accepted", quote);
       const res = await RequestsAPI.getEmployeeRequests();
       setEmployeeRequests(res.requests || []);
     } catch (err) {
+      // The quote form shows its own error
+      if (quote) throw err;
       console.error("Failed to accept request:", err);
+      setError(err.message || "Failed to accept request. Please try again.");
+    }
+  };
+
+  // Amount and quote_status change as offers are answered
+  const refreshEmployeeRequests = async () => {
+    try {
+      const res = await RequestsAPI.getEmployeeRequests();
+      setEmployeeRequests(res.requests || []);
+    } catch (err) {
+      console.error("Failed to fetch requests:", err);
+    }
+  };
+
+  const refreshUserRequests = async () => {
+    try {
+      const res = await RequestsAPI.getUserRequests();
+      setUserRequests(res.requests || []);
+    } catch (err) {
+      console.error("Failed to fetch requests:", err);
     }
   };
 
@@ -580,6 +999,7 @@ export default function Home() {
       setEmployeeRequests(res.requests || []);
     } catch (err) {
       console.error("Failed to reject request:", err);
+      setError(err.message || "Failed to reject request. Please try again.");
     }
   };
 
@@ -590,47 +1010,81 @@ export default function Home() {
       setEmployeeRequests(res.requests || []);
     } catch (err) {
       console.error("Failed to complete request:", err);
+      setError(err.message || "Failed to complete request. Please try again.");
     }
   };
 
   const handleEditApp = (app) => {
+    // Continue from edits still waiting for review, if any
+    const source = app.revision?.status === "pending" ? app.revision : app;
     setEditingApp(app.id);
     setEditFormData({
-      title: app.title,
-      description: app.description,
-      price: app.price,
+      title: source.title,
+      description: source.description,
+      price: source.price,
+      packages: source.packages || [],
     });
   };
 
   const handleSaveEdit = async (appId) => {
     try {
       await ApplicationsAPI.updateApplication(appId, editFormData);
-      setUserApplications((prev) =>
-        prev.map((app) =>
-          app.id === appId
-            ? { ...app, ...editFormData, status: "pending" }
-            : app,
-        ),
-      );
+      // Live services get a pending revision instead of changing in place
+      const res = await ApplicationsAPI.getUserApplications();
+      setUserApplications(res.applications || []);
       setEditingApp(null);
     } catch (err) {
       console.error("Failed to update application:", err);
-      setError("Failed to update application");
+      setError(err.message || "Failed to update application");
     }
   };
 
-  // Filter services
-  const filteredServices = services.filter((service) => {
-    const matchesCategory =
-      selectedCategory === "all" ||
-      service.game_id === parseInt(selectedCategory);
-    const matchesSearch =
-      !searchQuery ||
-      service.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      service.full_name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      service.game_name.toLowerCase().includes(searchQuery.toLowerCase());
-    return matchesCategory && matchesSearch;
-  });
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const res = await ServicesAPI.listServices(
+        toServiceQuery(debouncedQuery, selectedCategory, serviceFilters),
+        nextCursor,
+        SERVICES_PAGE_SIZE,
+      );
+      setServices((prev) => [...prev, ...(res.services || [])]);
+      setNextCursor(res.next_cursor || null);
+    } catch (err) {
+      console.error("Failed to load more services:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Toggle a single-value filter (clicking the active chip clears it)
+  const toggleFilter = (key, value, isActive) =>
+    setServiceFilters((prev) => ({ ...prev, [key]: isActive ? null : value }));
+
+  const toggleTag = (tag) =>
+    setServiceFilters((prev) => ({
+      ...prev,
+      tags: prev.tags.includes(tag)
+        ? prev.tags.filter((t) => t !== tag)
+        : [...prev.tags, tag],
+    }));
+
+  const hasActiveFilters =
+    selectedCategory !== "all" ||
+    searchQuery !== "" ||
+    serviceFilters.serviceType ||
+    serviceFilters.tags.length > 0 ||
+    serviceFilters.priceRange ||
+    serviceFilters.minRating;
+
+  const clearFilters = () => {
+    setSearchQuery("");
+    setSelectedCategory("all");
+    setServiceFilters(EMPTY_SERVICE_FILTERS);
+  };
+
+  const gameCounts = new Map(
+    (facets?.games || []).map((g) => [String(g.id), g.count]),
+  );
 
   // Loading state
   if (authLoading) {
@@ -651,15 +1105,27 @@ export default function Home() {
   const employeeTabs = [
     { id: "applications", label: "My Applications", icon: Briefcase },
     { id: "requests", label: "Incoming Requests", icon: MessageCircle },
+    { id: "sessions", label: "Sessions", icon: CalendarDays },
+    { id: "wallet", label: "Wallet", icon: Wallet },
+    { id: "verification", label: "Verification", icon: ShieldCheck },
   ];
 
   const userTabs = [
     { id: "services", label: "Browse Services", icon: Search },
     { id: "my-requests", label: "My Requests", icon: Clock },
+    { id: "sessions", label: "Sessions", icon: CalendarDays },
   ];
 
   const tabs = role === "employee" ? employeeTabs : userTabs;
 
+  const tabParam = searchParams.get("tab");
+  const activeTab = tabs.some((tab) => tab.id === tabParam)
+    ? tabParam
+    : tabs[0].id;
+  const setActiveTab = (tabId) =>
+    setSearchParams({ tab: tabId }, { replace: true });
+  const highlightClass = "ring-2 ring-ghaccent rounded-2xl";
+
   return (
     <>
       <Header />
@@ -717,7 +1183,7 @@ export default function Home() {
                 <div className="flex gap-4">
                   <div className="text-center px-6 py-4 rounded-2xl bg-ghbackground/50 border border-ghforegroundlow/10">
                     <p className="text-3xl font-bold text-ghaccent">
-                      {services.length}
+                      {servicesTotal}
                     </p>
                     <p className="text-sm text-ghforegroundlow">
                       Active Services
@@ -811,21 +1277,119 @@ export default function Home() {
                   <option value="all">All Games</option>
                   {games.map((game) => (
                     <option key={game.id} value={game.id}>
-                      {game.name}
+                      {game.name} ({gameCounts.get(String(game.id)) || 0})
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={serviceFilters.sort}
+                  onChange={(e) =>
+                    setServiceFilters((prev) => ({
+                      ...prev,
+                      sort: e.target.value,
+                    }))
+                  }
+                  className="px-5 py-3 rounded-xl bg-ghbackground-secondary border border-ghforegroundlow/20 text-white focus:outline-none focus:ring-2 focus:ring-ghaccent cursor-pointer"
+                >
+                  {SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
                     </option>
                   ))}
                 </select>
               </div>
 
+              {/* Filter Chips */}
+              {facets && (
+                <div className="space-y-3 mb-8">
+                  <div className="flex flex-wrap items-center gap-2">
+                    {facets.service_types.map((type) => (
+                      <FilterChip
+                        key={type.value}
+                        label={
+                          type.value.charAt(0).toUpperCase() +
+                          type.value.slice(1)
+                        }
+                        count={type.count}
+                        active={serviceFilters.serviceType === type.value}
+                        onClick={() =>
+                          toggleFilter(
+                            "serviceType",
+                            type.value,
+                            serviceFilters.serviceType === type.value,
+                          )
+                        }
+                      />
+                    ))}
+                    {facets.price_ranges.map((range) => {
+                      const active =
+                        serviceFilters.priceRange?.min === range.min;
+                      return (
+                        <FilterChip
+                          key={range.label}
+                          label={range.label}
+                          count={range.count}
+                          active={active}
+                          onClick={() =>
+                            toggleFilter("priceRange", range, active)
+                          }
+                        />
+                      );
+                    })}
+                    {facets.ratings.map((rating) => (
+                      <FilterChip
+                        key={rating.min_rating}
+                        label={`${rating.min_rating}★ & up`}
+                        count={rating.count}
+                        active={serviceFilters.minRating === rating.min_rating}
+                        onClick={() =>
+                          toggleFilter(
+                            "minRating",
+                            rating.min_rating,
+                            serviceFilters.minRating === rating.min_rating,
+                          )
+                        }
+                      />
+                    ))}
+                  </div>
+                  {facets.tags.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-2">
+                      {facets.tags.slice(0, 15).map((tag) => (
+                        <FilterChip
+                          key={tag.value}
+                          label={`#${tag.value}`}
+                          count={tag.count}
+                          active={serviceFilters.tags.includes(tag.value)}
+                          onClick={() => toggleTag(tag.value)}
+                        />
+                      ))}
+                    </div>
+                  )}
+                  <div className="flex items-center gap-4 text-sm text-ghforegroundlow">
+                    <span>
+                      {servicesTotal} service{servicesTotal === 1 ? "" : "s"}
+                    </span>
+                    {hasActiveFilters && (
+                      <button
+                        onClick={clearFilters}
+                        className="text-ghaccent hover:underline"
+                      >
+                        Clear filters
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
               {/* Services List */}
-              {loading ? (
+              {servicesLoading ? (
                 <div className="flex items-center justify-center gap-3 text-ghforegroundlow py-16">
                   <Loader size={24} className="animate-spin" />
                   <span>Loading services...</span>
                 </div>
-              ) : filteredServices.length > 0 ? (
+              ) : services.length > 0 ? (
                 <div className="space-y-4">
-                  {filteredServices.map((service, idx) => {
+                  {services.map((service, idx) => {
                     const existingRequest = userRequests.find(
                       (r) =>
                         r.published_service_id === service.id &&
@@ -834,7 +1398,9 @@ export default function Home() {
                     return (
                       <div
                         key={service.id}
-                        style={{ animationDelay: `${idx * 0.05}s` }}
+                        style={{
+                          animationDelay: `${(idx % SERVICES_PAGE_SIZE) * 0.05}s`,
+                        }}
                         className="animate-slideInUp"
                       >
                         <ServiceCard
@@ -848,6 +1414,18 @@ export default function Home() {
                       </div>
                     );
                   })}
+                  {nextCursor && (
+                    <button
+                      onClick={handleLoadMore}
+                      disabled={loadingMore}
+                      className="w-full px-4 py-3 rounded-xl bg-ghforegroundlow/10 hover:bg-ghforegroundlow/20 text-white font-semibold flex items-center justify-center gap-2 transition-all disabled:opacity-50"
+                    >
+                      {loadingMore && (
+                        <Loader size={16} className="animate-spin" />
+                      )}
+                      Load more services
+                    </button>
+                  )}
                 </div>
               ) : (
                 <div className="text-center py-16">
@@ -879,8 +1457,9 @@ export default function Home() {
                   {userApplications.map((app, idx) => (
                     <div
                       key={app.id}
+                      id={`application-${app.id}`}
                       style={{ animationDelay: `${idx * 0.05}s` }}
-                      className="animate-slideInUp"
+                      className={`animate-slideInUp ${app.id === highlightedApplicationId ? highlightClass : ""}`}
                     >
                       <ApplicationCard
                         app={app}
@@ -930,14 +1509,16 @@ export default function Home() {
                   {employeeRequests.map((request, idx) => (
                     <div
                       key={request.id}
+                      id={`request-${request.id}`}
                       style={{ animationDelay: `${idx * 0.05}s` }}
-                      className="animate-slideInUp"
+                      className={`animate-slideInUp ${request.id === highlightedRequestId ? highlightClass : ""}`}
                     >
                       <EmployeeRequestCard
                         request={request}
                         onAccept={handleAcceptRequest}
                         onReject={handleRejectRequest}
                         onComplete={handleCompleteRequest}
+                        onRefresh={refreshEmployeeRequests}
                       />
                     </div>
                   ))}
@@ -959,6 +1540,28 @@ export default function Home() {
             </div>
           )}
 
+          {/* Sessions Tab */}
+          {activeTab === "sessions" && (
+            <div className="animate-fadeIn space-y-6">
+              {role === "employee" && <AvailabilityEditor />}
+              <SessionsCalendar />
+            </div>
+          )}
+
+          {/* Wallet Tab (Employee) */}
+          {activeTab === "wallet" && role === "employee" && (
+            <div className="animate-fadeIn">
+              <WalletPanel />
+            </div>
+          )}
+
+          {/* Verification Tab (Employee) */}
+          {activeTab === "verification" && role === "employee" && (
+            <div className="animate-fadeIn">
+              <VerificationPanel />
+            </div>
+          )}
+
           {/* My Requests Tab (User) */}
           {activeTab === "my-requests" && role !== "employee" && (
             <div className="animate-fadeIn">
@@ -972,8 +1575,9 @@ export default function Home() {
                   {userRequests.map((request, idx) => (
                     <div
                       key={request.id}
+                      id={`request-${request.id}`}
                       style={{ animationDelay: `${idx * 0.05}s` }}
-                      className="bg-ghbackground-secondary rounded-2xl border border-ghforegroundlow/20 p-6 animate-slideInUp card-hover"
+                      className={`bg-ghbackground-secondary rounded-2xl border border-ghforegroundlow/20 p-6 animate-slideInUp card-hover ${request.id === highlightedRequestId ? "ring-2 ring-ghaccent" : ""}`}
                     >
                       <div className="flex items-start gap-4">
                         <img
@@ -996,12 +1600,32 @@ export default function Home() {
                                   {request.employee_name}
                                 </span>
                               </p>
+                              {request.package_name && (
+                                <p className="text-sm text-ghforegroundlow">
+                                  Package:{" "}
+                                  <span className="text-white">
+                                    {request.package_name}
+                                  </span>
+                                </p>
+                              )}
                             </div>
                             <StatusBadge status={request.status} />
                           </div>
                           <p className="text-sm text-ghforegroundlow mb-3">
                             {request.service_details}
                           </p>
+                          {request.session_start && (
+                            <p className="flex items-center gap-2 text-sm text-white mb-3">
+                              <CalendarDays
+                                size={14}
+                                className="text-ghaccent"
+                              />
+                              {formatSessionRange(
+                                request.session_start,
+                                request.session_end,
+                              )}
+                            </p>
+                          )}
                           <div className="flex items-center justify-between">
                             <span className="text-ghforegroundlow text-sm flex items-center gap-2">
                               <Gamepad2 size={14} />
@@ -1012,15 +1636,45 @@ export default function Home() {
                             </span>
                           </div>
 
+                          {request.status === "employee_accepted" && (
+                            <div className="mt-4">
+                              <QuotePanel
+                                request={request}
+                                party="requester"
+                                onChange={refreshUserRequests}
+                              />
+                            </div>
+                          )}
+                          {request.status === "employee_accepted" &&
+                            !canConfirm(request) && (
+                              <p className="mt-4 text-xs text-ghforegroundlow">
+                                The price is still being negotiated. You can
+                                confirm once an offer is accepted.
+                              </p>
+                            )}
+                          {request.status === "employee_accepted" &&
+                            canConfirm(request) && (
+                              <p className="mt-4 text-xs text-ghforegroundlow">
+                                Confirming holds $
+                                {parseFloat(request.amount).toFixed(2)} in
+                                escrow until the service is closed. Cancelled
+                                services are refunded the way you paid: to your
+                                card or to your wallet.
+                              </p>
+                            )}
                           {request.status === "employee_accepted" && (
                             <div className="mt-4 flex gap-3">
-                              <button
-                                onClick={() => handleConfirmRequest(request.id)}
-                                className="btn-success px-4 py-2 rounded-xl text-white font-semibold text-sm flex items-center gap-2"
-                              >
-                                <CheckCircle size={16} />
-                                Confirm & Start Service
-                              </button>
+                              {canConfirm(request) && (
+                                <button
+                                  onClick={() =>
+                                    handleConfirmRequest(request.id)
+                                  }
+                                  className="btn-success px-4 py-2 rounded-xl text-white font-semibold text-sm flex items-center gap-2"
+                                >
+                                  <CheckCircle size={16} />
+                                  Confirm & Start Service
+                                </button>
+                              )}
                               <button
                                 onClick={() => handleCancelRequest(request.id)}
                                 className="px-4 py-2 rounded-xl bg-ghforegroundlow/10 hover:bg-red-500/20 text-ghforegroundlow hover:text-red-400 font-semibold text-sm transition-all"
@@ -1030,6 +1684,16 @@ export default function Home() {
                             </div>
                           )}
 
+                          {request.status === "closed" &&
+                            (request.review_open || request.review_rating) && (
+                              <div className="mt-4 border-t border-ghforegroundlow/20 pt-4">
+                                <ReviewPrompt
+                                  requestId={request.id}
+                                  onChange={refreshUserRequests}
+                                />
+                              </div>
+                            )}
+
                           {request.status === "pending" && (
                             <button
                               onClick={() => handleCancelRequest(request.id)}
@@ -0,0 +1,181 @@
+// React imports
+import { useState, useEffect } from "react";
+import { CheckCircle, AlertCircle, Loader } from "lucide-react";
+
+// File imports
+import Header from "../templates/Header";
+import Button from "../components/Button";
+import { NotificationsAPI } from "../services/api";
+
+const CHANNEL_LABELS = {
+  in_app: "In-app",
+  email: "In-app + email",
+  off: "Off",
+};
+
+const DELIVERY_LABELS = {
+  immediate: "Immediately",
+  digest: "Daily digest",
+};
+
+const selectClass =
+  "px-3 py-2 rounded-lg bg-ghbackground border border-ghforegroundlow/20 text-white text-sm focus:outline-none focus:ring-2 focus:ring-ghaccent disabled:opacity-40 disabled:cursor-not-allowed";
+
+export default function NotificationSettings() {
+  const [preferences, setPreferences] = useState([]);
+  const [options, setOptions] = useState({ channels: [], deliveries: [] });
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const data = await NotificationsAPI.getPreferences();
+        setPreferences(data.preferences || []);
+        setOptions({ channels: data.channels, deliveries: data.deliveries });
+      } catch (err) {
+        setStatus({
+          type: "error",
+          message: err.message || "Failed to load notification settings",
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchPreferences();
+  }, []);
+
+  const updatePreference = (type, field, value) => {
+    setStatus(null);
+    setPreferences((prev) =>
+      prev.map((pref) =>
+        pref.type === type ? { ...pref, [field]: value } : pref,
+      ),
+    );
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      const data = await NotificationsAPI.updatePreferences(
+        preferences.map(({ type, channel, delivery }) => ({
+          type,
+          channel,
+          delivery,
+        })),
+      );
+      setPreferences(data.preferences);
+      setStatus({ type: "success", message: "Notification settings saved" });
+    } catch (err) {
+      setStatus({
+        type: "error",
+        message: err.message || "Failed to save notification settings",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <Header />
+      <main className="bg-gradient-to-br from-ghbackground via-ghbackground-secondary to-ghbackground min-h-screen py-12 px-4">
+        <div className="max-w-3xl mx-auto animate-slideInDown">
+          {/* Page Header */}
+          <div className="mb-8 text-center">
+            <h1 className="text-4xl md:text-5xl font-bold text-white mb-4">
+              Notification Settings
+            </h1>
+            <p className="text-ghforegroundlow text-lg">
+              Choose what you hear about and whether it also comes by email
+            </p>
+          </div>
+
+          {/* Status Messages */}
+          {status && (
+            <div
+              className={`mb-6 p-4 rounded-lg flex items-center gap-3 ${
+                status.type === "success"
+                  ? "bg-green-900/20 border border-green-500/50 text-green-200"
+                  : "bg-red-900/20 border border-red-500/50 text-red-200"
+              }`}
+            >
+              {status.type === "success" ? (
+                <CheckCircle size={20} />
+              ) : (
+                <AlertCircle size={20} />
+              )}
+              {status.message}
+            </div>
+          )}
+
+          {loading ? (
+            <div className="flex items-center justify-center gap-2 text-ghforegroundlow py-12">
+              <Loader size={20} className="animate-spin" />
+              Loading settings...
+            </div>
+          ) : (
+            <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 p-8">
+              <div className="divide-y divide-ghforegroundlow/10">
+                {preferences.map((pref) => (
+                  <div
+                    key={pref.type}
+                    className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 py-3"
+                  >
+                    <span className="text-white text-sm font-semibold">
+                      {pref.label}
+                    </span>
+                    <div className="flex gap-2">
+                      <select
+                        value={pref.channel}
+                        onChange={(e) =>
+                          updatePreference(pref.type, "channel", e.target.value)
+                        }
+                        aria-label={`${pref.label} channel`}
+                        className={selectClass}
+                      >
+                        {options.channels.map((channel) => (
+                          <option key={channel} value={channel}>
+                            {CHANNEL_LABELS[channel]}
+                          </option>
+                        ))}
+                      </select>
+                      {/* Delivery only applies to email */}
+                      <select
+                        value={pref.delivery}
+                        onChange={(e) =>
+                          updatePreference(
+                            pref.type,
+                            "delivery",
+                            e.target.value,
+                          )
+                        }
+                        disabled={pref.channel !== "email"}
+                        aria-label={`${pref.label} email delivery`}
+                        className={selectClass}
+                      >
+                        {options.deliveries.map((delivery) => (
+                          <option key={delivery} value={delivery}>
+                            {DELIVERY_LABELS[delivery]}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex justify-end mt-6">
+                <Button onClick={handleSave} isLoading={isSaving}>
+                  {isSaving ? "Saving..." : "Save Settings"}
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
@@ -0,0 +1,345 @@
+// React imports
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  Bell,
+  Inbox,
+  Archive,
+  ArchiveRestore,
+  CheckCheck,
+  Trash2,
+  Loader,
+  AlertCircle,
+  Settings,
+} from "lucide-react";
+
+// File imports
+import Header from "../templates/Header";
+import Button from "../components/Button";
+import NotificationItem from "../components/NotificationItem";
+import { NotificationsAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+import {
+  groupNotifications,
+  notificationLink,
+} from "../constants/notifications";
+
+const PAGE_SIZE = 30;
+
+const VIEWS = [
+  { id: "inbox", label: "Inbox", icon: Inbox },
+  { id: "archived", label: "Archived", icon: Archive },
+];
+
+// Appends a page, dropping rows already listed (a coalesced chat
+// notification can move between pages when it is updated)
+const mergePage = (existing, incoming) => {
+  const seen = new Set(existing.map((n) => n.id));
+  return [...existing, ...incoming.filter((n) => !seen.has(n.id))];
+};
+
+export default function Notifications() {
+  const navigate = useNavigate();
+  const { role } = useAuth();
+  const [view, setView] = useState("inbox");
+  // Keyed by view, so switching views shows the loader
+  const [page, setPage] = useState({
+    view: null,
+    notifications: [],
+    nextCursor: null,
+  });
+  const [selectedKeys, setSelectedKeys] = useState(new Set());
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [processing, setProcessing] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    NotificationsAPI.getNotifications({
+      limit: PAGE_SIZE,
+      archived: view === "archived",
+    })
+      .then((res) =>
+        setPage({
+          view,
+          notifications: res.notifications || [],
+          nextCursor: res.next_cursor,
+        }),
+      )
+      .catch((err) => {
+        console.error("Failed to fetch notifications:", err);
+        setError(err.message || "Failed to load notifications");
+        setPage({ view, notifications: [], nextCursor: null });
+      });
+  }, [view]);
+
+  const loading = page.view !== view;
+  const groups = groupNotifications(page.notifications);
+  const selectedGroups = groups.filter((group) => selectedKeys.has(group.key));
+  const selectedIds = selectedGroups.flatMap((group) => group.ids);
+
+  const switchView = (nextView) => {
+    if (nextView === view) return;
+    setView(nextView);
+    setSelectedKeys(new Set());
+    setError("");
+  };
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const res = await NotificationsAPI.getNotifications({
+        cursor: page.nextCursor,
+        limit: PAGE_SIZE,
+        archived: view === "archived",
+      });
+      setPage((prev) => ({
+        ...prev,
+        notifications: mergePage(prev.notifications, res.notifications || []),
+        nextCursor: res.next_cursor,
+      }));
+    } catch (err) {
+      setError(err.message || "Failed to load more notifications");
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const toggleSelect = (group) => {
+    setSelectedKeys((prev) => {
+      const next = new Set(prev);
+      if (next.has(group.key)) next.delete(group.key);
+      else next.add(group.key);
+      return next;
+    });
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedKeys(
+      selectedGroups.length === groups.length
+        ? new Set()
+        : new Set(groups.map((group) => group.key)),
+    );
+  };
+
+  // Run a bulk action on the selection, then update the list locally.
+  // The API takes 100 IDs at a time.
+  const runBulk = async (apiCall, updateList) => {
+    setProcessing(true);
+    setError("");
+    try {
+      for (let i = 0; i < selectedIds.length; i += 100) {
+        await apiCall(selectedIds.slice(i, i + 100));
+      }
+      const ids = new Set(selectedIds);
+      setPage((prev) => ({
+        ...prev,
+        notifications: updateList(prev.notifications, ids),
+      }));
+      setSelectedKeys(new Set());
+    } catch (err) {
+      setError(err.message || "Action failed");
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const removeFromList = (list, ids) => list.filter((n) => !ids.has(n.id));
+
+  const handleMarkRead = () =>
+    runBulk(NotificationsAPI.markManyAsRead, (list, ids) =>
+      list.map((n) => (ids.has(n.id) ? { ...n, is_read: true } : n)),
+    );
+
+  const handleArchive = () =>
+    runBulk(
+      view === "archived"
+        ? NotificationsAPI.unarchive
+        : NotificationsAPI.archive,
+      removeFromList,
+    );
+
+  const handleDelete = () => {
+    if (
+      !window.confirm(
+        `Delete ${selectedIds.length} notification${selectedIds.length === 1 ? "" : "s"}? This cannot be undone.`,
+      )
+    ) {
+      return;
+    }
+    runBulk(NotificationsAPI.deleteNotifications, removeFromList);
+  };
+
+  const handleOpen = async (group) => {
+    if (group.unreadIds.length > 0) {
+      try {
+        await NotificationsAPI.markManyAsRead(group.unreadIds);
+      } catch (err) {
+        console.error("Failed to mark as read:", err);
+      }
+    }
+
+    const link = notificationLink(group, role);
+    if (link) {
+      navigate(link);
+    } else {
+      const ids = new Set(group.unreadIds);
+      setPage((prev) => ({
+        ...prev,
+        notifications: prev.notifications.map((n) =>
+          ids.has(n.id) ? { ...n, is_read: true } : n,
+        ),
+      }));
+    }
+  };
+
+  return (
+    <>
+      <Header />
+      <main className="bg-gradient-to-br from-ghbackground via-ghbackground-secondary to-ghbackground min-h-screen py-12 px-4">
+        <div className="max-w-3xl mx-auto animate-slideInDown">
+          {/* Page Header */}
+          <div className="flex items-center justify-between mb-8">
+            <h1 className="text-4xl font-bold text-white">Notifications</h1>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => navigate("/settings/notifications")}
+              className="flex items-center gap-2"
+            >
+              <Settings size={16} />
+              Settings
+            </Button>
+          </div>
+
+          {/* Views */}
+          <div className="flex items-center gap-2 mb-6">
+            {VIEWS.map((item) => {
+              const Icon = item.icon;
+              return (
+                <button
+                  key={item.id}
+                  onClick={() => switchView(item.id)}
+                  className={`flex items-center gap-2 px-5 py-3 rounded-xl font-medium transition-all ${
+                    view === item.id
+                      ? "bg-ghaccent text-white shadow-lg shadow-ghaccent/30"
+                      : "text-ghforegroundlow hover:text-white hover:bg-ghforegroundlow/10"
+                  }`}
+                >
+                  <Icon size={18} />
+                  {item.label}
+                </button>
+              );
+            })}
+          </div>
+
+          {error && (
+            <div className="mb-6 p-4 rounded-lg flex items-center gap-3 bg-red-900/20 border border-red-500/50 text-red-200">
+              <AlertCircle size={20} />
+              {error}
+            </div>
+          )}
+
+          <div className="bg-ghbackground-secondary rounded-xl border border-ghforegroundlow/20 overflow-hidden">
+            {/* Bulk actions */}
+            {groups.length > 0 && (
+              <div className="flex flex-wrap items-center gap-3 p-4 border-b border-ghforegroundlow/20 bg-ghbackground">
+                <label className="flex items-center gap-2 text-sm text-ghforegroundlow cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={selectedGroups.length === groups.length}
+                    onChange={toggleSelectAll}
+                    className="accent-ghaccent"
+                  />
+                  {selectedGroups.length > 0
+                    ? `${selectedGroups.length} selected`
+                    : "Select all"}
+                </label>
+                <div className="flex gap-2 ml-auto">
+                  {view === "inbox" && (
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={handleMarkRead}
+                      disabled={selectedIds.length === 0 || processing}
+                      className="flex items-center gap-1"
+                    >
+                      <CheckCheck size={14} />
+                      Mark read
+                    </Button>
+                  )}
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={handleArchive}
+                    disabled={selectedIds.length === 0 || processing}
+                    className="flex items-center gap-1"
+                  >
+                    {view === "archived" ? (
+                      <>
+                        <ArchiveRestore size={14} />
+                        Restore
+                      </>
+                    ) : (
+                      <>
+                        <Archive size={14} />
+                        Archive
+                      </>
+                    )}
+                  </Button>
+                  <Button
+                    variant="danger"
+                    size="sm"
+                    onClick={handleDelete}
+                    disabled={selectedIds.length === 0 || processing}
+                    className="flex items-center gap-1"
+                  >
+                    <Trash2 size={14} />
+                    Delete
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {loading ? (
+              <div className="p-12 flex items-center justify-center gap-2 text-ghforegroundlow">
+                <Loader size={20} className="animate-spin" />
+                Loading notifications...
+              </div>
+            ) : groups.length === 0 ? (
+              <div className="p-12 text-center text-ghforegroundlow">
+                <Bell size={40} className="mx-auto mb-3 opacity-50" />
+                <p>
+                  {view === "archived"
+                    ? "No archived notifications"
+                    : "No notifications yet"}
+                </p>
+              </div>
+            ) : (
+              groups.map((group) => (
+                <NotificationItem
+                  key={group.key}
+                  group={group}
+                  onOpen={handleOpen}
+                  selected={selectedKeys.has(group.key)}
+                  onToggleSelect={toggleSelect}
+                />
+              ))
+            )}
+
+            {page.nextCursor && !loading && (
+              <div className="p-4 text-center">
+                <Button
+                  variant="secondary"
+                  onClick={handleLoadMore}
+                  isLoading={loadingMore}
+                >
+                  {loadingMore ? "Loading..." : "Load more"}
+                </Button>
+              </div>
+            )}
+          </div>
+        </div>
+      </main>
+    </>
+  );
+}
@@ -7,8 +7,11 @@ const API_BASE_URL =
 const apiCall = async (endpoint, options = {}) => {
   // [SESSION MANAGEMENT] Read token from sessionStorage (tab-scoped)
   const token = sessionStorage.getItem("token");
+  // File uploads send FormData; the browser sets the multipart boundary
   const headers = {
-    "Content-Type": "application/json",
+    ...(options.body instanceof FormData
+      ? {}
+      : { "Content-Type": "application/json" }),
     ...options.headers,
   };
 
@@ -37,12 +40,51 @@ const apiCall = async (endpoint, options = {}) => {
     if (errorData.attemptsRemaining !== undefined) {
       error.attemptsRemaining = errorData.attemptsRemaining;
     }
+    // Structured error code (e.g. CHAT_ARCHIVED) for pages to render
+    if (errorData.code !== undefined) {
+      error.code = errorData.code;
+    }
     throw error;
   }
 
   return response.json();
 };
 
+// Uploaded files are served relative to the API server's origin
+export const assetUrl = (path) =>
+  !path || /^https?:\/\//.test(path)
+    ? path
+    : `${API_BASE_URL.replace(/\/api$/, "")}${path}`;
+
+// Helper for Server-Sent Event streams. EventSource cannot send headers,
+// so the session token is passed as a query parameter instead.
+const openEventStream = (endpoint) => {
+  const token = sessionStorage.getItem("token");
+  const params = new URLSearchParams();
+  if (token) params.append("token", token);
+  return new EventSource(`${API_BASE_URL}${endpoint}?${params}`);
+};
+
+// Helper for file downloads: fetches with the session token and hands the
+// response to the browser as a file
+const downloadFile = async (endpoint, filename) => {
+  const token = sessionStorage.getItem("token");
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || "Download failed");
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
 // ==========================================
 // AUTHENTICATION API
 // ==========================================
@@ -106,6 +148,14 @@ export const GamesAPI = {
     }),
 };
 
+// ==========================================
+// TAGS API
+// ==========================================
+export const TagsAPI = {
+  // Active tags, service types and the per-service tag limit
+  getTags: () => apiCall("/tags"),
+};
+
 // ==========================================
 // USERS API
 // ==========================================
@@ -123,9 +173,19 @@ export const UsersAPI = {
 // COACHES API
 // ==========================================
 export const CoachesAPI = {
-  listCoaches: (gameId, limit = 10, offset = 0) => {
+  // Coach directory. Filters: gameId, rank, minRate, maxRate, minYears,
+  // minRating, verifiedOnly, sort ("ranked" by default).
+  listCoaches: (filters = {}, limit = 20, offset = 0) => {
     const params = new URLSearchParams();
-    if (gameId) params.append("game_id", gameId);
+    if (filters.gameId) params.append("game_id", filters.gameId);
+    if (filters.rank) params.append("rank", filters.rank);
+    if (filters.minRate != null) params.append("min_rate", filters.minRate);
+    if (filters.maxRate != null) params.append("max_rate", filters.maxRate);
+    if (filters.minYears != null) params.append("min_years", filters.minYears);
+    if (filters.minRating != null)
+      params.append("min_rating", filters.minRating);
+    if (filters.verifiedOnly) params.append("verified", "true");
+    if (filters.sort) params.append("sort", filters.sort);
     params.append("limit", limit);
     params.append("offset", offset);
     return apiCall(`/coaches?${params}`);
@@ -133,6 +193,14 @@ export const CoachesAPI = {
 
   getCoach: (id) => apiCall(`/coaches/${id}`),
 
+  // Free session slots; from is YYYY-MM-DD in the coach's timezone
+  getSlots: (coachId, { from, days } = {}) => {
+    const params = new URLSearchParams();
+    if (from) params.append("from", from);
+    if (days) params.append("days", days);
+    return apiCall(`/coaches/${coachId}/slots?${params}`);
+  },
+
   addSpecialization: (coachId, specData) =>
     apiCall(`/coaches/${coachId}/specializations`, {
       method: "POST",
@@ -154,6 +222,21 @@ export const ApplicationsAPI = {
 
   getUserApplications: () => apiCall("/applications/my-applications"),
 
+  // Images (JPEG/PNG/WebP); files is an array of File objects
+  uploadImages: (id, files) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append("images", file));
+    return apiCall(`/applications/${id}/images`, {
+      method: "POST",
+      body: formData,
+    });
+  },
+
+  getImages: (id) => apiCall(`/applications/${id}/images`),
+
+  deleteImage: (id, imageId) =>
+    apiCall(`/applications/${id}/images/${imageId}`, { method: "DELETE" }),
+
   updateApplication: (id, appData) =>
     apiCall(`/applications/${id}`, {
       method: "PUT",
@@ -177,12 +260,23 @@ export const ApplicationsAPI = {
 // SERVICES API
 // ==========================================
 export const ServicesAPI = {
-  listServices: (gameId, employeeId, limit = 20, offset = 0) => {
+  // Search published services. Filters: q, gameId, employeeId, serviceType,
+  // tags (array), minPrice, maxPrice, minRating, sort. Pass the previous
+  // response's next_cursor to load the following page.
+  listServices: (filters = {}, cursor = null, limit = 20) => {
     const params = new URLSearchParams();
-    if (gameId) params.append("game_id", gameId);
-    if (employeeId) params.append("employee_id", employeeId);
+    if (filters.q) params.append("q", filters.q);
+    if (filters.gameId) params.append("game_id", filters.gameId);
+    if (filters.employeeId) params.append("employee_id", filters.employeeId);
+    if (filters.serviceType) params.append("service_type", filters.serviceType);
+    if (filters.tags?.length) params.append("tags", filters.tags.join(","));
+    if (filters.minPrice != null) params.append("min_price", filters.minPrice);
+    if (filters.maxPrice != null) params.append("max_price", filters.maxPrice);
+    if (filters.minRating != null)
+      params.append("min_rating", filters.minRating);
+    if (filters.sort) params.append("sort", filters.sort);
+    if (cursor) params.append("cursor", cursor);
     params.append("limit", limit);
-    params.append("offset", offset);
     return apiCall(`/services?${params}`);
   },
 
@@ -205,12 +299,28 @@ export const RequestsAPI = {
 
   getUserRequests: () => apiCall("/requests/user/my-requests"),
 
-  acceptRequest: (id, employeeResponse) =>
+  // quote: optional { amount, estimated_minutes, notes } instead of the list price
+  acceptRequest: (id, employeeResponse, quote) =>
     apiCall(`/requests/${id}/accept`, {
       method: "POST",
-      body: JSON.stringify({ employee_response: employeeResponse }),
+      body: JSON.stringify({ employee_response: employeeResponse, quote }),
     }),
 
+  // Price negotiation between accept and confirm
+  getQuotes: (id) => apiCall(`/requests/${id}/quotes`),
+
+  makeOffer: (id, offer) =>
+    apiCall(`/requests/${id}/quotes`, {
+      method: "POST",
+      body: JSON.stringify(offer),
+    }),
+
+  acceptOffer: (id, quoteId) =>
+    apiCall(`/requests/${id}/quotes/${quoteId}/accept`, { method: "POST" }),
+
+  declineOffer: (id, quoteId) =>
+    apiCall(`/requests/${id}/quotes/${quoteId}/decline`, { method: "POST" }),
+
   confirmRequest: (id) =>
     apiCall(`/requests/${id}/confirm`, {
       method: "POST",
@@ -231,6 +341,55 @@ export const RequestsAPI = {
     apiCall(`/requests/${id}/cancel`, {
       method: "POST",
     }),
+
+  openDispute: (id, reason, description) =>
+    apiCall(`/requests/${id}/disputes`, {
+      method: "POST",
+      body: JSON.stringify({ reason, description }),
+    }),
+
+  getDisputes: (id) => apiCall(`/requests/${id}/disputes`),
+
+  getTimeline: (id) => apiCall(`/requests/${id}/timeline`),
+};
+
+// ==========================================
+// SESSION SCHEDULING API
+// ==========================================
+export const SessionsAPI = {
+  getUpcoming: () => apiCall("/sessions"),
+
+  downloadCalendar: () =>
+    downloadFile("/sessions/calendar.ics", "gamerhelpers-sessions.ics"),
+
+  // Employee only: weekly hours, blackout dates, timezone, session length
+  getAvailability: () => apiCall("/availability"),
+
+  updateAvailability: (schedule) =>
+    apiCall("/availability", {
+      method: "PUT",
+      body: JSON.stringify(schedule),
+    }),
+};
+
+// ==========================================
+// WALLET API
+// ==========================================
+export const WalletAPI = {
+  getWallet: (limit = 50, offset = 0) => {
+    const params = new URLSearchParams();
+    params.append("limit", limit);
+    params.append("offset", offset);
+    return apiCall(`/wallet?${params}`);
+  },
+
+  getWithdrawals: () => apiCall("/wallet/withdrawals"),
+
+  requestWithdrawal: (amount, payoutDetails) =>
+    apiCall("/wallet/withdrawals", {
+      method: "POST",
+      body: JSON.stringify({ amount, payout_details: payoutDetails }),
+    }),
 };
 
 // ==========================================
@@ -251,6 +410,21 @@ export const ChatAPI = {
       method: "POST",
       body: JSON.stringify({ message }),
     }),
+
+  // Live feed of messages, typing indicators and read receipts
+  openStream: (chatId) => openEventStream(`/chats/${chatId}/stream`),
+
+  sendTyping: (chatId, isTyping) =>
+    apiCall(`/chats/${chatId}/typing`, {
+      method: "POST",
+      body: JSON.stringify({ is_typing: isTyping }),
+    }),
+
+  markRead: (chatId, lastReadMessageId) =>
+    apiCall(`/chats/${chatId}/read`, {
+      method: "POST",
+      body: JSON.stringify({ last_read_message_id: lastReadMessageId }),
+    }),
 };
 
 // ==========================================
@@ -269,6 +443,47 @@ export const ReviewsAPI = {
     params.append("offset", offset);
     return apiCall(`/reviews/${coachId}?${params}`);
   },
+
+  // What the current user can still do on a closed request
+  getReviewStatus: (requestId) => apiCall(`/requests/${requestId}/review`),
+
+  replyToReview: (reviewId, replyText) =>
+    apiCall(`/reviews/${reviewId}/reply`, {
+      method: "POST",
+      body: JSON.stringify({ reply_text: replyText }),
+    }),
+
+  // reason: one of REPORT_REASONS (src/constants/reviews.js)
+  reportReview: (reviewId, reason, details) =>
+    apiCall(`/reviews/${reviewId}/report`, {
+      method: "POST",
+      body: JSON.stringify({ reason, details }),
+    }),
+
+  // Private: only employees and admins see requester ratings
+  rateRequester: (requestId, rating, note) =>
+    apiCall(`/requests/${requestId}/requester-rating`, {
+      method: "POST",
+      body: JSON.stringify({ rating, note }),
+    }),
+};
+
+// ==========================================
+// VERIFICATION API
+// ==========================================
+export const VerificationAPI = {
+  // The signed-in employee's badge and latest submission
+  getStatus: () => apiCall("/verification"),
+
+  // proof: { screenshot (File), accountId, rankNote, gameId }
+  submit: ({ screenshot, accountId, rankNote, gameId }) => {
+    const formData = new FormData();
+    formData.append("images", screenshot);
+    formData.append("account_id", accountId);
+    formData.append("rank_note", rankNote);
+    if (gameId) formData.append("game_id", gameId);
+    return apiCall("/verification", { method: "POST", body: formData });
+  },
 };
 
 // ==========================================
@@ -328,6 +543,88 @@ export const AdminAPI = {
       body: JSON.stringify({ admin_notes: adminNotes }),
     }),
 
+  // Dispute resolution
+  getDisputes: (status) => {
+    const params = new URLSearchParams();
+    if (status) params.append("status", status);
+    return apiCall(`/admin/disputes?${params}`);
+  },
+
+  investigateDispute: (id) =>
+    apiCall(`/admin/disputes/${id}/investigate`, {
+      method: "POST",
+    }),
+
+  resolveDispute: (id, resolution, employeeShare, resolutionNotes) =>
+    apiCall(`/admin/disputes/${id}/resolve`, {
+      method: "POST",
+      body: JSON.stringify({
+        resolution,
+        employee_share: employeeShare,
+        resolution_notes: resolutionNotes,
+      }),
+    }),
+
+  // Review moderation (status: 'reported', 'hidden' or 'all')
+  getReviewQueue: (status = "reported") =>
+    apiCall(`/admin/reviews?${new URLSearchParams({ status })}`),
+
+  hideReview: (id, reason) =>
+    apiCall(`/admin/reviews/${id}/hide`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+    }),
+
+  restoreReview: (id) =>
+    apiCall(`/admin/reviews/${id}/restore`, { method: "POST" }),
+
+  dismissReviewReports: (id) =>
+    apiCall(`/admin/reviews/${id}/dismiss-reports`, { method: "POST" }),
+
+  deleteReview: (id) => apiCall(`/admin/reviews/${id}`, { method: "DELETE" }),
+
+  // Employee verification queue (status: 'pending', 'verified',
+  // 'rejected', 'revoked' or 'all')
+  getVerifications: (status = "pending") =>
+    apiCall(`/admin/verifications?${new URLSearchParams({ status })}`),
+
+  verifyEmployee: (id, reason) =>
+    apiCall(`/admin/verifications/${id}/verify`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+    }),
+
+  rejectVerification: (id, reason) =>
+    apiCall(`/admin/verifications/${id}/reject`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+    }),
+
+  revokeVerification: (id, reason) =>
+    apiCall(`/admin/verifications/${id}/revoke`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+    }),
+
+  // Admin payouts queue (status: 'active', 'all', or a single status)
+  getWithdrawals: (status = "active") => {
+    const params = new URLSearchParams();
+    params.append("status", status);
+    return apiCall(`/admin/withdrawals?${params}`);
+  },
+
+  approveWithdrawal: (id) =>
+    apiCall(`/admin/withdrawals/${id}/approve`, { method: "POST" }),
+
+  rejectWithdrawal: (id, reason) =>
+    apiCall(`/admin/withdrawals/${id}/reject`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+    }),
+
+  markWithdrawalPaid: (id) =>
+    apiCall(`/admin/withdrawals/${id}/mark-paid`, { method: "POST" }),
+
   // Admin chat access
   getAllChats: (status) => {
     const params = new URLSearchParams();
@@ -337,6 +634,8 @@ export const AdminAPI = {
 
   getChatMessages: (chatId) => apiCall(`/admin/chats/${chatId}/messages`),
 
+  openChatStream: (chatId) => openEventStream(`/admin/chats/${chatId}/stream`),
+
   // Admin service requests
   getAllRequests: (status) => {
     const params = new URLSearchParams();
@@ -370,15 +669,77 @@ export const AdminAPI = {
     apiCall(`/admin/admins/${adminId}`, {
       method: "DELETE",
     }),
+
+  // Commission rules (super admin only; status: 'current' or 'all')
+  getCommissionRules: (status = "current") => {
+    const params = new URLSearchParams();
+    params.append("status", status);
+    return apiCall(`/admin/commission-rules?${params}`);
+  },
+
+  createCommissionRule: (rule) =>
+    apiCall("/admin/commission-rules", {
+      method: "POST",
+      body: JSON.stringify(rule),
+    }),
+
+  retireCommissionRule: (ruleId) =>
+    apiCall(`/admin/commission-rules/${ruleId}/retire`, { method: "POST" }),
+
+  updateEmployeeTier: (userId, tier) =>
+    apiCall(`/admin/employees/${userId}/tier`, {
+      method: "PUT",
+      body: JSON.stringify({ tier }),
+    }),
+
+  // Edits to live services waiting for reapproval
+  getServiceRevisions: () => apiCall("/admin/service-revisions"),
+
+  approveServiceRevision: (revisionId, adminNotes) =>
+    apiCall(`/admin/service-revisions/${revisionId}/approve`, {
+      method: "POST",
+      body: JSON.stringify({ admin_notes: adminNotes }),
+    }),
+
+  rejectServiceRevision: (revisionId, reason) =>
+    apiCall(`/admin/service-revisions/${revisionId}/reject`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+    }),
+
+  // Service tag vocabulary
+  getTags: () => apiCall("/admin/tags"),
+
+  createTag: (name, color) =>
+    apiCall("/admin/tags", {
+      method: "POST",
+      body: JSON.stringify({ name, color }),
+    }),
+
+  updateTag: (tagId, updates) =>
+    apiCall(`/admin/tags/${tagId}`, {
+      method: "PUT",
+      body: JSON.stringify(updates),
+    }),
 };
 
 // ==========================================
 // NOTIFICATIONS API
 // ==========================================
 export const NotificationsAPI = {
-  getNotifications: (unreadOnly = false) => {
+  // Options: { cursor, limit, unreadOnly, archived }; pass the previous
+  // response's next_cursor to get the following page
+  getNotifications: ({
+    cursor,
+    limit,
+    unreadOnly = false,
+    archived = false,
+  } = {}) => {
     const params = new URLSearchParams();
+    if (cursor) params.append("cursor", cursor);
+    if (limit) params.append("limit", limit);
     if (unreadOnly) params.append("unread_only", "true");
+    if (archived) params.append("archived", "true");
     return apiCall(`/notifications?${params}`);
   },
 
@@ -392,7 +753,42 @@ export const NotificationsAPI = {
       method: "POST",
     }),
 
+  // Bulk actions take up to 100 notification IDs
+  markManyAsRead: (ids) =>
+    apiCall("/notifications/read", {
+      method: "POST",
+      body: JSON.stringify({ ids }),
+    }),
+
+  archive: (ids) =>
+    apiCall("/notifications/archive", {
+      method: "POST",
+      body: JSON.stringify({ ids }),
+    }),
+
+  unarchive: (ids) =>
+    apiCall("/notifications/unarchive", {
+      method: "POST",
+      body: JSON.stringify({ ids }),
+    }),
+
+  deleteNotifications: (ids) =>
+    apiCall("/notifications", {
+      method: "DELETE",
+      body: JSON.stringify({ ids }),
+    }),
+
   getUnreadCount: () => apiCall("/notifications/unread-count"),
+
+  openStream: () => openEventStream("/notifications/stream"),
+
+  getPreferences: () => apiCall("/notifications/preferences"),
+
+  updatePreferences: (preferences) =>
+    apiCall("/notifications/preferences", {
+      method: "PUT",
+      body: JSON.stringify({ preferences }),
+    }),
 };
 
 // ==========================================
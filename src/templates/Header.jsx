@@ -8,6 +8,7 @@ import {
   Wallet,
   User,
   Shield,
+  Users,
 } from "lucide-react";
 
 // File imports
@@ -61,6 +62,13 @@ export default function Header() {
               <Home size={18} />
               <span className="hidden md:inline">Home</span>
             </button>
+            <button
+              onClick={() => navigate("/coaches")}
+              className={navButtonClass("/coaches")}
+            >
+              <Users size={18} />
+              <span className="hidden md:inline">Coaches</span>
+            </button>
             <button
               onClick={() => navigate("/chats")}
               className={navButtonClass("/chats")}